@@ -0,0 +1,109 @@
+/* assets/js/a11y.js  —  shared accessibility helpers (window.PortfolioA11y)
+   Used by the scripts that render cards (github-projects.js, github-stats.js,
+   credly.js, cv-sections.js); text comes from i18n.js.
+
+   - newTab()                → sr-only "(opens in a new tab)" for target=_blank links;
+     newTabLabel(label)        the same appended to an aria-label
+   - markNewTabLinks(root)   → adds newTab() to target=_blank links in HTML the
+                               scripts did not write themselves (rendered markdown)
+   - skeletonHTML(label, { tag, className, lines })
+                             → loading placeholder: the label for screen readers,
+                               pulsing bars (aria-hidden, still with reduced motion)
+   - setBusy(el, busy)       → aria-busy while a region loads
+   - announce(text)          → polite live region for results that change no
+                               visible status text (a new sort order)
+   - cardKeys(container, { items, target })
+                             → Arrow keys / Home / End move focus across cards:
+                               ←/→ one card, ↑/↓ one row of the CSS grid
+*/
+(function () {
+  const I18n = window.PortfolioI18n; // i18n.js
+  const t = (key, vars) => I18n.t(key, vars);
+
+  const newTab = () =>
+    `<span class="sr-only" data-new-tab> ${t("common.newTab")}</span>`;
+  const newTabLabel = (label) => `${label} ${t("common.newTab")}`;
+
+  function markNewTabLinks(root) {
+    for (const a of root.querySelectorAll('a[target="_blank"]'))
+      if (!a.querySelector("[data-new-tab]") && !a.hasAttribute("aria-label"))
+        a.insertAdjacentHTML("beforeend", newTab());
+  }
+
+  const BAR = "h-3 rounded bg-gray-200 dark:bg-gray-700";
+  const WIDTHS = ["w-2/3", "w-full", "w-5/6", "w-1/2"];
+  function skeletonHTML(
+    label,
+    { tag = "div", className = "", lines = 3 } = {}
+  ) {
+    const bars = Array.from(
+      { length: lines },
+      (_, i) => `<div class="${BAR} ${WIDTHS[i % WIDTHS.length]}"></div>`
+    ).join("");
+    return `<${tag} class="${className}" data-skeleton><span class="sr-only">${label}</span><div class="space-y-3 motion-safe:animate-pulse" aria-hidden="true">${bars}</div></${tag}>`;
+  }
+
+  function setBusy(el, busy) {
+    if (!el) return;
+    if (busy) el.setAttribute("aria-busy", "true");
+    else el.removeAttribute("aria-busy");
+  }
+
+  let live = null;
+  function announce(text) {
+    if (!live) {
+      live = document.createElement("div");
+      live.id = "a11yAnnounce";
+      live.className = "sr-only";
+      live.setAttribute("role", "status");
+      live.setAttribute("aria-live", "polite");
+      document.body.appendChild(live);
+    }
+    // Same text twice in a row is still read out
+    live.textContent = "";
+    setTimeout(() => (live.textContent = text), 50);
+  }
+
+  // Number of columns the container's CSS grid currently lays out
+  function gridColumns(container) {
+    const tracks = getComputedStyle(container).gridTemplateColumns || "";
+    return Math.max(1, tracks.split(" ").filter((s) => /\d/.test(s)).length);
+  }
+
+  function cardKeys(container, { items, target }) {
+    container.addEventListener("keydown", (ev) => {
+      if (ev.altKey || ev.ctrlKey || ev.metaKey || ev.shiftKey) return;
+      if (ev.target.closest("input, select, textarea")) return;
+      const item = ev.target.closest(items);
+      if (!item || !container.contains(item)) return;
+      const all = Array.from(container.querySelectorAll(items)).filter(
+        (el) => !el.closest(".hidden")
+      );
+      const i = all.indexOf(item);
+      // Cards sit in an <li> of the grid (or are the <li>)
+      const cols = gridColumns((item.closest("li") || item).parentElement);
+      const next = {
+        ArrowRight: i + 1,
+        ArrowLeft: i - 1,
+        ArrowDown: i + cols,
+        ArrowUp: i - cols,
+        Home: 0,
+        End: all.length - 1,
+      }[ev.key];
+      if (next == null) return;
+      ev.preventDefault(); // also keeps the page from scrolling
+      const to = all[Math.max(0, Math.min(all.length - 1, next))];
+      (to.querySelector(target) || to).focus();
+    });
+  }
+
+  window.PortfolioA11y = {
+    newTab,
+    newTabLabel,
+    markNewTabLinks,
+    skeletonHTML,
+    setBusy,
+    announce,
+    cardKeys,
+  };
+})();
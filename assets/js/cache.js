@@ -0,0 +1,293 @@
+/* assets/js/cache.js  —  shared localStorage cache (window.PortfolioCache)
+   - Namespaces by key prefix ("gh:topics", "credly", …), each with its own TTL
+   - Envelope { v, ts, data, meta? }; entries from older schemas (v1 = { ts, data }) are dropped
+   - meta holds small extras such as HTTP validators ({ etag, lastModified })
+   - LRU eviction when localStorage runs out of quota (access times kept in "cache:lru")
+   - ?debug=cache opens an overlay listing entries, their ages and a "Clear" button
+
+   Load before github-projects.js and credly.js.
+*/
+(function () {
+  const SCHEMA_VERSION = 2;
+  const INDEX_KEY = "cache:lru"; // { key: lastAccessMs }
+  const DEFAULT_TTL = 30 * 60 * 1000;
+  // Keys owned by this module even before a namespace is defined (sweep + debug)
+  const MANAGED_PREFIXES = ["gh:", "credly:"];
+
+  const namespaces = new Map(); // prefix → { ttl }
+  let index = readIndex();
+  let indexTimer = 0;
+
+  function readIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(INDEX_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+  function saveIndex() {
+    clearTimeout(indexTimer);
+    try {
+      localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+    } catch {}
+  }
+  function saveIndexSoon() {
+    clearTimeout(indexTimer);
+    indexTimer = setTimeout(saveIndex, 1000);
+  }
+  // Monotonic so several touches in the same millisecond still order correctly
+  let clock = 0;
+  function touch(key) {
+    clock = Math.max(Date.now(), clock + 1);
+    index[key] = clock;
+    saveIndexSoon();
+  }
+
+  const isManaged = (key) => MANAGED_PREFIXES.some((p) => key.startsWith(p));
+
+  // Longest registered prefix wins ("gh:topics" over "gh")
+  function namespaceOf(key) {
+    let best = "";
+    for (const p of namespaces.keys())
+      if ((key === p || key.startsWith(`${p}:`)) && p.length > best.length)
+        best = p;
+    return best;
+  }
+
+  function define(prefix, { ttl = DEFAULT_TTL } = {}) {
+    namespaces.set(prefix, { ttl });
+  }
+  function ttl(key) {
+    const ns = namespaces.get(namespaceOf(key));
+    return ns ? ns.ttl : DEFAULT_TTL;
+  }
+  const isFresh = (key, entry) => !!entry && Date.now() - entry.ts < ttl(key);
+
+  function keys() {
+    const out = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const k = localStorage.key(i);
+        if (k && isManaged(k)) out.push(k);
+      }
+    } catch {}
+    return out;
+  }
+
+  function get(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      if (!raw) return null;
+      const o = JSON.parse(raw);
+      if (!o || o.v !== SCHEMA_VERSION || typeof o.ts !== "number") {
+        remove(key);
+        return null;
+      }
+      touch(key);
+      return o;
+    } catch {
+      return null;
+    }
+  }
+
+  function isQuotaError(e) {
+    return (
+      !!e &&
+      (e.name === "QuotaExceededError" ||
+        e.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        e.code === 22 ||
+        e.code === 1014)
+    );
+  }
+
+  // Least recently used managed entry, never the key being written
+  function evictOne(except) {
+    let victim = null;
+    let oldest = Infinity;
+    for (const k of keys()) {
+      if (k === except) continue;
+      const t = index[k] || 0;
+      if (t < oldest) {
+        oldest = t;
+        victim = k;
+      }
+    }
+    if (!victim) return false;
+    remove(victim);
+    return true;
+  }
+
+  function set(key, data, meta) {
+    const entry = { v: SCHEMA_VERSION, ts: Date.now(), data };
+    if (meta) entry.meta = meta;
+    const raw = JSON.stringify(entry);
+    for (;;) {
+      try {
+        localStorage.setItem(key, raw);
+        touch(key);
+        return true;
+      } catch (e) {
+        if (isQuotaError(e) && evictOne(key)) continue;
+        console.warn("Cache write failed:", key, e);
+        return false;
+      }
+    }
+  }
+
+  function remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch {}
+    delete index[key];
+    saveIndexSoon();
+  }
+  function clear() {
+    for (const k of keys()) remove(k);
+    saveIndex();
+  }
+
+  // Drop entries from older schemas and index rows whose item is gone
+  function sweep() {
+    for (const k of keys()) {
+      try {
+        const o = JSON.parse(localStorage.getItem(k));
+        if (!o || o.v !== SCHEMA_VERSION) remove(k);
+      } catch {
+        remove(k);
+      }
+    }
+    for (const k of Object.keys(index))
+      if (localStorage.getItem(k) == null) delete index[k];
+    saveIndex();
+  }
+
+  function entries() {
+    const now = Date.now();
+    return keys().map((key) => {
+      const raw = localStorage.getItem(key) || "";
+      let ts = 0;
+      try {
+        ts = JSON.parse(raw).ts || 0;
+      } catch {}
+      return {
+        key,
+        namespace: namespaceOf(key) || "(undefined)",
+        age: now - ts,
+        fresh: now - ts < ttl(key),
+        bytes: raw.length * 2, // UTF-16
+        lastAccess: index[key] || 0,
+      };
+    });
+  }
+
+  // ---------------- Debug overlay (?debug=cache) ----------------
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+  function fmtAge(ms) {
+    const s = Math.max(0, ms / 1000);
+    if (s >= 86400) return `${Math.floor(s / 86400)}d`;
+    if (s >= 3600) return `${Math.floor(s / 3600)}h`;
+    if (s >= 60) return `${Math.floor(s / 60)}m`;
+    return `${Math.floor(s)}s`;
+  }
+  const fmtBytes = (n) =>
+    n >= 1048576
+      ? `${(n / 1048576).toFixed(1)} MB`
+      : `${Math.ceil(n / 1024)} KB`;
+
+  function renderDebugPanel() {
+    let panel = document.getElementById("cacheDebug");
+    if (!panel) {
+      panel = document.createElement("aside");
+      panel.id = "cacheDebug";
+      panel.setAttribute("aria-label", "Cache debug");
+      panel.className =
+        "fixed bottom-4 right-4 z-50 w-[30rem] max-w-[calc(100vw-2rem)] max-h-[60vh] overflow-auto rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 shadow-lg p-3 text-xs";
+      panel.addEventListener("click", onPanelClick);
+      document.body.appendChild(panel);
+    }
+    const list = entries().sort((a, b) => a.key.localeCompare(b.key));
+    const total = list.reduce((n, e) => n + e.bytes, 0);
+    panel.innerHTML = `
+      <div class="flex items-center justify-between gap-2 mb-2">
+        <strong>Cache · ${list.length} entries · ${fmtBytes(total)}</strong>
+        <span class="flex gap-2">
+          <button type="button" data-cache-action="refresh" class="underline">Refresh</button>
+          <button type="button" data-cache-action="clear" class="underline text-red-600 dark:text-red-400">Clear</button>
+          <button type="button" data-cache-action="close" class="underline">Close</button>
+        </span>
+      </div>
+      <table class="w-full text-left">
+        <thead class="text-gray-500 dark:text-gray-400">
+          <tr><th>Key</th><th>Age</th><th>Size</th><th>State</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${list
+            .map(
+              (e) => `
+            <tr class="border-t border-gray-200 dark:border-gray-700">
+              <td class="py-1 pr-2 break-all" title="${esc(e.namespace)}">${esc(
+                e.key
+              )}</td>
+              <td class="pr-2">${fmtAge(e.age)}</td>
+              <td class="pr-2">${fmtBytes(e.bytes)}</td>
+              <td class="pr-2 ${
+                e.fresh ? "text-green-700 dark:text-green-400" : "opacity-70"
+              }">${e.fresh ? "fresh" : "stale"}</td>
+              <td><button type="button" data-cache-action="remove" data-key="${esc(
+                e.key
+              )}" aria-label="Remove ${esc(e.key)}">✕</button></td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function onPanelClick(ev) {
+    const btn = ev.target.closest("[data-cache-action]");
+    if (!btn) return;
+    const action = btn.getAttribute("data-cache-action");
+    if (action === "close") {
+      document.getElementById("cacheDebug")?.remove();
+      return;
+    }
+    if (action === "clear") clear();
+    if (action === "remove") remove(btn.getAttribute("data-key"));
+    renderDebugPanel();
+  }
+
+  sweep();
+
+  window.PortfolioCache = {
+    SCHEMA_VERSION,
+    define,
+    ttl,
+    isFresh,
+    get,
+    set,
+    remove,
+    clear,
+    entries,
+    showDebugPanel: renderDebugPanel,
+  };
+
+  if (new URLSearchParams(location.search).get("debug") === "cache") {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", renderDebugPanel);
+    } else {
+      renderDebugPanel();
+    }
+  }
+})();
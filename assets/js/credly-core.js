@@ -0,0 +1,170 @@
+/* assets/js/credly-core.js  —  DOM-free Credly logic (window.CredlyCore)
+   Shared by credly.js and scripts/build-snapshots.js; require()-able for tests.
+
+   - fetchAllPages(fetchPage, pageSize, maxPages?) → every badge across pages
+     fetchPage(page) resolves to that page's array; a short (or empty) page ends it
+   - issuerOf(badge) / skillsOf(badge)      → "Amazon Web Services …" / ["Cloud", …]
+   - expiryStatus(badge, now?, soonDays?)   → { state: expired|soon|valid|none, date, days }
+   - collapseSuperseded(badges)             → newest of each renewed certificate,
+                                              older ones in `_history`
+   - sortBadges(badges, mode)               → copy sorted "newest" | "oldest" | "name"
+   - groupByIssuer(badges)                  → [[issuer, badges], …] largest group first
+   - skillCounts(badges)                    → [[skill, count], …] most common first
+   - mergeManualCerts(fetched, manual)      → Credly badges + certs.json entries
+                                              (data-normalize.js), de-duplicated;
+                                              manual fields win
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.CredlyCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  async function fetchAllPages(fetchPage, pageSize, maxPages = 50) {
+    let all = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const items = await fetchPage(page);
+      if (!Array.isArray(items) || !items.length) break;
+      all = all.concat(items);
+      if (items.length < pageSize) break;
+    }
+    return all;
+  }
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const issuedAt = (b) =>
+    Date.parse(b.issued_at || b.issued_at_date || b.created_at || "") || 0;
+  const nameOf = (b) => b.badge_template?.name || b.name || "Credential";
+
+  // Primary issuing entity, else the "issued by …" summary
+  function issuerOf(b) {
+    const issuer = b.issuer || b.badge_template?.issuer || {};
+    const entities = Array.isArray(issuer.entities) ? issuer.entities : [];
+    const primary = entities.find((e) => e.primary) || entities[0];
+    if (primary?.entity?.name) return primary.entity.name;
+    const summary = String(issuer.summary || "").replace(/^issued by\s+/i, "");
+    return summary.trim() || "Other";
+  }
+
+  // Credly sends skills as [{ name }] (sometimes plain strings)
+  function skillsOf(b) {
+    const skills = b.badge_template?.skills || b.skills || [];
+    return skills
+      .map((s) => (typeof s === "string" ? s : s?.name || ""))
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  function expiryStatus(b, now = Date.now(), soonDays = 90) {
+    const date = Date.parse(b.expires_at || b.expires_at_date || "");
+    if (!Number.isFinite(date))
+      return { state: "none", date: null, days: null };
+    const days = Math.ceil((date - now) / DAY);
+    const state = date <= now ? "expired" : days <= soonDays ? "soon" : "valid";
+    return { state, date, days };
+  }
+
+  // Renewals carry the same name, give or take a trailing year/version, from
+  // the same issuer; the newest one stands for all of them
+  function supersedeKey(b) {
+    const name = nameOf(b)
+      .toLowerCase()
+      .replace(
+        /[\s(\[-]*(?:v(?:ersion)?\s*\d+(?:\.\d+)*|(?:19|20)\d{2})[)\]]?\s*$/,
+        ""
+      )
+      .trim();
+    return `${issuerOf(b)}|${name}`;
+  }
+  function collapseSuperseded(badges) {
+    const groups = new Map();
+    for (const b of badges) {
+      const k = supersedeKey(b);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(b);
+    }
+    return Array.from(groups.values()).map((list) => {
+      const [latest, ...older] = list
+        .slice()
+        .sort((a, b) => issuedAt(b) - issuedAt(a));
+      return older.length ? { ...latest, _history: older } : latest;
+    });
+  }
+
+  function sortBadges(badges, mode = "newest") {
+    const out = badges.slice();
+    if (mode === "name") out.sort((a, b) => nameOf(a).localeCompare(nameOf(b)));
+    else if (mode === "oldest") out.sort((a, b) => issuedAt(a) - issuedAt(b));
+    else out.sort((a, b) => issuedAt(b) - issuedAt(a));
+    return out;
+  }
+
+  function groupByIssuer(badges) {
+    const groups = new Map();
+    for (const b of badges) {
+      const issuer = issuerOf(b);
+      if (!groups.has(issuer)) groups.set(issuer, []);
+      groups.get(issuer).push(b);
+    }
+    return Array.from(groups.entries()).sort(
+      (a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0])
+    );
+  }
+
+  function skillCounts(badges) {
+    const map = new Map();
+    for (const b of badges)
+      for (const s of new Set(skillsOf(b))) map.set(s, (map.get(s) || 0) + 1);
+    return Array.from(map.entries()).sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+    );
+  }
+
+  const TEMPLATE_FIELDS = ["name", "description", "skills"];
+  const norm = (s) => String(s).trim().toLowerCase();
+
+  // Same id, else same name (and issuer, when the entry names one)
+  function sameCert(m, b) {
+    if (m._credlyId) return b.id === m._credlyId;
+    return (
+      norm(nameOf(b)) === norm(nameOf(m)) &&
+      (!(m._given || []).includes("issuer") ||
+        norm(issuerOf(b)) === norm(issuerOf(m)))
+    );
+  }
+
+  // Like mergeManualRepo: the badge fills the gaps, m._given fields override it
+  function mergeManualCert(m, fetched) {
+    const merged = {
+      ...fetched,
+      badge_template: { ...fetched.badge_template },
+      _manual: true,
+    };
+    for (const k of m._given || [])
+      if (TEMPLATE_FIELDS.includes(k))
+        merged.badge_template[k] = m.badge_template[k];
+      else merged[k] = m[k];
+    return merged;
+  }
+
+  function mergeManualCerts(fetched, manual = []) {
+    const out = fetched.slice();
+    for (const m of manual) {
+      const i = out.findIndex((b) => sameCert(m, b));
+      if (i >= 0) out[i] = mergeManualCert(m, out[i]);
+      else out.push(m);
+    }
+    return out;
+  }
+
+  return {
+    fetchAllPages,
+    issuedAt,
+    issuerOf,
+    skillsOf,
+    expiryStatus,
+    collapseSuperseded,
+    sortBadges,
+    groupByIssuer,
+    skillCounts,
+    mergeManualCerts,
+  };
+});
@@ -5,6 +5,32 @@
    Options (via #certGrid data-attrs):
    - data-credly-user="eren-baris-bostanci"
    - data-cache-ttl-hours="12"  // optional, default 12h
+   - data-snapshot-src="assets/data/snapshots/credly.json"  // optional, built by scripts/build-snapshots.js
+     on Pages deploys; where it is missing (Docker, local) the request 404s and is skipped
+   - data-credly-proxy="/api/credly"  // optional, server/credly-proxy.js; without it (or when it
+     answers 404 / 5xx or not at all, e.g. on GitHub Pages) the public allorigins proxy is used
+   - data-manual-src="assets/data/certs.json"  // optional, certificates that aren't on Credly
+   - data-expiry-warn-days="90"  // optional, "expires soon" window
+
+   Cached badges render immediately (even expired) and are refreshed in the
+   background; only badges whose data changed are re-rendered. certs.json entries
+   are merged in at render time (never cached): an entry matching a Credly badge
+   (same credly id, else same name/issuer) overrides the fields it sets.
+
+   Badges are grouped by issuer (or not, #certGroup), sorted by issue date or name
+   (#certSort) and filtered by skill chips (#certSkills). Renewed certificates
+   collapse into the newest card; expired / soon-to-expire ones are flagged.
+   The rules live in credly-core.js.
+
+   Offline, the service worker (sw.js) may answer with its saved copy; that is
+   shown as cached and never stored as fresh.
+
+   Text and dates come from i18n.js; cards and status are redrawn in place on
+   "portfolio:languagechange".
+
+   Each issuer group is a list of captioned cards; placeholders + aria-busy
+   show while loading and arrow keys move between cards (helpers in a11y.js).
+   Repaints are keyed patches that keep focus in place (dom-patch.js).
 */
 (function () {
   const grid = document.getElementById("certGrid");
@@ -20,12 +46,53 @@
   ).trim();
   const TTL_HOURS = Number(grid.getAttribute("data-cache-ttl-hours") || 12);
   const CACHE_TTL = Math.max(1, TTL_HOURS) * 60 * 60 * 1000; // ms
+  const Cache = window.PortfolioCache;
+  Cache.define("credly", { ttl: CACHE_TTL });
   const CACHE_KEY = ((user) => `credly:${user}:badges:v1:${PAGE_SIZE}`)(
     CREDLY_USER
   );
+  const SNAPSHOT_SRC = grid.getAttribute("data-snapshot-src") || "";
+  const CREDLY_PROXY = (grid.getAttribute("data-credly-proxy") || "").replace(
+    /\/+$/,
+    ""
+  );
+  const SNAPSHOT_VERSION = 1; // must match scripts/build-snapshots.js
+  const MANUAL_SRC = grid.getAttribute("data-manual-src") || "";
+  const WARN_DAYS = Number(grid.getAttribute("data-expiry-warn-days") || 90);
+  const SKILL_CHIPS_MAX = 16; // filter chips above the grid
+  const SKILLS_PER_CARD = 4;
+  const {
+    issuedAt,
+    issuerOf,
+    skillsOf,
+    expiryStatus,
+    collapseSuperseded,
+    sortBadges,
+    groupByIssuer,
+    skillCounts,
+    mergeManualCerts,
+  } = window.CredlyCore;
+  const Data = window.PortfolioData;
+  const I18n = window.PortfolioI18n; // i18n.js
+  const A11y = window.PortfolioA11y; // a11y.js
+  const { patchChildren } = window.PortfolioDom; // dom-patch.js
+  const t = I18n.t;
+
+  // View state (toolbar); group + sort are remembered like the GitHub sort
+  const toolbar = document.getElementById("certToolbar");
+  const groupSel = document.getElementById("certGroup");
+  const sortSel = document.getElementById("certSort");
+  const skillsEl = document.getElementById("certSkills");
+  const view = {
+    group: localStorage.getItem("certGroup") || "issuer",
+    sort: localStorage.getItem("certSort") || "newest",
+    skills: new Set(),
+  };
+  let lastBadges = null; // last rendered list; toolbar changes only repaint
+  let manual = []; // certs.json, normalized
 
-  if (!CREDLY_USER) {
-    if (statusEl) statusEl.textContent = "Credly user is not set.";
+  if (!CREDLY_USER && !MANUAL_SRC) {
+    if (statusEl) statusEl.textContent = t("credly.noUser");
     return;
   }
 
@@ -43,53 +110,134 @@
         }[m])
     );
 
-  function getCache(key) {
+  let snapshot = null; // { ts, entries }
+
+  async function loadSnapshot() {
+    if (!SNAPSHOT_SRC) return;
     try {
-      const raw = localStorage.getItem(key);
-      if (!raw) return null;
-      const obj = JSON.parse(raw);
-      if (!obj || typeof obj.ts !== "number") return null;
-      return obj;
-    } catch {
-      return null;
+      const res = await fetch(SNAPSHOT_SRC, { cache: "no-cache" });
+      if (!res.ok) return;
+      const doc = await res.json();
+      if (!doc || doc.version !== SNAPSHOT_VERSION || !doc.entries) return;
+      const ts = Date.parse(doc.generated_at);
+      snapshot = { ts: Number.isFinite(ts) ? ts : 0, entries: doc.entries };
+    } catch {}
+  }
+
+  function getCache(key) {
+    const obj = Cache.get(key);
+    // Snapshot wins when it is newer than (or there is no) local copy
+    if (snapshot && key in snapshot.entries && (!obj || obj.ts < snapshot.ts)) {
+      return { ts: snapshot.ts, data: snapshot.entries[key] };
     }
+    return obj;
   }
 
-  function setCache(key, data) {
-    try {
-      localStorage.setItem(key, JSON.stringify({ ts: Date.now(), data }));
-    } catch {}
+  async function loadManualCerts(src) {
+    if (!src) return [];
+    const res = await fetch(src, { cache: "no-store" }).catch(() => null);
+    if (!res || !res.ok) return [];
+    const data = await res.json().catch(() => null);
+    if (!Array.isArray(data)) {
+      console.error(`${src} must be a JSON array of certificates`);
+      return [];
+    }
+    // Same rules as `node scripts/validate-data.js`
+    return data
+      .map((it, i) => {
+        const cert = Data.normalizeManualCert(it);
+        if (!cert) console.warn(`${src} #${i + 1} skipped: needs a name`, it);
+        return cert;
+      })
+      .filter(Boolean);
+  }
+
+  const withManual = (badges) => mergeManualCerts(badges || [], manual);
+
+  const fmtDate = (ms) => I18n.date(ms);
+  const badgeKey = (b) =>
+    String(b.id || b.slug || b.badge_template?.name || b.name || "");
+
+  function expiryHTML(item) {
+    const { state, date, days } = expiryStatus(item, Date.now(), WARN_DAYS);
+    if (state === "expired")
+      return `<span class="inline-block rounded-full px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200">${esc(
+        t("credly.expired", { date: fmtDate(date) })
+      )}</span>`;
+    if (state === "soon")
+      return `<span class="inline-block rounded-full px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200" title="${esc(
+        t("credly.expires", { date: fmtDate(date) })
+      )}">${esc(t("credly.expiresIn", { count: days }))}</span>`;
+    if (state === "valid")
+      return `<span class="text-xs text-gray-600 dark:text-gray-400">${esc(
+        t("credly.validUntil", { date: fmtDate(date) })
+      )}</span>`;
+    return "";
+  }
+
+  // certs.json verify_url, else the Credly badge (or profile) page
+  function verifyUrlOf(item) {
+    const id = item.id || item.slug || "";
+    const credlyId = /^manual:/.test(id) ? "" : id;
+    if (item._verifyUrl) return item._verifyUrl;
+    if (credlyId) return `https://www.credly.com/badges/${credlyId}/public_url`;
+    return item._manual
+      ? ""
+      : `https://www.credly.com/users/${encodeURIComponent(CREDLY_USER)}`;
   }
 
   function badgeCardHTML(item) {
     const tpl = item.badge_template || {};
     const img = item.image_url || tpl.image_url || "";
-    const name = tpl.name || item.name || "Credential";
+    const name = tpl.name || item.name || t("credly.credential");
     const desc = tpl.description || "";
-    const issued =
-      item.issued_at || item.issued_at_date || item.created_at || "";
-    const id = item.id || item.slug || "";
-    const verifyUrl = id
-      ? `https://www.credly.com/badges/${id}/public_url`
-      : `https://www.credly.com/users/${encodeURIComponent(CREDLY_USER)}`;
+    const issued = issuedAt(item);
+    const verifyUrl = verifyUrlOf(item);
 
     const issuedTxt = issued
-      ? `Issued: ${new Date(issued).toLocaleDateString()}`
+      ? t("credly.issued", { date: fmtDate(issued) })
       : "";
+    const expired =
+      expiryStatus(item, Date.now(), WARN_DAYS).state === "expired";
+    const skills = skillsOf(item);
+    // Older copies of a renewed certificate (collapseSuperseded)
+    const history = (item._history || [])
+      .map((b) => issuedAt(b))
+      .filter(Boolean)
+      .map(fmtDate);
 
+    // The figure is focusable (tabindex -1) so arrow keys can reach cards without a link
     return `
-      <figure class="bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 shadow rounded-lg p-6 flex flex-col">
+      <li class="flex">
+      <figure tabindex="-1" class="flex-1 bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 shadow rounded-lg p-6 flex flex-col focus:outline-none focus-visible:ring-2 focus-visible:ring-accent-500${
+        expired ? " opacity-75" : ""
+      }">
         ${
           img
             ? `<img src="${esc(img)}" alt="${esc(
-                name
-              )} badge" class="h-16 w-auto mx-auto mb-3" loading="lazy">`
+                t("credly.badgeAlt", { name })
+              )}" class="h-16 w-auto mx-auto mb-3" loading="lazy">`
             : ""
         }
         <figcaption class="font-medium text-center">${esc(name)}</figcaption>
+        ${
+          view.group === "issuer"
+            ? ""
+            : `<div class="text-xs text-gray-600 dark:text-gray-400 text-center mt-1">${esc(
+                issuerOf(item)
+              )}</div>`
+        }
         <div class="text-xs text-gray-600 dark:text-gray-400 text-center mt-1">${esc(
           issuedTxt
         )}</div>
+        <div class="text-center mt-2">${expiryHTML(item)}</div>
+        ${
+          history.length
+            ? `<div class="text-xs text-gray-600 dark:text-gray-400 text-center mt-1">${esc(
+                t("credly.previously", { dates: history.join(", ") })
+              )}</div>`
+            : ""
+        }
         ${
           desc
             ? `<p class="text-sm text-gray-700 dark:text-gray-300 mt-3 clamp-3">${esc(
@@ -97,93 +245,351 @@
               )}</p>`
             : ""
         }
-        <a href="${verifyUrl}" target="_blank" rel="noopener" class="mt-4 inline-block text-sm text-blue-700 dark:text-blue-300 underline text-center">Verify on Credly</a>
+        ${
+          skills.length
+            ? `<ul class="mt-3 flex flex-wrap justify-center gap-1" aria-label="${t(
+                "credly.skills"
+              )}">${skills
+                .slice(0, SKILLS_PER_CARD)
+                .map(
+                  (s) =>
+                    `<li class="rounded px-1.5 py-0.5 text-[11px] bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">${esc(
+                      s
+                    )}</li>`
+                )
+                .join("")}${
+                skills.length > SKILLS_PER_CARD
+                  ? `<li class="px-1 py-0.5 text-[11px] text-gray-500 dark:text-gray-400">+${
+                      skills.length - SKILLS_PER_CARD
+                    }</li>`
+                  : ""
+              }</ul>`
+            : ""
+        }
+        ${
+          verifyUrl
+            ? `<a href="${esc(
+                verifyUrl
+              )}" target="_blank" rel="noopener" class="mt-4 inline-block text-sm text-accent-700 dark:text-accent-300 underline text-center">${
+                /^https:\/\/(www\.)?credly\.com\//.test(verifyUrl)
+                  ? t("credly.verifyCredly")
+                  : t("credly.verify")
+              }${A11y.newTab()}</a>`
+            : ""
+        }
       </figure>
+      </li>
     `;
   }
 
+  // Issuer heading + its own card grid; cards are patched inside .cert-cards
+  function groupShellHTML(issuer, count) {
+    return `
+      <section>
+        ${
+          issuer
+            ? `<h4 class="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-100">${esc(
+                issuer
+              )} <span class="text-sm font-normal text-gray-500 dark:text-gray-400">(${count})</span></h4>`
+            : ""
+        }
+        <ul role="list" aria-describedby="cardKeysHint" class="cert-cards grid sm:grid-cols-2 md:grid-cols-3 gap-6"></ul>
+      </section>
+    `;
+  }
+
+  let offlineCopy = false; // a page came from the service worker's saved copy (sw.js)
+  const noteOffline = (res) => {
+    if (res.headers.get("x-sw-fallback")) offlineCopy = true;
+    return res;
+  };
+
+  // Self-hosted proxy: cached server-side, already normalized to { data, ... }.
+  // null when no proxy answers (static hosting: 404, or 5xx / unreachable)
+  async function fetchFromProxy(page) {
+    let res;
+    try {
+      res = noteOffline(
+        await fetch(
+          `${CREDLY_PROXY}/${encodeURIComponent(
+            CREDLY_USER
+          )}/badges?page=${page}&page_size=${PAGE_SIZE}`,
+          { cache: "no-store" }
+        )
+      );
+    } catch (e) {
+      console.warn("Credly proxy unreachable, using allorigins", e);
+      return null;
+    }
+    if (res.status === 404 || res.status >= 500) {
+      console.warn(`Credly proxy: HTTP ${res.status}, using allorigins`);
+      return null;
+    }
+    if (!res.ok) throw new Error(`Credly proxy: HTTP ${res.status}`);
+    const body = await res.json();
+    return Array.isArray(body.data) ? body.data : [];
+  }
+
+  let useProxy = Boolean(CREDLY_PROXY); // off for this visit once it fails
+
   async function fetchCredlyPage(page = 1) {
+    if (useProxy) {
+      const badges = await fetchFromProxy(page);
+      if (badges) return badges;
+      useProxy = false;
+    }
+
     const url = `https://www.credly.com/users/${encodeURIComponent(
       CREDLY_USER
     )}/badges.json?page=${page}&page_size=${PAGE_SIZE}`;
-    // Using a public CORS proxy. If you host your own, replace below:
+    // Fallback: public CORS proxy
     const proxy = `https://api.allorigins.win/get?url=${encodeURIComponent(
       url
     )}`;
-    const res = await fetch(proxy, { cache: "no-store" });
+    const res = noteOffline(await fetch(proxy, { cache: "no-store" }));
     if (!res.ok) throw new Error("Fetch failed");
     const wrapper = await res.json();
     const parsed = JSON.parse(wrapper.contents || "{}");
     return parsed.data || [];
   }
 
-  async function fetchAllBadges() {
-    let page = 1;
-    let all = [];
-    while (true) {
-      const items = await fetchCredlyPage(page);
-      if (!items.length) break;
-      all = all.concat(items);
-      if (items.length < PAGE_SIZE) break;
-      page++;
-    }
-    return all;
+  // Pagination rules live in credly-core.js (shared with build-snapshots.js)
+  const fetchAllBadges = () =>
+    window.CredlyCore.fetchAllPages(fetchCredlyPage, PAGE_SIZE);
+
+  // text: () → string, kept so a language change can redraw the line
+  let statusText = null;
+  function setStatus(text) {
+    statusText = text;
+    if (statusEl) statusEl.textContent = text();
   }
 
+  // Credly badges + certs.json; returns false when there was nothing to show
   function renderBadges(badges) {
-    if (!badges || !badges.length) {
-      if (statusEl)
-        statusEl.textContent = "No public badges found on Credly profile.";
+    const all = withManual(badges);
+    if (!all.length) {
+      setStatus(() => t("credly.none"));
+      return false;
+    }
+    lastBadges = all;
+    paintBadges();
+    return true;
+  }
+
+  // Collapse renewals → skill filter → sort → group (no network)
+  function paintBadges() {
+    if (!lastBadges) return;
+    const cards = collapseSuperseded(lastBadges);
+    renderSkillChips(cards);
+    const shown = view.skills.size
+      ? cards.filter((b) => skillsOf(b).some((s) => view.skills.has(s)))
+      : cards;
+    toolbar?.classList.remove("hidden");
+    document.dispatchEvent(new CustomEvent("portfolio:certificates"));
+    if (!shown.length) {
+      patchChildren(grid, [
+        {
+          key: "(empty)",
+          html: `<p class="text-center text-gray-600 dark:text-gray-400">${t(
+            "credly.noMatch"
+          )}</p>`,
+        },
+      ]);
       return;
     }
-    grid.innerHTML = badges.map(badgeCardHTML).join("");
-    statusEl && statusEl.remove();
+    const sorted = sortBadges(shown, view.sort);
+    const groups =
+      view.group === "issuer" ? groupByIssuer(sorted) : [["", sorted]];
+    patchChildren(
+      grid,
+      groups.map(([issuer, list]) => ({
+        key: `group:${issuer}`,
+        html: groupShellHTML(issuer, list.length),
+      }))
+    );
+    groups.forEach(([, list], i) =>
+      patchChildren(
+        grid.children[i].querySelector(".cert-cards"),
+        list.map((b) => ({ key: badgeKey(b), html: badgeCardHTML(b) }))
+      )
+    );
   }
 
+  // Most common skills (+ any selected one) as toggle chips
+  function renderSkillChips(cards) {
+    if (!skillsEl) return;
+    const all = skillCounts(cards);
+    const chips = all.filter(
+      ([s], i) => i < SKILL_CHIPS_MAX || view.skills.has(s)
+    );
+    const items = chips.map(([skill, count]) => {
+      const active = view.skills.has(skill);
+      const tone = active
+        ? "bg-accent-600 border-accent-600 text-white"
+        : "bg-gray-100 dark:bg-gray-700 border-transparent text-gray-700 dark:text-gray-200 hover:border-gray-400 dark:hover:border-gray-500";
+      return {
+        key: skill,
+        html: `<button type="button" data-skill="${esc(
+          skill
+        )}" aria-pressed="${active}" class="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs border transition ${tone}"><span>${esc(
+          skill
+        )}</span><span class="opacity-70">${count}</span></button>`,
+      };
+    });
+    if (view.skills.size)
+      items.push({
+        key: "(clear)",
+        html: `<button type="button" data-skill-clear class="px-2 py-0.5 text-xs underline text-gray-600 dark:text-gray-400">${t(
+          "common.clear"
+        )}</button>`,
+      });
+    patchChildren(skillsEl, items);
+  }
+
+  const countText = (badges) =>
+    t("credly.count", {
+      count: collapseSuperseded(withManual(badges)).length,
+    });
+  // "12 badges · updated 5 minutes ago" for data fetched at `ts`
+  const updatedText = (badges, ts) => () =>
+    `${countText(badges)} · ${t("status.updated", {
+      time: I18n.timeAgo(ts),
+    })}`;
+
   async function loadWithCache() {
+    if (CREDLY_USER) setStatus(() => t("credly.loading")); // in the page language
+    manual = await loadManualCerts(MANUAL_SRC);
+    if (!CREDLY_USER) {
+      // certs.json only
+      if (renderBadges([])) setStatus(() => countText([]));
+      return;
+    }
+    await loadSnapshot();
     const cached = getCache(CACHE_KEY);
-    const isFresh = cached && Date.now() - cached.ts < CACHE_TTL;
+    const hasCached = !!(cached && cached.data && cached.data.length);
 
-    if (isFresh) {
-      // Serve from cache; skip network
+    // Paint whatever we have right away, even if it expired
+    if (hasCached) {
       renderBadges(cached.data);
-      return;
+      if (Cache.isFresh(CACHE_KEY, cached)) {
+        setStatus(updatedText(cached.data, cached.ts));
+        return;
+      }
+      setStatus(() => `${countText(cached.data)} · ${t("status.refreshing")}`);
+    } else {
+      if (manual.length) renderBadges([]);
+      setStatus(() => t("credly.loading"));
     }
 
-    // Try network; if fails and we have any cache (even stale), show it
+    // Revalidate; if it fails (or comes back empty) keep the stale cards
     try {
-      if (statusEl) statusEl.textContent = "Loading badges from Credly…";
       const all = await fetchAllBadges();
+      if (offlineCopy) {
+        // The service worker's saved copy: shown when we have nothing newer, never cached as fresh
+        if (!hasCached && !renderBadges(all)) return;
+        setStatus(() => t("credly.cached"));
+        return;
+      }
       if (!all.length) {
-        // If empty network but we have stale cache, show cache
-        if (cached && cached.data && cached.data.length) {
-          renderBadges(cached.data);
+        if (hasCached) {
+          setStatus(updatedText(cached.data, cached.ts));
           return;
         }
-        if (statusEl)
-          statusEl.textContent = "No public badges found on Credly profile.";
+        if (renderBadges(all)) setStatus(updatedText(all, Date.now()));
         return;
       }
-      setCache(CACHE_KEY, all);
+      Cache.set(CACHE_KEY, all);
       renderBadges(all);
+      setStatus(updatedText(all, Date.now()));
     } catch (err) {
       console.error(err);
-      if (cached && cached.data && cached.data.length) {
-        // Offline or proxy error: show stale cache
-        renderBadges(cached.data);
-        // Optionally show a subtle note
-        if (statusEl)
-          statusEl.textContent =
-            "Showing cached Credly badges (offline or CORS issue).";
+      if (hasCached) {
+        setStatus(() => t("credly.cached"));
       } else {
-        if (statusEl) statusEl.textContent = "Couldn’t load from Credly.";
+        setStatus(() => t("credly.error"));
       }
     }
   }
 
+  // What the grid shows (renewals collapsed), for resume-export.js and
+  // print-cv.js; "portfolio:certificates" on document follows every repaint
+  window.PortfolioCredly = {
+    certificates: () =>
+      collapseSuperseded(lastBadges || []).map((b) => {
+        const issued = issuedAt(b);
+        return {
+          name: b.badge_template?.name || b.name || t("credly.credential"),
+          issuer: issuerOf(b),
+          date: issued ? new Date(issued).toISOString().slice(0, 10) : "",
+          url: verifyUrlOf(b),
+        };
+      }),
+  };
+
+  // ---- Toolbar ----
+  if (groupSel) groupSel.value = view.group;
+  if (sortSel) sortSel.value = view.sort;
+  groupSel?.addEventListener("change", () => {
+    view.group = groupSel.value;
+    localStorage.setItem("certGroup", view.group);
+    paintBadges();
+  });
+  sortSel?.addEventListener("change", () => {
+    view.sort = sortSel.value;
+    localStorage.setItem("certSort", view.sort);
+    paintBadges();
+    // Focus stays on the select; say what changed below it
+    A11y.announce(
+      t("common.sortedBy", {
+        order: sortSel.selectedOptions[0]?.textContent.trim() || "",
+      })
+    );
+  });
+  skillsEl?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button");
+    if (!btn) return;
+    const skill = btn.getAttribute("data-skill");
+    if (btn.hasAttribute("data-skill-clear")) view.skills.clear();
+    else if (view.skills.has(skill)) view.skills.delete(skill);
+    else view.skills.add(skill);
+    paintBadges();
+    // The chip was re-rendered: keep keyboard focus on it
+    const again = Array.from(skillsEl.querySelectorAll("[data-skill]")).find(
+      (b) => b.getAttribute("data-skill") === skill
+    );
+    (again || skillsEl.querySelector("[data-skill]"))?.focus();
+  });
+  // Arrow keys / Home / End move between badges, across issuer groups (a11y.js)
+  A11y.cardKeys(grid, { items: ".cert-cards > li", target: "figure" });
+  document.addEventListener("portfolio:languagechange", () => {
+    paintBadges();
+    if (statusText) setStatus(statusText);
+  });
+
+  // Placeholder cards + aria-busy until the first load settles; patchChildren
+  // drops the placeholders (no data-key) as soon as there are badges
+  async function start() {
+    if (!grid.children.length)
+      grid.innerHTML = `<div class="grid sm:grid-cols-2 md:grid-cols-3 gap-6" data-skeletons>${Array.from(
+        { length: 3 },
+        () =>
+          A11y.skeletonHTML(t("credly.loadingBadge"), {
+            className:
+              "bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 shadow rounded-lg p-6",
+          })
+      ).join("")}</div>`;
+    A11y.setBusy(grid, true);
+    try {
+      await loadWithCache();
+    } finally {
+      A11y.setBusy(grid, false);
+      grid.querySelector(":scope > [data-skeletons]")?.remove();
+    }
+  }
+
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", loadWithCache);
+    document.addEventListener("DOMContentLoaded", start);
   } else {
-    loadWithCache();
+    start();
   }
 })();
@@ -0,0 +1,294 @@
+/* assets/js/cv-sections.js  —  Experience, Internships and Skills from JSON
+   Containers (data-src on each):
+   - #experienceList  data-src="assets/data/experience.json"   (promotions timeline)
+   - #internshipList  data-src="assets/data/internships.json"  data-layout="compact"
+   - #skillGroups     data-src="assets/data/skills.json"
+
+   Any data-src may point at a JSON Resume document instead (an object with
+   `work` / `skills`); each container takes its part of it (see
+   PortfolioData.fromJSONResume). Entries go through data-normalize.js, the
+   same rules `node scripts/validate-data.js` reports on.
+
+   Dates go through i18n.js (YYYY-MM-DD → "Jun 1, 2025", YYYY-MM → "Jun 2025",
+   YYYY as is); a role without an end date is "Present". If a file can't be
+   loaded the container says so and links the PDF CV. Sections are redrawn
+   from memory on "portfolio:languagechange".
+
+   window.PortfolioCV.items(part) resolves to the normalized entries of
+   "experience" | "internships" | "skills" as rendered (resume-export.js).
+*/
+(function () {
+  const Data = window.PortfolioData; // data-normalize.js
+  const I18n = window.PortfolioI18n; // i18n.js
+  const A11y = window.PortfolioA11y; // a11y.js
+  const t = I18n.t;
+  const CV_PDF = "assets/docs/eren-baris-bostanci-cv.pdf";
+
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+
+  // "2025-06-01" → "Jun 1, 2025", "2025-06" → "Jun 2025", "2025" → "2025"
+  const fmtDate = (d) => (d ? I18n.partialDate(d) : "");
+  function fmtRange(role) {
+    const end = role.current ? t("cv.present") : fmtDate(role.end);
+    const start = fmtDate(role.start);
+    return start && end ? `${start} – ${end}` : start || end;
+  }
+
+  // Same URL in several containers (one resume.json) → one request
+  const docs = new Map();
+  function loadDoc(src) {
+    if (!docs.has(src))
+      docs.set(
+        src,
+        fetch(src, { cache: "no-store" }).then((res) => {
+          if (!res.ok) throw new Error(`Cannot load ${src}: ${res.status}`);
+          return res.json();
+        })
+      );
+    return docs.get(src);
+  }
+
+  // Array file as is, or this section's part of a JSON Resume document
+  function pick(doc, part, src) {
+    if (Array.isArray(doc)) return doc;
+    if (doc && typeof doc === "object") return Data.fromJSONResume(doc)[part];
+    throw new Error(`${src} must be a JSON array or a JSON Resume document`);
+  }
+
+  const chip = (t) =>
+    `<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200">${esc(
+      t
+    )}</span>`;
+  const CARD =
+    "bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 shadow rounded-lg p-6";
+  // Newest role gets the strongest dot
+  const DOTS = [
+    "bg-accent-600 dark:bg-accent-400",
+    "bg-accent-600/80 dark:bg-accent-400/80",
+    "bg-accent-500/70 dark:bg-accent-300/70",
+  ];
+
+  function timelineHTML(roles) {
+    return `
+      <div class="relative mt-5">
+        <div class="absolute left-3 top-0 bottom-0 w-px bg-gray-200 dark:bg-gray-700"></div>
+        <ol class="space-y-6">
+          ${roles
+            .map(
+              (r, i) => `
+            <li class="relative pl-8">
+              <span class="absolute left-3 top-2 h-3 w-3 rounded-full ${
+                DOTS[Math.min(i, DOTS.length - 1)]
+              } -translate-x-1/2"></span>
+              <div class="flex flex-wrap items-baseline justify-between gap-2">
+                <span class="font-medium">${esc(r.title)}</span>
+                <span class="text-sm text-gray-600 dark:text-gray-400">${esc(
+                  fmtRange(r)
+                )}</span>
+              </div>
+            </li>`
+            )
+            .join("")}
+        </ol>
+      </div>`;
+  }
+
+  function highlightsHTML(e, heading) {
+    if (!e.highlights.length) return "";
+    const list = `<ul class="list-disc ml-6 mt-2 text-gray-700 dark:text-gray-200">${e.highlights
+      .map((h) => `<li>${esc(h)}</li>`)
+      .join("")}</ul>`;
+    return heading
+      ? `<div class="mt-5"><h5 class="font-semibold">${t(
+          "cv.highlights"
+        )}</h5>${list}</div>`
+      : list;
+  }
+
+  const companyHTML = (e) =>
+    e.url
+      ? `<a href="${esc(
+          e.url
+        )}" target="_blank" rel="noopener" class="hover:underline">${esc(
+          e.company
+        )}${A11y.newTab()}</a>`
+      : esc(e.company);
+
+  // Company header + promotions timeline + highlights + tags
+  function workCardHTML(e) {
+    const sub = [e.team, e.location].filter(Boolean).join(" · ");
+    return `
+      <article class="${CARD}">
+        <div class="flex flex-wrap items-start justify-between gap-2">
+          <div>
+            <h4 class="text-xl font-semibold">${companyHTML(e)}</h4>
+            ${
+              sub
+                ? `<p class="text-gray-600 dark:text-gray-400">${esc(sub)}</p>`
+                : ""
+            }
+          </div>
+        </div>
+        ${timelineHTML(e.roles)}
+        ${
+          e.summary
+            ? `<p class="mt-5 text-gray-700 dark:text-gray-200">${esc(
+                e.summary
+              )}</p>`
+            : ""
+        }
+        ${highlightsHTML(e, true)}
+        ${
+          e.tags.length
+            ? `<div class="mt-4 flex flex-wrap gap-2">${e.tags
+                .map(chip)
+                .join("")}</div>`
+            : ""
+        }
+      </article>`;
+  }
+
+  // "Company · Title" with the dates underneath; several roles → timeline card
+  function compactCardHTML(e) {
+    if (e.roles.length > 1) return workCardHTML(e);
+    const [role] = e.roles;
+    return `
+      <article class="${CARD}">
+        <h4 class="text-xl font-semibold">${companyHTML(e)} · ${esc(
+      role.title
+    )}</h4>
+        <p class="text-gray-600 dark:text-gray-400">${esc(fmtRange(role))}</p>
+        ${
+          e.summary
+            ? `<p class="mt-2 text-gray-700 dark:text-gray-200">${esc(
+                e.summary
+              )}</p>`
+            : ""
+        }
+        ${highlightsHTML(e, false)}
+        ${
+          e.tags.length
+            ? `<div class="mt-4 flex flex-wrap gap-2">${e.tags
+                .map(chip)
+                .join("")}</div>`
+            : ""
+        }
+      </article>`;
+  }
+
+  const skillCardHTML = (g) => `
+      <div class="${CARD}">
+        <h4 class="font-semibold mb-2">${esc(g.name)}</h4>
+        <p class="text-gray-700 dark:text-gray-200">${esc(
+          g.items.join(", ")
+        )}</p>
+      </div>`;
+
+  const workItem = (raw, i) => {
+    const { entry, problems } = Data.normalizeWorkEntry(raw, i);
+    return { item: entry, problems };
+  };
+  // data-layout="compact": one line per single-role entry (internships)
+  const workRender = (e, el) =>
+    el.getAttribute("data-layout") === "compact"
+      ? compactCardHTML(e)
+      : workCardHTML(e);
+  const SECTIONS = [
+    {
+      id: "experienceList",
+      part: "experience",
+      normalize: workItem,
+      render: workRender,
+    },
+    {
+      id: "internshipList",
+      part: "internships",
+      normalize: workItem,
+      render: workRender,
+    },
+    {
+      id: "skillGroups",
+      part: "skills",
+      normalize: (raw, i) => {
+        const { group, problems } = Data.normalizeSkillGroup(raw, i);
+        return { item: group, problems };
+      },
+      render: skillCardHTML,
+    },
+  ];
+
+  const errorHTML = () =>
+    `<p class="text-center text-gray-600 dark:text-gray-400">${t("cv.error", {
+      link: `<a href="${CV_PDF}" class="underline text-accent-700 dark:text-accent-300">${t(
+        "cv.pdf"
+      )}</a>`,
+    })}</p>`;
+
+  const rendered = new Map(); // section → items, or null after a load error
+  function paint(section) {
+    const el = document.getElementById(section.id);
+    const items = rendered.get(section);
+    if (!el || items === undefined) return;
+    el.innerHTML = items
+      ? items.map((it) => section.render(it, el)).join("")
+      : errorHTML();
+  }
+
+  async function renderSection(section) {
+    const { id, part, normalize } = section;
+    const el = document.getElementById(id);
+    const src = el?.getAttribute("data-src");
+    if (!src) return [];
+    el.setAttribute("aria-busy", "true");
+    try {
+      const raws = pick(await loadDoc(src), part, src);
+      const items = [];
+      raws.forEach((raw, i) => {
+        const { item, problems } = normalize(raw, i);
+        // Same messages as validate-data; a broken entry is skipped, not fatal
+        for (const p of problems)
+          console.warn(`${src} #${i + 1}: ${Data.formatProblem(p)}`);
+        if (item) items.push(item);
+      });
+      rendered.set(section, items);
+      paint(section);
+      return items;
+    } catch (e) {
+      console.error(e);
+      rendered.set(section, null);
+      paint(section);
+      return [];
+    } finally {
+      el.removeAttribute("aria-busy");
+    }
+  }
+
+  const loaded = {}; // part → Promise<items>
+  const init = () =>
+    SECTIONS.forEach((s) => (loaded[s.part] = renderSection(s)));
+
+  window.PortfolioCV = {
+    items: (part) => loaded[part] || Promise.resolve([]),
+  };
+
+  document.addEventListener("portfolio:languagechange", () =>
+    SECTIONS.forEach(paint)
+  );
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
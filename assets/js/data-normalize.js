@@ -0,0 +1,358 @@
+/* assets/js/data-normalize.js  —  assets/data/*.json normalization (window.PortfolioData)
+   Shared by the browser (github-projects.js, credly.js, cv-sections.js) and Node (scripts/validate-data.js,
+   scripts/build-snapshots.js) so the linter reports exactly what the site will do.
+
+   - normalizeManualRepo(entry)     → repo object (+ `_given` field list, `_problems`
+                                      for ignored fields), or null when the site would
+                                      drop it
+   - normalizeOrgConfig(entry, i)   → { cfg, problems: [{ key, message }] }
+   - normalizeManualCert(entry)     → Credly-shaped badge (+ `_given`), or null
+   - normalizeWorkEntry(entry, i)   → { entry, problems }  experience.json / internships.json
+   - normalizeSkillGroup(entry, i)  → { group, problems }  skills.json
+   - fromJSONResume(doc)            → { experience, internships, skills } in the
+                                      format of those files
+   - formatProblem(problem)         → '"limit" must be a non-negative integer'
+
+   Keep the accepted keys in sync with assets/data/schemas/*.schema.json.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PortfolioData = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const ORG_SORTS = ["pushed", "stars", "name"];
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+
+  // full_name from the explicit field or from a GitHub URL ("" if neither works)
+  function resolveFullName(it = {}) {
+    let full = (typeof it.full_name === "string" ? it.full_name : "").trim();
+    if (!full && (it.html_url || it.url)) {
+      try {
+        const u = new URL(it.html_url || it.url);
+        full = u.pathname.replace(/^\/|\/$/g, "");
+      } catch {}
+    }
+    return full && full.includes("/") ? full : "";
+  }
+
+  function normalizeManualRepo(it = {}) {
+    if (!it || typeof it !== "object") return null;
+    const full = resolveFullName(it);
+    if (!full) return null;
+
+    // Text fields of the wrong type are ignored (GitHub's values apply) and reported
+    const problems = [];
+    const text = (key) => {
+      if (it[key] == null) return null;
+      if (typeof it[key] === "string") return it[key];
+      problems.push({ key, message: "must be a string" });
+      return null;
+    };
+    const givenName = str(text("name"));
+    const description = text("description");
+    const language = text("language");
+
+    const name = givenName || full.split("/")[1];
+    const html_url = it.html_url || it.url || `https://github.com/${full}`;
+    const stars = Number(
+      it.stars != null
+        ? it.stars
+        : it.stargazers_count != null
+        ? it.stargazers_count
+        : 0
+    );
+
+    // Fields the entry sets itself; everything else may come from GitHub
+    const given = [
+      "description",
+      "language",
+      "pushed_at",
+      "archived",
+      "fork",
+      "private",
+    ].filter((k) => it[k] != null && !problems.some((p) => p.key === k));
+    if (givenName) given.push("name");
+    if (it.html_url || it.url) given.push("html_url");
+    if (it.stars != null || it.stargazers_count != null)
+      given.push("stargazers_count");
+    if (Array.isArray(it.topics) && it.topics.length) given.push("topics");
+
+    return {
+      full_name: full,
+      name,
+      html_url,
+      description: description || "",
+      language: language || "",
+      stargazers_count: Number.isFinite(stars) ? stars : 0,
+      pushed_at: it.pushed_at || null,
+      archived: !!it.archived,
+      fork: !!it.fork,
+      private: !!it.private,
+      topics: Array.isArray(it.topics) ? it.topics : [],
+      _pinned: !!it.pinned,
+      // Longer markdown write-up shown in the drawer instead of the README
+      _writeup: typeof it.writeup === "string" ? it.writeup : "",
+      _writeupSrc: typeof it.writeup_src === "string" ? it.writeup_src : "",
+      _given: given,
+      _problems: problems,
+    };
+  }
+
+  // Bad fields are dropped (defaults apply) and reported; the card still renders.
+  function normalizeOrgConfig(raw, index) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw))
+      return {
+        cfg: null,
+        problems: [
+          { key: "", message: `entry #${index + 1} must be an object` },
+        ],
+      };
+    const cfg = { ...raw };
+    const problems = [];
+    const bad = (key, message) => {
+      problems.push({ key, message });
+      delete cfg[key];
+    };
+    const isStringList = (v) =>
+      Array.isArray(v) && v.every((x) => typeof x === "string" && x.trim());
+
+    if (typeof cfg.org !== "string" || !cfg.org.trim())
+      bad("org", "is required (GitHub organization login)");
+    else cfg.org = cfg.org.trim();
+    for (const k of ["title", "description", "role"])
+      if (k in cfg && typeof cfg[k] !== "string") bad(k, "must be a string");
+    for (const k of ["limit", "topics_max", "topics_deep_limit"])
+      if (k in cfg && !(Number.isInteger(cfg[k]) && cfg[k] >= 0))
+        bad(k, "must be a non-negative integer");
+    if (
+      "max_pages" in cfg &&
+      !(Number.isInteger(cfg.max_pages) && cfg.max_pages >= 1)
+    )
+      bad("max_pages", "must be a positive integer");
+    for (const k of [
+      "exclude_forks",
+      "exclude_archived",
+      "show_all_link",
+      "pinned_badge",
+    ])
+      if (k in cfg && typeof cfg[k] !== "boolean")
+        bad(k, "must be true or false");
+    if ("sort" in cfg && !ORG_SORTS.includes(String(cfg.sort).toLowerCase()))
+      bad("sort", `must be one of ${ORG_SORTS.join(", ")}`);
+    for (const k of ["include", "exclude", "tech_stack"])
+      if (k in cfg && !isStringList(cfg[k]))
+        bad(k, "must be a list of non-empty strings");
+
+    // featured: ["repo", { "repo": "name", "blurb": "why it matters" }, …]
+    if ("featured" in cfg) {
+      if (!Array.isArray(cfg.featured)) bad("featured", "must be a list");
+      else {
+        const ok = [];
+        cfg.featured.forEach((f, i) => {
+          const item = typeof f === "string" ? { repo: f } : f;
+          if (!item || typeof item.repo !== "string" || !item.repo.trim())
+            problems.push({
+              key: `featured[${i}]`,
+              message: 'needs a "repo" name',
+            });
+          else if (item.blurb != null && typeof item.blurb !== "string")
+            problems.push({
+              key: `featured[${i}].blurb`,
+              message: "must be a string",
+            });
+          else ok.push({ repo: item.repo.trim(), blurb: item.blurb || "" });
+        });
+        cfg.featured = ok;
+      }
+    }
+    return { cfg, problems };
+  }
+
+  // certs.json entry → the shape of a Credly badge, so credly-core.js groups,
+  // sorts and renders both alike. A verify_url on credly.com/badges/<id> (or
+  // credly_id) ties the entry to that Credly badge.
+  function normalizeManualCert(it = {}) {
+    if (!it || typeof it !== "object") return null;
+    const name = typeof it.name === "string" ? it.name.trim() : "";
+    if (!name) return null;
+    const issuer = str(it.issuer);
+    const verifyUrl = /^https?:\/\//i.test(str(it.verify_url))
+      ? str(it.verify_url)
+      : "";
+    const fromUrl = /credly\.com\/badges\/([\w-]+)/i.exec(verifyUrl);
+    const credlyId = str(it.credly_id) || (fromUrl ? fromUrl[1] : "");
+    const skills = Array.isArray(it.skills)
+      ? it.skills.map(str).filter(Boolean)
+      : [];
+
+    // Fields the entry sets itself; they win over the matching Credly badge
+    const given = ["name"];
+    if (issuer) given.push("issuer");
+    if (str(it.date)) given.push("issued_at");
+    if (str(it.expires)) given.push("expires_at");
+    if (str(it.image)) given.push("image_url");
+    if (str(it.description)) given.push("description");
+    if (skills.length) given.push("skills");
+    if (verifyUrl) given.push("_verifyUrl");
+
+    return {
+      id: credlyId || `manual:${issuer}|${name}`.toLowerCase(),
+      issued_at: str(it.date) || null,
+      expires_at: str(it.expires) || null,
+      image_url: str(it.image),
+      issuer: { summary: issuer },
+      badge_template: { name, description: str(it.description), skills },
+      _verifyUrl: verifyUrl,
+      _credlyId: credlyId,
+      _manual: true,
+      _given: given,
+    };
+  }
+
+  // YYYY, YYYY-MM or YYYY-MM-DD (JSON Resume allows all three)
+  const isPartialDate = (v) =>
+    typeof v === "string" &&
+    /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v) &&
+    !Number.isNaN(Date.parse(v));
+
+  const notObject = (index) => [
+    { key: "", message: `entry #${index + 1} must be an object` },
+  ];
+
+  // One company with one or more roles (the promotions timeline, newest first).
+  // { title, start, end } on the entry itself is shorthand for a single role;
+  // a missing end (or "present") means the role is current.
+  function normalizeWorkEntry(raw, index) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw))
+      return { entry: null, problems: notObject(index) };
+    const problems = [];
+    const company = str(raw.company);
+    if (!company) problems.push({ key: "company", message: "is required" });
+
+    const many = Array.isArray(raw.roles);
+    if ("roles" in raw && !many)
+      problems.push({ key: "roles", message: "must be a list" });
+    const roles = [];
+    (many ? raw.roles : [raw]).forEach((r, i) => {
+      const at = (k) => (many ? `roles[${i}].${k}` : k);
+      const title = str(r?.title);
+      if (!title) {
+        problems.push({ key: at("title"), message: "is required" });
+        return;
+      }
+      const current = r.end == null || str(r.end).toLowerCase() === "present";
+      for (const k of ["start", "end"])
+        if (r[k] != null && !(k === "end" && current) && !isPartialDate(r[k]))
+          problems.push({
+            key: at(k),
+            message: "must be a date (YYYY-MM-DD, YYYY-MM or YYYY)",
+          });
+      roles.push({
+        title,
+        start: isPartialDate(r.start) ? r.start : null,
+        end: !current && isPartialDate(r.end) ? r.end : null,
+        current,
+      });
+    });
+
+    const list = (k) => {
+      if (!(k in raw)) return [];
+      if (
+        Array.isArray(raw[k]) &&
+        raw[k].every((x) => typeof x === "string" && x.trim())
+      )
+        return raw[k].map((x) => x.trim());
+      problems.push({ key: k, message: "must be a list of non-empty strings" });
+      return [];
+    };
+    const entry = {
+      company,
+      team: str(raw.team),
+      location: str(raw.location),
+      url: /^https?:\/\//i.test(str(raw.url)) ? str(raw.url) : "",
+      summary: str(raw.summary),
+      roles,
+      highlights: list("highlights"),
+      tags: list("tags"),
+    };
+    return { entry: company && roles.length ? entry : null, problems };
+  }
+
+  function normalizeSkillGroup(raw, index) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw))
+      return { group: null, problems: notObject(index) };
+    const problems = [];
+    const name = str(raw.name);
+    if (!name) problems.push({ key: "name", message: "is required" });
+    const ok =
+      Array.isArray(raw.items) &&
+      raw.items.length &&
+      raw.items.every((x) => typeof x === "string" && x.trim());
+    if (!ok)
+      problems.push({
+        key: "items",
+        message: "must be a non-empty list of strings",
+      });
+    return {
+      group:
+        name && ok ? { name, items: raw.items.map((x) => x.trim()) } : null,
+      problems,
+    };
+  }
+
+  // https://jsonresume.org/schema: work → experience (consecutive positions at
+  // one company become a promotions timeline), "…intern…" positions →
+  // internships, work[].keywords → tags, skills[].keywords → skill groups
+  const INTERN_RE = /\bintern(ship)?\b/i;
+  function fromJSONResume(doc) {
+    const out = { experience: [], internships: [], skills: [] };
+    for (const w of Array.isArray(doc?.work) ? doc.work : []) {
+      if (!w || typeof w !== "object") continue;
+      const role = { title: str(w.position) };
+      if (w.startDate) role.start = w.startDate;
+      if (w.endDate) role.end = w.endDate;
+      const company = str(w.name || w.company);
+      const target = INTERN_RE.test(role.title)
+        ? out.internships
+        : out.experience;
+      const prev = target[target.length - 1];
+      if (target === out.experience && prev && prev.company === company) {
+        prev.roles.push(role);
+        prev.highlights.push(...(w.highlights || []));
+        continue;
+      }
+      const entry = { company, roles: [role] };
+      if (w.description) entry.team = w.description;
+      if (w.location) entry.location = w.location;
+      if (w.url) entry.url = w.url;
+      if (w.summary) entry.summary = w.summary;
+      entry.highlights = Array.isArray(w.highlights)
+        ? w.highlights.slice()
+        : [];
+      if (Array.isArray(w.keywords) && w.keywords.length)
+        entry.tags = w.keywords.slice();
+      target.push(entry);
+    }
+    for (const s of Array.isArray(doc?.skills) ? doc.skills : [])
+      if (s && s.name)
+        out.skills.push({
+          name: s.name,
+          items: Array.isArray(s.keywords) ? s.keywords : [],
+        });
+    return out;
+  }
+
+  const formatProblem = (p) => (p.key ? `"${p.key}" ${p.message}` : p.message);
+
+  return {
+    ORG_SORTS,
+    resolveFullName,
+    normalizeManualRepo,
+    normalizeOrgConfig,
+    normalizeManualCert,
+    normalizeWorkEntry,
+    normalizeSkillGroup,
+    fromJSONResume,
+    isPartialDate,
+    formatProblem,
+  };
+});
@@ -0,0 +1,66 @@
+/* assets/js/dom-patch.js  —  keyed DOM patching (window.PortfolioDom)
+   Shared by the scripts that repaint card lists in place (github-projects.js,
+   credly.js).
+
+   - hashString(str)               → short stable hash (djb2, base 36)
+   - patchChildren(container, items)
+                                   → items: [{ key, html }] in display order. Children
+                                     carry data-key + data-sig (hash of their HTML);
+                                     unchanged ones stay in place, changed ones are
+                                     replaced, moved ones re-inserted, children without
+                                     a key (placeholders) removed. A focused control that
+                                     is re-rendered or moved gets focus back (same keyed
+                                     child, same nth link / button)
+*/
+(function () {
+  function hashString(str) {
+    let h = 5381;
+    for (let i = 0; i < str.length; i++)
+      h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+  }
+
+  const FOCUSABLE = "a[href], button, [tabindex]";
+  function patchChildren(container, items) {
+    const active = document.activeElement;
+    const focusedChild =
+      active && active !== container && container.contains(active)
+        ? Array.from(container.children).find((el) => el.contains(active))
+        : null;
+    const focusKey = focusedChild?.dataset.key;
+    const focusIndex = focusedChild
+      ? Array.from(focusedChild.querySelectorAll(FOCUSABLE)).indexOf(active)
+      : -1;
+    const old = new Map();
+    for (const el of Array.from(container.children)) {
+      if (el.dataset.key != null) old.set(el.dataset.key, el);
+      else el.remove();
+    }
+    const tpl = document.createElement("template");
+    let prev = null;
+    for (const { key, html } of items) {
+      const sig = hashString(html);
+      let el = old.get(key);
+      old.delete(key);
+      if (!el || el.dataset.sig !== sig) {
+        tpl.innerHTML = html.trim();
+        const fresh = tpl.content.firstElementChild;
+        fresh.dataset.key = key;
+        fresh.dataset.sig = sig;
+        if (el) el.replaceWith(fresh);
+        el = fresh;
+      }
+      const want = prev ? prev.nextElementSibling : container.firstElementChild;
+      if (want !== el) container.insertBefore(el, want);
+      prev = el;
+    }
+    for (const el of old.values()) el.remove();
+    if (focusKey == null || document.activeElement === active) return;
+    const child = Array.from(container.children).find(
+      (el) => el.dataset.key === focusKey
+    );
+    (child?.querySelectorAll(FOCUSABLE)[focusIndex] || child)?.focus();
+  }
+
+  window.PortfolioDom = { hashString, patchChildren };
+})();
@@ -0,0 +1,195 @@
+/* assets/js/github-core.js  —  DOM-free repo logic (window.GitHubCore)
+   Pure helpers used by github-projects.js; also require()-able from Node so
+   tests/unit can exercise them without a browser.
+
+   - timeAgo(iso, now?, locale?)        → "3 days ago" / "just now" / "unknown"
+   - httpErrorToMessage(status, locale?) → visitor-facing text for GitHub HTTP errors
+   - applyCardFilters(repos, opts)      → drop private (+ forks/archived unless allowed)
+   - sortForCard(repos, mode)           → in-place sort: "stars" | "name" | "pushed"
+   - collectTopicsAcross(repos)         → [[topic, count], …] most used first
+   - mergeManualRepo(manual, fetched)   → repos.json entry hydrated with live data
+   - parseRateLimit(headers, now?)      → { remaining, limit, reset, retryAfter } (ms)
+   - rateLimitKind(status, info, body)  → "primary" | "secondary" | null
+   - backoffDelay(attempt, opts)        → ms before retry #attempt (server hint wins)
+   - parseLinkHeader(header)            → { next, last, … } URLs from a Link header
+   - GRAPHQL.ownerRepos / GRAPHQL.repo  → the query documents github-projects.js sends;
+                                          server/github-proxy.js forwards only these
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./i18n-core"));
+  else root.GitHubCore = factory(root.I18nCore);
+})(typeof self !== "undefined" ? self : this, function (I18n) {
+  function timeAgo(iso, now = Date.now(), locale = "en") {
+    return I18n.relativeTime(iso || null, { locale, now });
+  }
+
+  function httpErrorToMessage(status, locale = "en") {
+    if (status === 403 || status === 429)
+      return I18n.translate(locale, "gh.error.rateLimit");
+    if (status === 404) return I18n.translate(locale, "gh.error.notFound");
+    if (status >= 500) return I18n.translate(locale, "gh.error.server");
+    return I18n.translate(locale, "gh.error.http", { status });
+  }
+
+  function applyCardFilters(
+    repos,
+    { excludeForks = true, excludeArchived = true } = {}
+  ) {
+    let out = repos.filter((r) => !r.private);
+    if (excludeForks) out = out.filter((r) => !r.fork);
+    if (excludeArchived) out = out.filter((r) => !r.archived);
+    return out;
+  }
+
+  function sortForCard(repos, mode) {
+    if (mode === "stars")
+      repos.sort(
+        (a, b) =>
+          b.stargazers_count - a.stargazers_count ||
+          a.name.localeCompare(b.name)
+      );
+    else if (mode === "name")
+      repos.sort((a, b) => a.name.localeCompare(b.name));
+    else repos.sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at)); // pushed
+    return repos;
+  }
+
+  function collectTopicsAcross(repos) {
+    const map = new Map();
+    for (const r of repos) {
+      const topics = Array.isArray(r.topics) ? r.topics : [];
+      for (const t of topics) {
+        const k = String(t).toLowerCase();
+        map.set(k, (map.get(k) || 0) + 1);
+      }
+    }
+    return Array.from(map.entries()).sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+    );
+  }
+
+  // Live data fills the gaps; fields the repos.json entry set itself
+  // (m._given, see data-normalize.js) override it. Without _given every
+  // manual field wins.
+  function mergeManualRepo(m, fetched) {
+    const live = {
+      full_name: fetched.full_name || m.full_name,
+      name: fetched.name || m.name,
+      html_url:
+        fetched.html_url || m.html_url || `https://github.com/${m.full_name}`,
+      description: fetched.description ?? "",
+      language: fetched.language ?? "",
+      stargazers_count: fetched.stargazers_count ?? 0,
+      pushed_at: fetched.pushed_at || m.pushed_at,
+      archived: !!fetched.archived,
+      fork: !!fetched.fork,
+      private: !!fetched.private,
+      topics: Array.isArray(fetched.topics) ? fetched.topics : [],
+    };
+    if (fetched.languages) live.languages = fetched.languages;
+    const merged = { ...m, ...live };
+    for (const k of m._given || Object.keys(m)) merged[k] = m[k];
+    return merged;
+  }
+
+  // X-RateLimit-* and Retry-After from a Headers object; null when a header is
+  // missing. reset is an epoch in ms, retryAfter a delay in ms.
+  function parseRateLimit(headers, now = Date.now()) {
+    const num = (name) => {
+      const v = headers?.get(name);
+      if (v == null || v === "") return null;
+      const n = Number(v);
+      return Number.isFinite(n) ? n : null;
+    };
+    const reset = num("x-ratelimit-reset");
+    let retryAfter = num("retry-after");
+    if (retryAfter != null) retryAfter = Math.max(0, retryAfter * 1000);
+    else if (headers?.get("retry-after")) {
+      // HTTP-date form
+      const at = Date.parse(headers.get("retry-after"));
+      if (Number.isFinite(at)) retryAfter = Math.max(0, at - now);
+    }
+    return {
+      remaining: num("x-ratelimit-remaining"),
+      limit: num("x-ratelimit-limit"),
+      reset: reset == null ? null : reset * 1000,
+      retryAfter,
+    };
+  }
+
+  // primary = hourly budget used up (wait for reset);
+  // secondary = abuse detection (wait Retry-After, or a minute per GitHub docs)
+  function rateLimitKind(status, info = {}, body = "") {
+    if (status !== 403 && status !== 429) return null;
+    if (info.remaining === 0) return "primary";
+    if (info.retryAfter != null || status === 429) return "secondary";
+    return /rate limit/i.test(body) ? "secondary" : null;
+  }
+
+  // Exponential backoff with ±25% jitter; a Retry-After hint is used as is
+  function backoffDelay(
+    attempt,
+    { base = 1000, max = 60000, retryAfter = null, random = Math.random } = {}
+  ) {
+    if (retryAfter != null) return retryAfter;
+    const d = Math.min(max, base * 2 ** attempt);
+    return Math.round(d * (0.75 + random() * 0.5));
+  }
+
+  // <https://api.github.com/…&page=2>; rel="next", <…>; rel="last"
+  function parseLinkHeader(header) {
+    const links = {};
+    for (const part of String(header || "").split(",")) {
+      const m = /<([^>]+)>\s*;\s*rel="?([^";]+)"?/.exec(part);
+      if (m) for (const rel of m[2].trim().split(/\s+/)) links[rel] = m[1];
+    }
+    return links;
+  }
+
+  // server/github-proxy.js allow-lists these by hash: change one, update its hash
+  const GQL_REPO_FIELDS = `
+    name nameWithOwner url description
+    isFork isArchived isPrivate stargazerCount pushedAt
+    primaryLanguage { name }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+      edges { size node { name } }
+    }`;
+  const GRAPHQL = {
+    ownerRepos: `
+    query ($login: String!, $first: Int!, $after: String) {
+      repositoryOwner(login: $login) {
+        repositories(first: $first, after: $after, privacy: PUBLIC,
+                     ownerAffiliations: OWNER,
+                     orderBy: { field: PUSHED_AT, direction: DESC }) {
+          nodes { ${GQL_REPO_FIELDS} }
+          pageInfo { hasNextPage endCursor }
+        }
+        ... on ProfileOwner {
+          pinnedItems(first: 6, types: REPOSITORY) {
+            nodes { ... on Repository { nameWithOwner } }
+          }
+        }
+      }
+    }`,
+    repo: `
+    query ($owner: String!, $name: String!) {
+      repository(owner: $owner, name: $name) { ${GQL_REPO_FIELDS} }
+    }`,
+  };
+
+  return {
+    timeAgo,
+    httpErrorToMessage,
+    applyCardFilters,
+    sortForCard,
+    collectTopicsAcross,
+    mergeManualRepo,
+    parseRateLimit,
+    rateLimitKind,
+    backoffDelay,
+    parseLinkHeader,
+    GRAPHQL,
+  };
+});
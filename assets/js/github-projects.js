@@ -2,20 +2,102 @@
    - Org cards from JSON → repos (+stars) + topics chips (deep fetch with cache + request queue)
    - Personal repos grid (user + optional orgs) + manual repos JSON (auto-fetch stars/topics, manual overrides)
    - "Pinned" badge on grid items (data-pin or manual `pinned: true`)
-   - Robust errors, localStorage caching, rate-limit friendly request queue
+   - Robust errors, shared cache (cache.js, per-namespace TTLs), rate-limit friendly request queue
+   - Build-time snapshot (data-snapshot-src) seeds the cache; live API only refreshes it.
+     Only the Pages deploy builds one: elsewhere (Docker, local) it 404s and is skipped
+   - Grid toolbar: free-text search, language/topic facets, forks/archived toggles (no refetch)
+   - Shareable view: sort/search/facets/org live in the URL query (?sort=stars&topic=nlp#projects)
+   - Rate-limit aware queue: X-RateLimit-* / Retry-After are honoured, drawer and grid
+     requests run before org cards and deep topics, failures back off and retry, and
+     topic calls left over when the budget runs out are resumed on the next visit
+   - Conditional requests: repo lists and repo details keep their ETag / Last-Modified
+     in the cache; a 304 just restarts the TTL and #ghStatus counts the calls saved
+   - Repo lists follow the Link header (data-max-pages on #ghGrid / #ghPinnedOrgs,
+     `max_pages` per org in orgs.json); the first page paints before the rest arrive,
+     and the grid / org cards render in batches behind "Load more" / "Show more"
+   - Pluggable data sources: anonymous REST (default/fallback) or one GraphQL query per owner
+     through a token proxy (data-graphql-endpoint, see server/github-proxy.js)
+   - Stale-while-revalidate: cached data paints at once (even expired), the network
+     refresh runs behind it and only cards whose data changed are re-rendered
+     (keyed patch, dom-patch.js);
+     a service worker fallback (sw.js, X-SW-Fallback) counts as offline, not as fresh
+   - orgs.json cards: featured repos with blurbs, include/exclude globs, role + tech stack;
+     malformed entries are reported in the console and on the card itself
+   - Clicking a grid card opens a detail drawer: README (or the repos.json `writeup` /
+     `writeup_src` markdown), language bar, topics, recent commits and releases,
+     all fetched lazily through the same queue + cache (markdown via markdown.js)
+   - window.PortfolioProjects.current() → the grid's filtered + sorted list (print-cv.js);
+     a "portfolio:projects" event on document follows every repaint
+   - window.PortfolioProjects.repos() / languages(fullName) / events() / languageColor(name)
+     feed the stats panel (github-stats.js) through the same queue + cache;
+     "portfolio:orgrepos" follows every change of an org card's repos
+   - Text and dates go through i18n.js; grid, org cards, status and an open drawer
+     are repainted from memory on "portfolio:languagechange"
+   - Accessibility (helpers in a11y.js): grid and org cards are lists of <article>s,
+     skeletons + aria-busy while loading, arrow keys move between cards, focus
+     survives repaints (dom-patch.js), sort changes are announced, new-tab links
+     say so
 */
 (function () {
   const grid = document.getElementById("ghGrid");
   const orgsContainer = document.getElementById("ghPinnedOrgs");
   const statusEl = document.getElementById("ghStatus");
   const sortSel = document.getElementById("ghSort");
+  const searchInput = document.getElementById("ghSearch");
+  const langFacetsEl = document.getElementById("ghLangFacets");
+  const topicFacetsEl = document.getElementById("ghTopicFacets");
+  const forksToggle = document.getElementById("ghShowForks");
+  const archivedToggle = document.getElementById("ghShowArchived");
+  const clearFiltersBtn = document.getElementById("ghClearFilters");
+  const orgFilterSel = document.getElementById("ghOrgFilter");
 
   // ---------------- Config ----------------
-  const REQUEST_GAP_MS = 600; // queue spacing (avoid abuse detection)
+  const GAP_ATTR = grid?.getAttribute("data-request-gap-ms"); // tests set 0
+  const REQUEST_GAP_MS = GAP_ATTR ? Number(GAP_ATTR) : 600; // queue spacing (avoid abuse detection)
+  const RETRY_ATTR = grid?.getAttribute("data-retry-base-ms"); // tests set 0
+  const RETRY_BASE_MS = RETRY_ATTR ? Number(RETRY_ATTR) : 1000; // first backoff step
   const ORG_CACHE_TTL = 30 * 60 * 1000; // 30 min for org repo lists
   const GRID_CACHE_TTL = 30 * 60 * 1000; // 30 min for grid repo lists
   const TOPIC_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days for per-repo topics
+  const DETAIL_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day for README + languages
+  // Pages of 100 repos followed via the Link header, per source (grid / org card)
+  const GRID_MAX_PAGES = Number(grid?.getAttribute("data-max-pages")) || 3;
+  const ORG_MAX_PAGES =
+    Number(orgsContainer?.getAttribute("data-max-pages")) || 3;
+  const GRID_BATCH = Number(grid?.getAttribute("data-page-size")) || 12; // cards per "Load more"
+  const Cache = window.PortfolioCache;
+  const Data = window.PortfolioData; // data-normalize.js
+  const I18n = window.PortfolioI18n; // i18n.js
+  const A11y = window.PortfolioA11y; // a11y.js
+  const { hashString, patchChildren } = window.PortfolioDom; // dom-patch.js
+  const t = I18n.t;
+  // Pure helpers (github-core.js, covered by tests/unit)
+  const {
+    httpErrorToMessage,
+    applyCardFilters,
+    sortForCard,
+    collectTopicsAcross,
+    mergeManualRepo,
+    parseRateLimit,
+    rateLimitKind,
+    backoffDelay,
+    parseLinkHeader,
+    GRAPHQL,
+  } = window.GitHubCore;
+  Cache.define("gh:orgrepos", { ttl: ORG_CACHE_TTL });
+  Cache.define("gh:gridorg", { ttl: GRID_CACHE_TTL });
+  Cache.define("gh:userrepos", { ttl: GRID_CACHE_TTL });
+  Cache.define("gh:repodetail", { ttl: GRID_CACHE_TTL });
+  Cache.define("gh:topics", { ttl: TOPIC_CACHE_TTL });
+  Cache.define("gh:readme", { ttl: DETAIL_CACHE_TTL });
+  Cache.define("gh:languages", { ttl: DETAIL_CACHE_TTL });
+  Cache.define("gh:activity", { ttl: GRID_CACHE_TTL });
+  Cache.define("gh:events", { ttl: GRID_CACHE_TTL });
+  Cache.define("gh:ratelimit", { ttl: 60 * 60 * 1000 }); // GitHub resets hourly
+  Cache.define("gh:pending", { ttl: 7 * 24 * 60 * 60 * 1000 });
   let GLOBAL_TOPICS_FETCH_BUDGET = 32; // total deep /topics calls allowed per page
+  const TOPIC_FACETS_MAX = 24; // topic chips shown in the grid toolbar
+  const SNAPSHOT_VERSION = 1; // must match scripts/build-snapshots.js
 
   // Include mercy preview so list endpoints often include `topics`;
   // we still deep-fetch /topics for missing ones (limited).
@@ -38,97 +120,561 @@
           "'": "&#39;",
         }[m])
     );
-  const timeAgo = (iso) => {
-    const d = new Date(iso);
-    if (!iso || isNaN(d)) return "unknown";
-    const s = Math.max(0, (Date.now() - d) / 1000);
-    const u = [
-      ["y", 31536000],
-      ["mo", 2592000],
-      ["d", 86400],
-      ["h", 3600],
-      ["m", 60],
-    ];
-    for (const [k, v] of u) if (s >= v) return `${Math.floor(s / v)}${k} ago`;
-    return "just now";
-  };
+  // ---------------- Request queue (rate-limit aware) ----------------
+  // One request at a time, most important first. The budget from the last
+  // X-RateLimit-* headers is kept (and persisted): when it runs out the queue
+  // pauses until the reset, or gives up if that is too far away. 5xx, network
+  // errors and abuse-detection 403s are retried with exponential backoff.
+  const PRIORITY = { drawer: 0, grid: 1, org: 2, topics: 3, stats: 4 }; // lower runs first
+  const RATE_RESERVE = 10; // when this few calls remain, only drawer + grid run
+  const MAX_RATE_WAIT_MS = 20 * 1000; // longer pauses fail (resumable work is saved)
+  const MAX_RETRIES = 3;
+  const RATE_KEY = "gh:ratelimit"; // { remaining, limit, reset }
+  const PENDING_KEY = "gh:pending"; // resumable work left for the next visit
 
-  // ---------------- Request queue (rate-limit friendly) ----------------
-  const queue = [];
+  const queue = []; // sorted by priority, then arrival
   let running = false;
+  let seq = 0;
+  let rate = readRate();
+  let pausedUntil = 0; // secondary limit / backoff pause for the whole queue
+
+  function readRate() {
+    const o = Cache.get(RATE_KEY);
+    return o && o.data && o.data.reset > Date.now() ? o.data : null;
+  }
+  function noteRate(info) {
+    if (info.remaining == null || info.reset == null) return;
+    rate = { remaining: info.remaining, limit: info.limit, reset: info.reset };
+    Cache.set(RATE_KEY, rate);
+  }
 
-  function enqueue(fn) {
+  function insertJob(job) {
+    const i = queue.findIndex(
+      (j) =>
+        j.priority > job.priority ||
+        (j.priority === job.priority && j.seq > job.seq)
+    );
+    queue.splice(i < 0 ? queue.length : i, 0, job);
+  }
+
+  // resume: ["topics", owner, repo] — saved for the next page load if this
+  // visit can't run it (see resumePending)
+  function enqueue(fn, { priority = PRIORITY.grid, resume = null } = {}) {
     return new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
+      insertJob({
+        fn,
+        resolve,
+        reject,
+        priority,
+        resume,
+        seq: seq++,
+        tries: 0,
+      });
       pump();
     });
   }
+
+  // ms the job has to wait before it may run (0 = now)
+  function waitBefore(job) {
+    const now = Date.now();
+    let wait = Math.max(0, pausedUntil - now);
+    if (rate && rate.reset > now) {
+      const floor = job.priority <= PRIORITY.grid ? 0 : RATE_RESERVE;
+      if (rate.remaining <= floor) wait = Math.max(wait, rate.reset - now);
+    }
+    return wait;
+  }
+
+  function rateLimitError(wait) {
+    const err = new Error(
+      `GitHub rate limit: paused for ${Math.ceil(wait / 1000)}s`
+    );
+    err.status = 403;
+    err.resetAt = Date.now() + wait;
+    return err;
+  }
+
+  // Delay before retrying after `err`, or null when it should fail now
+  function retryDelay(job, err) {
+    if (job.tries >= MAX_RETRIES || err.noRetry) return null;
+    if (err.rateLimit === "primary" && rate) return 0; // waitBefore() pauses until the reset
+    if (err.rateLimit)
+      return err.retryAfter != null ? err.retryAfter : 60 * 1000;
+    const network = !err.status && navigator.onLine !== false;
+    if (network || err.status >= 500)
+      return backoffDelay(job.tries, { base: RETRY_BASE_MS });
+    return null;
+  }
+
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
   async function pump() {
     if (running) return;
     running = true;
     while (queue.length) {
-      const { fn, resolve, reject } = queue.shift();
+      const job = queue[0];
+      const wait = waitBefore(job);
+      if (wait > MAX_RATE_WAIT_MS) {
+        queue.shift();
+        if (job.resume) rememberPending(job.resume);
+        job.reject(rateLimitError(wait));
+        continue;
+      }
+      if (wait > 0) {
+        await sleep(wait); // then re-check: something more urgent may have arrived
+        continue;
+      }
+      queue.shift();
       try {
-        const val = await fn();
-        resolve(val);
+        job.resolve(await job.fn());
+        if (job.resume) forgetPending(job.resume);
       } catch (e) {
-        reject(e);
+        const delay = retryDelay(job, e);
+        if (delay == null) job.reject(e);
+        else {
+          job.tries++;
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+          insertJob(job);
+        }
       }
-      await new Promise((r) => setTimeout(r, REQUEST_GAP_MS));
+      await sleep(REQUEST_GAP_MS);
     }
     running = false;
   }
 
-  function now() {
-    return Date.now();
+  // ---------------- Resumable work ----------------
+  const samePending = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  function readPending() {
+    const list = Cache.get(PENDING_KEY)?.data;
+    return Array.isArray(list) ? list : [];
   }
-  function getCache(key) {
+  function writePending(list) {
+    if (list.length) Cache.set(PENDING_KEY, list);
+    else Cache.remove(PENDING_KEY);
+  }
+  function rememberPending(item) {
+    const list = readPending();
+    if (!list.some((p) => samePending(p, item))) writePending([...list, item]);
+  }
+  function forgetPending(item) {
+    const list = readPending();
+    const rest = list.filter((p) => !samePending(p, item));
+    if (rest.length !== list.length) writePending(rest);
+  }
+
+  // Still queued when the visitor leaves → pick it up next time
+  addEventListener("pagehide", () => {
+    for (const job of queue) if (job.resume) rememberPending(job.resume);
+  });
+
+  // ---------------- Snapshot (built by scripts/build-snapshots.js) ----------------
+  let snapshot = null; // { ts, entries }
+
+  async function loadSnapshot(src) {
+    if (!src) return;
     try {
-      const raw = localStorage.getItem(key);
-      if (!raw) return null;
-      const o = JSON.parse(raw);
-      if (!o || typeof o.ts !== "number") return null;
-      return o;
-    } catch {
-      return null;
+      const res = await fetch(src, { cache: "no-cache" });
+      if (!res.ok) return;
+      const doc = await res.json();
+      if (!doc || doc.version !== SNAPSHOT_VERSION || !doc.entries) return;
+      const ts = Date.parse(doc.generated_at);
+      snapshot = { ts: Number.isFinite(ts) ? ts : 0, entries: doc.entries };
+    } catch {}
+  }
+
+  function getCache(key) {
+    const o = Cache.get(key);
+    // Snapshot wins when it is newer than (or there is no) local copy
+    if (snapshot && key in snapshot.entries && (!o || o.ts < snapshot.ts)) {
+      return { ts: snapshot.ts, data: snapshot.entries[key] };
     }
+    return o;
   }
-  function setCache(key, data) {
+
+  // Fresh cache → serve; else load live; if live fails, fall back to stale cache.
+  // TTLs come from the key's namespace (Cache.define above).
+  // peek: serve whatever is cached (even expired) and never touch the network.
+  // track: collects the oldest timestamp served and whether anything was stale/failed.
+  // load(http) may revalidate: it gets the entry's ETag / Last-Modified, puts the
+  // response's ones in http.validators and sets http.notModified on a 304.
+  // http.offline: the service worker (sw.js) answered with its saved copy.
+  async function cachedJSON(key, load, { peek = false, track = null } = {}) {
+    const cached = getCache(key);
+    const fresh = Cache.isFresh(key, cached);
+    if (peek || fresh) {
+      if (!cached) throw new Error(`Cache miss: ${key}`);
+      if (track) {
+        track.oldest = Math.min(track.oldest, cached.ts);
+        if (!fresh) track.stale = true;
+      }
+      return cached.data;
+    }
     try {
-      localStorage.setItem(key, JSON.stringify({ ts: now(), data }));
-    } catch {}
+      const http = {
+        etag: cached?.meta?.etag || "",
+        lastModified: cached?.meta?.lastModified || "",
+        validators: null,
+        notModified: false,
+        offline: false,
+      };
+      const data = await load(http);
+      if (http.offline) {
+        // Not live: keep our own copy if there is one, and never store it as fresh
+        if (track) {
+          track.oldest = Math.min(track.oldest, cached?.ts ?? Infinity);
+          track.failed = true;
+        }
+        return cached ? cached.data : data;
+      }
+      if (track) track.network = true;
+      if (http.notModified && cached) {
+        Cache.set(key, cached.data, http.validators); // unchanged: restart the TTL
+        noteSavedCall();
+        return cached.data;
+      }
+      Cache.set(key, data, http.validators);
+      return data;
+    } catch (e) {
+      if (cached) {
+        console.warn("Serving stale data for", key, e);
+        if (track) {
+          track.oldest = Math.min(track.oldest, cached.ts);
+          track.failed = true;
+        }
+        return cached.data;
+      }
+      throw e;
+    }
   }
 
-  function httpErrorToMessage(status) {
-    if (status === 403 || status === 429)
-      return "GitHub rate limit/abuse detection. Try again later.";
-    if (status === 404) return "Not found (check username/org name).";
-    if (status >= 500) return "GitHub server error.";
-    return `HTTP ${status}`;
+  const newTrack = () => ({
+    oldest: Infinity,
+    network: false,
+    stale: false,
+    failed: false,
+  });
+  function freshnessText(track) {
+    if (track.failed) return t("status.offline");
+    return t("status.updated", {
+      time: Number.isFinite(track.oldest)
+        ? I18n.timeAgo(track.oldest)
+        : t("time.justNow"),
+    });
   }
+
   function networkErrorHint(err) {
+    if (err && err.resetAt)
+      return t("gh.error.rateLimitUntil", { time: I18n.time(err.resetAt) });
+    if (err && err.status) return httpErrorToMessage(err.status, I18n.locale());
     if (location.protocol === "file:") {
-      return "Blocked by browser for file://. Use a local server (e.g., `python -m http.server`) or GitHub Pages.";
+      return t("gh.error.file");
     }
     if (navigator.onLine === false) {
-      return "You appear to be offline.";
+      return t("gh.error.offline");
     }
     if (String(err).includes("Failed to fetch")) {
-      return "Network/CORS issue while contacting api.github.com.";
+      return t("gh.error.network");
     }
     return "";
   }
 
-  async function fetchQueuedJSON(url, headers = BASE_HEADERS) {
-    return enqueue(async () => {
-      const res = await fetch(url, { headers });
-      if (!res.ok) {
-        const msg = httpErrorToMessage(res.status);
-        const text = await res.text().catch(() => "");
-        throw new Error(`${msg} @ ${url} :: ${text.slice(0, 200)}`);
+  // http: revalidation context from cachedJSON (conditional headers in; validators,
+  // notModified and the Link rel="next" URL out); a 304 resolves to null
+  async function fetchQueuedJSON(url, { priority, resume, http } = {}) {
+    return enqueue(
+      async () => {
+        const headers = { ...BASE_HEADERS };
+        if (http?.etag) headers["If-None-Match"] = http.etag;
+        if (http?.lastModified)
+          headers["If-Modified-Since"] = http.lastModified;
+        const res = await fetch(url, { headers });
+        const info = parseRateLimit(res.headers);
+        noteRate(info);
+        if (http) {
+          if (res.headers.get("x-sw-fallback")) http.offline = true;
+          http.next = parseLinkHeader(res.headers.get("link")).next || "";
+          const etag = res.headers.get("etag") || "";
+          const lastModified = res.headers.get("last-modified") || "";
+          if (res.status === 304 || etag || lastModified)
+            http.validators = {
+              etag: etag || http.etag,
+              lastModified: lastModified || http.lastModified,
+            };
+          if (res.status === 304) {
+            http.notModified = true; // free: 304s don't count against the limit
+            return null;
+          }
+        }
+        if (!res.ok) {
+          const msg = httpErrorToMessage(res.status);
+          const text = await res.text().catch(() => "");
+          const err = new Error(`${msg} @ ${url} :: ${text.slice(0, 200)}`);
+          err.status = res.status;
+          err.rateLimit = rateLimitKind(res.status, info, text);
+          err.retryAfter = info.retryAfter;
+          throw err;
+        }
+        return res.json();
+      },
+      { priority, resume }
+    );
+  }
+
+  // Follows Link rel="next" for up to maxPages pages of a list endpoint. Only the
+  // first page is conditional: if it is unchanged (304) the cached list is kept
+  // as a whole. onPage(itemsSoFar) lets callers paint before the last page.
+  async function fetchPagedJSON(url, { priority, http, maxPages = 1, onPage }) {
+    let all = [];
+    let next = url;
+    for (let page = 1; next; page++) {
+      if (page > maxPages) {
+        console.warn(`${url}: stopped after ${maxPages} pages (max pages)`);
+        break;
       }
-      return res.json();
-    });
+      const ctx = page === 1 && http ? http : {};
+      const items = await fetchQueuedJSON(next, { priority, http: ctx });
+      if (ctx.notModified) return null;
+      all = all.concat(items);
+      next = ctx.next;
+      if (next && onPage) onPage(all);
+    }
+    return all;
+  }
+
+  // ---------------- Data sources ----------------
+  // Every source returns REST-shaped repos (name, full_name, html_url, stargazers_count,
+  // pushed_at, topics, …) so caching, filtering and rendering don't care which one ran.
+  const GRAPHQL_ENDPOINT = grid?.getAttribute("data-graphql-endpoint") || "";
+  const GRAPHQL_REPOS_FIRST = 100;
+
+  const restSource = {
+    // http: conditional request context (see cachedJSON)
+    // paging: { maxPages, onPage } for the list endpoints (see fetchPagedJSON)
+    userRepos(user, http, paging) {
+      return fetchPagedJSON(
+        `https://api.github.com/users/${encodeURIComponent(
+          user
+        )}/repos?per_page=100&sort=updated`,
+        { priority: PRIORITY.grid, http, ...paging }
+      );
+    },
+    orgRepos(org, http, paging) {
+      return fetchPagedJSON(
+        `https://api.github.com/orgs/${encodeURIComponent(
+          org
+        )}/repos?per_page=100&type=public&sort=updated`,
+        { priority: PRIORITY.org, http, ...paging }
+      );
+    },
+    repo(owner, repo, http) {
+      return fetchQueuedJSON(
+        `https://api.github.com/repos/${encodeURIComponent(
+          owner
+        )}/${encodeURIComponent(repo)}`,
+        { priority: PRIORITY.grid, http }
+      );
+    },
+    async topics(owner, repo) {
+      const data = await fetchQueuedJSON(
+        `https://api.github.com/repos/${encodeURIComponent(
+          owner
+        )}/${encodeURIComponent(repo)}/topics`,
+        { priority: PRIORITY.topics, resume: ["topics", owner, repo] }
+      );
+      return Array.isArray(data.names) ? data.names : [];
+    },
+    // Drawer extras (REST only). A missing README is a valid answer: null.
+    async readme(owner, repo) {
+      try {
+        const data = await fetchQueuedJSON(
+          `https://api.github.com/repos/${encodeURIComponent(
+            owner
+          )}/${encodeURIComponent(repo)}/readme`,
+          { priority: PRIORITY.drawer }
+        );
+        return {
+          path: data.path || "README.md",
+          text: decodeBase64(data.content),
+        };
+      } catch (e) {
+        if (e.status === 404) return null;
+        throw e;
+      }
+    },
+    languages(owner, repo, priority = PRIORITY.drawer) {
+      return fetchQueuedJSON(
+        `https://api.github.com/repos/${encodeURIComponent(
+          owner
+        )}/${encodeURIComponent(repo)}/languages`,
+        { priority }
+      );
+    },
+    // Stats panel (github-stats.js): latest public events, one page
+    events(user, http) {
+      return fetchQueuedJSON(
+        `https://api.github.com/users/${encodeURIComponent(
+          user
+        )}/events/public?per_page=30`,
+        { priority: PRIORITY.stats, http }
+      );
+    },
+    async activity(owner, repo) {
+      const base = `https://api.github.com/repos/${encodeURIComponent(
+        owner
+      )}/${encodeURIComponent(repo)}`;
+      // 409 = empty repository (no commits yet)
+      const drawer = { priority: PRIORITY.drawer };
+      const commits = await fetchQueuedJSON(
+        `${base}/commits?per_page=5`,
+        drawer
+      ).catch((e) => (e.status === 409 ? [] : Promise.reject(e)));
+      const releases = await fetchQueuedJSON(
+        `${base}/releases?per_page=3`,
+        drawer
+      );
+      return {
+        commits: commits.map((c) => ({
+          sha: c.sha,
+          message: (c.commit?.message || "").split("\n")[0],
+          author: c.author?.login || c.commit?.author?.name || "",
+          date: c.commit?.author?.date || "",
+          url: c.html_url,
+        })),
+        releases: releases.map((r) => ({
+          name: r.name || r.tag_name,
+          tag: r.tag_name,
+          date: r.published_at,
+          url: r.html_url,
+        })),
+      };
+    },
+  };
+
+  function decodeBase64(b64 = "") {
+    const bin = atob(b64.replace(/\s/g, ""));
+    return new TextDecoder().decode(
+      Uint8Array.from(bin, (c) => c.charCodeAt(0))
+    );
+  }
+
+  async function postGraphQL(query, variables, priority) {
+    return enqueue(
+      async () => {
+        // Never retried (and never pausing the queue): fromSource() falls back
+        // to REST, which retries on its own
+        const fail = (message, status) => {
+          const err = new Error(message);
+          err.status = status;
+          err.noRetry = true;
+          return err;
+        };
+        // Queued before an earlier request found the proxy down
+        if (graphqlDown) throw fail("GraphQL proxy: unavailable");
+        const res = await fetch(GRAPHQL_ENDPOINT, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ query, variables }),
+        }).catch((e) => {
+          throw fail(`GraphQL proxy: ${e.message}`);
+        });
+        if (!res.ok)
+          throw fail(`GraphQL proxy: HTTP ${res.status}`, res.status);
+        const body = await res.json();
+        if (body.errors && body.errors.length)
+          throw fail(`GraphQL: ${body.errors[0].message}`);
+        return body.data;
+      },
+      { priority }
+    );
+  }
+
+  // GraphQL node → REST-shaped repo (+ languages bytes, GitHub-pinned flag)
+  function fromGraphQLRepo(n, pinned = new Set()) {
+    const languages = {};
+    for (const e of n.languages?.edges || []) languages[e.node.name] = e.size;
+    return {
+      name: n.name,
+      full_name: n.nameWithOwner,
+      html_url: n.url,
+      description: n.description || "",
+      language: n.primaryLanguage?.name || "",
+      stargazers_count: n.stargazerCount || 0,
+      pushed_at: n.pushedAt,
+      fork: !!n.isFork,
+      archived: !!n.isArchived,
+      private: !!n.isPrivate,
+      topics: (n.repositoryTopics?.nodes || []).map((t) => t.topic.name),
+      languages,
+      _topicsComplete: true, // no deep /topics fetch needed
+      _githubPinned: pinned.has(n.nameWithOwner),
+    };
+  }
+
+  const graphqlSource = {
+    // Follows pageInfo.endCursor the way fetchPagedJSON follows Link rel="next"
+    async ownerRepos(login, priority, { maxPages = 1, onPage } = {}) {
+      let all = [];
+      let pinned = new Set();
+      let after = null;
+      for (let page = 1; page === 1 || after; page++) {
+        if (page > maxPages) {
+          console.warn(
+            `GraphQL ${login}: stopped after ${maxPages} pages (max pages)`
+          );
+          break;
+        }
+        const data = await postGraphQL(
+          GRAPHQL.ownerRepos,
+          { login, first: GRAPHQL_REPOS_FIRST, after },
+          priority
+        );
+        const owner = data?.repositoryOwner;
+        if (!owner) throw new Error(`GraphQL: owner ${login} not found`);
+        if (page === 1)
+          pinned = new Set(
+            (owner.pinnedItems?.nodes || []).map((p) => p.nameWithOwner)
+          );
+        const { nodes, pageInfo } = owner.repositories;
+        all = all.concat(nodes.map((n) => fromGraphQLRepo(n, pinned)));
+        after = pageInfo?.hasNextPage ? pageInfo.endCursor : null;
+        if (after && onPage) onPage(all);
+      }
+      return all;
+    },
+    // http (conditional requests) is REST-only; paging: { maxPages, onPage }
+    userRepos(user, http, paging) {
+      return graphqlSource.ownerRepos(user, PRIORITY.grid, paging);
+    },
+    orgRepos(org, http, paging) {
+      return graphqlSource.ownerRepos(org, PRIORITY.org, paging);
+    },
+    async repoAt(priority, owner, name) {
+      const data = await postGraphQL(GRAPHQL.repo, { owner, name }, priority);
+      if (!data?.repository)
+        throw new Error(`GraphQL: ${owner}/${name} not found`);
+      return fromGraphQLRepo(data.repository);
+    },
+    repo(owner, name) {
+      return graphqlSource.repoAt(PRIORITY.grid, owner, name);
+    },
+    async topics(owner, name) {
+      return (await graphqlSource.repoAt(PRIORITY.topics, owner, name)).topics;
+    },
+  };
+
+  // GraphQL first when configured; any failure falls back to anonymous REST
+  // (an unreachable proxy is skipped for the rest of the page view)
+  let graphqlDown = false;
+  async function fromSource(method, ...args) {
+    if (GRAPHQL_ENDPOINT && !graphqlDown && graphqlSource[method]) {
+      try {
+        return await graphqlSource[method](...args);
+      } catch (e) {
+        if (/proxy|fetch/i.test(String(e))) graphqlDown = true;
+        console.warn(`GraphQL ${method} failed, using REST:`, e);
+      }
+    }
+    return restSource[method](...args);
   }
 
   // ---------------- ORG: JSON → build cards ----------------
@@ -141,15 +687,74 @@
       throw new Error(
         `Cannot load orgs.json: ${res ? res.status : "fetch failed"}`
       );
-    const data = await res.json().catch(() => []);
-    return Array.isArray(data) ? data : [];
+    const data = await res.json().catch(() => null);
+    if (!Array.isArray(data))
+      throw new Error(`${src} must be a JSON array of org configs`);
+    return data;
+  }
+
+  // ---------------- ORG: config helpers ----------------
+  // Validation lives in data-normalize.js (shared with scripts/validate-data.js)
+  // "hotsum-*", "*-api", "Org/exact" — * and ? wildcards, case-insensitive
+  function globToRegExp(glob) {
+    const body = glob
+      .trim()
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${body}$`, "i");
+  }
+  // Patterns with a "/" match owner/name, others just the repo name
+  const repoMatches = (r, pattern) =>
+    globToRegExp(pattern).test(pattern.includes("/") ? r.full_name : r.name);
+
+  const orgCardConfig = new WeakMap(); // card → normalized cfg + config errors
+  const orgCardMissing = new WeakMap(); // card → featured repos the org lacks
+
+  // Config errors plus featured repos that were not found; repainted in the
+  // current language with the rest of the card
+  function showCardProblems(card) {
+    const org = card.getAttribute("data-org");
+    const problems = [
+      ...(orgCardConfig.get(card)?.errors || []),
+      ...(orgCardMissing.get(card) || []).map((repo) =>
+        t("gh.org.featuredMissing", { repo, org })
+      ),
+    ];
+    let box = card.querySelector(".org-config-errors");
+    if (!problems.length) {
+      box?.remove();
+      return;
+    }
+    if (!box) {
+      box = document.createElement("div");
+      box.className =
+        "org-config-errors mt-3 rounded border border-red-300 dark:border-red-800 bg-red-50 dark:bg-red-900/20 p-2 text-xs text-red-700 dark:text-red-300";
+      box.setAttribute("role", "alert");
+      card.querySelector(".repo-list")?.before(box);
+    }
+    box.innerHTML = `<p class="font-medium">${esc(
+      t("gh.org.problems")
+    )}</p><ul class="list-disc ps-4">${problems
+      .map((p) => `<li>${esc(p)}</li>`)
+      .join("")}</ul>`;
   }
 
+  // Pin icon + text + border: "Pinned" does not rest on color alone, and the
+  // card it sits on points at it with aria-describedby
+  const PIN_SVG = `<svg aria-hidden="true" viewBox="0 0 16 16" class="h-3 w-3"><path fill="currentColor" d="M4.456.734a1.75 1.75 0 0 1 2.826.504l.613 1.327a3.1 3.1 0 0 0 2.084 1.707l2.454.584c1.332.317 1.8 1.972.832 2.94L11.06 10l3.72 3.72a.75.75 0 1 1-1.061 1.06L10 11.06l-2.204 2.205c-.968.968-2.623.5-2.94-.832l-.584-2.454a3.1 3.1 0 0 0-1.707-2.084l-1.327-.613a1.75 1.75 0 0 1-.504-2.826z"/></svg>`;
+  const pinnedBadgeHTML = (id, size = "text-xs py-1") =>
+    `<span id="${id}" class="inline-flex shrink-0 items-center gap-1 rounded-full border border-accent-300 dark:border-accent-700 px-2.5 ${size} font-medium bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200">${PIN_SVG}<span data-i18n="common.pinned">${t(
+      "common.pinned"
+    )}</span></span>`;
+
   function buildOrgCardEl(cfg) {
     const {
       org,
       title = org,
       description = "",
+      role = "",
+      tech_stack = [],
       limit = 0,
       exclude_forks = true,
       exclude_archived = true,
@@ -158,35 +763,40 @@
       pinned_badge = true,
       topics_max = 0,
       topics_deep_limit = 24,
+      max_pages = 0,
     } = cfg;
 
     const art = document.createElement("article");
     art.className =
-      "org-card bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 rounded-lg shadow p-6";
-    art.setAttribute("data-org", org);
+      "org-card flex-1 bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 rounded-lg shadow p-6";
+    const id = `org-${hashString(org || title)}`;
+    art.setAttribute("aria-labelledby", `${id}-title`);
+    if (pinned_badge) art.setAttribute("aria-describedby", `${id}-pinned`);
+    if (org) art.setAttribute("data-org", org);
     if (limit) art.setAttribute("data-limit", String(limit));
     art.setAttribute("data-exclude-forks", String(!!exclude_forks));
     art.setAttribute("data-exclude-archived", String(!!exclude_archived));
     art.setAttribute("data-sort", String(sort).toLowerCase());
     art.setAttribute("data-show-all-link", String(!!show_all_link));
     if (topics_max) art.setAttribute("data-topics-max", String(topics_max));
-    if (topics_deep_limit)
+    if (topics_deep_limit != null)
       art.setAttribute("data-topics-deep-limit", String(topics_deep_limit));
+    if (max_pages) art.setAttribute("data-max-pages", String(max_pages));
 
     art.innerHTML = `
       <div class="flex items-baseline justify-between gap-3">
-        <h4 class="text-lg font-semibold leading-tight">
-          <a href="https://github.com/${encodeURIComponent(
+        <h4 id="${id}-title" class="text-lg font-semibold leading-tight">
+          ${
             org
-          )}" target="_blank" rel="noopener" class="hover:underline">${esc(
-      title || org
-    )}</a>
+              ? `<a href="https://github.com/${encodeURIComponent(
+                  org
+                )}" target="_blank" rel="noopener" class="hover:underline">${esc(
+                  title || org
+                )}${A11y.newTab()}</a>`
+              : esc(title)
+          }
         </h4>
-        ${
-          pinned_badge
-            ? `<span class="shrink-0 rounded-full px-2.5 py-1 text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-200">Pinned</span>`
-            : ""
-        }
+        ${pinned_badge ? pinnedBadgeHTML(`${id}-pinned`) : ""}
       </div>
       ${
         description
@@ -195,21 +805,75 @@
             )}</p>`
           : ""
       }
+      ${
+        role
+          ? `<p class="mt-2 text-sm text-gray-700 dark:text-gray-300"><span class="font-medium" data-i18n="gh.org.role">${t(
+              "gh.org.role"
+            )}</span> ${esc(role)}</p>`
+          : ""
+      }
+      ${
+        tech_stack.length
+          ? `<ul class="mt-3 flex flex-wrap gap-1.5" aria-label="${t(
+              "gh.org.techStack"
+            )}" data-i18n-attr="aria-label:gh.org.techStack">${tech_stack
+              .map(
+                (t) =>
+                  `<li class="rounded px-2 py-0.5 text-xs font-medium bg-indigo-50 text-indigo-800 dark:bg-indigo-900/40 dark:text-indigo-200">${esc(
+                    t
+                  )}</li>`
+              )
+              .join("")}</ul>`
+          : ""
+      }
       <ul class="repo-list mt-3 space-y-2"></ul>
       <!-- topics chips + view-all link will be injected -->
     `;
     return art;
   }
 
+  function fillOrgFilterOptions(cfgs) {
+    if (!orgFilterSel || !cfgs.length) return;
+    orgFilterSel.innerHTML =
+      `<option value="" data-i18n="gh.org.all">${t("gh.org.all")}</option>` +
+      cfgs
+        .map(
+          (c) =>
+            `<option value="${esc(c.org)}">${esc(c.title || c.org)}</option>`
+        )
+        .join("");
+    orgFilterSel.value = viewState.org;
+    orgFilterSel.closest("[data-org-filter]")?.classList.remove("hidden");
+  }
+
   async function buildOrgCardsFromJSON() {
     try {
-      const cfgs = await loadOrgConfigs();
-      if (!cfgs.length) return;
+      const raws = await loadOrgConfigs();
+      if (!raws.length) return;
       orgsContainer.innerHTML = "";
-      for (const cfg of cfgs) {
-        if (!cfg || !cfg.org) continue;
-        orgsContainer.appendChild(buildOrgCardEl(cfg));
-      }
+      const valid = [];
+      raws.forEach((raw, i) => {
+        const { cfg, problems } = Data.normalizeOrgConfig(raw, i);
+        const errors = problems.map(Data.formatProblem);
+        const label = cfg?.org || `#${i + 1}`;
+        for (const e of errors) console.error(`orgs.json ${label}: ${e}`);
+        // Without an org there is nothing to fetch: show the problems on a stub card
+        const card = cfg?.org
+          ? buildOrgCardEl(cfg)
+          : buildOrgCardEl({
+              org: "",
+              title: `orgs.json entry #${i + 1}`,
+              pinned_badge: false,
+            });
+        if (cfg?.org) valid.push(cfg);
+        orgCardConfig.set(card, { ...cfg, errors });
+        showCardProblems(card);
+        const item = document.createElement("li");
+        item.className = "flex";
+        item.appendChild(card);
+        orgsContainer.appendChild(item);
+      });
+      fillOrgFilterOptions(valid);
     } catch (e) {
       console.error(e);
       // leave any manual content if present
@@ -217,79 +881,72 @@
   }
 
   // ---------------- ORG: fill cards (repos + stars + topics + view-all) ----------------
-  async function fetchOrgRepos(org) {
-    const cacheKey = `gh:orgrepos:${org}`;
-    const cached = getCache(cacheKey);
-    if (cached && now() - cached.ts < ORG_CACHE_TTL) return cached.data;
-    const url = `https://api.github.com/orgs/${encodeURIComponent(
-      org
-    )}/repos?per_page=100&type=public&sort=updated`;
-    const data = await fetchQueuedJSON(url);
-    setCache(cacheKey, data);
-    return data;
+  // opts: cachedJSON options + { maxPages, onPage } for the paged list
+  async function fetchOrgRepos(org, opts = {}) {
+    const { maxPages = ORG_MAX_PAGES, onPage } = opts;
+    return cachedJSON(
+      `gh:orgrepos:${org}`,
+      (http) => fromSource("orgRepos", org, http, { maxPages, onPage }),
+      opts
+    );
   }
 
-  async function fetchRepoTopics(owner, repo) {
-    const key = `gh:topics:${owner}/${repo}`;
-    const cached = getCache(key);
-    if (cached && now() - cached.ts < TOPIC_CACHE_TTL) return cached.data;
-    const url = `https://api.github.com/repos/${encodeURIComponent(
-      owner
-    )}/${encodeURIComponent(repo)}/topics`;
-    const data = await fetchQueuedJSON(url);
-    const names = Array.isArray(data.names) ? data.names : [];
-    setCache(key, names);
-    return names;
+  async function fetchRepoTopics(owner, repo, opts) {
+    return cachedJSON(
+      `gh:topics:${owner}/${repo}`,
+      () => fromSource("topics", owner, repo),
+      opts
+    );
   }
 
-  async function ensureTopicsFor(org, repos, maxRequests = 24) {
+  async function ensureTopicsFor(org, repos, maxRequests = 24, opts = {}) {
     const need = repos
-      .filter((r) => !Array.isArray(r.topics) || r.topics.length === 0)
+      .filter(
+        (r) =>
+          !r._topicsComplete &&
+          (!Array.isArray(r.topics) || r.topics.length === 0)
+      )
       .slice(0, Math.max(0, Math.min(maxRequests, GLOBAL_TOPICS_FETCH_BUDGET)));
     for (const r of need) {
       if (GLOBAL_TOPICS_FETCH_BUDGET <= 0) break;
       try {
-        r.topics = await fetchRepoTopics(org, r.name);
+        r.topics = await fetchRepoTopics(org, r.name, opts);
       } catch {}
-      GLOBAL_TOPICS_FETCH_BUDGET--;
+      if (!opts.peek) GLOBAL_TOPICS_FETCH_BUDGET--; // cache peeks are free
     }
     return repos;
   }
 
-  function applyCardFilters(repos, cardEl) {
-    let out = repos.filter((r) => !r.private);
-    const exForks =
-      (cardEl.getAttribute("data-exclude-forks") ?? "true") !== "false";
-    const exArch =
-      (cardEl.getAttribute("data-exclude-archived") ?? "true") !== "false";
-    if (exForks) out = out.filter((r) => !r.fork);
-    if (exArch) out = out.filter((r) => !r.archived);
-    return out;
-  }
-  function sortForCard(repos, mode) {
-    if (mode === "stars")
-      repos.sort(
-        (a, b) =>
-          b.stargazers_count - a.stargazers_count ||
-          a.name.localeCompare(b.name)
-      );
-    else if (mode === "name")
-      repos.sort((a, b) => a.name.localeCompare(b.name));
-    else repos.sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at)); // pushed
-  }
+  // Card filters + include/exclude globs + sort, then featured repos on top in
+  // config order (featured ones bypass the filters: listing them is explicit)
+  function selectOrgRepos(repos, card, conf) {
+    let out = applyCardFilters(repos, {
+      excludeForks:
+        (card.getAttribute("data-exclude-forks") ?? "true") !== "false",
+      excludeArchived:
+        (card.getAttribute("data-exclude-archived") ?? "true") !== "false",
+    });
+    if (conf.include?.length)
+      out = out.filter((r) => conf.include.some((g) => repoMatches(r, g)));
+    if (conf.exclude?.length)
+      out = out.filter((r) => !conf.exclude.some((g) => repoMatches(r, g)));
+    sortForCard(
+      out,
+      (card.getAttribute("data-sort") || "pushed").toLowerCase()
+    );
 
-  function collectTopicsAcross(repos) {
-    const map = new Map();
-    for (const r of repos) {
-      const topics = Array.isArray(r.topics) ? r.topics : [];
-      for (const t of topics) {
-        const k = String(t).toLowerCase();
-        map.set(k, (map.get(k) || 0) + 1);
-      }
+    const featured = [];
+    const missing = [];
+    for (const f of conf.featured || []) {
+      const hit = repos.find((r) => !r.private && repoMatches(r, f.repo));
+      if (hit) featured.push({ ...hit, _featured: true, _blurb: f.blurb });
+      else missing.push(f.repo);
     }
-    return Array.from(map.entries()).sort(
-      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
-    );
+    const taken = new Set(featured.map((r) => r.full_name));
+    return {
+      list: [...featured, ...out.filter((r) => !taken.has(r.full_name))],
+      missing,
+    };
   }
 
   function topicsChipsHTML(topicPairs, max = 0) {
@@ -298,19 +955,161 @@
     return `
       <div class="mt-4 flex flex-wrap gap-2">
         ${arr
-          .map(
-            ([t, count]) =>
-              `<span class="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs
-                        bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">
+          .map(([t, count]) => {
+            const active = viewState.topics.has(t);
+            const tone = active
+              ? "bg-accent-600 text-white"
+              : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600";
+            return `<button type="button" data-facet="topic" data-value="${esc(
+              t
+            )}" aria-pressed="${active}"
+                        class="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs transition ${tone}">
               <span>#${esc(t)}</span><span class="opacity-70">${count}</span>
-           </span>`
-          )
+           </button>`;
+          })
           .join("")}
       </div>
     `;
   }
 
-  async function fillOrgCards() {
+  const orgCardRepos = new WeakMap(); // card → filtered + sorted repos (before limit)
+  const orgCardSig = new WeakMap(); // card → hash of the data it was painted from
+  const orgCardShown = new WeakMap(); // card → repos listed after "Show more" clicks
+  const orgCardError = new WeakMap(); // card → load error (repainted in the page language)
+
+  // Store repos for a card; repaint only if they differ from what is shown
+  function setOrgCardRepos(card, repos) {
+    const sig = hashString(JSON.stringify(repos));
+    if (orgCardSig.get(card) === sig) return;
+    orgCardSig.set(card, sig);
+    orgCardRepos.set(card, repos);
+    orgCardError.delete(card);
+    paintOrgCard(card);
+    document.dispatchEvent(new CustomEvent("portfolio:orgrepos"));
+  }
+
+  // Render list, topic chips and view-all link from already-fetched repos
+  function paintOrgCard(card) {
+    const org = card.getAttribute("data-org");
+    const list = card.querySelector(".repo-list");
+    const filteredAll = orgCardRepos.get(card);
+    if (!org || !list || !filteredAll) return;
+
+    const shown = viewState.topics.size
+      ? filteredAll.filter((r) => repoHasAnyTopic(r, viewState.topics))
+      : filteredAll;
+    const limit = parseInt(card.getAttribute("data-limit") || "0", 10);
+    const topicsMax = parseInt(card.getAttribute("data-topics-max") || "0", 10);
+    // Featured repos never fall off because of the limit
+    const featuredCount = shown.filter((r) => r._featured).length;
+    const count = Math.max(orgCardShown.get(card) || limit, featuredCount);
+    const limited = limit > 0 ? shown.slice(0, count) : shown;
+
+    // Repo list (name + stars, blurb for featured)
+    list.innerHTML =
+      limited
+        .map(
+          (r) => `
+          <li>
+            <div class="flex items-center justify-between gap-3">
+              <a class="text-accent-700 dark:text-accent-300 hover:underline ${
+                r._featured ? "font-semibold" : ""
+              }" target="_blank" rel="noopener"
+                 href="${esc(r.html_url)}">${esc(r.name)}${A11y.newTab()}</a>
+              <span class="inline-flex items-center gap-1 text-gray-600 dark:text-gray-400" title="${t(
+                "common.stars"
+              )}">
+                ${STAR_SVG}${r.stargazers_count}<span class="sr-only">${t(
+            "common.stars"
+          )}</span>
+              </span>
+            </div>
+            ${
+              r._blurb
+                ? `<p class="mt-0.5 text-sm text-gray-600 dark:text-gray-400">${esc(
+                    r._blurb
+                  )}</p>`
+                : ""
+            }
+          </li>
+        `
+        )
+        .join("") ||
+      `<li class="text-gray-600 dark:text-gray-400 text-sm">${
+        filteredAll.length ? t("gh.org.noMatch") : t("gh.org.none")
+      }</li>`;
+
+    // Topics chips (from ALL filtered repos)
+    const topicPairs = collectTopicsAcross(filteredAll);
+    let chipsEl = card.querySelector(".org-topics");
+    if (!chipsEl) {
+      chipsEl = document.createElement("div");
+      chipsEl.className = "org-topics";
+      list.insertAdjacentElement("afterend", chipsEl);
+    }
+    chipsEl.innerHTML = topicsChipsHTML(topicPairs, topicsMax);
+
+    // "Show more" reveals another `limit` repos in place
+    const hidden = shown.length - limited.length;
+    card.querySelector(".org-load-more")?.remove();
+    if (limit > 0 && hidden > 0) {
+      const more = document.createElement("button");
+      more.type = "button";
+      more.className =
+        "org-load-more mt-3 me-4 text-sm text-accent-700 dark:text-accent-300 underline";
+      more.textContent = t("gh.org.showMore", {
+        count: Math.min(limit, hidden),
+      });
+      card.appendChild(more);
+    }
+
+    // View-all only if limited list hides some repos
+    const wantAll =
+      (card.getAttribute("data-show-all-link") ?? "false") !== "false";
+    const shouldShowAll = wantAll && limit > 0 && hidden > 0;
+    const oldLink = card.querySelector(".org-view-all");
+    if (oldLink) oldLink.remove();
+    if (shouldShowAll) {
+      const a = document.createElement("a");
+      a.href = `https://github.com/${encodeURIComponent(org)}?tab=repositories`;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.className =
+        "org-view-all mt-3 inline-block text-sm text-accent-700 dark:text-accent-300 underline";
+      a.innerHTML = esc(t("gh.org.viewAll")) + A11y.newTab();
+      card.appendChild(a);
+    }
+  }
+
+  // Org focus (?org=) + topic filter, without refetching
+  function paintOrgCards() {
+    const focus = viewState.org.toLowerCase();
+    const cards = document.querySelectorAll(
+      "#ghPinnedOrgs .org-card[data-org]"
+    );
+    for (const card of cards) {
+      const org = (card.getAttribute("data-org") || "").toLowerCase();
+      card.parentElement.classList.toggle("hidden", !!focus && org !== focus);
+      paintOrgCard(card);
+      paintOrgCardError(card);
+      showCardProblems(card);
+    }
+  }
+
+  function paintOrgCardError(card) {
+    const err = orgCardError.get(card);
+    const list = card.querySelector(".repo-list");
+    if (!err || !list) return;
+    list.innerHTML = `<li class="text-red-600 dark:text-red-400 text-sm">${esc(
+      t("gh.org.error", {
+        org: card.getAttribute("data-org"),
+        hint: networkErrorHint(err),
+      })
+    )}</li>`;
+  }
+
+  // peek: paint from cache only (first pass); otherwise revalidate over the network
+  async function fillOrgCards({ peek = false } = {}) {
     const cards = document.querySelectorAll(
       "#ghPinnedOrgs .org-card[data-org]"
     );
@@ -319,85 +1118,58 @@
       const list = card.querySelector(".repo-list");
       if (!org || !list) continue;
 
-      list.innerHTML = `<li class="text-gray-600 dark:text-gray-400 text-sm">Loading…</li>`;
+      const painted = orgCardRepos.has(card);
+      if (!painted)
+        list.innerHTML = A11y.skeletonHTML(t("gh.org.loading", { org }), {
+          tag: "li",
+          lines: 3,
+        });
+      if (!peek) A11y.setBusy(list, true);
 
       try {
-        const repos = await fetchOrgRepos(org);
-        const filteredAll = applyCardFilters(repos, card);
-        const sortMode = (
-          card.getAttribute("data-sort") || "pushed"
-        ).toLowerCase();
-        sortForCard(filteredAll, sortMode);
+        const conf = orgCardConfig.get(card) || { errors: [] };
+        const maxPages =
+          parseInt(card.getAttribute("data-max-pages") || "0", 10) ||
+          ORG_MAX_PAGES;
+        // First visit: show page one while a large org's other pages load
+        const onPage =
+          peek || painted
+            ? null
+            : (partial) =>
+                setOrgCardRepos(card, selectOrgRepos(partial, card, conf).list);
+        const repos = await fetchOrgRepos(org, { peek, maxPages, onPage });
+        const { list: filteredAll, missing } = selectOrgRepos(
+          repos,
+          card,
+          conf
+        );
+        if (!peek) {
+          for (const m of missing)
+            console.error(
+              `orgs.json ${org}: featured repo "${m}" was not found`
+            );
+          orgCardMissing.set(card, missing);
+          showCardProblems(card);
+        }
 
         // Deep topics (limited by card + global budget)
         const deepLimit = parseInt(
           card.getAttribute("data-topics-deep-limit") || "24",
           10
         );
-        await ensureTopicsFor(org, filteredAll, deepLimit);
-
-        const limit = parseInt(card.getAttribute("data-limit") || "0", 10);
-        const topicsMax = parseInt(
-          card.getAttribute("data-topics-max") || "0",
-          10
-        );
-        const limited = limit > 0 ? filteredAll.slice(0, limit) : filteredAll;
-
-        // Repo list (name + stars)
-        list.innerHTML =
-          limited
-            .map(
-              (r) => `
-          <li class="flex items-center justify-between gap-3">
-            <a class="text-blue-700 dark:text-blue-300 hover:underline" target="_blank" rel="noopener"
-               href="${r.html_url}">${esc(r.name)}</a>
-            <span class="inline-flex items-center gap-1 text-gray-600 dark:text-gray-400" title="Stars">
-              ${STAR_SVG}${r.stargazers_count}
-            </span>
-          </li>
-        `
-            )
-            .join("") ||
-          `<li class="text-gray-600 dark:text-gray-400 text-sm">No repositories found.</li>`;
-
-        // Topics chips (from ALL filtered repos)
-        const topicPairs = collectTopicsAcross(filteredAll);
-        const chipsHTML = topicsChipsHTML(topicPairs, topicsMax);
-        let chipsEl = card.querySelector(".org-topics");
-        if (!chipsEl) {
-          chipsEl = document.createElement("div");
-          chipsEl.className = "org-topics";
-          list.insertAdjacentElement("afterend", chipsEl);
-        }
-        chipsEl.innerHTML = chipsHTML;
+        await ensureTopicsFor(org, filteredAll, deepLimit, { peek });
 
-        // View-all only if limited list hides some repos
-        const wantAll =
-          (card.getAttribute("data-show-all-link") ?? "false") !== "false";
-        const shouldShowAll =
-          wantAll && limit > 0 && filteredAll.length > limited.length;
-        const oldLink = card.querySelector(".org-view-all");
-        if (oldLink) oldLink.remove();
-        if (shouldShowAll) {
-          const a = document.createElement("a");
-          a.href = `https://github.com/${encodeURIComponent(
-            org
-          )}?tab=repositories`;
-          a.target = "_blank";
-          a.rel = "noopener";
-          a.className =
-            "org-view-all mt-3 inline-block text-sm text-blue-700 dark:text-blue-300 underline";
-          a.textContent = "View all on GitHub →";
-          card.appendChild(a);
-        }
+        setOrgCardRepos(card, filteredAll);
       } catch (e) {
+        if (peek) continue; // nothing cached yet; the network pass fills it
         console.error(e);
-        const hint = networkErrorHint(e);
-        list.innerHTML = `<li class="text-red-600 dark:text-red-400 text-sm">Could not load ${esc(
-          org
-        )} repos. ${esc(hint)}</li>`;
+        if (painted) continue; // keep the cached list rather than an error
+        orgCardError.set(card, e);
+        paintOrgCardError(card);
         const oldLink = card.querySelector(".org-view-all");
         if (oldLink) oldLink.remove();
+      } finally {
+        if (!peek) A11y.setBusy(list, false);
       }
     }
   }
@@ -407,62 +1179,40 @@
     if (!src) return [];
     const res = await fetch(src, { cache: "no-store" }).catch(() => null);
     if (!res || !res.ok) return [];
-    const data = await res.json().catch(() => []);
-    if (!Array.isArray(data)) return [];
-    return data.map(normalizeManualRepo).filter(Boolean);
-  }
-  function normalizeManualRepo(it = {}) {
-    // Resolve full_name from explicit field or URL
-    let full = (it.full_name || "").trim();
-    if (!full && (it.html_url || it.url)) {
-      try {
-        const u = new URL(it.html_url || it.url);
-        full = u.pathname.replace(/^\/|\/$/g, "");
-      } catch {}
+    const data = await res.json().catch(() => null);
+    if (!Array.isArray(data)) {
+      console.error(`${src} must be a JSON array of repos`);
+      return [];
     }
-    if (!full || !full.includes("/")) return null;
-
-    const name = (it.name || full.split("/")[1]).trim();
-    const html_url = it.html_url || it.url || `https://github.com/${full}`;
-    const stars = Number(
-      it.stars != null
-        ? it.stars
-        : it.stargazers_count != null
-        ? it.stargazers_count
-        : 0
-    );
-
-    return {
-      full_name: full,
-      name,
-      html_url,
-      description: it.description || "",
-      language: it.language || "",
-      stargazers_count: Number.isFinite(stars) ? stars : 0,
-      pushed_at: it.pushed_at || null,
-      archived: !!it.archived,
-      fork: !!it.fork,
-      private: !!it.private,
-      topics: Array.isArray(it.topics) ? it.topics : [],
-      _pinned: !!it.pinned,
-    };
+    // Same rules as `node scripts/validate-data.js`, which explains each drop
+    return data
+      .map((it, i) => {
+        const repo = Data.normalizeManualRepo(it);
+        if (!repo)
+          console.warn(
+            `${src} #${
+              i + 1
+            } skipped: needs full_name "owner/name" or a GitHub url`,
+            it
+          );
+        for (const p of repo?._problems || [])
+          console.warn(`${src} #${i + 1}: ${Data.formatProblem(p)}`);
+        return repo;
+      })
+      .filter(Boolean);
   }
 
   // NEW: fetch single repo details (stars/topics/…)
-  async function fetchRepoDetails(owner, repo) {
-    const key = `gh:repodetail:${owner}/${repo}`;
-    const cached = getCache(key);
-    if (cached && now() - cached.ts < GRID_CACHE_TTL) return cached.data;
-    const url = `https://api.github.com/repos/${encodeURIComponent(
-      owner
-    )}/${encodeURIComponent(repo)}`;
-    const data = await fetchQueuedJSON(url);
-    setCache(key, data);
-    return data;
+  async function fetchRepoDetails(owner, repo, opts) {
+    return cachedJSON(
+      `gh:repodetail:${owner}/${repo}`,
+      (http) => fromSource("repo", owner, repo, http),
+      opts
+    );
   }
 
   // NEW: hydrate manual repos with live data; manual fields override fetched
-  async function hydrateManualRepos(list) {
+  async function hydrateManualRepos(list, opts) {
     const out = [];
     for (const m of list) {
       const [owner, name] = (m.full_name || "").split("/");
@@ -471,40 +1221,11 @@
         continue;
       }
       try {
-        const fetched = await fetchRepoDetails(owner, name);
-        const fetchedNorm = {
-          full_name: fetched.full_name || m.full_name,
-          name: fetched.name || m.name,
-          html_url:
-            fetched.html_url ||
-            m.html_url ||
-            `https://github.com/${m.full_name}`,
-          description: fetched.description ?? "",
-          language: fetched.language ?? "",
-          stargazers_count: fetched.stargazers_count ?? 0,
-          pushed_at: fetched.pushed_at || m.pushed_at,
-          archived: !!fetched.archived,
-          fork: !!fetched.fork,
-          private: !!fetched.private,
-          topics: Array.isArray(fetched.topics) ? fetched.topics : [],
-        };
-        // Manual overrides take precedence
-        const merged = {
-          ...fetchedNorm,
-          ...m,
-          // ensure override rules for these two explicitly
-          stargazers_count: Number.isFinite(m.stargazers_count)
-            ? m.stargazers_count
-            : fetchedNorm.stargazers_count,
-          topics:
-            Array.isArray(m.topics) && m.topics.length
-              ? m.topics
-              : fetchedNorm.topics,
-          pushed_at: m.pushed_at ? m.pushed_at : fetchedNorm.pushed_at,
-        };
-        out.push(merged);
+        const fetched = await fetchRepoDetails(owner, name, opts);
+        out.push(mergeManualRepo(m, fetched));
       } catch (e) {
-        console.warn("Manual repo hydrate failed:", m.full_name, e);
+        if (!opts?.peek)
+          console.warn("Manual repo hydrate failed:", m.full_name, e);
         out.push(m); // fallback to manual as-is
       }
     }
@@ -512,27 +1233,21 @@
   }
 
   // ---------------- GRID: fetch sources ----------------
-  async function fetchUserRepos(user) {
-    const key = `gh:userrepos:${user}`;
-    const cached = getCache(key);
-    if (cached && now() - cached.ts < GRID_CACHE_TTL) return cached.data;
-    const url = `https://api.github.com/users/${encodeURIComponent(
-      user
-    )}/repos?per_page=100&sort=updated`;
-    const data = await fetchQueuedJSON(url);
-    setCache(key, data);
-    return data;
+  async function fetchUserRepos(user, opts = {}) {
+    const paging = { maxPages: GRID_MAX_PAGES, onPage: opts.onPage };
+    return cachedJSON(
+      `gh:userrepos:${user}`,
+      (http) => fromSource("userRepos", user, http, paging),
+      opts
+    );
   }
-  async function fetchOrgReposForGrid(org) {
-    const key = `gh:gridorg:${org}`;
-    const cached = getCache(key);
-    if (cached && now() - cached.ts < GRID_CACHE_TTL) return cached.data;
-    const url = `https://api.github.com/orgs/${encodeURIComponent(
-      org
-    )}/repos?per_page=100&type=public&sort=updated`;
-    const data = await fetchQueuedJSON(url);
-    setCache(key, data);
-    return data;
+  async function fetchOrgReposForGrid(org, opts = {}) {
+    const paging = { maxPages: GRID_MAX_PAGES, onPage: opts.onPage };
+    return cachedJSON(
+      `gh:gridorg:${org}`,
+      (http) => fromSource("orgRepos", org, http, paging),
+      opts
+    );
   }
 
   // ---------------- GRID: options & helpers ----------------
@@ -552,9 +1267,11 @@
     .map((s) => s.trim().toLowerCase())
     .filter(Boolean);
   const MANUAL_SRC = grid?.getAttribute("data-manual-src") || "";
+  const SNAPSHOT_SRC = grid?.getAttribute("data-snapshot-src") || "";
 
   const isPinnedGrid = (r) =>
     r?._pinned === true ||
+    r?._githubPinned === true ||
     PINNED.includes((r.name || "").toLowerCase()) ||
     PINNED.includes((r.full_name || "").toLowerCase());
 
@@ -567,16 +1284,117 @@
       );
     else repos.sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at)); // pushed
   }
+  // View state (grid toolbar + org focus); mirrored in the URL, see readUrlState()
+  const viewState = {
+    sort: "pushed",
+    query: "",
+    langs: new Set(),
+    topics: new Set(),
+    org: "",
+    forks: !EXCLUDE_FORKS,
+    archived: !EXCLUDE_ARCHIVED,
+  };
+  let gridRaw = null; // last fetched list; toolbar changes only repaint
+  let gridView = []; // gridRaw after toolbar filters + sort (all pages)
+  window.PortfolioProjects = {
+    current: () => gridView.slice(),
+    // Stats panel (github-stats.js): same repos as the grid (before toolbar
+    // search / facets) and the org cards, plus cached, low-priority extras
+    repos: () => ({
+      grid: gridRaw ? applyGridFilters(gridRaw) : [],
+      orgs: Array.from(
+        document.querySelectorAll("#ghPinnedOrgs .org-card[data-org]"),
+        (card) => orgCardRepos.get(card) || []
+      ),
+    }),
+    languages: (fullName) => {
+      const [owner, name] = fullName.split("/");
+      return fetchLanguages(owner, name, PRIORITY.stats);
+    },
+    events: () =>
+      cachedJSON(`gh:events:${USER}`, (http) =>
+        fromSource("events", USER, http)
+      ),
+    languageColor: (name) => langColor(name), // same colors as the drawer's bar
+  };
+
   function applyGridFilters(raw) {
     let repos = raw.filter((r) => !r.private);
-    if (EXCLUDE_FORKS) repos = repos.filter((r) => !r.fork);
-    if (EXCLUDE_ARCHIVED) repos = repos.filter((r) => !r.archived);
+    if (!viewState.forks) repos = repos.filter((r) => !r.fork);
+    if (!viewState.archived) repos = repos.filter((r) => !r.archived);
     return repos;
   }
+  // Facets: OR within a facet, AND across facets and the search query
+  function repoHasAnyTopic(r, topics) {
+    const own = Array.isArray(r.topics) ? r.topics : [];
+    return own.some((t) => topics.has(String(t).toLowerCase()));
+  }
+  function matchesToolbar(r) {
+    const { langs, topics } = viewState;
+    const query = viewState.query.toLowerCase();
+    if (query) {
+      const hay = `${r.name || ""} ${r.description || ""}`.toLowerCase();
+      if (!hay.includes(query)) return false;
+    }
+    if (langs.size && !langs.has(r.language || "")) return false;
+    if (topics.size && !repoHasAnyTopic(r, topics)) return false;
+    return true;
+  }
+  const hasToolbarFilters = () =>
+    !!viewState.query ||
+    viewState.langs.size > 0 ||
+    viewState.topics.size > 0 ||
+    !!viewState.org;
+
+  function facetChipHTML(kind, value, label, count, active) {
+    const tone = active
+      ? "bg-accent-600 border-accent-600 text-white"
+      : "bg-gray-100 dark:bg-gray-700 border-transparent text-gray-700 dark:text-gray-200 hover:border-gray-400 dark:hover:border-gray-500";
+    return `<button type="button" data-facet="${kind}" data-value="${esc(
+      value
+    )}" aria-pressed="${active}"
+      class="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs border transition ${tone}">
+      <span>${esc(label)}</span><span class="opacity-70">${count}</span>
+    </button>`;
+  }
+
+  function renderFacets(base) {
+    // Languages
+    const langCounts = new Map();
+    for (const r of base)
+      if (r.language)
+        langCounts.set(r.language, (langCounts.get(r.language) || 0) + 1);
+    const langPairs = Array.from(langCounts.entries()).sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+    );
+    // Topics
+    const topicPairs = collectTopicsAcross(base).slice(0, TOPIC_FACETS_MAX);
+
+    // Keep selections visible even when nothing in the grid has them
+    // (a shared link or an org-card chip may select a grid-less topic)
+    for (const l of viewState.langs)
+      if (!langCounts.has(l)) langPairs.push([l, 0]);
+    const topicKeys = new Set(topicPairs.map(([t]) => t));
+    for (const t of viewState.topics)
+      if (!topicKeys.has(t)) topicPairs.push([t, 0]);
+
+    if (langFacetsEl)
+      langFacetsEl.innerHTML = langPairs
+        .map(([l, c]) => facetChipHTML("lang", l, l, c, viewState.langs.has(l)))
+        .join("");
+    if (topicFacetsEl)
+      topicFacetsEl.innerHTML = topicPairs
+        .map(([t, c]) =>
+          facetChipHTML("topic", t, `#${t}`, c, viewState.topics.has(t))
+        )
+        .join("");
+  }
 
   function repoCard(r) {
-    const badge = isPinnedGrid(r)
-      ? `<span class="ms-2 shrink-0 rounded-full px-2.5 py-0.5 text-[11px] font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-200">Pinned</span>`
+    const id = `repo-${hashString(r.full_name)}`;
+    const pinned = isPinnedGrid(r);
+    const badge = pinned
+      ? pinnedBadgeHTML(`${id}-pinned`, "ms-2 text-[11px] py-0.5")
       : "";
     const desc = r.description
       ? `<p class="mt-2 text-gray-700 dark:text-gray-300 clamp-4">${esc(
@@ -584,43 +1402,71 @@
         )}</p>`
       : "";
     const lang = r.language
-      ? `<span class="text-xs rounded-full px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">${r.language}</span>`
+      ? `<span class="text-xs rounded-full px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">${esc(
+          r.language
+        )}</span>`
       : "";
+    // Title opens the detail drawer; the whole card is a click target too
     return `
-      <article class="bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 rounded-lg shadow p-6 flex flex-col">
+      <li class="flex">
+      <article data-repo="${esc(r.full_name)}" aria-labelledby="${id}-title"${
+      pinned ? ` aria-describedby="${id}-pinned"` : ""
+    } class="flex-1 cursor-pointer bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 rounded-lg shadow p-6 flex flex-col hover:border-accent-400/60 transition">
         <div class="flex items-center justify-between gap-3">
-          <h4 class="text-lg font-semibold leading-tight">
-            <a href="${
-              r.html_url
-            }" target="_blank" rel="noopener" class="hover:underline">${esc(
-      r.name
-    )}</a>
+          <h4 id="${id}-title" class="text-lg font-semibold leading-tight">
+            <button type="button" data-repo-open aria-haspopup="dialog" class="text-left hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-accent-500 rounded">${esc(
+              r.name
+            )}</button>
           </h4>
-          ${badge}
+          <span class="flex items-center gap-2">
+            ${badge}
+            <a href="${esc(
+              r.html_url
+            )}" target="_blank" rel="noopener" class="text-gray-500 hover:text-accent-700 dark:text-gray-400 dark:hover:text-accent-300" aria-label="${esc(
+      A11y.newTabLabel(t("gh.repoOnGitHub", { name: r.name }))
+    )}" title="${t("common.openOnGitHub")}">↗</a>
+          </span>
         </div>
         ${desc}
         <div class="mt-auto pt-4 text-sm flex items-center justify-between text-gray-600 dark:text-gray-400">
           <div class="flex items-center gap-3">
             ${lang}
-            <span class="inline-flex items-center gap-1" title="Stars">
-              ${STAR_SVG}${r.stargazers_count}
+            <span class="inline-flex items-center gap-1" title="${t(
+              "common.stars"
+            )}">
+              ${STAR_SVG}${r.stargazers_count}<span class="sr-only">${t(
+      "common.stars"
+    )}</span>
             </span>
           </div>
-          <span>Updated ${timeAgo(r.pushed_at)}</span>
+          <span>${t("gh.updated", { time: I18n.timeAgo(r.pushed_at) })}</span>
         </div>
       </article>
+      </li>
     `;
   }
 
-  async function fetchAllForGrid() {
+  // opts.onPage(partial) fires while multi-page sources are still loading
+  async function fetchAllForGrid(opts) {
+    const partial = new Map(); // source index → items so far
+    const sourceOpts = (i) =>
+      opts.onPage
+        ? {
+            ...opts,
+            onPage: (items) => {
+              partial.set(i, items);
+              opts.onPage(Array.from(partial.values()).flat());
+            },
+          }
+        : opts;
     const parts = [
-      fetchUserRepos(USER),
-      ...ORGS.map((o) => fetchOrgReposForGrid(o)),
+      fetchUserRepos(USER, sourceOpts(0)),
+      ...ORGS.map((o, i) => fetchOrgReposForGrid(o, sourceOpts(i + 1))),
     ];
 
     // manual json'u yükle + GitHub'dan yıldız/topics hydrate et
     const manualBase = await loadManualRepos(MANUAL_SRC).catch(() => []);
-    const manualHydrated = await hydrateManualRepos(manualBase).catch(
+    const manualHydrated = await hydrateManualRepos(manualBase, opts).catch(
       () => manualBase
     );
 
@@ -635,27 +1481,460 @@
     return Array.from(map.values());
   }
 
-  async function renderGrid(modeFromUI) {
+  // Filter + sort the already-fetched list and repaint (no network)
+  function paintGrid() {
+    if (!grid || !gridRaw) return;
+    const base = applyGridFilters(gridRaw);
+    renderFacets(base);
+    const repos = base.filter(matchesToolbar);
+    sortRepos(repos, viewState.sort);
+    // Pinned first, keep stable order otherwise
+    repos.sort((a, b) => isPinnedGrid(b) - isPinnedGrid(a));
+    const visible = repos.slice(0, gridShown);
+    gridView = repos;
+    patchChildren(
+      grid,
+      repos.length
+        ? visible.map((r) => ({ key: r.full_name, html: repoCard(r) }))
+        : [
+            {
+              key: "(empty)",
+              html: `<li class="col-span-full text-center text-gray-600 dark:text-gray-400">${t(
+                "gh.grid.empty"
+              )}</li>`,
+            },
+          ]
+    );
+    gridCount = { count: repos.length, total: base.length };
+    showGridStatus();
+    showLoadMore(repos.length - visible.length);
+    clearFiltersBtn?.classList.toggle("hidden", !hasToolbarFilters());
+    document.dispatchEvent(new CustomEvent("portfolio:projects"));
+  }
+
+  // () → "updated 5 minutes ago" / "refreshing…" next to the count; a function
+  // so the status can be redrawn in another language
+  let gridFreshness = () => "";
+  let gridShown = GRID_BATCH; // cards rendered; "Load more" adds a batch
+
+  // "Load more" button under the grid (hidden when everything is shown)
+  let loadMoreBtn = null;
+  function showLoadMore(remaining) {
+    if (!loadMoreBtn) {
+      if (remaining <= 0) return;
+      loadMoreBtn = document.createElement("button");
+      loadMoreBtn.type = "button";
+      loadMoreBtn.id = "ghLoadMore";
+      loadMoreBtn.className =
+        "mt-6 mx-auto block rounded-md border border-gray-300 dark:border-gray-700 px-4 py-2 text-sm text-gray-800 dark:text-gray-100 hover:border-accent-400 focus:outline-none focus-visible:ring-2 focus-visible:ring-accent-500";
+      loadMoreBtn.addEventListener("click", () => {
+        const first = gridShown;
+        gridShown += GRID_BATCH;
+        paintGrid();
+        // Keyboard users continue at the first new card
+        grid.children[first]?.querySelector("[data-repo-open]")?.focus();
+      });
+      grid.insertAdjacentElement("afterend", loadMoreBtn);
+    }
+    loadMoreBtn.hidden = remaining <= 0;
+    loadMoreBtn.textContent = t("gh.loadMore", { count: remaining });
+  }
+  let gridCount = null; // { count, total }, set once the grid has painted
+  let gridError = null; // nothing to show: why the grid is empty
+  let savedCalls = 0; // 304 Not Modified answers this visit (org cards included)
+
+  function showGridStatus() {
+    if (!statusEl) return;
+    if (!gridCount) {
+      statusEl.textContent = gridError
+        ? t("gh.status.error", { hint: networkErrorHint(gridError) })
+        : t("gh.status.loading");
+      return;
+    }
+    const { count, total } = gridCount;
+    const saved = savedCalls ? t("gh.savedCalls", { count: savedCalls }) : "";
+    statusEl.textContent = [
+      count === total
+        ? t("gh.count", { count })
+        : t("gh.countOf", { count, total }),
+      gridFreshness(),
+      saved,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    statusEl.title = saved ? t("gh.savedCallsHint") : "";
+  }
+  function noteSavedCall() {
+    savedCalls++;
+    showGridStatus();
+  }
+
+  // Placeholder cards until the first paint (patchChildren drops them: no key)
+  function showGridSkeleton() {
+    if (!grid || grid.children.length) return;
+    grid.innerHTML = Array.from({ length: 3 }, () =>
+      A11y.skeletonHTML(t("gh.grid.loading"), {
+        tag: "li",
+        className:
+          "bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 rounded-lg shadow p-6",
+        lines: 4,
+      })
+    ).join("");
+  }
+
+  // peek: paint whatever is cached (no network); otherwise fetch, then patch
+  async function renderGrid({ peek = false } = {}) {
     if (!grid) return;
+    if (!peek) A11y.setBusy(grid, true);
+    const track = newTrack();
+    // Nothing on screen yet: paint the first page while the rest loads
+    const onPage =
+      peek || gridRaw
+        ? null
+        : (partialRaw) => {
+            gridRaw = partialRaw;
+            gridFreshness = () => t("status.loadingMore");
+            paintGrid();
+          };
     try {
-      const raw = await fetchAllForGrid();
-      let repos = applyGridFilters(raw);
-      const sortMode = modeFromUI || localStorage.getItem("ghSort") || "pushed";
-      if (sortSel) sortSel.value = sortMode;
-      sortRepos(repos, sortMode);
-      // Pinned first, keep stable order otherwise
-      repos.sort((a, b) => isPinnedGrid(b) - isPinnedGrid(a));
-      grid.innerHTML = repos.map(repoCard).join("");
-      statusEl && (statusEl.textContent = `${repos.length} repositories`);
+      const raw = await fetchAllForGrid({ peek, track, onPage });
+      gridFreshness =
+        peek && track.stale
+          ? () => t("status.refreshing")
+          : () => freshnessText(track);
+      gridRaw = raw;
+      paintGrid();
     } catch (e) {
+      if (peek) return; // nothing cached; the network pass will paint
       console.error(e);
-      const hint = networkErrorHint(e);
-      statusEl &&
-        (statusEl.textContent = `Could not load repositories from GitHub. ${hint}`);
+      if (gridRaw) {
+        gridFreshness = () => t("status.offline");
+        paintGrid();
+        return;
+      }
+      gridError = e;
+      showGridStatus();
       grid.innerHTML = "";
+    } finally {
+      if (!peek) A11y.setBusy(grid, false);
     }
   }
 
+  // ---------------- Repo detail drawer ----------------
+  const Markdown = window.PortfolioMarkdown;
+  const LANG_COLORS = {
+    Python: "#3572A5",
+    JavaScript: "#f1e05a",
+    TypeScript: "#3178c6",
+    Java: "#b07219",
+    Go: "#00ADD8",
+    "Jupyter Notebook": "#DA5B0B",
+    HTML: "#e34c26",
+    CSS: "#563d7c",
+    Shell: "#89e051",
+    Dockerfile: "#384d54",
+    "C++": "#f34b7d",
+    C: "#555555",
+    Kotlin: "#A97BFF",
+    Swift: "#F05138",
+    Dart: "#00B4AB",
+  };
+  const langColor = (name) =>
+    LANG_COLORS[name] || `hsl(${parseInt(hashString(name), 36) % 360} 45% 55%)`;
+
+  async function fetchReadme(owner, repo) {
+    return cachedJSON(`gh:readme:${owner}/${repo}`, () =>
+      fromSource("readme", owner, repo)
+    );
+  }
+  async function fetchLanguages(owner, repo, priority) {
+    return cachedJSON(`gh:languages:${owner}/${repo}`, () =>
+      fromSource("languages", owner, repo, priority)
+    );
+  }
+  async function fetchActivity(owner, repo) {
+    return cachedJSON(`gh:activity:${owner}/${repo}`, () =>
+      fromSource("activity", owner, repo)
+    );
+  }
+  async function loadWriteup(r) {
+    if (r._writeup) return { text: r._writeup, base: location.href };
+    const res = await fetch(r._writeupSrc, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`Cannot load ${r._writeupSrc}: ${res.status}`);
+    return {
+      text: await res.text(),
+      base: new URL(r._writeupSrc, location.href).href,
+    };
+  }
+
+  let drawerEl = null;
+  let drawerReturnFocus = null;
+  let drawerRepo = ""; // full_name of the open repo
+  let drawerToken = 0; // ignore responses for a repo that is no longer open
+
+  function ensureDrawer() {
+    if (drawerEl) return drawerEl;
+    drawerEl = document.createElement("div");
+    drawerEl.id = "repoDrawer";
+    drawerEl.className = "fixed inset-0 z-50 hidden";
+    drawerEl.innerHTML = `
+      <div data-drawer-close class="absolute inset-0 bg-black/40"></div>
+      <aside role="dialog" aria-modal="true" aria-labelledby="repoDrawerTitle" tabindex="-1"
+             class="absolute right-0 top-0 h-full w-full max-w-2xl overflow-y-auto bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100 shadow-xl p-6 focus:outline-none">
+        <div class="flex items-start justify-between gap-3">
+          <h3 id="repoDrawerTitle" class="text-2xl font-bold break-words"></h3>
+          <button type="button" data-drawer-close aria-label="${t(
+            "gh.drawer.close"
+          )}" data-i18n-attr="aria-label:gh.drawer.close"
+                  class="shrink-0 rounded-lg p-2 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-accent-500">✕</button>
+        </div>
+        <div data-drawer-body></div>
+      </aside>
+    `;
+    drawerEl.addEventListener("click", (ev) => {
+      if (ev.target.closest("[data-drawer-close]")) closeDrawer();
+    });
+    drawerEl.addEventListener("keydown", onDrawerKeydown);
+    document.body.appendChild(drawerEl);
+    return drawerEl;
+  }
+
+  // Esc closes; Tab stays inside the dialog
+  function onDrawerKeydown(ev) {
+    if (ev.key === "Escape") {
+      ev.preventDefault();
+      closeDrawer();
+      return;
+    }
+    if (ev.key !== "Tab") return;
+    const focusables = Array.from(
+      drawerEl.querySelectorAll(
+        'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+      )
+    );
+    if (!focusables.length) return;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    if (ev.shiftKey && document.activeElement === first) {
+      ev.preventDefault();
+      last.focus();
+    } else if (!ev.shiftKey && document.activeElement === last) {
+      ev.preventDefault();
+      first.focus();
+    }
+  }
+
+  const drawerSection = (name, title) => `
+    <section class="mt-6" data-section="${name}">
+      <h4 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">${title}</h4>
+      <div class="mt-2 text-sm" data-slot aria-busy="true">${A11y.skeletonHTML(
+        t("common.loading"),
+        { lines: 2 }
+      )}</div>
+    </section>`;
+
+  function languageBarHTML(langs) {
+    const pairs = Object.entries(langs || {}).filter(([, n]) => n > 0);
+    const total = pairs.reduce((n, [, b]) => n + b, 0);
+    if (!total)
+      return `<p class="text-gray-500 dark:text-gray-400">${t(
+        "gh.drawer.noLanguages"
+      )}</p>`;
+    pairs.sort((a, b) => b[1] - a[1]);
+    const pct = (b) => ((b / total) * 100).toFixed(1);
+    return `
+      <div class="flex h-2.5 w-full overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700" role="img"
+           aria-label="${esc(
+             pairs.map(([l, b]) => `${l} ${pct(b)}%`).join(", ")
+           )}">
+        ${pairs
+          .map(
+            ([l, b]) =>
+              `<span style="width:${pct(b)}%;background:${langColor(
+                l
+              )}"></span>`
+          )
+          .join("")}
+      </div>
+      <ul class="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs">
+        ${pairs
+          .map(
+            ([l, b]) => `
+          <li class="inline-flex items-center gap-1.5">
+            <span class="h-2.5 w-2.5 rounded-full" style="background:${langColor(
+              l
+            )}"></span>${esc(l)} <span class="opacity-70">${pct(b)}%</span>
+          </li>`
+          )
+          .join("")}
+      </ul>`;
+  }
+
+  function activityHTML(items, empty, line) {
+    if (!items.length)
+      return `<p class="text-gray-500 dark:text-gray-400">${empty}</p>`;
+    return `<ul class="space-y-2">${items.map(line).join("")}</ul>`;
+  }
+  const commitLine = (c) => `
+    <li class="flex items-baseline justify-between gap-3">
+      <a class="text-accent-700 dark:text-accent-300 hover:underline break-words" target="_blank" rel="noopener"
+         href="${esc(c.url)}"><code class="text-xs opacity-70">${esc(
+    c.sha.slice(0, 7)
+  )}</code> ${esc(c.message)}</a>
+      <span class="shrink-0 text-xs text-gray-500 dark:text-gray-400">${esc(
+        c.author
+      )} · ${I18n.timeAgo(c.date)}</span>
+    </li>`;
+  const releaseLine = (r) => `
+    <li class="flex items-baseline justify-between gap-3">
+      <a class="text-accent-700 dark:text-accent-300 hover:underline" target="_blank" rel="noopener"
+         href="${esc(r.url)}">${esc(r.name)}</a>
+      <span class="shrink-0 text-xs text-gray-500 dark:text-gray-400">${esc(
+        r.tag
+      )} · ${I18n.timeAgo(r.date)}</span>
+    </li>`;
+
+  // Fill one section once its (lazy) data arrives, unless another repo was opened meanwhile
+  async function fillSection(token, name, load, toHTML) {
+    const slot = drawerEl.querySelector(`[data-section="${name}"] [data-slot]`);
+    let html;
+    try {
+      html = toHTML(await load());
+    } catch (e) {
+      console.error(e);
+      html = `<p class="text-red-600 dark:text-red-400">${esc(
+        t("gh.drawer.error", { hint: networkErrorHint(e) })
+      )}</p>`;
+    }
+    if (token !== drawerToken || !slot) return;
+    slot.innerHTML = html;
+    A11y.markNewTabLinks(slot); // README links, commits, releases
+    A11y.setBusy(slot, false);
+  }
+
+  function openDrawer(fullName) {
+    const r = gridRaw?.find((x) => x.full_name === fullName);
+    if (!r) return;
+    const [owner, name] = fullName.split("/");
+    const token = ++drawerToken;
+    drawerRepo = fullName;
+    const el = ensureDrawer();
+    if (el.classList.contains("hidden"))
+      drawerReturnFocus = document.activeElement;
+
+    el.querySelector("#repoDrawerTitle").textContent = r.name;
+    const topics = Array.isArray(r.topics) ? r.topics : [];
+    const hasWriteup = !!(r._writeup || r._writeupSrc);
+    el.querySelector("[data-drawer-body]").innerHTML = `
+      ${
+        r.description
+          ? `<p class="mt-2 text-gray-700 dark:text-gray-300">${esc(
+              r.description
+            )}</p>`
+          : ""
+      }
+      <div class="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
+        <span class="inline-flex items-center gap-1" title="${t(
+          "common.stars"
+        )}">${STAR_SVG}${r.stargazers_count}<span class="sr-only">${t(
+      "common.stars"
+    )}</span></span>
+        <span>${t("gh.updated", { time: I18n.timeAgo(r.pushed_at) })}</span>
+        <a class="text-accent-700 dark:text-accent-300 underline" target="_blank" rel="noopener"
+           href="${esc(r.html_url)}">${t("gh.drawer.open")}${A11y.newTab()}</a>
+      </div>
+      ${
+        topics.length
+          ? `<ul class="mt-4 flex flex-wrap gap-2" aria-label="${t(
+              "gh.drawer.topics"
+            )}">${topics
+              .map(
+                (t) =>
+                  `<li class="px-2.5 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">#${esc(
+                    t
+                  )}</li>`
+              )
+              .join("")}</ul>`
+          : ""
+      }
+      ${drawerSection("languages", t("gh.drawer.languages"))}
+      ${drawerSection(
+        "readme",
+        t(hasWriteup ? "gh.drawer.writeup" : "gh.drawer.readme")
+      )}
+      ${drawerSection("commits", t("gh.drawer.commits"))}
+      ${drawerSection("releases", t("gh.drawer.releases"))}
+    `;
+
+    el.classList.remove("hidden");
+    document.body.classList.add("overflow-hidden");
+    el.querySelector("[data-drawer-close].shrink-0")?.focus();
+
+    // Sections load independently; GraphQL repos already carry language bytes
+    fillSection(
+      token,
+      "languages",
+      () =>
+        r.languages && Object.keys(r.languages).length
+          ? r.languages
+          : fetchLanguages(owner, name),
+      languageBarHTML
+    );
+    fillSection(
+      token,
+      "readme",
+      async () => {
+        if (hasWriteup) return loadWriteup(r);
+        const readme = await fetchReadme(owner, name);
+        return (
+          readme && {
+            text: readme.text,
+            link: `https://github.com/${fullName}/blob/HEAD/${readme.path}`,
+            image: `https://raw.githubusercontent.com/${fullName}/HEAD/${readme.path}`,
+          }
+        );
+      },
+      (doc) =>
+        doc
+          ? `<div class="md-body">${Markdown.render(doc.text, {
+              linkBase: doc.link || doc.base,
+              imageBase: doc.image || doc.base,
+            })}</div>`
+          : `<p class="text-gray-500 dark:text-gray-400">${t(
+              "gh.drawer.noReadme"
+            )}</p>`
+    );
+    const activity = fetchActivity(owner, name);
+    fillSection(
+      token,
+      "commits",
+      async () => (await activity).commits,
+      (list) => activityHTML(list, t("gh.drawer.noCommits"), commitLine)
+    );
+    fillSection(
+      token,
+      "releases",
+      async () => (await activity).releases,
+      (list) => activityHTML(list, t("gh.drawer.noReleases"), releaseLine)
+    );
+  }
+
+  function closeDrawer() {
+    if (!drawerEl || drawerEl.classList.contains("hidden")) return;
+    drawerToken++;
+    drawerEl.classList.add("hidden");
+    document.body.classList.remove("overflow-hidden");
+    // The card may have been re-rendered by a background refresh meanwhile
+    const target =
+      drawerReturnFocus && document.contains(drawerReturnFocus)
+        ? drawerReturnFocus
+        : grid?.querySelector(
+            `article[data-repo="${CSS.escape(drawerRepo)}"] [data-repo-open]`
+          );
+    target?.focus();
+    drawerReturnFocus = null;
+  }
+
   // ---------------- Boot ----------------
   // Optional: global profile link helper if you added #ghProfileLink
   const PROFILE_URL =
@@ -672,14 +1951,203 @@
 
   async function boot() {
     setGlobalProfileLink();
+    showGridStatus();
+    await loadSnapshot(SNAPSHOT_SRC);
     if (orgsContainer) await buildOrgCardsFromJSON();
-    if (orgsContainer) await fillOrgCards();
-    await renderGrid();
+    paintOrgCards();
+    showGridSkeleton();
+    // Cached data first (even if expired), then revalidate and patch changes
+    if (orgsContainer) await fillOrgCards({ peek: true });
+    await renderGrid({ peek: true });
+    // Both at once: the queue's priorities put the grid ahead of org cards/topics
+    await Promise.all([renderGrid(), orgsContainer && fillOrgCards()]);
+    resumePending();
+  }
+
+  // Work an earlier visit could not finish (rate limit, page left early) goes
+  // to the back of the queue; results land in the cache for the next paint
+  const RESUMERS = {
+    topics: (owner, repo) => fetchRepoTopics(owner, repo),
+  };
+  function resumePending() {
+    for (const item of readPending()) {
+      const [kind, ...args] = item;
+      if (!RESUMERS[kind]) {
+        forgetPending(item);
+        continue;
+      }
+      RESUMERS[kind](...args).then(
+        () => forgetPending(item),
+        () => {} // still pending (saved again if rate limited)
+      );
+    }
   }
 
+  // ---------------- URL state ----------------
+  // ?sort=stars&q=gan&lang=Python&topic=nlp,llm&org=Hot-Map&forks=1&archived=1#projects
+  const URL_STATE_KEYS = [
+    "sort",
+    "q",
+    "lang",
+    "topic",
+    "org",
+    "forks",
+    "archived",
+  ];
+  function readUrlState() {
+    const p = new URLSearchParams(location.search);
+    const list = (k) =>
+      (p.get(k) || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    // A shared link without ?sort means the default order, not the visitor's saved one
+    const shared = URL_STATE_KEYS.some((k) => p.has(k));
+    viewState.sort =
+      p.get("sort") ||
+      (shared ? "pushed" : localStorage.getItem("ghSort") || "pushed");
+    viewState.query = (p.get("q") || "").trim();
+    viewState.langs = new Set(list("lang"));
+    viewState.topics = new Set(list("topic").map((t) => t.toLowerCase()));
+    viewState.org = p.get("org") || "";
+    viewState.forks = p.has("forks") ? p.get("forks") === "1" : !EXCLUDE_FORKS;
+    viewState.archived = p.has("archived")
+      ? p.get("archived") === "1"
+      : !EXCLUDE_ARCHIVED;
+  }
+
+  // push for discrete changes (Back restores them), replace while typing
+  function writeUrlState(replace = false) {
+    const p = new URLSearchParams(location.search);
+    for (const k of URL_STATE_KEYS) p.delete(k); // keep unrelated params (?debug=…)
+    if (viewState.sort !== "pushed") p.set("sort", viewState.sort);
+    if (viewState.query) p.set("q", viewState.query);
+    if (viewState.langs.size) p.set("lang", [...viewState.langs].join(","));
+    if (viewState.topics.size) p.set("topic", [...viewState.topics].join(","));
+    if (viewState.org) p.set("org", viewState.org);
+    if (viewState.forks !== !EXCLUDE_FORKS)
+      p.set("forks", viewState.forks ? "1" : "0");
+    if (viewState.archived !== !EXCLUDE_ARCHIVED)
+      p.set("archived", viewState.archived ? "1" : "0");
+    const qs = p.toString();
+    const shared = URL_STATE_KEYS.some((k) => p.has(k));
+    const url = `${location.pathname}${qs ? `?${qs}` : ""}${
+      shared ? "#projects" : location.hash
+    }`;
+    if (url === location.pathname + location.search + location.hash) return;
+    history[replace ? "replaceState" : "pushState"](null, "", url);
+  }
+
+  function syncControls() {
+    if (sortSel) sortSel.value = viewState.sort;
+    if (searchInput) searchInput.value = viewState.query;
+    if (forksToggle) forksToggle.checked = viewState.forks;
+    if (archivedToggle) archivedToggle.checked = viewState.archived;
+    if (orgFilterSel) orgFilterSel.value = viewState.org;
+  }
+
+  // Any toolbar/org change: repaint both sections and record it in the URL
+  function onViewChange(replace = false) {
+    gridShown = GRID_BATCH; // new filter/sort: start from the first batch again
+    paintGrid();
+    paintOrgCards();
+    writeUrlState(replace);
+  }
+
+  readUrlState();
+  syncControls();
+
+  window.addEventListener("popstate", () => {
+    readUrlState();
+    syncControls();
+    paintGrid();
+    paintOrgCards();
+  });
+
+  // ---------------- Toolbar wiring ----------------
   sortSel?.addEventListener("change", () => {
     localStorage.setItem("ghSort", sortSel.value);
-    renderGrid(sortSel.value);
+    viewState.sort = sortSel.value;
+    onViewChange();
+    // Focus stays on the select; say what changed below it
+    A11y.announce(
+      t("common.sortedBy", {
+        order: sortSel.selectedOptions[0]?.textContent.trim() || "",
+      })
+    );
+  });
+  searchInput?.addEventListener("input", () => {
+    viewState.query = searchInput.value.trim();
+    onViewChange(true);
+  });
+  forksToggle?.addEventListener("change", () => {
+    viewState.forks = forksToggle.checked;
+    onViewChange();
+  });
+  archivedToggle?.addEventListener("change", () => {
+    viewState.archived = archivedToggle.checked;
+    onViewChange();
+  });
+  orgFilterSel?.addEventListener("change", () => {
+    viewState.org = orgFilterSel.value;
+    onViewChange();
+  });
+  // Facet chips in the toolbar and topic chips on org cards share one handler
+  for (const el of [langFacetsEl, topicFacetsEl, orgsContainer]) {
+    el?.addEventListener("click", (ev) => {
+      const btn = ev.target.closest("button[data-facet]");
+      if (!btn) return;
+      const set =
+        btn.dataset.facet === "lang" ? viewState.langs : viewState.topics;
+      const v = btn.dataset.value;
+      if (set.has(v)) set.delete(v);
+      else set.add(v);
+      onViewChange();
+    });
+  }
+  orgsContainer?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest(".org-load-more");
+    const card = btn?.closest(".org-card");
+    if (!card) return;
+    const limit = parseInt(card.getAttribute("data-limit") || "0", 10);
+    const before = card.querySelectorAll(".repo-list > li").length;
+    orgCardShown.set(card, before + limit);
+    paintOrgCard(card);
+    // The button was re-rendered: continue at the first repo it revealed
+    card.querySelectorAll(".repo-list > li a")[before]?.focus();
+  });
+  // Arrow keys / Home / End move between cards (a11y.js)
+  if (grid)
+    A11y.cardKeys(grid, {
+      items: "article[data-repo]",
+      target: "[data-repo-open]",
+    });
+  if (orgsContainer)
+    A11y.cardKeys(orgsContainer, {
+      items: ".org-card",
+      target: "h4 a, .repo-list a",
+    });
+  // Grid card → detail drawer (links inside the card keep their own behaviour)
+  grid?.addEventListener("click", (ev) => {
+    if (ev.target.closest("a")) return;
+    const card = ev.target.closest("article[data-repo]");
+    if (card) openDrawer(card.getAttribute("data-repo"));
+  });
+  clearFiltersBtn?.addEventListener("click", () => {
+    viewState.query = "";
+    viewState.langs.clear();
+    viewState.topics.clear();
+    viewState.org = "";
+    syncControls();
+    onViewChange();
+  });
+  // Everything is painted from memory, so a new language needs no refetch
+  document.addEventListener("portfolio:languagechange", () => {
+    paintGrid();
+    paintOrgCards();
+    showGridStatus();
+    if (drawerEl && !drawerEl.classList.contains("hidden"))
+      openDrawer(drawerRepo);
   });
 
   if (document.readyState === "loading") {
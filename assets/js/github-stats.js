@@ -0,0 +1,322 @@
+/* assets/js/github-stats.js  —  stats panel (#ghStats) above the org cards
+   Built from the repos the grid and the org cards already loaded
+   (window.PortfolioProjects, github-projects.js):
+   - total stars over the grid and every org card (each repo counted once)
+   - most-used topics, as a bar chart
+   - language distribution by code size, as a donut: /languages of the
+     data-language-repos most recently pushed repos (gh:languages:* cache keys,
+     shared with the detail drawer; repos from the GraphQL source bring their own),
+     tried again on the next repo change after a failed call
+   - recent public activity: events per day over data-activity-days and the
+     latest data-events entries of /users/{user}/events/public (gh:events:{user})
+
+   The two API-backed cards start when the panel comes near the viewport, so a
+   visit that never scrolls there spends no calls; their requests queue behind
+   everything else. Charts are <svg role="img"> with a title + description
+   (stats-core.js) and the numbers are also written out as text; cards still
+   loading are aria-busy with a placeholder (a11y.js). Repainted on
+   "portfolio:languagechange", and on "portfolio:projects" / "portfolio:orgrepos"
+   when the repos (names, stars, topics, push dates) actually changed.
+*/
+(function () {
+  const panel = document.getElementById("ghStats");
+  const body = panel?.querySelector("[data-stats-body]");
+  const Projects = window.PortfolioProjects;
+  if (!body || !Projects) return;
+  const Core = window.StatsCore; // stats-core.js
+  const { httpErrorToMessage, collectTopicsAcross } = window.GitHubCore;
+  const I18n = window.PortfolioI18n; // i18n.js
+  const A11y = window.PortfolioA11y; // a11y.js
+  const t = I18n.t;
+
+  const intAttr = (name, fallback) => {
+    const n = parseInt(panel.getAttribute(name), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const LANGUAGE_REPOS = intAttr("data-language-repos", 12);
+  const EVENTS_SHOWN = intAttr("data-events", 6);
+  const DAYS = intAttr("data-activity-days", 14);
+  const TOPICS_SHOWN = 8;
+  const LANGUAGES_SHOWN = 6;
+
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+  const percent = (share) =>
+    new Intl.NumberFormat(I18n.locale(), {
+      style: "percent",
+      maximumFractionDigits: 1,
+    }).format(share);
+  const errorText = (err) =>
+    t("stats.error", {
+      hint: err?.status ? httpErrorToMessage(err.status, I18n.locale()) : "",
+    }).trim();
+
+  let repos = []; // grid + org cards, one entry per full_name
+  let reposSig = ""; // what the cards read from `repos`, in any order
+  let started = false; // panel has been near the viewport
+  // sig: repos of the last complete run; loading: repos of the run in flight
+  const languages = {
+    sig: "",
+    loading: "",
+    list: null,
+    count: 0,
+    error: null,
+  };
+  const activity = { events: null, error: null };
+
+  // ---- Cards ----
+  const CARD =
+    "bg-white dark:bg-gray-800 border border-gray-200/60 dark:border-gray-700/60 shadow rounded-lg p-6";
+  // busy: the card still waits for its data (aria-busy, skeleton inside)
+  const card = (key, title, inner, busy = false) => `
+    <article class="${CARD}" data-stats-card="${key}" aria-labelledby="ghStats-${key}-h"${
+    busy ? ' aria-busy="true"' : ""
+  }>
+      <h5 id="ghStats-${key}-h" class="font-semibold mb-3">${esc(title)}</h5>
+      ${inner}
+    </article>`;
+  const note = (text, tone = "text-gray-600 dark:text-gray-400") =>
+    `<p class="text-sm ${tone}">${esc(text)}</p>`;
+  const pending = () => A11y.skeletonHTML(t("common.loading"), { lines: 3 });
+
+  function overviewHTML() {
+    const stars = Core.totalStars(repos);
+    return card(
+      "overview",
+      t("stats.overview"),
+      `<p class="text-4xl font-bold text-accent-700 dark:text-accent-300">${esc(
+        t("stats.stars", { count: stars })
+      )}</p>
+      ${note(t("stats.repos", { count: repos.length }))}`
+    );
+  }
+
+  function languagesHTML() {
+    let inner;
+    if (languages.error)
+      inner = note(
+        errorText(languages.error),
+        "text-red-600 dark:text-red-400"
+      );
+    else if (!languages.list) inner = pending();
+    else if (!languages.list.length) inner = note(t("gh.drawer.noLanguages"));
+    else {
+      const named = languages.list.map((l) => ({
+        ...l,
+        label: l.name ?? t("stats.other"),
+        color: l.name ? Projects.languageColor(l.name) : "#9ca3af",
+      }));
+      const list = named
+        .map((l) => `${l.label} ${percent(l.share)}`)
+        .join(", ");
+      inner = `
+        <div class="flex flex-wrap items-center gap-6">
+          ${Core.donutSVG(
+            "ghStats-languages",
+            named.map((l) => ({ value: l.bytes, color: l.color })),
+            {
+              title: t("stats.languages"),
+              desc: t("stats.languagesDesc", { list }),
+            }
+          )}
+          <ul class="space-y-1 text-sm">${named
+            .map(
+              (l) => `
+            <li class="flex items-center gap-2">
+              <span class="inline-block h-3 w-3 rounded-full" style="background-color: ${esc(
+                l.color
+              )}" aria-hidden="true"></span>
+              <span>${esc(l.label)}</span>
+              <span class="text-gray-600 dark:text-gray-400">${percent(
+                l.share
+              )}</span>
+            </li>`
+            )
+            .join("")}</ul>
+        </div>
+        ${note(t("stats.languagesNote", { count: languages.count }))}`;
+    }
+    return card(
+      "languages",
+      t("stats.languages"),
+      inner,
+      !languages.list && !languages.error
+    );
+  }
+
+  function topicsHTML() {
+    const top = collectTopicsAcross(repos).slice(0, TOPICS_SHOWN);
+    const inner = top.length
+      ? Core.barsSVG(
+          "ghStats-topics",
+          top.map(([label, value]) => ({ label, value })),
+          {
+            title: t("stats.topics"),
+            desc: t("stats.topicsDesc", {
+              list: top.map(([k, n]) => `${k} ${n}`).join(", "),
+            }),
+          }
+        )
+      : note(t("stats.noTopics"));
+    return card("topics", t("stats.topics"), inner);
+  }
+
+  function activityHTML() {
+    let inner;
+    if (activity.error)
+      inner = note(errorText(activity.error), "text-red-600 dark:text-red-400");
+    else if (!activity.events) inner = pending();
+    else {
+      const days = Core.activityByDay(activity.events, { days: DAYS });
+      const total = days.reduce((n, d) => n + d.count, 0);
+      const items = activity.events
+        .map(Core.describeEvent)
+        .filter(Boolean)
+        .slice(0, EVENTS_SHOWN);
+      inner = `
+        ${Core.columnsSVG(
+          "ghStats-activity",
+          days.map((d) => d.count),
+          {
+            title: t("stats.activityTitle", { count: DAYS }),
+            desc: t("stats.activityDesc", { count: total, days: DAYS }),
+          }
+        )}
+        ${note(t("stats.activityDesc", { count: total, days: DAYS }))}
+        ${
+          items.length
+            ? `<ol class="mt-3 space-y-2 text-sm">${items
+                .map(
+                  (e) => `
+            <li class="flex items-baseline justify-between gap-3">
+              <a class="text-accent-700 dark:text-accent-300 hover:underline break-words" target="_blank" rel="noopener" href="${esc(
+                e.url
+              )}">${esc(t(e.key, e.vars))}${A11y.newTab()}</a>
+              <time class="shrink-0 text-xs text-gray-500 dark:text-gray-400" datetime="${esc(
+                e.date
+              )}" title="${esc(I18n.date(e.date))}">${esc(
+                    I18n.timeAgo(e.date)
+                  )}</time>
+            </li>`
+                )
+                .join("")}</ol>`
+            : note(t("stats.noActivity"))
+        }`;
+    }
+    return card(
+      "activity",
+      t("stats.activity"),
+      inner,
+      !activity.events && !activity.error
+    );
+  }
+
+  function paint() {
+    body.innerHTML = [
+      overviewHTML(),
+      languagesHTML(),
+      topicsHTML(),
+      activityHTML(),
+    ].join("");
+  }
+
+  // ---- Data ----
+  async function loadLanguages() {
+    const picked = Core.pickLanguageRepos(repos, LANGUAGE_REPOS);
+    const sig = picked.map((r) => r.full_name).join(",");
+    if (sig === languages.sig || sig === languages.loading) return;
+    languages.loading = sig;
+    // Repos from the GraphQL source already carry their language bytes
+    const results = await Promise.allSettled(
+      picked.map((r) => r.languages || Projects.languages(r.full_name))
+    );
+    if (sig !== languages.loading) return; // the repos changed meanwhile
+    languages.loading = "";
+    const maps = results
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+    const failed = results.find((r) => r.status === "rejected");
+    if (failed)
+      console.warn("Stats: some /languages calls failed", failed.reason);
+    // After a failure the same repos are tried again on the next change
+    languages.sig = failed ? "" : sig;
+    languages.list = Core.aggregateLanguages(maps, LANGUAGES_SHOWN);
+    languages.count = maps.length;
+    languages.error = picked.length && !maps.length ? failed.reason : null;
+    paint();
+  }
+
+  async function loadActivity() {
+    try {
+      const events = await Projects.events();
+      activity.events = Array.isArray(events) ? events : [];
+      activity.error = null;
+    } catch (e) {
+      console.error(e);
+      activity.error = e;
+    }
+    paint();
+  }
+
+  // Toolbar searches and sorts fire "portfolio:projects" too, but leave the
+  // grid's unfiltered repos alone: no repaint then
+  const signature = (list) =>
+    list
+      .map((r) =>
+        [
+          r.full_name,
+          r.stargazers_count,
+          r.pushed_at,
+          r.fork,
+          r.archived,
+          r.topics,
+        ].join("|")
+      )
+      .sort()
+      .join("\n");
+
+  function onRepos() {
+    const { grid, orgs } = Projects.repos();
+    const next = Core.uniqueRepos(grid, ...orgs);
+    const sig = signature(next);
+    if (sig === reposSig) return;
+    repos = next;
+    reposSig = sig;
+    paint();
+    if (started && repos.length) loadLanguages();
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    if (repos.length) loadLanguages();
+    loadActivity();
+  }
+
+  document.addEventListener("portfolio:projects", onRepos);
+  document.addEventListener("portfolio:orgrepos", onRepos);
+  document.addEventListener("portfolio:languagechange", paint);
+
+  paint();
+  if ("IntersectionObserver" in window) {
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((e) => e.isIntersecting)) return;
+        io.disconnect();
+        start();
+      },
+      { rootMargin: "200px" }
+    );
+    io.observe(panel);
+  } else start();
+})();
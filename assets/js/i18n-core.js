@@ -0,0 +1,100 @@
+/* assets/js/i18n-core.js  —  DOM-free translation + Intl helpers (window.I18nCore)
+   Catalogs come from i18n-messages.js. `locale` is a BCP 47 tag ("tr",
+   "en-GB", …): messages use its language, Intl its region.
+
+   - languages()                        → ["en", "tr", …] catalogs available
+   - pickLanguage(saved, preferred)     → saved choice, else first supported
+                                          navigator.languages entry, else "en"
+   - translate(locale, key, vars?)      → message with {placeholders} filled;
+                                          { one, other } values pick by vars.count
+   - relativeTime(value, { locale, now? }) → "3 days ago" / "yesterday" / "just now"
+   - formatDate(value, locale, opts?)   → Intl.DateTimeFormat, dateStyle "medium"
+   - formatPartialDate(ymd, locale)     → "2025-06-01" full date, "2025-06" month
+                                          + year, "2025" as is
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./i18n-messages"));
+  else root.I18nCore = factory(root.PortfolioMessages);
+})(typeof self !== "undefined" ? self : this, function (Messages) {
+  const FALLBACK = "en";
+
+  const languages = () => Object.keys(Messages);
+  const baseOf = (locale) =>
+    String(locale || "")
+      .split("-")[0]
+      .toLowerCase();
+  const langOf = (locale) =>
+    Messages[baseOf(locale)] ? baseOf(locale) : FALLBACK;
+
+  function pickLanguage(saved, preferred = []) {
+    if (saved && Messages[saved]) return saved;
+    for (const tag of preferred) if (Messages[baseOf(tag)]) return baseOf(tag);
+    return FALLBACK;
+  }
+
+  function translate(locale, key, vars = {}) {
+    const lang = langOf(locale);
+    let msg = Messages[lang][key] ?? Messages[FALLBACK][key];
+    if (msg == null) return key;
+    if (typeof msg === "object") {
+      const rule = new Intl.PluralRules(lang).select(Number(vars.count) || 0);
+      msg = msg[rule] ?? msg.other;
+    }
+    return msg.replace(/\{(\w+)\}/g, (m, name) =>
+      name in vars ? String(vars[name]) : m
+    );
+  }
+
+  const UNITS = [
+    ["year", 31536000],
+    ["month", 2592000],
+    ["day", 86400],
+    ["hour", 3600],
+    ["minute", 60],
+  ];
+
+  // Largest whole unit, like the old "3d ago"; numeric:"auto" says "yesterday"
+  function relativeTime(value, { locale, now = Date.now() } = {}) {
+    const d = value instanceof Date ? value : new Date(value);
+    if (value == null || value === "" || isNaN(d))
+      return translate(locale, "time.unknown");
+    const s = Math.max(0, (now - d) / 1000);
+    const rtf = new Intl.RelativeTimeFormat(locale || FALLBACK, {
+      numeric: "auto",
+    });
+    for (const [unit, secs] of UNITS)
+      if (s >= secs) return rtf.format(-Math.floor(s / secs), unit);
+    return translate(locale, "time.justNow");
+  }
+
+  function formatDate(value, locale, opts = { dateStyle: "medium" }) {
+    const d = value instanceof Date ? value : new Date(value);
+    if (isNaN(d)) return "";
+    return new Intl.DateTimeFormat(locale || FALLBACK, opts).format(d);
+  }
+
+  // Data-file dates are calendar dates: format in UTC so no time zone shifts them
+  function formatPartialDate(ymd, locale) {
+    const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(ymd || ""));
+    if (!m) return ymd || "";
+    if (!m[2]) return m[1];
+    const opts = m[3]
+      ? { dateStyle: "medium", timeZone: "UTC" }
+      : { month: "short", year: "numeric", timeZone: "UTC" };
+    return formatDate(
+      `${m[1]}-${m[2]}-${m[3] || "01"}T00:00:00Z`,
+      locale,
+      opts
+    );
+  }
+
+  return {
+    languages,
+    pickLanguage,
+    translate,
+    relativeTime,
+    formatDate,
+    formatPartialDate,
+  };
+});
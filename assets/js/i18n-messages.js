@@ -0,0 +1,390 @@
+/* assets/js/i18n-messages.js  —  UI message catalogs (window.PortfolioMessages)
+   One object per language; i18n-core.js looks keys up in the visitor's
+   language, then in English. Values may hold {placeholders}; a value that
+   depends on {count} can be { one, other } (Intl.PluralRules categories).
+
+   Static page text (data-i18n / data-i18n-html / data-i18n-attr in
+   index.html) defaults to what index.html says, so only the other languages
+   carry those keys — see the "Static page text" part of `tr`.
+
+   Adding a language: copy `tr`, translate, and it appears in the switcher.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PortfolioMessages = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const en = {
+    "meta.name": "English",
+
+    "time.justNow": "just now",
+    "time.unknown": "unknown",
+    "status.updated": "updated {time}",
+    "status.refreshing": "refreshing…",
+    "status.loadingMore": "loading more…",
+    "status.offline": "offline · showing saved copy",
+    "common.loading": "Loading…",
+    "common.stars": "Stars",
+    "common.pinned": "Pinned",
+    "common.clear": "Clear",
+    "common.openOnGitHub": "Open on GitHub",
+    "common.newTab": "(opens in a new tab)",
+    "common.sortedBy": "Sorted: {order}",
+
+    // GitHub (github-core.js, github-projects.js)
+    "gh.error.rateLimit": "GitHub rate limit/abuse detection. Try again later.",
+    "gh.error.notFound": "Not found (check username/org name).",
+    "gh.error.server": "GitHub server error.",
+    "gh.error.http": "HTTP {status}",
+    "gh.error.rateLimitUntil":
+      "GitHub rate limit reached, try again after {time}.",
+    "gh.error.file":
+      "Blocked by browser for file://. Use a local server (e.g., `python -m http.server`) or GitHub Pages.",
+    "gh.error.offline": "You appear to be offline.",
+    "gh.error.network": "Network/CORS issue while contacting api.github.com.",
+    "gh.status.loading": "Loading repositories from GitHub…",
+    "gh.status.error": "Could not load repositories from GitHub. {hint}",
+    "gh.count": {
+      one: "{count} repository",
+      other: "{count} repositories",
+    },
+    "gh.countOf": "{count} of {total} repositories",
+    "gh.savedCalls": {
+      one: "{count} API call saved",
+      other: "{count} API calls saved",
+    },
+    "gh.savedCallsHint":
+      "Unchanged data was revalidated with If-None-Match; GitHub's 304 answers don't count against the rate limit.",
+    "gh.grid.empty": "No repositories match the current filters.",
+    "gh.grid.loading": "Loading repository…",
+    "gh.loadMore": "Load more ({count} left)",
+    "gh.updated": "Updated {time}",
+    "gh.repoOnGitHub": "{name} on GitHub",
+    "gh.org.all": "All organizations",
+    "gh.org.role": "My role:",
+    "gh.org.techStack": "Tech stack",
+    "gh.org.noMatch": "No repositories match the selected topics.",
+    "gh.org.none": "No repositories found.",
+    "gh.org.loading": "Loading {org} repositories…",
+    "gh.org.showMore": "Show {count} more",
+    "gh.org.viewAll": "View all on GitHub →",
+    "gh.org.error": "Could not load {org} repos. {hint}",
+    "gh.org.problems": "orgs.json problems:",
+    "gh.org.featuredMissing": 'featured repo "{repo}" was not found in {org}',
+    "gh.drawer.close": "Close details",
+    "gh.drawer.languages": "Languages",
+    "gh.drawer.writeup": "About this project",
+    "gh.drawer.readme": "README",
+    "gh.drawer.commits": "Recent commits",
+    "gh.drawer.releases": "Releases",
+    "gh.drawer.topics": "Topics",
+    "gh.drawer.open": "Open on GitHub ↗",
+    "gh.drawer.noLanguages": "No language data.",
+    "gh.drawer.noReadme": "This repository has no README.",
+    "gh.drawer.noCommits": "No commits yet.",
+    "gh.drawer.noReleases": "No releases published.",
+    "gh.drawer.error": "Could not load this section. {hint}",
+
+    // Stats panel (github-stats.js, stats-core.js)
+    "stats.overview": "Overview",
+    "stats.stars": { one: "{count} star", other: "{count} stars" },
+    "stats.repos": {
+      one: "across {count} repository",
+      other: "across {count} repositories",
+    },
+    "stats.languages": "Languages",
+    "stats.languagesDesc": "Share of code: {list}.",
+    "stats.languagesNote": {
+      one: "By code size of the most recently pushed repository.",
+      other: "By code size of the {count} most recently pushed repositories.",
+    },
+    "stats.other": "Other",
+    "stats.topics": "Top topics",
+    "stats.topicsDesc": "Repositories per topic: {list}.",
+    "stats.noTopics": "No topics yet.",
+    "stats.activity": "Recent activity",
+    "stats.activityTitle": "Public events per day, last {count} days",
+    "stats.activityDesc": {
+      one: "{count} public event in the last {days} days.",
+      other: "{count} public events in the last {days} days.",
+    },
+    "stats.noActivity": "No recent public activity.",
+    "stats.error": "Could not load from GitHub. {hint}",
+    "stats.event.push": {
+      one: "Pushed {count} commit to {repo}",
+      other: "Pushed {count} commits to {repo}",
+    },
+    "stats.event.pushTo": "Pushed to {repo}",
+    "stats.event.createRepo": "Created {repo}",
+    "stats.event.createTag": "Tagged {ref} in {repo}",
+    "stats.event.createBranch": "Created branch {ref} in {repo}",
+    "stats.event.prOpened": "Opened a pull request in {repo}",
+    "stats.event.prMerged": "Merged a pull request in {repo}",
+    "stats.event.prClosed": "Closed a pull request in {repo}",
+    "stats.event.review": "Reviewed a pull request in {repo}",
+    "stats.event.issueOpened": "Opened an issue in {repo}",
+    "stats.event.issueClosed": "Closed an issue in {repo}",
+    "stats.event.comment": "Commented in {repo}",
+    "stats.event.release": "Released {ref} of {repo}",
+    "stats.event.star": "Starred {repo}",
+    "stats.event.fork": "Forked {repo}",
+    "stats.event.public": "Made {repo} public",
+
+    // Credly (credly.js)
+    "credly.noUser": "Credly user is not set.",
+    "credly.loading": "Loading badges from Credly…",
+    "credly.loadingBadge": "Loading badge…",
+    "credly.count": { one: "{count} badge", other: "{count} badges" },
+    "credly.none": "No public badges found on Credly profile.",
+    "credly.noMatch": "No badges match the selected skills.",
+    "credly.cached": "Showing cached Credly badges (offline or CORS issue).",
+    "credly.error": "Couldn’t load from Credly.",
+    "credly.credential": "Credential",
+    "credly.badgeAlt": "{name} badge",
+    "credly.issued": "Issued: {date}",
+    "credly.expired": "Expired {date}",
+    "credly.expires": "Expires {date}",
+    "credly.expiresIn": {
+      one: "Expires in {count} day",
+      other: "Expires in {count} days",
+    },
+    "credly.validUntil": "Valid until {date}",
+    "credly.previously": "Previously earned: {dates}",
+    "credly.skills": "Skills",
+    "credly.verifyCredly": "Verify on Credly",
+    "credly.verify": "Verify credential",
+
+    // CV sections (cv-sections.js)
+    "cv.present": "Present",
+    "cv.highlights": "Highlights",
+    "cv.error": "Couldn’t load this section. See the {link}.",
+    "cv.pdf": "CV (PDF)",
+
+    // Print mode (print-cv.js)
+    "print.preview": "Print preview ({paper})",
+    "print.print": "Print",
+    "print.exit": "Exit",
+    "print.letter": "Letter",
+    "print.a4": "A4",
+  };
+
+  const tr = {
+    "meta.name": "Türkçe",
+
+    "time.justNow": "az önce",
+    "time.unknown": "bilinmiyor",
+    "status.updated": "{time} güncellendi",
+    "status.refreshing": "yenileniyor…",
+    "status.loadingMore": "devamı yükleniyor…",
+    "status.offline": "çevrimdışı · kayıtlı kopya gösteriliyor",
+    "common.loading": "Yükleniyor…",
+    "common.stars": "Yıldız",
+    "common.pinned": "Sabitlenmiş",
+    "common.clear": "Temizle",
+    "common.openOnGitHub": "GitHub'da aç",
+    "common.newTab": "(yeni sekmede açılır)",
+    "common.sortedBy": "Sıralama: {order}",
+
+    "gh.error.rateLimit":
+      "GitHub istek sınırı / kötüye kullanım koruması. Daha sonra tekrar deneyin.",
+    "gh.error.notFound": "Bulunamadı (kullanıcı/kuruluş adını kontrol edin).",
+    "gh.error.server": "GitHub sunucu hatası.",
+    "gh.error.http": "HTTP {status}",
+    "gh.error.rateLimitUntil":
+      "GitHub istek sınırına ulaşıldı, {time} sonrasında tekrar deneyin.",
+    "gh.error.file":
+      "Tarayıcı file:// erişimini engelliyor. Yerel bir sunucu (ör. `python -m http.server`) ya da GitHub Pages kullanın.",
+    "gh.error.offline": "Çevrimdışı görünüyorsunuz.",
+    "gh.error.network": "api.github.com'a bağlanırken ağ/CORS sorunu oluştu.",
+    "gh.status.loading": "Depolar GitHub'dan yükleniyor…",
+    "gh.status.error": "Depolar GitHub'dan yüklenemedi. {hint}",
+    "gh.count": "{count} depo",
+    "gh.countOf": "{count}/{total} depo",
+    "gh.savedCalls": "{count} API çağrısından tasarruf edildi",
+    "gh.savedCallsHint":
+      "Değişmeyen veriler If-None-Match ile doğrulandı; GitHub'ın 304 yanıtları istek sınırından düşmez.",
+    "gh.grid.empty": "Geçerli filtrelerle eşleşen depo yok.",
+    "gh.grid.loading": "Depo yükleniyor…",
+    "gh.loadMore": "Daha fazla yükle ({count} kaldı)",
+    "gh.updated": "{time} güncellendi",
+    "gh.repoOnGitHub": "GitHub'da {name}",
+    "gh.org.all": "Tüm kuruluşlar",
+    "gh.org.role": "Rolüm:",
+    "gh.org.techStack": "Teknoloji yığını",
+    "gh.org.noMatch": "Seçili konularla eşleşen depo yok.",
+    "gh.org.none": "Depo bulunamadı.",
+    "gh.org.loading": "{org} depoları yükleniyor…",
+    "gh.org.showMore": "{count} tane daha göster",
+    "gh.org.viewAll": "Tümünü GitHub'da gör →",
+    "gh.org.error": "{org} depoları yüklenemedi. {hint}",
+    "gh.org.problems": "orgs.json sorunları:",
+    "gh.org.featuredMissing":
+      'öne çıkan "{repo}" deposu {org} içinde bulunamadı',
+    "gh.drawer.close": "Ayrıntıları kapat",
+    "gh.drawer.languages": "Diller",
+    "gh.drawer.writeup": "Proje hakkında",
+    "gh.drawer.readme": "README",
+    "gh.drawer.commits": "Son commit'ler",
+    "gh.drawer.releases": "Sürümler",
+    "gh.drawer.topics": "Konular",
+    "gh.drawer.open": "GitHub'da aç ↗",
+    "gh.drawer.noLanguages": "Dil verisi yok.",
+    "gh.drawer.noReadme": "Bu depoda README yok.",
+    "gh.drawer.noCommits": "Henüz commit yok.",
+    "gh.drawer.noReleases": "Yayınlanmış sürüm yok.",
+    "gh.drawer.error": "Bu bölüm yüklenemedi. {hint}",
+
+    "stats.overview": "Genel bakış",
+    "stats.stars": "{count} yıldız",
+    "stats.repos": "{count} depoda",
+    "stats.languages": "Diller",
+    "stats.languagesDesc": "Kod payı: {list}.",
+    "stats.languagesNote":
+      "En son güncellenen {count} deponun kod boyutuna göre.",
+    "stats.other": "Diğer",
+    "stats.topics": "En çok kullanılan konular",
+    "stats.topicsDesc": "Konu başına depo: {list}.",
+    "stats.noTopics": "Henüz konu yok.",
+    "stats.activity": "Son etkinlik",
+    "stats.activityTitle": "Günlük herkese açık etkinlik, son {count} gün",
+    "stats.activityDesc": "Son {days} günde {count} herkese açık etkinlik.",
+    "stats.noActivity": "Yakın zamanda herkese açık etkinlik yok.",
+    "stats.error": "GitHub'dan yüklenemedi. {hint}",
+    "stats.event.push": "{repo} deposuna {count} commit gönderildi",
+    "stats.event.pushTo": "{repo} deposuna gönderildi",
+    "stats.event.createRepo": "{repo} oluşturuldu",
+    "stats.event.createTag": "{repo} deposunda {ref} etiketi oluşturuldu",
+    "stats.event.createBranch": "{repo} deposunda {ref} dalı oluşturuldu",
+    "stats.event.prOpened": "{repo} deposunda pull request açıldı",
+    "stats.event.prMerged": "{repo} deposunda pull request birleştirildi",
+    "stats.event.prClosed": "{repo} deposunda pull request kapatıldı",
+    "stats.event.review": "{repo} deposunda pull request incelendi",
+    "stats.event.issueOpened": "{repo} deposunda issue açıldı",
+    "stats.event.issueClosed": "{repo} deposunda issue kapatıldı",
+    "stats.event.comment": "{repo} deposunda yorum yapıldı",
+    "stats.event.release": "{repo} için {ref} sürümü yayınlandı",
+    "stats.event.star": "{repo} yıldızlandı",
+    "stats.event.fork": "{repo} fork'landı",
+    "stats.event.public": "{repo} herkese açık yapıldı",
+
+    "credly.noUser": "Credly kullanıcısı ayarlanmamış.",
+    "credly.loading": "Rozetler Credly'den yükleniyor…",
+    "credly.loadingBadge": "Rozet yükleniyor…",
+    "credly.count": "{count} rozet",
+    "credly.none": "Credly profilinde herkese açık rozet bulunamadı.",
+    "credly.noMatch": "Seçili becerilerle eşleşen rozet yok.",
+    "credly.cached":
+      "Kayıtlı Credly rozetleri gösteriliyor (çevrimdışı ya da CORS sorunu).",
+    "credly.error": "Credly'den yüklenemedi.",
+    "credly.credential": "Sertifika",
+    "credly.badgeAlt": "{name} rozeti",
+    "credly.issued": "Veriliş: {date}",
+    "credly.expired": "Süresi doldu: {date}",
+    "credly.expires": "Bitiş: {date}",
+    "credly.expiresIn": "{count} gün içinde sona eriyor",
+    "credly.validUntil": "{date} tarihine kadar geçerli",
+    "credly.previously": "Daha önce alındı: {dates}",
+    "credly.skills": "Beceriler",
+    "credly.verifyCredly": "Credly'de doğrula",
+    "credly.verify": "Sertifikayı doğrula",
+
+    "cv.present": "Halen",
+    "cv.highlights": "Öne çıkanlar",
+    "cv.error": "Bu bölüm yüklenemedi. Bkz. {link}.",
+    "cv.pdf": "Özgeçmiş (PDF)",
+
+    "print.preview": "Baskı önizlemesi ({paper})",
+    "print.print": "Yazdır",
+    "print.exit": "Çık",
+    "print.letter": "Letter",
+    "print.a4": "A4",
+
+    // ---- Static page text ----
+    "page.title": "Eren Barış Bostancı | Portfolyo",
+    "page.description":
+      "Bulut, yapay zekâ ve makine öğrenmesi çözümlerinde uzman, AWS sertifikalı Kıdemli Danışman.",
+    "nav.about": "Hakkımda",
+    "nav.skills": "Yetenekler",
+    "nav.experience": "Deneyim",
+    "nav.projects": "Projeler",
+    "nav.certificates": "Sertifikalar",
+    "nav.contact": "İletişim",
+    "lang.label": "Dil",
+    "theme.settings": "Tema ayarları",
+    "theme.theme": "Tema",
+    "theme.light": "Açık",
+    "theme.dark": "Koyu",
+    "theme.system": "Sistem",
+    "theme.accent": "Vurgu rengi",
+    "theme.contrast": "Yüksek kontrast",
+    "theme.accent.blue": "Mavi",
+    "theme.accent.teal": "Deniz mavisi",
+    "theme.accent.violet": "Mor",
+    "theme.accent.rose": "Gül kurusu",
+    "theme.accent.amber": "Kehribar",
+    "hero.greeting": "Merhaba, ben Eren",
+    "hero.role":
+      "<strong>Deloitte</strong>'ta Kıdemli Danışman | Mühendislik, Yapay Zekâ ve Veri",
+    "hero.badges": "AWS Golden Jacket | 12 × AWS Sertifikası",
+    "hero.work": "Çalışmalarım",
+    "hero.cv": "Özgeçmişi indir",
+    "hero.cvLabel": "Özgeçmişi PDF olarak indir",
+    "hero.jsonResumeTitle":
+      "Deneyim, yetenekler, projeler ve sertifikalar JSON Resume (jsonresume.org) biçiminde",
+    "hero.print": "Özgeçmişi yazdır",
+    "hero.printTitle":
+      "Bu sayfayı bir ya da iki sayfalık bir özgeçmiş olarak yazdırın (önizleme için ?print)",
+    "about.title": "Hakkımda",
+    "about.summary":
+      "12 aktif sertifikaya sahip AWS sertifikalı Kıdemli Danışman; Bilgisayar ve Elektrik-Elektronik Mühendisliği çift anadal mezunu. AWS üzerinde üretken yapay zekâ ve makine öğrenmesi çözümleri (SageMaker, Bedrock), buluta geçiş ve Python ile Terraform kullanarak otomasyon konularında deneyimli. Ölçeklenebilir, güvenli ve iş hedeflerine odaklı teknoloji çözümleri sunar.",
+    "about.education": "Eğitim",
+    "about.ce": "Bilgisayar Mühendisliği Lisans",
+    "about.eee": "Elektrik ve Elektronik Mühendisliği Lisans",
+    "about.location": "İstanbul, Türkiye",
+    "about.gpa": "GNO: 3.2/4.0",
+    "about.doubleMajor": "Çift Anadal",
+    "about.tracks": "Uzmanlık Programları",
+    "about.track.ai": "BM Uzmanlık Programı: Yapay Zekâ",
+    "about.track.systems":
+      "BM Uzmanlık Programı: Bilgisayar Sistemleri, Ağlar ve Yazılım",
+    "about.track.crypto":
+      "BM Uzmanlık Programı: Kriptografi, Güvenlik ve Teori",
+    "skills.title": "Teknik Yetenekler",
+    "experience.title": "İş Deneyimi",
+    "internships.title": "Staj Deneyimi",
+    "projects.title": "Projeler",
+    "projects.profile": "GitHub profilinin tamamını gör",
+    "projects.org": "Kuruluş:",
+    "projects.sort": "Sırala:",
+    "projects.sort.pushed": "Son güncellenen",
+    "projects.sort.stars": "En çok yıldız",
+    "projects.search": "Depolarda ara",
+    "projects.searchPlaceholder": "Ad veya açıklamada ara…",
+    "projects.forks": "Fork'lar",
+    "projects.archived": "Arşivlenenler",
+    "projects.clear": "Filtreleri temizle",
+    "projects.byLanguage": "Dile göre filtrele",
+    "projects.byTopic": "Konuya göre filtrele",
+    "stats.title": "Bir bakışta",
+    "projects.orgs": "Kuruluşlar",
+    "projects.repos": "Depolar",
+    "a11y.cardKeys": "Kartlar arasında ok tuşlarıyla gezinebilirsiniz.",
+    "a11y.skip": "İçeriğe geç",
+    "certs.title": "Sertifikalar",
+    "certs.profile": "Credly profilinin tamamını gör",
+    "certs.group": "Grupla:",
+    "certs.group.issuer": "Kuruma göre",
+    "certs.group.none": "Gruplama yok",
+    "certs.sort": "Sırala:",
+    "certs.sort.newest": "Önce en yeni",
+    "certs.sort.oldest": "Önce en eski",
+    "certs.sort.name": "Ada göre",
+    "certs.bySkill": "Beceriye göre filtrele",
+    "contact.title": "İletişim",
+    "contact.text":
+      "E-posta ile ulaşabilir ya da LinkedIn üzerinden bağlantı kurabilirsiniz.",
+    "contact.email": "E-posta gönder",
+    "footer.rights": "&copy; 2025 Eren Barış Bostancı | Tüm hakları saklıdır",
+  };
+
+  return { en, tr };
+});
@@ -0,0 +1,121 @@
+/* assets/js/i18n.js  —  page language (window.PortfolioI18n)
+   Picks the language like the theme picks its mode: a choice saved from the
+   #langSelect switcher (localStorage "lang") wins, else the browser's
+   languages, else English. Sets <html lang> and translates the static page:
+   - data-i18n="key"                    textContent
+   - data-i18n-html="key"               innerHTML (catalog markup is trusted)
+   - data-i18n-attr="title:key,…"       attributes
+   Elements keep their index.html text for English and for keys a catalog
+   lacks (see i18n-messages.js).
+
+   Scripts that render text use the helpers below and repaint on the
+   "portfolio:languagechange" document event (detail: { lang }).
+
+   window.PortfolioI18n:
+   - lang() / locale()                  "tr" / "tr-TR" (region from the browser)
+   - t(key, vars?)                      I18nCore.translate in the page locale
+   - timeAgo(value, now?)               "3 days ago"
+   - date(value, opts?)                 Intl date, dateStyle "medium" by default
+   - time(value)                        "14:05"
+   - partialDate("2025-06")             "Jun 2025"
+   - setLang(lang)                      switch, remember, repaint
+*/
+(function () {
+  const Core = window.I18nCore; // i18n-core.js
+  const Messages = window.PortfolioMessages; // i18n-messages.js
+  const KEY = "lang";
+  const root = document.documentElement;
+  const select = document.getElementById("langSelect");
+
+  // element → { text, html, attrs: { name: value } } as index.html had them
+  const originals = new WeakMap();
+  let lang = "en";
+  let locale = "en";
+
+  function resolve() {
+    const preferred = (
+      navigator.languages?.length ? navigator.languages : [navigator.language]
+    ).filter(Boolean);
+    lang = Core.pickLanguage(localStorage.getItem(KEY), preferred);
+    // Keep the browser's region when it speaks this language (en-GB dates)
+    locale =
+      preferred.find((tag) => tag.toLowerCase().split("-")[0] === lang) || lang;
+  }
+
+  const t = (key, vars) => Core.translate(locale, key, vars);
+  // Static keys only exist in the languages that replace index.html's text
+  const has = (key) => Messages[lang]?.[key] != null;
+
+  function original(el) {
+    if (!originals.has(el))
+      originals.set(el, {
+        text: el.textContent,
+        html: el.innerHTML,
+        attrs: {},
+      });
+    return originals.get(el);
+  }
+
+  function translatePage() {
+    document.querySelectorAll("[data-i18n]").forEach((el) => {
+      const key = el.getAttribute("data-i18n");
+      el.textContent = has(key) ? t(key) : original(el).text;
+    });
+    document.querySelectorAll("[data-i18n-html]").forEach((el) => {
+      const key = el.getAttribute("data-i18n-html");
+      el.innerHTML = has(key) ? t(key) : original(el).html;
+    });
+    document.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+      const saved = original(el).attrs;
+      for (const pair of el.getAttribute("data-i18n-attr").split(",")) {
+        const [name, key] = pair.split(":").map((s) => s.trim());
+        if (!name || !key) continue;
+        if (!(name in saved)) saved[name] = el.getAttribute(name);
+        if (has(key)) el.setAttribute(name, t(key));
+        else if (saved[name] != null) el.setAttribute(name, saved[name]);
+      }
+    });
+  }
+
+  function apply() {
+    root.setAttribute("lang", lang);
+    translatePage();
+    if (select) select.value = lang;
+  }
+
+  function setLang(next) {
+    if (!Messages[next]) return;
+    localStorage.setItem(KEY, next);
+    if (next === lang) return;
+    resolve();
+    apply();
+    document.dispatchEvent(
+      new CustomEvent("portfolio:languagechange", { detail: { lang } })
+    );
+  }
+
+  if (select) {
+    select.innerHTML = Core.languages()
+      .map(
+        (code) =>
+          `<option value="${code}" lang="${code}">${Messages[code]["meta.name"]}</option>`
+      )
+      .join("");
+    select.addEventListener("change", () => setLang(select.value));
+  }
+
+  resolve();
+  apply();
+
+  window.PortfolioI18n = {
+    lang: () => lang,
+    locale: () => locale,
+    t,
+    timeAgo: (value, now) => Core.relativeTime(value, { locale, now }),
+    date: (value, opts) => Core.formatDate(value, locale, opts),
+    time: (value) =>
+      Core.formatDate(value, locale, { hour: "2-digit", minute: "2-digit" }),
+    partialDate: (ymd) => Core.formatPartialDate(ymd, locale),
+    setLang,
+  };
+})();
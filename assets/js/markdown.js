@@ -0,0 +1,239 @@
+/* assets/js/markdown.js  —  small, safe Markdown → HTML (window.PortfolioMarkdown)
+   - Everything is escaped first, so the output only ever contains tags this file emits
+   - Headings, paragraphs, lists, blockquotes, fenced code, pipe tables, hr,
+     inline code/bold/italic/strike, links, images and autolinks
+   - Raw HTML in the source is dropped (text kept); <img> and <br> are translated
+   - Relative links/images resolve against linkBase/imageBase; only http(s), mailto
+     and in-page anchors survive
+
+   Used by the repo detail drawer (README + manual write-ups in repos.json);
+   require()-able from Node like github-core.js, covered by tests/unit.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PortfolioMarkdown = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+
+  function safeUrl(raw, base) {
+    const u = String(raw || "").trim();
+    if (!u) return "";
+    if (u.startsWith("#")) return u;
+    try {
+      const abs = new URL(u, base || undefined);
+      return /^(https?|mailto):$/.test(abs.protocol) ? abs.href : "";
+    } catch {
+      return "";
+    }
+  }
+
+  // Keep what raw HTML means visually, drop the markup itself.
+  // Fenced blocks and code spans are left alone (their "<" is literal text).
+  function stripHtml(src) {
+    return src
+      .split(/^(\s*(?:```|~~~)[\s\S]*?^\s*(?:```|~~~)[^\n]*$)/m)
+      .map((chunk, i) =>
+        i % 2
+          ? chunk
+          : chunk
+              .split(/(`[^`\n]*`)/)
+              .map((part, j) => (j % 2 ? part : stripTags(part)))
+              .join("")
+      )
+      .join("");
+  }
+  function stripTags(src) {
+    return src
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<img\b[^>]*>/gi, (tag) => {
+        const src = /\ssrc=["']([^"']+)["']/i.exec(tag);
+        const alt = /\salt=["']([^"']*)["']/i.exec(tag);
+        return src ? `![${alt ? alt[1] : ""}](${src[1]})` : "";
+      })
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?[a-z][a-z0-9-]*(?:\s[^>]*)?\/?>/gi, "");
+  }
+
+  // slots: finished HTML (code, images, links) held out of the formatting
+  // below; shared with the recursive call for a link label, which may hold
+  // placeholders this call already made
+  function inline(text, opts, slots = []) {
+    const keep = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+    let s = text
+      // code spans first so their content is never formatted
+      .replace(/`([^`]+)`/g, (_, c) => keep(`<code>${esc(c)}</code>`))
+      .replace(
+        /!\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g,
+        (_, alt, u) => {
+          const src = safeUrl(u, opts.imageBase);
+          return src
+            ? keep(`<img src="${esc(src)}" alt="${esc(alt)}" loading="lazy">`)
+            : alt; // escaped with the rest of the text below
+        }
+      )
+      .replace(
+        /\[([^\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g,
+        (_, label, u) => {
+          const href = safeUrl(u, opts.linkBase);
+          return href
+            ? keep(linkHTML(href, inline(label, opts, slots)))
+            : label;
+        }
+      )
+      .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, (_, u) => {
+        const href = safeUrl(u);
+        return href ? keep(linkHTML(href, esc(u))) : esc(u);
+      });
+    s = esc(s)
+      .replace(
+        /\*\*(.+?)\*\*|__(.+?)__/g,
+        (_, a, b) => `<strong>${a || b}</strong>`
+      )
+      .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~(.+?)~~/g, "<del>$1</del>");
+    return s.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[i]);
+  }
+
+  function linkHTML(href, label) {
+    const external = !href.startsWith("#");
+    return `<a href="${esc(
+      href
+    )}"${external ? ' target="_blank" rel="noopener noreferrer"' : ""}>${label}</a>`;
+  }
+
+  const splitRow = (line) =>
+    line
+      .trim()
+      .replace(/^\||\|$/g, "")
+      .split("|")
+      .map((c) => c.trim());
+
+  function render(markdown, opts = {}) {
+    const lines = stripHtml(
+      String(markdown || "").replace(/\r\n?/g, "\n")
+    ).split("\n");
+    const out = [];
+    let para = [];
+    const flush = () => {
+      if (para.length) out.push(`<p>${inline(para.join(" "), opts)}</p>`);
+      para = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let m;
+
+      if ((m = /^\s*(```|~~~)\s*([\w+-]*)/.exec(line))) {
+        flush();
+        const fence = m[1];
+        const code = [];
+        while (++i < lines.length && !lines[i].trim().startsWith(fence))
+          code.push(lines[i]);
+        out.push(
+          `<pre><code${m[2] ? ` data-lang="${esc(m[2])}"` : ""}>${esc(
+            code.join("\n")
+          )}</code></pre>`
+        );
+        continue;
+      }
+      if (!line.trim()) {
+        flush();
+        continue;
+      }
+      if ((m = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line))) {
+        flush();
+        // README h1 is usually the repo name (already the drawer title): shift down one level
+        const level = Math.min(6, m[1].length + 1);
+        out.push(`<h${level}>${inline(m[2], opts)}</h${level}>`);
+        continue;
+      }
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        out.push("<hr>");
+        continue;
+      }
+      if (/^\s*>/.test(line)) {
+        flush();
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i]))
+          quote.push(lines[i++].replace(/^\s*>\s?/, ""));
+        i--;
+        out.push(`<blockquote>${render(quote.join("\n"), opts)}</blockquote>`);
+        continue;
+      }
+      if (
+        line.includes("|") &&
+        /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || "")
+      ) {
+        flush();
+        const head = splitRow(line);
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim())
+          rows.push(splitRow(lines[i++]));
+        i--;
+        out.push(
+          `<table><thead><tr>${head
+            .map((c) => `<th>${inline(c, opts)}</th>`)
+            .join("")}</tr></thead><tbody>${rows
+            .map(
+              (r) =>
+                `<tr>${r
+                  .map((c) => `<td>${inline(c, opts)}</td>`)
+                  .join("")}</tr>`
+            )
+            .join("")}</tbody></table>`
+        );
+        continue;
+      }
+      if ((m = /^\s*([-*+]|\d+[.)])\s+/.exec(line))) {
+        flush();
+        const ordered = /\d/.test(m[1]);
+        const items = [];
+        while (i < lines.length) {
+          const l = lines[i];
+          const item = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(l);
+          if (item && /\d/.test(item[1]) !== ordered) break; // list type changed
+          if (item) items.push(item[2]);
+          else if (l.trim() && /^\s+/.test(l) && items.length)
+            items[items.length - 1] += ` ${l.trim()}`; // continuation line
+          else break;
+          i++;
+        }
+        i--;
+        const tag = ordered ? "ol" : "ul";
+        out.push(
+          `<${tag}>${items
+            .map((t) => {
+              const task = /^\[([ xX])\]\s+(.*)$/.exec(t);
+              return task
+                ? `<li>${task[1] === " " ? "☐" : "☑"} ${inline(
+                    task[2],
+                    opts
+                  )}</li>`
+                : `<li>${inline(t, opts)}</li>`;
+            })
+            .join("")}</${tag}>`
+        );
+        continue;
+      }
+      para.push(line.trim());
+    }
+    flush();
+    return out.join("\n");
+  }
+
+  return { render, safeUrl };
+});
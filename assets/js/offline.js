@@ -0,0 +1,15 @@
+/* assets/js/offline.js  —  registers the service worker (sw.js at the site root)
+   Only over http(s); file:// pages and browsers without service workers run
+   as before. What gets cached and how is described in sw.js.
+*/
+(function () {
+  if (!("serviceWorker" in navigator)) return;
+  if (!/^https?:$/.test(location.protocol)) return;
+
+  // After load, so precaching doesn't compete with the page's own requests
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("sw.js")
+      .catch((e) => console.warn("Service worker registration failed:", e));
+  });
+})();
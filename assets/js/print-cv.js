@@ -0,0 +1,171 @@
+/* assets/js/print-cv.js  —  print mode: the page laid out as a one/two-page CV
+   html.print-mode (assets/css/print.css) drops everything marked
+   data-print-hide (nav, toolbars, the live grids), expands the clamped
+   descriptions and shows the .print-only summaries this script fills:
+
+   - #printProjects   top N of the Projects grid as currently filtered and
+                      sorted (window.PortfolioProjects, github-projects.js)
+   - #printCerts      certificates by issuer (window.PortfolioCredly, credly.js)
+
+   Triggers:
+   - ?print           stays in print mode (preview) with a small Print / Exit bar
+   - ?print=letter    … on US Letter; ?print=a4 on A4 (default: Letter for
+                      en-US / en-CA browsers, A4 otherwise)
+   - #printCV button  enters print mode and opens the print dialog
+   - Ctrl+P           beforeprint / afterprint switch the mode around the dialog
+
+   Options (data-attrs on the summary containers):
+   - data-projects="6"        // #printProjects: how many repos
+   - data-certificates="12"   // #printCerts: how many certificates
+*/
+(function () {
+  const root = document.documentElement;
+  const projectsEl = document.getElementById("printProjects");
+  const certsEl = document.getElementById("printCerts");
+  const btn = document.getElementById("printCV");
+  const t = window.PortfolioI18n.t; // i18n.js (preview bar)
+
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+  const intAttr = (el, name, fallback) => {
+    const n = parseInt(el?.getAttribute(name), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+
+  const params = new URLSearchParams(location.search);
+  const preview = params.has("print");
+
+  function paperSize() {
+    const asked = (params.get("print") || "").toLowerCase();
+    if (asked === "letter" || asked === "a4") return asked;
+    return /^en-(US|CA)$/i.test(navigator.language || "") ? "letter" : "a4";
+  }
+
+  // ---- Summaries ----
+  function renderProjects() {
+    if (!projectsEl) return;
+    const repos = (window.PortfolioProjects?.current() || []).slice(
+      0,
+      intAttr(projectsEl, "data-projects", 6)
+    );
+    projectsEl.innerHTML = repos.length
+      ? `<ul class="print-list">${repos
+          .map((r) => {
+            const meta = [
+              r.language,
+              r.stargazers_count ? `★ ${r.stargazers_count}` : "",
+              `github.com/${r.full_name}`,
+            ].filter(Boolean);
+            return `<li><strong>${esc(
+              r.name
+            )}</strong> <span class="print-meta">${esc(
+              meta.join(" · ")
+            )}</span>${
+              r.description ? `<br />${esc(r.description)}` : ""
+            }</li>`;
+          })
+          .join("")}</ul>`
+      : "";
+  }
+
+  function renderCerts() {
+    if (!certsEl) return;
+    const certs = (window.PortfolioCredly?.certificates() || [])
+      .slice()
+      .sort((a, b) => (b.date || "").localeCompare(a.date || ""))
+      .slice(0, intAttr(certsEl, "data-certificates", 12));
+    const byIssuer = new Map();
+    for (const c of certs) {
+      const issuer = c.issuer || "Other";
+      if (!byIssuer.has(issuer)) byIssuer.set(issuer, []);
+      byIssuer.get(issuer).push(c);
+    }
+    certsEl.innerHTML = certs.length
+      ? `<ul class="print-list">${Array.from(byIssuer)
+          .map(
+            ([issuer, list]) =>
+              `<li><strong>${esc(issuer)}:</strong> ${list
+                .map((c) =>
+                  esc(c.date ? `${c.name} (${c.date.slice(0, 4)})` : c.name)
+                )
+                .join(", ")}</li>`
+          )
+          .join("")}</ul>`
+      : "";
+  }
+
+  // ---- Mode ----
+  let wasDark = false;
+  function enter() {
+    if (root.classList.contains("print-mode")) return;
+    root.setAttribute("data-paper", paperSize());
+    // The CV is always printed light; theme.js's choice comes back on exit
+    wasDark = root.classList.contains("dark");
+    root.classList.remove("dark");
+    renderProjects();
+    renderCerts();
+    root.classList.add("print-mode");
+  }
+
+  function exit() {
+    if (!root.classList.contains("print-mode")) return;
+    root.classList.remove("print-mode");
+    if (wasDark) root.classList.add("dark");
+  }
+
+  // Preview bar (?print): not printed itself, see print.css
+  function showBar() {
+    const bar = document.createElement("div");
+    bar.id = "printBar";
+    bar.className = "print-bar";
+    bar.innerHTML = `
+      <span>${esc(
+        t("print.preview", {
+          paper: t(
+            root.getAttribute("data-paper") === "letter"
+              ? "print.letter"
+              : "print.a4"
+          ),
+        })
+      )}</span>
+      <button type="button" data-act="print">${t("print.print")}</button>
+      <a href="${esc(location.pathname)}">${t("print.exit")}</a>`;
+    bar
+      .querySelector('[data-act="print"]')
+      .addEventListener("click", () => window.print());
+    document.body.appendChild(bar);
+  }
+
+  document.addEventListener("portfolio:projects", () => {
+    if (root.classList.contains("print-mode")) renderProjects();
+  });
+  document.addEventListener("portfolio:certificates", () => {
+    if (root.classList.contains("print-mode")) renderCerts();
+  });
+  window.addEventListener("beforeprint", enter);
+  window.addEventListener("afterprint", () => {
+    if (!preview) exit();
+  });
+
+  btn?.addEventListener("click", () => {
+    enter();
+    window.print();
+  });
+
+  if (preview) {
+    enter();
+    showBar();
+  }
+
+  window.PortfolioPrint = { enter, exit };
+})();
@@ -0,0 +1,147 @@
+/* assets/js/resume-core.js  —  JSON Resume ⇄ portfolio data (window.ResumeCore)
+   https://jsonresume.org/schema (v1.0.0). Used by resume-export.js (download)
+   and scripts/import-resume.js (bootstrap assets/data from a resume.json).
+
+   - toJSONResume(parts)       → JSON Resume document
+       parts: { basics, experience, internships, skills, repos, certificates, now }
+       experience/internships/skills as normalized by data-normalize.js,
+       repos as normalizeManualRepo returns them,
+       certificates as [{ name, issuer, date, url }]
+   - toDataFiles(doc)          → { files: { "experience.json": […], … }, skipped: [msg, …] }
+       contents in the format of the assets/data files (see their schemas)
+
+   A company's roles become consecutive `work` items (newest first, highlights
+   and tags on the newest one); positions mentioning "intern" are read back as
+   internships (PortfolioData.fromJSONResume).
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./data-normalize"));
+  else root.ResumeCore = factory(root.PortfolioData);
+})(typeof self !== "undefined" ? self : this, function (Data) {
+  const SCHEMA_URL =
+    "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+  // Drop empty strings / lists so the document only holds what we know
+  function compact(obj) {
+    const out = {};
+    for (const [k, v] of Object.entries(obj))
+      if (v != null && v !== "" && !(Array.isArray(v) && !v.length)) out[k] = v;
+    return out;
+  }
+
+  function workItems(entry) {
+    return entry.roles.map((r, i) =>
+      compact({
+        name: entry.company,
+        position: r.title,
+        description: entry.team,
+        location: entry.location,
+        url: entry.url,
+        startDate: r.start,
+        endDate: r.current ? null : r.end,
+        summary: i === 0 ? entry.summary : "",
+        highlights: i === 0 ? entry.highlights : [],
+        keywords: i === 0 ? entry.tags : [],
+      })
+    );
+  }
+
+  function toJSONResume({
+    basics = {},
+    experience = [],
+    internships = [],
+    skills = [],
+    repos = [],
+    certificates = [],
+    now = Date.now(),
+  } = {}) {
+    return {
+      $schema: SCHEMA_URL,
+      basics: compact({
+        ...basics,
+        profiles: (basics.profiles || []).map(compact),
+      }),
+      work: [...experience, ...internships].flatMap(workItems),
+      skills: skills.map((g) => ({ name: g.name, keywords: g.items.slice() })),
+      projects: repos.map((r) =>
+        compact({
+          name: r.name,
+          description: r.description,
+          url: r.html_url,
+          keywords: r.topics,
+        })
+      ),
+      certificates: certificates.map(compact),
+      meta: {
+        version: "v1.0.0",
+        lastModified: new Date(now).toISOString().slice(0, 19),
+      },
+    };
+  }
+
+  function toDataFiles(doc) {
+    const { experience, internships, skills } = Data.fromJSONResume(doc);
+    const skipped = [];
+
+    const repos = [];
+    (Array.isArray(doc?.projects) ? doc.projects : []).forEach((p, i) => {
+      const full = Data.resolveFullName({ url: p?.url });
+      if (!full || !/^https:\/\/github\.com\//i.test(p.url)) {
+        skipped.push(
+          `projects[${i}] "${
+            p?.name || "?"
+          }": repos.json needs a GitHub repo url`
+        );
+        return;
+      }
+      const repo = { url: p.url };
+      if (p.name && p.name !== full.split("/")[1]) repo.name = p.name;
+      if (p.description) repo.description = p.description;
+      if (Array.isArray(p.keywords) && p.keywords.length)
+        repo.topics = p.keywords
+          .map((k) =>
+            String(k)
+              .toLowerCase()
+              .replace(/[^a-z0-9-]+/g, "-")
+              .replace(/^-+|-+$/g, "")
+          )
+          .filter(Boolean);
+      repos.push(repo);
+    });
+
+    const certs = [];
+    (Array.isArray(doc?.certificates) ? doc.certificates : []).forEach(
+      (c, i) => {
+        if (!c?.name) {
+          skipped.push(`certificates[${i}]: needs a name`);
+          return;
+        }
+        certs.push(
+          compact({
+            name: c.name,
+            issuer: c.issuer,
+            date: /^\d{4}-\d{2}-\d{2}$/.test(c.date || "") ? c.date : "",
+            verify_url: c.url,
+          })
+        );
+      }
+    );
+
+    if (doc?.basics && Object.keys(doc.basics).length)
+      skipped.push("basics: name, contact and profiles live in index.html");
+
+    return {
+      files: {
+        "experience.json": experience,
+        "internships.json": internships,
+        "skills.json": skills,
+        "repos.json": repos,
+        "certs.json": certs,
+      },
+      skipped,
+    };
+  }
+
+  return { SCHEMA_URL, toJSONResume, toDataFiles };
+});
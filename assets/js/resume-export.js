@@ -0,0 +1,120 @@
+/* assets/js/resume-export.js  —  "JSON Resume" download (#resumeExport)
+   Builds a JSON Resume document (resume-core.js) from what the page shows:
+   - work / skills:   window.PortfolioCV (cv-sections.js)
+   - projects:        repos.json (#ghGrid data-manual-src), with live details
+                      when github-projects.js already cached them
+   - certificates:    window.PortfolioCredly (credly.js: Credly + certs.json)
+   - basics:          data-name / data-label on the button, the meta
+                      description and the links in #contact
+
+   Options (via #resumeExport data-attrs):
+   - data-name="Eren Barış Bostancı"
+   - data-label="Senior Consultant"
+   - data-filename="resume.json"  // optional
+
+   window.PortfolioResume.build() resolves to the document without downloading.
+   `node scripts/import-resume.js resume.json` goes the other way.
+*/
+(function () {
+  const btn = document.getElementById("resumeExport");
+  if (!btn) return;
+  const Data = window.PortfolioData;
+  const Cache = window.PortfolioCache;
+  const { mergeManualRepo } = window.GitHubCore;
+  const { toJSONResume } = window.ResumeCore;
+
+  // Link text without screen-reader-only parts ("(opens in a new tab)")
+  function visibleText(el) {
+    const copy = el.cloneNode(true);
+    copy.querySelectorAll(".sr-only").forEach((n) => n.remove());
+    return copy.textContent.trim();
+  }
+
+  function basics() {
+    const anchors = Array.from(document.querySelectorAll("#contact a[href]"));
+    const mail = anchors.find((a) =>
+      a.getAttribute("href").startsWith("mailto:")
+    );
+    const profiles = anchors
+      .filter((a) => /^https?:/.test(a.getAttribute("href")))
+      .map((a) => ({
+        network: visibleText(a),
+        username:
+          new URL(a.href).pathname.split("/").filter(Boolean).pop() || "",
+        url: a.href,
+      }));
+    return {
+      name: btn.getAttribute("data-name") || "",
+      label: btn.getAttribute("data-label") || "",
+      email: mail ? mail.getAttribute("href").replace(/^mailto:/, "") : "",
+      url: /^https?:$/.test(location.protocol)
+        ? location.href.split(/[?#]/)[0]
+        : "",
+      summary:
+        document.querySelector('meta[name="description"]')?.content || "",
+      profiles,
+    };
+  }
+
+  async function repos() {
+    const src = document
+      .getElementById("ghGrid")
+      ?.getAttribute("data-manual-src");
+    if (!src) return [];
+    const res = await fetch(src, { cache: "no-store" }).catch(() => null);
+    const data = res && res.ok ? await res.json().catch(() => null) : null;
+    if (!Array.isArray(data)) return [];
+    return data
+      .map((it) => Data.normalizeManualRepo(it))
+      .filter(Boolean)
+      .map((m) => {
+        const cached = Cache?.get(`gh:repodetail:${m.full_name}`);
+        return cached?.data ? mergeManualRepo(m, cached.data) : m;
+      });
+  }
+
+  async function build() {
+    const CV = window.PortfolioCV;
+    const part = (name) => (CV ? CV.items(name) : []);
+    const [experience, internships, skills, repoList] = await Promise.all([
+      part("experience"),
+      part("internships"),
+      part("skills"),
+      repos(),
+    ]);
+    return toJSONResume({
+      basics: basics(),
+      experience,
+      internships,
+      skills,
+      repos: repoList,
+      certificates: window.PortfolioCredly?.certificates() || [],
+    });
+  }
+
+  function download(doc) {
+    const blob = new Blob([`${JSON.stringify(doc, null, 2)}\n`], {
+      type: "application/json",
+    });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = btn.getAttribute("data-filename") || "resume.json";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  btn.addEventListener("click", async () => {
+    btn.disabled = true;
+    try {
+      download(await build());
+    } catch (e) {
+      console.error("JSON Resume export failed:", e);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  window.PortfolioResume = { build };
+})();
@@ -0,0 +1,243 @@
+/* assets/js/stats-core.js  —  pure helpers for the stats panel (window.StatsCore)
+   Used by github-stats.js and scripts/build-snapshots.js; require()-able from
+   Node like github-core.js, covered by tests/unit.
+
+   - uniqueRepos(...lists)              → public repos, first copy of each full_name
+   - pickLanguageRepos(repos, n)        → the n most recently pushed own repos
+                                          (no forks / archived) worth a /languages call
+   - aggregateLanguages(byteMaps, top?) → [{ name, bytes, share }] biggest first; the
+                                          rest folded into one { name: null } entry
+   - totalStars(repos)                  → sum of stargazers_count
+   - describeEvent(event)               → { key, vars, date, url } (i18n message) or
+                                          null for event types the timeline skips
+   - activityByDay(events, { days, now }) → [{ day: "2025-03-10", count }] oldest first, UTC
+   - donutSVG / barsSVG / columnsSVG    → <svg role="img"> charts labelled by <title> +
+                                          <desc>; callers also show the numbers as text
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.StatsCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const esc = (s = "") =>
+    String(s).replace(
+      /[&<>"']/g,
+      (m) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[m])
+    );
+
+  function uniqueRepos(...lists) {
+    const seen = new Set();
+    const out = [];
+    for (const list of lists)
+      for (const r of list || []) {
+        const key = String(r?.full_name || "").toLowerCase();
+        if (!key || r.private || seen.has(key)) continue;
+        seen.add(key);
+        out.push(r);
+      }
+    return out;
+  }
+
+  const pushedAt = (r) => Date.parse(r.pushed_at) || 0;
+  function pickLanguageRepos(repos, n) {
+    return repos
+      .filter((r) => !r.fork && !r.archived && r.full_name)
+      .sort(
+        (a, b) =>
+          pushedAt(b) - pushedAt(a) || a.full_name.localeCompare(b.full_name)
+      )
+      .slice(0, Math.max(0, n));
+  }
+
+  function aggregateLanguages(byteMaps, top = 6) {
+    const totals = new Map();
+    for (const map of byteMaps)
+      for (const [name, bytes] of Object.entries(map || {}))
+        if (bytes > 0) totals.set(name, (totals.get(name) || 0) + bytes);
+    const sum = Array.from(totals.values()).reduce((a, b) => a + b, 0);
+    if (!sum) return [];
+    const sorted = Array.from(totals, ([name, bytes]) => ({
+      name,
+      bytes,
+    })).sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+    const head = sorted.slice(0, top);
+    const rest = sorted.slice(top).reduce((n, l) => n + l.bytes, 0);
+    if (rest) head.push({ name: null, bytes: rest });
+    return head.map((l) => ({ ...l, share: l.bytes / sum }));
+  }
+
+  const totalStars = (repos) =>
+    repos.reduce((n, r) => n + (Number(r.stargazers_count) || 0), 0);
+
+  // GitHub event → message key in i18n-messages.js ("stats.event.*") + its vars
+  function describeEvent(ev) {
+    const repo = ev?.repo?.name || "";
+    const p = ev?.payload || {};
+    const ref = String(p.ref || "").replace(/^refs\/(heads|tags)\//, "");
+    const base = {
+      date: ev?.created_at || "",
+      url: repo ? `https://github.com/${repo}` : "",
+    };
+    const make = (key, vars = {}) => ({
+      ...base,
+      key,
+      vars: { repo, ...vars },
+    });
+    switch (ev?.type) {
+      case "PushEvent": {
+        const count = p.size ?? p.commits?.length;
+        return count
+          ? make("stats.event.push", { count, ref })
+          : make("stats.event.pushTo", { ref });
+      }
+      case "CreateEvent":
+        if (p.ref_type === "repository") return make("stats.event.createRepo");
+        if (p.ref_type === "tag") return make("stats.event.createTag", { ref });
+        return make("stats.event.createBranch", { ref });
+      case "PullRequestEvent":
+        if (p.action === "opened") return make("stats.event.prOpened");
+        if (p.action === "closed")
+          return make(
+            p.pull_request?.merged
+              ? "stats.event.prMerged"
+              : "stats.event.prClosed"
+          );
+        return null;
+      case "PullRequestReviewEvent":
+        return make("stats.event.review");
+      case "IssuesEvent":
+        if (p.action === "opened") return make("stats.event.issueOpened");
+        if (p.action === "closed") return make("stats.event.issueClosed");
+        return null;
+      case "IssueCommentEvent":
+        return make("stats.event.comment");
+      case "ReleaseEvent":
+        return make("stats.event.release", {
+          ref: p.release?.tag_name || p.release?.name || "",
+        });
+      case "WatchEvent":
+        return make("stats.event.star");
+      case "ForkEvent":
+        return make("stats.event.fork");
+      case "PublicEvent":
+        return make("stats.event.public");
+      default:
+        return null;
+    }
+  }
+
+  const DAY = 24 * 60 * 60 * 1000;
+  function activityByDay(events, { days = 14, now = Date.now() } = {}) {
+    const today = Math.floor(now / DAY);
+    const counts = new Array(days).fill(0);
+    for (const ev of events || []) {
+      const t = Date.parse(ev?.created_at);
+      if (!Number.isFinite(t)) continue;
+      const i = days - 1 - (today - Math.floor(t / DAY));
+      if (i >= 0 && i < days) counts[i]++;
+    }
+    return counts.map((count, i) => ({
+      day: new Date((today - days + 1 + i) * DAY).toISOString().slice(0, 10),
+      count,
+    }));
+  }
+
+  // <svg role="img"> with a <title> / <desc> pair named by aria-labelledby
+  function svgFrame(id, { title, desc }, viewBox, body, cls = "") {
+    return `<svg role="img" aria-labelledby="${id}-title ${id}-desc" viewBox="${viewBox}" class="${cls}" xmlns="http://www.w3.org/2000/svg"><title id="${id}-title">${esc(title)}</title><desc id="${id}-desc">${esc(desc)}</desc>${body}</svg>`;
+  }
+
+  // slices: [{ value, color }]; a ring drawn with stroke-dasharray (circumference 100)
+  function donutSVG(id, slices, text) {
+    const R = 15.915494;
+    const total = slices.reduce((n, s) => n + s.value, 0) || 1;
+    let offset = 25; // start at 12 o'clock
+    const rings = slices
+      .map((s) => {
+        const len = (s.value / total) * 100;
+        const ring = `<circle cx="21" cy="21" r="${R}" fill="none" stroke="${esc(
+          s.color
+        )}" stroke-width="6" stroke-dasharray="${len.toFixed(3)} ${(
+          100 - len
+        ).toFixed(3)}" stroke-dashoffset="${offset.toFixed(3)}"></circle>`;
+        offset -= len;
+        return ring;
+      })
+      .join("");
+    return svgFrame(id, text, "0 0 42 42", rings, "h-40 w-40 shrink-0");
+  }
+
+  // bars: [{ label, value }] as labelled horizontal bars
+  function barsSVG(id, bars, text) {
+    const W = 320;
+    const ROW = 24;
+    const LABEL = 120;
+    const max = Math.max(1, ...bars.map((b) => b.value));
+    const rows = bars
+      .map((b, i) => {
+        const y = i * ROW;
+        const w = Math.max(2, ((W - LABEL - 32) * b.value) / max);
+        return `<text x="0" y="${y + 16}" class="fill-current text-xs">${esc(
+          b.label
+        )}</text><rect x="${LABEL}" y="${y + 5}" width="${w.toFixed(
+          1
+        )}" height="14" rx="3" class="fill-accent-500"></rect><text x="${(
+          LABEL +
+          w +
+          6
+        ).toFixed(1)}" y="${y + 16}" class="fill-current text-xs">${
+          b.value
+        }</text>`;
+      })
+      .join("");
+    return svgFrame(
+      id,
+      text,
+      `0 0 ${W} ${Math.max(ROW, bars.length * ROW)}`,
+      rows,
+      "w-full text-gray-700 dark:text-gray-200"
+    );
+  }
+
+  // values: numbers, one column each (e.g. events per day)
+  function columnsSVG(id, values, text) {
+    const H = 40;
+    const COL = 12;
+    const max = Math.max(1, ...values);
+    const cols = values
+      .map((v, i) => {
+        const h = v ? Math.max(3, (H * v) / max) : 1;
+        return `<rect x="${i * COL + 1}" y="${(H - h).toFixed(1)}" width="${
+          COL - 2
+        }" height="${h.toFixed(1)}" rx="2" class="${
+          v ? "fill-accent-500" : "fill-gray-300 dark:fill-gray-600"
+        }"></rect>`;
+      })
+      .join("");
+    return svgFrame(
+      id,
+      text,
+      `0 0 ${values.length * COL} ${H}`,
+      cols,
+      "h-10 w-full"
+    );
+  }
+
+  return {
+    uniqueRepos,
+    pickLanguageRepos,
+    aggregateLanguages,
+    totalStars,
+    describeEvent,
+    activityByDay,
+    donutSVG,
+    barsSVG,
+    columnsSVG,
+  };
+});
@@ -1,58 +1,189 @@
+/* assets/js/theme.js  —  light / dark / system, accent palette, high contrast
+   Settings menu: #themeToggle opens #themeMenu, which holds
+   - input[name="themeMode"]   light | dark | system (follows the OS)
+   - #themeAccents             one swatch per palette below (filled here)
+   - #themeContrast            high contrast; unsaved it follows prefers-contrast
+
+   Saved in localStorage ("theme", "accent", "contrast") only once the user
+   picks something; "System" forgets the saved mode again.
+
+   The page's `accent` and `gray` Tailwind colors are CSS variables (see
+   tailwind.config.js and assets/css/theme.css); this script writes
+   the active palette into --accent-*, sets html.dark and
+   html[data-contrast="more"], and derives <meta name="theme-color"> from the
+   palette (the header's shade). Reduced motion is pure CSS (theme.css).
+
+   window.PortfolioTheme.get() → { mode, accent, contrast, dark, more }
+   window.PortfolioTheme.set({ mode?, accent?, contrast? })
+*/
 (function () {
-  const STORAGE_KEY = "theme";
-  const metaTheme = document.querySelector('meta[name="theme-color"]');
+  const KEYS = { mode: "theme", accent: "accent", contrast: "contrast" };
+  const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+  // Tailwind's palettes, 50 … 950 (space-separated to stay readable)
+  const PALETTES = {
+    blue: {
+      label: "Blue",
+      colors:
+        "#eff6ff #dbeafe #bfdbfe #93c5fd #60a5fa #3b82f6 #2563eb #1d4ed8 #1e40af #1e3a8a #172554",
+    },
+    teal: {
+      label: "Teal",
+      colors:
+        "#f0fdfa #ccfbf1 #99f6e4 #5eead4 #2dd4bf #14b8a6 #0d9488 #0f766e #115e59 #134e4a #042f2e",
+    },
+    violet: {
+      label: "Violet",
+      colors:
+        "#f5f3ff #ede9fe #ddd6fe #c4b5fd #a78bfa #8b5cf6 #7c3aed #6d28d9 #5b21b6 #4c1d95 #2e1065",
+    },
+    rose: {
+      label: "Rose",
+      colors:
+        "#fff1f2 #ffe4e6 #fecdd3 #fda4af #fb7185 #f43f5e #e11d48 #be123c #9f1239 #881337 #4c0519",
+    },
+    amber: {
+      label: "Amber",
+      colors:
+        "#fffbeb #fef3c7 #fde68a #fcd34d #fbbf24 #f59e0b #d97706 #b45309 #92400e #78350f #451a03",
+    },
+  };
+  const DEFAULT_ACCENT = "blue";
+  // High contrast: accent text and buttons move a step away from the background
+  const CONTRAST_SHIFT = {
+    light: { 400: 600, 500: 700, 600: 800, 700: 800 },
+    dark: { 200: 100, 300: 100, 400: 200 },
+  };
+
   const root = document.documentElement;
+  const metaTheme = document.querySelector('meta[name="theme-color"]');
   const btn = document.getElementById("themeToggle");
+  const menu = document.getElementById("themeMenu");
+  const accentsEl = document.getElementById("themeAccents");
+  const contrastBox = document.getElementById("themeContrast");
   const iconMoon = document.getElementById("iconMoon");
   const iconSun = document.getElementById("iconSun");
 
-  function updateIcon() {
-    const isDark = root.classList.contains("dark");
-    if (isDark) {
-      iconMoon.classList.add("hidden");
-      iconSun.classList.remove("hidden");
-    } else {
-      iconSun.classList.add("hidden");
-      iconMoon.classList.remove("hidden");
-    }
+  const osDark = window.matchMedia("(prefers-color-scheme: dark)");
+  const osContrast = window.matchMedia("(prefers-contrast: more)");
+
+  const rgbOf = (hex) =>
+    [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(" ");
+
+  function get() {
+    const mode = localStorage.getItem(KEYS.mode);
+    const accent = localStorage.getItem(KEYS.accent);
+    const contrast = localStorage.getItem(KEYS.contrast);
+    const s = {
+      mode: mode === "light" || mode === "dark" ? mode : "system",
+      accent: PALETTES[accent] ? accent : DEFAULT_ACCENT,
+      contrast:
+        contrast === "more" || contrast === "normal" ? contrast : "system",
+    };
+    s.dark = s.mode === "system" ? osDark.matches : s.mode === "dark";
+    s.more =
+      s.contrast === "system" ? osContrast.matches : s.contrast === "more";
+    return s;
   }
 
-  function setTheme(mode) {
-    if (mode === "dark") {
-      root.classList.add("dark");
-      metaTheme && metaTheme.setAttribute("content", "#0b1220");
-      localStorage.setItem(STORAGE_KEY, "dark");
-    } else {
-      root.classList.remove("dark");
-      metaTheme && metaTheme.setAttribute("content", "#1d4ed8");
-      localStorage.setItem(STORAGE_KEY, "light");
-    }
-    updateIcon();
+  // shade → hex for the active palette, contrast shift applied
+  function paletteFor({ accent, dark, more }) {
+    const colors = PALETTES[accent].colors.split(" ");
+    const shift = more ? CONTRAST_SHIFT[dark ? "dark" : "light"] : {};
+    const out = {};
+    SHADES.forEach((shade) => {
+      out[shade] = colors[SHADES.indexOf(shift[shade] || shade)];
+    });
+    return out;
   }
 
-  // Initialize from saved preference or OS
-  const saved = localStorage.getItem(STORAGE_KEY);
-  if (saved) {
-    setTheme(saved);
-  } else {
-    const prefersDark = window.matchMedia(
-      "(prefers-color-scheme: dark)"
-    ).matches;
-    setTheme(prefersDark ? "dark" : "light");
+  function updateControls(s) {
+    iconMoon?.classList.toggle("hidden", s.dark);
+    iconSun?.classList.toggle("hidden", !s.dark);
+    menu
+      ?.querySelectorAll('input[name="themeMode"]')
+      .forEach((r) => (r.checked = r.value === s.mode));
+    accentsEl
+      ?.querySelectorAll('input[name="themeAccent"]')
+      .forEach((r) => (r.checked = r.value === s.accent));
+    if (contrastBox) contrastBox.checked = s.more;
   }
 
-  // React to OS changes if user hasn't set a preference
-  window
-    .matchMedia("(prefers-color-scheme: dark)")
-    .addEventListener("change", (e) => {
-      if (!localStorage.getItem(STORAGE_KEY)) {
-        setTheme(e.matches ? "dark" : "light");
-      }
-    });
+  function apply() {
+    const s = get();
+    root.classList.toggle("dark", s.dark);
+    root.setAttribute("data-accent", s.accent);
+    root.setAttribute("data-contrast", s.more ? "more" : "normal");
+    const colors = paletteFor(s);
+    for (const shade of SHADES)
+      root.style.setProperty(`--accent-${shade}`, rgbOf(colors[shade]));
+    // Same shade as the header: bg-accent-700 / dark:bg-accent-900
+    metaTheme?.setAttribute("content", colors[s.dark ? 900 : 700]);
+    updateControls(s);
+  }
+
+  function set(prefs) {
+    for (const [name, value] of Object.entries(prefs)) {
+      if (!KEYS[name]) continue;
+      if (value === "system" || value == null)
+        localStorage.removeItem(KEYS[name]);
+      else localStorage.setItem(KEYS[name], value);
+    }
+    apply();
+  }
+
+  // ---- Menu ----
+  if (accentsEl)
+    accentsEl.innerHTML = Object.entries(PALETTES)
+      .map(
+        ([key, p]) => `
+          <label class="cursor-pointer" title="${
+            p.label
+          }" data-i18n-attr="title:theme.accent.${key}">
+            <input type="radio" name="themeAccent" value="${key}" class="peer sr-only" />
+            <span class="block h-7 w-7 rounded-full ring-2 ring-transparent ring-offset-2 ring-offset-white dark:ring-offset-gray-800 peer-checked:ring-gray-900 dark:peer-checked:ring-white peer-focus-visible:ring-accent-500" style="background-color: ${
+              p.colors.split(" ")[SHADES.indexOf(600)]
+            }"></span>
+            <span class="sr-only" data-i18n="theme.accent.${key}">${
+          p.label
+        }</span>
+          </label>`
+      )
+      .join("");
 
-  // Toggle on click
-  btn?.addEventListener("click", () => {
-    const isDark = root.classList.contains("dark");
-    setTheme(isDark ? "light" : "dark");
+  function openMenu(open) {
+    if (!menu || !btn) return;
+    menu.classList.toggle("hidden", !open);
+    btn.setAttribute("aria-expanded", String(open));
+  }
+
+  btn?.addEventListener("click", () =>
+    openMenu(menu?.classList.contains("hidden"))
+  );
+  menu?.addEventListener("change", (e) => {
+    const t = e.target;
+    if (t.name === "themeMode") set({ mode: t.value });
+    else if (t.name === "themeAccent") set({ accent: t.value });
+    // Unticking only needs remembering while the OS asks for more contrast
+    else if (t === contrastBox)
+      set({
+        contrast: t.checked ? "more" : osContrast.matches ? "normal" : "system",
+      });
+  });
+  document.addEventListener("click", (e) => {
+    if (menu && !menu.contains(e.target) && !btn?.contains(e.target))
+      openMenu(false);
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || !menu || menu.classList.contains("hidden"))
+      return;
+    openMenu(false);
+    btn?.focus();
   });
+
+  // Settings left on "system" follow the OS as it changes
+  osDark.addEventListener("change", apply);
+  osContrast.addEventListener("change", apply);
+
+  apply();
+  window.PortfolioTheme = { get, set };
 })();
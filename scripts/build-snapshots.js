@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/* scripts/build-snapshots.js  —  build-time data snapshots
+   Runs the same GitHub + Credly fetches the browser scripts do
+   (user repos, org repos, manual repo details, per-repo topics, Credly badges)
+   and writes them to versioned JSON files under assets/data/snapshots/.
+
+   github-projects.js and credly.js load these files first and only hit the
+   live APIs when a snapshot entry is older than its cache TTL.
+
+   Sources are read from index.html (#ghGrid, #ghPinnedOrgs, #certGrid data-attrs),
+   so there is a single place to configure user/org/credly names.
+
+   Usage:
+     node scripts/build-snapshots.js [--only github|credly] [--out assets/data/snapshots]
+   Env:
+     GITHUB_TOKEN     optional; raises the GitHub limit from 60/h to 5000/h
+     SNAPSHOT_GAP_MS  optional; pause between requests (default 100 with a token,
+                      600 without; tests set 0)
+
+   require()-able: snapshotGitHub(html), snapshotCredly(html) and
+   writeSnapshot(name, entries, outDir) are covered by tests/unit.
+*/
+const fs = require("fs");
+const path = require("path");
+const { resolveFullName } = require("../assets/js/data-normalize");
+const { fetchAllPages } = require("../assets/js/credly-core");
+const { parseLinkHeader } = require("../assets/js/github-core");
+
+const ROOT = path.resolve(__dirname, "..");
+const SNAPSHOT_VERSION = 1;
+const PAGE_SIZE = 48; // must match credly.js
+
+// ---------------- CLI ----------------
+const args = process.argv.slice(2);
+function argValue(name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+}
+const OUT_DIR = path.resolve(ROOT, argValue("--out", "assets/data/snapshots"));
+const ONLY = argValue("--only", "");
+const TOKEN = process.env.GITHUB_TOKEN || "";
+const GAP_ENV = process.env.SNAPSHOT_GAP_MS;
+const REQUEST_GAP_MS = GAP_ENV ? Number(GAP_ENV) : TOKEN ? 100 : 600;
+let TOPICS_BUDGET = TOKEN ? 500 : 32;
+
+const BASE_HEADERS = {
+  Accept:
+    "application/vnd.github+json, application/vnd.github.mercy-preview+json",
+  "X-GitHub-Api-Version": "2022-11-28",
+  "User-Agent": "portfolio-snapshot",
+  ...(TOKEN ? { Authorization: `Bearer ${TOKEN}` } : {}),
+};
+
+// ---------------- index.html config ----------------
+function readElementAttrs(html, id) {
+  const tag = html.match(new RegExp(`<[a-z]+\\b[^>]*\\bid="${id}"[^>]*>`, "i"));
+  const attrs = {};
+  if (!tag) return attrs;
+  for (const [, k, v] of tag[0].matchAll(/([\w-]+)="([^"]*)"/g)) attrs[k] = v;
+  return attrs;
+}
+function readJSON(rel, fallback) {
+  if (!rel) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT, rel), "utf8"));
+  } catch (e) {
+    console.warn(`! cannot read ${rel}: ${e.message}`);
+    return fallback;
+  }
+}
+const splitList = (s = "") =>
+  s
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// ---------------- fetch helpers ----------------
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function fetchJSON(url, headers = BASE_HEADERS) {
+  await sleep(REQUEST_GAP_MS);
+  const res = await fetch(url, { headers });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} @ ${url} :: ${text.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+// Repo lists: follow Link rel="next" like the browser (same max page counts)
+async function fetchPagedJSON(url, maxPages) {
+  let all = [];
+  let next = url;
+  for (let page = 1; next && page <= maxPages; page++) {
+    await sleep(REQUEST_GAP_MS);
+    const res = await fetch(next, { headers: BASE_HEADERS });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`HTTP ${res.status} @ ${next} :: ${text.slice(0, 200)}`);
+    }
+    all = all.concat(await res.json());
+    next = parseLinkHeader(res.headers.get("link")).next;
+  }
+  return all;
+}
+
+// ---------------- GitHub ----------------
+async function snapshotGitHub(html) {
+  const gridAttrs = readElementAttrs(html, "ghGrid");
+  const orgsAttrs = readElementAttrs(html, "ghPinnedOrgs");
+  const user = gridAttrs["data-github-user"];
+  const gridOrgs = splitList(gridAttrs["data-orgs"]);
+  const orgCfgs = readJSON(orgsAttrs["data-orgs-src"], []);
+  const manual = readJSON(gridAttrs["data-manual-src"], []);
+  const gridMaxPages = Number(gridAttrs["data-max-pages"]) || 3;
+  const orgMaxPages = Number(orgsAttrs["data-max-pages"]) || 3;
+  const entries = {};
+
+  async function put(key, load) {
+    try {
+      entries[key] = await load();
+      console.log(`✓ ${key}`);
+    } catch (e) {
+      console.warn(`✗ ${key}: ${e.message}`);
+    }
+    return entries[key];
+  }
+  async function topicsFor(owner, repos) {
+    for (const r of repos || []) {
+      if (r.private || (Array.isArray(r.topics) && r.topics.length)) continue;
+      if (TOPICS_BUDGET-- <= 0) return;
+      await put(`gh:topics:${owner}/${r.name}`, async () => {
+        const data = await fetchJSON(
+          `https://api.github.com/repos/${encodeURIComponent(
+            owner
+          )}/${encodeURIComponent(r.name)}/topics`
+        );
+        return Array.isArray(data.names) ? data.names : [];
+      });
+    }
+  }
+
+  // Org cards (orgs.json)
+  for (const cfg of Array.isArray(orgCfgs) ? orgCfgs : []) {
+    if (!cfg || !cfg.org) continue;
+    const repos = await put(`gh:orgrepos:${cfg.org}`, () =>
+      fetchPagedJSON(
+        `https://api.github.com/orgs/${encodeURIComponent(
+          cfg.org
+        )}/repos?per_page=100&type=public&sort=updated`,
+        Number.isInteger(cfg.max_pages) && cfg.max_pages > 0
+          ? cfg.max_pages
+          : orgMaxPages
+      )
+    );
+    await topicsFor(cfg.org, repos);
+  }
+
+  // Personal grid
+  if (user) {
+    await put(`gh:userrepos:${user}`, () =>
+      fetchPagedJSON(
+        `https://api.github.com/users/${encodeURIComponent(
+          user
+        )}/repos?per_page=100&sort=updated`,
+        gridMaxPages
+      )
+    );
+  }
+  for (const org of gridOrgs) {
+    await put(`gh:gridorg:${org}`, () =>
+      fetchPagedJSON(
+        `https://api.github.com/orgs/${encodeURIComponent(
+          org
+        )}/repos?per_page=100&type=public&sort=updated`,
+        gridMaxPages
+      )
+    );
+  }
+
+  // Manual repos (repos.json) → details
+  for (const it of Array.isArray(manual) ? manual : []) {
+    const full = resolveFullName(it); // same rules as the browser
+    if (!full) continue;
+    const [owner, name] = full.split("/");
+    await put(`gh:repodetail:${owner}/${name}`, () =>
+      fetchJSON(
+        `https://api.github.com/repos/${encodeURIComponent(
+          owner
+        )}/${encodeURIComponent(name)}`
+      )
+    );
+  }
+
+  return entries;
+}
+
+// ---------------- Credly ----------------
+async function snapshotCredly(html) {
+  const user = (
+    readElementAttrs(html, "certGrid")["data-credly-user"] || ""
+  ).trim();
+  const entries = {};
+  if (!user) return entries;
+
+  try {
+    const all = await fetchAllPages(async (page) => {
+      const url = `https://www.credly.com/users/${encodeURIComponent(
+        user
+      )}/badges.json?page=${page}&page_size=${PAGE_SIZE}`;
+      const parsed = await fetchJSON(url, { Accept: "application/json" });
+      return parsed.data || [];
+    }, PAGE_SIZE);
+    entries[`credly:${user}:badges:v1:${PAGE_SIZE}`] = all;
+    console.log(`✓ credly:${user} (${all.length} badges)`);
+  } catch (e) {
+    console.warn(`✗ credly:${user}: ${e.message}`);
+  }
+  return entries;
+}
+
+// ---------------- write ----------------
+function writeSnapshot(name, entries, outDir = OUT_DIR) {
+  if (!Object.keys(entries).length) {
+    console.warn(`! ${name}: nothing fetched, keeping previous snapshot`);
+    return;
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  const file = path.join(outDir, `${name}.json`);
+  const doc = {
+    version: SNAPSHOT_VERSION,
+    generated_at: new Date().toISOString(),
+    entries,
+  };
+  fs.writeFileSync(file, JSON.stringify(doc));
+  console.log(`→ ${path.relative(ROOT, file)}`);
+}
+
+async function main() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  if (!ONLY || ONLY === "github")
+    writeSnapshot("github", await snapshotGitHub(html));
+  if (!ONLY || ONLY === "credly")
+    writeSnapshot("credly", await snapshotCredly(html));
+}
+
+if (require.main === module)
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+
+module.exports = { snapshotGitHub, snapshotCredly, writeSnapshot };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/* scripts/import-resume.js  —  bootstrap assets/data from a JSON Resume
+   Reads a resume.json (https://jsonresume.org/schema) and writes the site's
+   data files with the same mapping the page uses (assets/js/resume-core.js):
+
+     work          → experience.json, internships.json ("…intern…" positions)
+     skills        → skills.json
+     projects      → repos.json (GitHub URLs only)
+     certificates  → certs.json
+
+   Each written file is then linted like `node scripts/validate-data.js`.
+   basics (name, email, profiles) stay in index.html and are not imported.
+
+   Usage:
+     node scripts/import-resume.js resume.json [--out assets/data] [--force] [--dry-run]
+   Files that already hold entries are left alone unless --force is given;
+   --dry-run prints what would be written. The "JSON Resume" button on the page
+   exports the opposite direction.
+*/
+const fs = require("fs");
+const path = require("path");
+const { toDataFiles } = require("../assets/js/resume-core");
+const { lintFile } = require("./validate-data");
+
+const ROOT = path.resolve(__dirname, "..");
+const entriesText = (n) => `${n} entr${n === 1 ? "y" : "ies"}`;
+
+function hasEntries(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return !Array.isArray(data) || data.length > 0;
+  } catch {
+    return fs.existsSync(file);
+  }
+}
+
+function importResume(doc, { outDir, force = false, dryRun = false, log }) {
+  const { files, skipped } = toDataFiles(doc);
+  const written = [];
+  for (const [name, entries] of Object.entries(files)) {
+    const file = path.join(outDir, name);
+    const rel = path.relative(process.cwd(), file) || file;
+    if (!entries.length) {
+      log(`${rel}: nothing to import`);
+      continue;
+    }
+    if (!force && hasEntries(file)) {
+      log(`${rel}: has entries, kept (use --force to overwrite)`);
+      continue;
+    }
+    if (dryRun) {
+      log(`${rel}: would write ${entriesText(entries.length)}`);
+      continue;
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(entries, null, 2)}\n`);
+    log(`${rel}: wrote ${entriesText(entries.length)}`);
+    written.push(file);
+  }
+  for (const s of skipped) log(`skipped ${s}`);
+  return written;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valueOf = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+  const outDir = path.resolve(ROOT, valueOf("--out", "assets/data"));
+  const src = args.find(
+    (a, i) => !a.startsWith("--") && args[i - 1] !== "--out"
+  );
+  if (!src) {
+    console.error(
+      "Usage: node scripts/import-resume.js resume.json [--out dir] [--force] [--dry-run]"
+    );
+    process.exitCode = 2;
+    return;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(src, "utf8"));
+  } catch (e) {
+    console.error(`${src}: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    console.error(`${src}: not a JSON Resume document`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const written = importResume(doc, {
+    outDir,
+    force: args.includes("--force"),
+    dryRun: args.includes("--dry-run"),
+    log: (msg) => console.log(msg),
+  });
+
+  let errors = 0;
+  for (const file of written)
+    for (const r of lintFile(file)) {
+      console.log(
+        `${path.relative(process.cwd(), file)}:${r.line}:${r.col}  ${r.kind}  ${
+          r.message
+        }`
+      );
+      if (r.kind === "error") errors++;
+    }
+  process.exitCode = errors ? 1 : 0;
+}
+
+if (require.main === module) main();
+
+module.exports = { importResume };
@@ -0,0 +1,617 @@
+#!/usr/bin/env node
+/* scripts/validate-data.js  —  lint the JSON files in assets/data
+   Checks each file against its JSON Schema (assets/data/schemas/) and then runs
+   the browser's own normalization (assets/js/data-normalize.js) over it, so an
+   entry the site would drop or change is reported here first.
+
+   Errors:   JSON syntax, schema violations, entries the site would skip
+   Warnings: unknown keys (with "did you mean"), duplicate full_name/org/certificate,
+             URLs that are not github.com repos, missing writeup_src/image files,
+             roles ending before they start
+
+   Usage:
+     node scripts/validate-data.js [--strict] [file.json …]
+   Files are taken relative to the current directory and default to the data
+   files in assets/data/; the schema is picked by file name (internships.json
+   shares experience.schema.json). Exit code 1 on errors (or on warnings with
+   --strict).
+*/
+const fs = require("fs");
+const path = require("path");
+const Data = require("../assets/js/data-normalize");
+
+const ROOT = path.resolve(__dirname, "..");
+const SCHEMA_DIR = path.join(ROOT, "assets/data/schemas");
+const DEFAULT_FILES = [
+  "assets/data/repos.json",
+  "assets/data/orgs.json",
+  "assets/data/certs.json",
+  "assets/data/experience.json",
+  "assets/data/internships.json",
+  "assets/data/skills.json",
+];
+const SCHEMA_ALIASES = { internships: "experience" };
+
+// ---------------- JSON parser with positions ----------------
+// Returns { value, positions } where positions maps a JSON pointer to the
+// { line, col } of its value and "<pointer>#key" to the position of its key.
+function parseWithPositions(text) {
+  let i = 0;
+  let line = 1;
+  let col = 1;
+  const positions = new Map();
+
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.line = line;
+    err.col = col;
+    throw err;
+  };
+  const advance = () => {
+    if (text[i] === "\n") {
+      line++;
+      col = 1;
+    } else col++;
+    i++;
+  };
+  const skipWs = () => {
+    while (i < text.length && /\s/.test(text[i])) advance();
+  };
+  const here = () => ({ line, col });
+  const expect = (ch) => {
+    if (text[i] !== ch) fail(`expected "${ch}" but found ${describe(text[i])}`);
+    advance();
+  };
+  const describe = (ch) => (ch === undefined ? "end of file" : `"${ch}"`);
+
+  function parseValue(pointer) {
+    skipWs();
+    positions.set(pointer, here());
+    const ch = text[i];
+    if (ch === "{") return parseObject(pointer);
+    if (ch === "[") return parseArray(pointer);
+    if (ch === '"') return parseString();
+    if (ch === "-" || (ch >= "0" && ch <= "9")) return parseNumber();
+    for (const [word, val] of [
+      ["true", true],
+      ["false", false],
+      ["null", null],
+    ])
+      if (text.startsWith(word, i)) {
+        for (let k = 0; k < word.length; k++) advance();
+        return val;
+      }
+    return fail(`unexpected ${describe(ch)}`);
+  }
+
+  function parseObject(pointer) {
+    const out = {};
+    expect("{");
+    skipWs();
+    if (text[i] === "}") {
+      advance();
+      return out;
+    }
+    for (;;) {
+      skipWs();
+      if (text[i] !== '"')
+        fail(`expected a "key" but found ${describe(text[i])}`);
+      const keyPos = here();
+      const key = parseString();
+      const child = `${pointer}/${escapePointer(key)}`;
+      if (Object.prototype.hasOwnProperty.call(out, key))
+        fail(`duplicate key "${key}"`);
+      positions.set(`${child}#key`, keyPos);
+      skipWs();
+      expect(":");
+      out[key] = parseValue(child);
+      skipWs();
+      if (text[i] === ",") {
+        advance();
+        skipWs();
+        if (text[i] === "}") fail("trailing comma before }");
+        continue;
+      }
+      expect("}");
+      return out;
+    }
+  }
+
+  function parseArray(pointer) {
+    const out = [];
+    expect("[");
+    skipWs();
+    if (text[i] === "]") {
+      advance();
+      return out;
+    }
+    for (;;) {
+      out.push(parseValue(`${pointer}/${out.length}`));
+      skipWs();
+      if (text[i] === ",") {
+        advance();
+        skipWs();
+        if (text[i] === "]") fail("trailing comma before ]");
+        continue;
+      }
+      expect("]");
+      return out;
+    }
+  }
+
+  function parseString() {
+    const start = i;
+    expect('"');
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === "\n") fail("unterminated string");
+      if (text[i] === "\\") advance();
+      advance();
+    }
+    expect('"');
+    try {
+      return JSON.parse(text.slice(start, i));
+    } catch {
+      return fail("invalid escape in string");
+    }
+  }
+
+  function parseNumber() {
+    const m = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+    if (!m) fail("invalid number");
+    for (let k = 0; k < m[0].length; k++) advance();
+    return Number(m[0]);
+  }
+
+  const value = parseValue("");
+  skipWs();
+  if (i < text.length) fail(`unexpected ${describe(text[i])} after the data`);
+  return { value, positions };
+}
+
+const escapePointer = (key) =>
+  String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+
+// ---------------- JSON Schema (the subset our schemas use) ----------------
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+const typeMatches = (v, t) =>
+  t === "number" ? typeof v === "number" : typeOf(v) === t;
+
+const FORMATS = {
+  uri: (s) => {
+    try {
+      return !!new URL(s).protocol;
+    } catch {
+      return false;
+    }
+  },
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)),
+  "date-time": (s) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(
+      s
+    ) && !Number.isNaN(Date.parse(s)),
+};
+
+// report(kind, pointer, message, atKey?)
+function validate(schema, value, pointer, report) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(value, t))) {
+      report(
+        "error",
+        pointer,
+        `must be ${types.join(" or ")}, got ${typeOf(value)}`
+      );
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value))
+    report(
+      "error",
+      pointer,
+      `must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`
+    );
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength)
+      report("error", pointer, "must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value))
+      report("error", pointer, `must match ${schema.pattern}`);
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    )
+      report("error", pointer, `must be a valid ${schema.format}`);
+  }
+  if (
+    typeof value === "number" &&
+    schema.minimum != null &&
+    value < schema.minimum
+  )
+    report("error", pointer, `must be >= ${schema.minimum}`);
+
+  if (Array.isArray(value) && schema.items)
+    value.forEach((v, i) =>
+      validate(schema.items, v, `${pointer}/${i}`, report)
+    );
+
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || [])
+      if (!(k in value))
+        report("error", pointer, `missing required key "${k}"`);
+    const props = schema.properties || {};
+    for (const [k, v] of Object.entries(value)) {
+      const child = `${pointer}/${escapePointer(k)}`;
+      if (props[k]) validate(props[k], v, child, report);
+      else if (schema.properties)
+        // Unknown keys are only warnings: the site ignores them
+        report(
+          "warning",
+          child,
+          `unknown key "${k}"${didYouMean(k, Object.keys(props))}`,
+          true
+        );
+    }
+  }
+
+  if (schema.anyOf) validateAnyOf(schema.anyOf, value, pointer, report);
+}
+
+function validateAnyOf(branches, value, pointer, report) {
+  const results = branches.map((b) => {
+    const errs = [];
+    validate(b, value, pointer, (kind, p, msg, atKey) => {
+      if (kind === "error") errs.push([kind, p, msg, atKey]);
+    });
+    return errs;
+  });
+  if (results.some((r) => !r.length)) {
+    // Valid: replay the warnings of the first matching branch
+    validate(
+      branches[results.findIndex((r) => !r.length)],
+      value,
+      pointer,
+      (k, p, m, a) => {
+        if (k === "warning") report(k, p, m, a);
+      }
+    );
+    return;
+  }
+  // "needs one of" for required-only alternatives (repos.json: full_name | url | html_url)
+  if (branches.every((b) => Object.keys(b).join() === "required")) {
+    const keys = branches.flatMap((b) => b.required).map((k) => `"${k}"`);
+    report("error", pointer, `needs one of ${keys.join(", ")}`);
+    return;
+  }
+  // Otherwise explain the alternative whose type fits the value
+  const fit = branches.findIndex((b) => !b.type || typeMatches(value, b.type));
+  if (fit >= 0) {
+    for (const e of results[fit]) report(...e);
+    return;
+  }
+  const types = branches.map((b) => b.type).filter(Boolean);
+  report(
+    "error",
+    pointer,
+    `must be ${types.join(" or ")}, got ${typeOf(value)}`
+  );
+}
+
+function didYouMean(key, known) {
+  let best = "";
+  let bestDist = 3;
+  for (const k of known) {
+    const d = editDistance(key.toLowerCase(), k.toLowerCase());
+    if (d < bestDist) {
+      bestDist = d;
+      best = k;
+    }
+  }
+  return best ? ` (did you mean "${best}"?)` : "";
+}
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// ---------------- Site-level checks (shared normalization) ----------------
+function isGitHubRepoUrl(raw) {
+  try {
+    const u = new URL(raw);
+    return (
+      u.protocol === "https:" &&
+      u.hostname === "github.com" &&
+      u.pathname.replace(/^\/|\/$/g, "").split("/").length === 2
+    );
+  } catch {
+    return false;
+  }
+}
+
+function checkRepos(list, report, file) {
+  const seen = new Map(); // lower-case full_name → pointer of first entry
+  list.forEach((it, i) => {
+    const ptr = `/${i}`;
+    if (!it || typeof it !== "object") return; // schema already complained
+    const repo = Data.normalizeManualRepo(it);
+    if (!repo) {
+      report(
+        "error",
+        ptr,
+        'is skipped by the site: needs full_name "owner/name" or a GitHub repo url'
+      );
+      return;
+    }
+    for (const p of repo._problems)
+      report(
+        "error",
+        `${ptr}${keyToPointer(p.key)}`,
+        `${p.message} (the site ignores it)`
+      );
+    for (const k of ["url", "html_url"])
+      if (typeof it[k] === "string" && !isGitHubRepoUrl(it[k]))
+        report(
+          "warning",
+          `${ptr}/${k}`,
+          "is not a https://github.com/<owner>/<repo> URL"
+        );
+    const fromUrl = Data.resolveFullName({ url: it.html_url || it.url });
+    if (
+      it.full_name &&
+      fromUrl &&
+      fromUrl.toLowerCase() !== it.full_name.toLowerCase()
+    )
+      report(
+        "warning",
+        `${ptr}/full_name`,
+        `does not match the url (${fromUrl})`
+      );
+
+    const key = repo.full_name.toLowerCase();
+    if (seen.has(key))
+      report(
+        "warning",
+        ptr,
+        `duplicate of ${repo.full_name} at ${seen.get(key)}; later entries win`
+      );
+    else seen.set(key, locate(ptr));
+
+    if (
+      typeof it.writeup_src === "string" &&
+      !/^https?:/.test(it.writeup_src) &&
+      !fs.existsSync(path.join(ROOT, it.writeup_src))
+    )
+      report(
+        "warning",
+        `${ptr}/writeup_src`,
+        `file not found: ${it.writeup_src}`
+      );
+  });
+
+  function locate(ptr) {
+    const p = file.positions.get(ptr);
+    return p ? `line ${p.line}` : ptr;
+  }
+}
+
+// "featured[2].blurb" → /featured/2/blurb
+const keyToPointer = (key) =>
+  key
+    ? `/${key
+        .replace(/\[(\d+)\]/g, ".$1")
+        .split(".")
+        .map(escapePointer)
+        .join("/")}`
+    : "";
+
+function checkOrgs(list, report, file) {
+  const seen = new Map();
+  list.forEach((raw, i) => {
+    const ptr = `/${i}`;
+    const { cfg, problems } = Data.normalizeOrgConfig(raw, i);
+    for (const p of problems) {
+      report(
+        "error",
+        `${ptr}${keyToPointer(p.key)}`,
+        `${p.message} (the site ignores it)`
+      );
+    }
+    if (!cfg || !cfg.org) return;
+    const key = cfg.org.toLowerCase();
+    if (seen.has(key))
+      report(
+        "warning",
+        `${ptr}/org`,
+        `"${cfg.org}" already has a card at line ${seen.get(key)}`
+      );
+    else seen.set(key, (file.positions.get(`${ptr}/org`) || {}).line || "?");
+  });
+}
+
+function checkCerts(list, report, file) {
+  const seen = new Map();
+  list.forEach((it, i) => {
+    const ptr = `/${i}`;
+    if (!it || typeof it !== "object") return;
+    const cert = Data.normalizeManualCert(it);
+    if (!cert) {
+      report("error", ptr, "is skipped by the site: needs a name");
+      return;
+    }
+    if (
+      typeof it.image === "string" &&
+      !/^(https?:)?\/\//.test(it.image) &&
+      !fs.existsSync(path.join(ROOT, it.image))
+    )
+      report("warning", `${ptr}/image`, `file not found: ${it.image}`);
+    if (it.date && it.expires && it.expires < it.date)
+      report("warning", `${ptr}/expires`, "is before the issue date");
+
+    const key = cert.id;
+    if (seen.has(key))
+      report(
+        "warning",
+        ptr,
+        `duplicate of the certificate at line ${seen.get(
+          key
+        )}; later entries win`
+      );
+    else seen.set(key, (file.positions.get(ptr) || {}).line || "?");
+  });
+}
+
+function checkWork(list, report) {
+  list.forEach((raw, i) => {
+    const ptr = `/${i}`;
+    const { entry, problems } = Data.normalizeWorkEntry(raw, i);
+    for (const p of problems)
+      report("error", `${ptr}${keyToPointer(p.key)}`, p.message);
+    if (!entry) return;
+    entry.roles.forEach((r, j) => {
+      if (r.start && r.end && r.end < r.start)
+        report(
+          "warning",
+          Array.isArray(raw.roles) ? `${ptr}/roles/${j}/end` : `${ptr}/end`,
+          "is before the start date"
+        );
+    });
+  });
+}
+
+function checkSkills(list, report) {
+  list.forEach((raw, i) => {
+    for (const p of Data.normalizeSkillGroup(raw, i).problems)
+      report("error", `/${i}${keyToPointer(p.key)}`, p.message);
+  });
+}
+
+const SITE_CHECKS = {
+  repos: checkRepos,
+  orgs: checkOrgs,
+  certs: checkCerts,
+  experience: checkWork,
+  internships: checkWork,
+  skills: checkSkills,
+};
+
+// ---------------- Runner ----------------
+function lintFile(rel) {
+  const abs = path.resolve(ROOT, rel);
+  const kind = path.basename(abs, ".json");
+  const schemaPath = path.join(
+    SCHEMA_DIR,
+    `${SCHEMA_ALIASES[kind] || kind}.schema.json`
+  );
+  const results = [];
+  const text = fs.readFileSync(abs, "utf8");
+
+  let file;
+  try {
+    file = parseWithPositions(text);
+  } catch (e) {
+    results.push({
+      kind: "error",
+      line: e.line,
+      col: e.col,
+      message: `invalid JSON: ${e.message}`,
+    });
+    return results;
+  }
+  if (!fs.existsSync(schemaPath)) {
+    results.push({
+      kind: "error",
+      line: 1,
+      col: 1,
+      message: `no schema for "${kind}" in ${path.relative(ROOT, SCHEMA_DIR)}`,
+    });
+    return results;
+  }
+  const schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+
+  const errorPointers = [];
+  const report = (kind, pointer, message, atKey = false) => {
+    // A normalization error under (or above) a schema error is the same problem twice
+    if (
+      kind === "error" &&
+      errorPointers.some(
+        (p) =>
+          p === pointer ||
+          pointer.startsWith(`${p}/`) ||
+          p.startsWith(`${pointer}/`)
+      )
+    )
+      return;
+    if (kind === "error") errorPointers.push(pointer);
+    const pos = (atKey && file.positions.get(`${pointer}#key`)) ||
+      file.positions.get(pointer) || { line: 1, col: 1 };
+    results.push({ kind, line: pos.line, col: pos.col, pointer, message });
+  };
+
+  validate(schema, file.value, "", report);
+  if (Array.isArray(file.value) && SITE_CHECKS[kind])
+    SITE_CHECKS[kind](file.value, report, file);
+
+  return results.sort((a, b) => a.line - b.line || a.col - b.col);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  // Arguments are paths from the current directory; the defaults live in the repo
+  const files = args
+    .filter((a) => !a.startsWith("--"))
+    .map((a) => path.resolve(process.cwd(), a));
+  let errors = 0;
+  let warnings = 0;
+
+  for (const file of files.length ? files : DEFAULT_FILES) {
+    const abs = path.resolve(ROOT, file);
+    const shown = path.relative(process.cwd(), abs) || abs;
+    let results;
+    try {
+      results = lintFile(abs);
+    } catch (e) {
+      console.error(`${shown}: ${e.message}`);
+      errors++;
+      continue;
+    }
+    for (const r of results) {
+      console.log(
+        `${shown}:${r.line}:${r.col}  ${r.kind.padEnd(7)}  ${r.message}${
+          r.pointer ? `  (${r.pointer})` : ""
+        }`
+      );
+      if (r.kind === "error") errors++;
+      else warnings++;
+    }
+  }
+
+  console.log(
+    `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${
+      warnings === 1 ? "" : "s"
+    }`
+  );
+  process.exitCode = errors || (strict && warnings) ? 1 : 0;
+}
+
+if (require.main === module) main();
+
+module.exports = { lintFile, parseWithPositions };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/* server/credly-proxy.js  —  self-hosted replacement for api.allorigins.win
+   credly.js (#certGrid data-credly-proxy) asks this process for badge pages;
+   it forwards them to credly.com, caches them in memory and normalizes the shape.
+
+   - GET /credly/<user>/badges?page=1&page_size=48
+       → { data: [...badges], page, per_page, total_count, total_pages }
+   - Upstream failures serve the last good copy (X-Proxy-Cache: STALE)
+
+   Env:
+     PORT                  default 8787
+     CREDLY_USERS          optional comma list; when set, other users get 403
+     CREDLY_CACHE_TTL_SEC  default 3600
+     ALLOWED_ORIGINS       comma list for CORS, default "*"
+
+   Usage:
+     node server/credly-proxy.js
+*/
+const { sendJSON, startServer } = require("./http");
+
+const MAX_PAGE_SIZE = 100;
+const MAX_CACHE_ENTRIES = 100;
+
+// Credly's { data, metadata } → the flat shape credly.js reads
+function normalizeCredly(raw, page, pageSize) {
+  const data = Array.isArray(raw && raw.data) ? raw.data : [];
+  const m = (raw && raw.metadata) || {};
+  return {
+    data,
+    page: m.current_page || page,
+    per_page: m.per_page || pageSize,
+    total_count: m.total_count != null ? m.total_count : data.length,
+    total_pages: m.total_pages != null ? m.total_pages : null,
+  };
+}
+
+function createCredlyHandler({
+  users = (process.env.CREDLY_USERS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean),
+  cacheTtlMs = Number(process.env.CREDLY_CACHE_TTL_SEC || 3600) * 1000,
+} = {}) {
+  const cache = new Map(); // "user:page:size" → { ts, body }
+
+  function remember(key, entry) {
+    cache.set(key, entry);
+    while (cache.size > MAX_CACHE_ENTRIES)
+      cache.delete(cache.keys().next().value);
+  }
+
+  return async function handle(req, res, pathname) {
+    const m = pathname.match(/\/credly\/([\w.-]+)\/badges$/);
+    if (!m) return false;
+    if (req.method !== "GET") {
+      sendJSON(res, 405, { message: "Use GET" });
+      return true;
+    }
+    const user = m[1];
+    if (users.length && !users.includes(user)) {
+      sendJSON(res, 403, { message: "User not allowed" });
+      return true;
+    }
+
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const page = Math.max(1, parseInt(params.get("page") || "1", 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(params.get("page_size") || "48", 10) || 48)
+    );
+    const key = `${user}:${page}:${pageSize}`;
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.ts < cacheTtlMs) {
+      sendJSON(res, 200, hit.body, { "X-Proxy-Cache": "HIT" });
+      return true;
+    }
+
+    const url = `https://www.credly.com/users/${encodeURIComponent(
+      user
+    )}/badges.json?page=${page}&page_size=${pageSize}`;
+    try {
+      const upstream = await fetch(url, {
+        headers: {
+          Accept: "application/json",
+          "User-Agent": "portfolio-credly-proxy",
+        },
+      });
+      if (!upstream.ok) throw new Error(`Credly HTTP ${upstream.status}`);
+      const body = normalizeCredly(await upstream.json(), page, pageSize);
+      remember(key, { ts: Date.now(), body });
+      sendJSON(res, 200, body, { "X-Proxy-Cache": "MISS" });
+    } catch (e) {
+      if (hit) {
+        sendJSON(res, 200, hit.body, { "X-Proxy-Cache": "STALE" });
+      } else {
+        sendJSON(res, 502, { message: `Upstream error: ${e.message}` });
+      }
+    }
+    return true;
+  };
+}
+
+module.exports = { createCredlyHandler, normalizeCredly };
+
+if (require.main === module) {
+  startServer([createCredlyHandler()], Number(process.env.PORT || 8787));
+}
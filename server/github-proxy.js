@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/* server/github-proxy.js  —  token-holding GitHub GraphQL proxy
+   The browser never sees the token: github-projects.js POSTs read-only
+   GraphQL queries here (#ghGrid data-graphql-endpoint) and this process
+   forwards them to api.github.com/graphql with Authorization attached.
+
+   - POST /graphql  { query, variables }  → GitHub response (status + JSON)
+   - GET  /healthz                        → "ok"
+   - Only the site's own queries are forwarded (GRAPHQL in assets/js/github-core.js,
+     allow-listed by sha256 below), for the owners in GITHUB_OWNERS; bodies are
+     size-limited
+   - Successful responses are cached in memory for CACHE_TTL_SEC
+
+   Env:
+     GITHUB_TOKEN     required (a fine-grained token with public read access is enough)
+     GITHUB_OWNERS    optional comma list of users / orgs; when set, others get 403
+     PORT             default 8787
+     ALLOWED_ORIGINS  comma list for CORS, default "*"
+     CACHE_TTL_SEC    default 300
+
+   Usage:
+     GITHUB_TOKEN=... node server/github-proxy.js
+*/
+const crypto = require("crypto");
+const { readBody, sendJSON, startServer } = require("./http");
+
+const GITHUB_GRAPHQL = "https://api.github.com/graphql";
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_CACHE_ENTRIES = 200;
+
+// sha256 of each query document github-projects.js sends → the variable naming
+// its owner (tests/unit/github-proxy.test.js fails when they drift apart)
+const ALLOWED_QUERIES = new Map([
+  // GRAPHQL.ownerRepos
+  ["7a5cdba02f602d2ffbceb58abbeb890812872da858c489fdb813569df6a70034", "login"],
+  // GRAPHQL.repo
+  ["85529b7bba0ef7822663625fa332dd8ba791d776fd00a7ec75123fd138e54dc8", "owner"],
+]);
+
+const queryHash = (query) =>
+  crypto.createHash("sha256").update(query).digest("hex");
+
+// Returns (req, res, pathname) → boolean (true when the request was handled)
+function createGitHubHandler({
+  token = process.env.GITHUB_TOKEN || "",
+  owners = (process.env.GITHUB_OWNERS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean),
+  cacheTtlMs = Number(process.env.CACHE_TTL_SEC || 300) * 1000,
+} = {}) {
+  const cache = new Map(); // body → { ts, status, text }
+
+  function remember(key, entry) {
+    cache.set(key, entry);
+    while (cache.size > MAX_CACHE_ENTRIES)
+      cache.delete(cache.keys().next().value);
+  }
+
+  return async function handle(req, res, pathname) {
+    if (!pathname.endsWith("/graphql")) return false;
+    if (req.method !== "POST") {
+      sendJSON(res, 405, { message: "Use POST" });
+      return true;
+    }
+    if (!token) {
+      sendJSON(res, 503, { message: "GITHUB_TOKEN is not configured" });
+      return true;
+    }
+
+    let payload;
+    try {
+      const raw = await readBody(req, MAX_BODY_BYTES);
+      payload = JSON.parse(raw);
+    } catch (e) {
+      sendJSON(res, e.status || 400, { message: e.message || "Bad JSON" });
+      return true;
+    }
+    const { query, variables = {} } = payload || {};
+    const ownerVar =
+      typeof query === "string" && ALLOWED_QUERIES.get(queryHash(query));
+    if (!ownerVar) {
+      sendJSON(res, 400, { message: "Query not allowed" });
+      return true;
+    }
+    const owner = String(variables?.[ownerVar] || "").toLowerCase();
+    if (owners.length && !owners.includes(owner)) {
+      sendJSON(res, 403, { message: "Owner not allowed" });
+      return true;
+    }
+
+    const key = JSON.stringify({ query, variables });
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.ts < cacheTtlMs) {
+      sendJSON(res, hit.status, hit.text, { "X-Proxy-Cache": "HIT" });
+      return true;
+    }
+
+    try {
+      const upstream = await fetch(GITHUB_GRAPHQL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          "User-Agent": "portfolio-github-proxy",
+        },
+        body: key,
+      });
+      const text = await upstream.text();
+      if (upstream.ok)
+        remember(key, { ts: Date.now(), status: upstream.status, text });
+      sendJSON(res, upstream.status, text, { "X-Proxy-Cache": "MISS" });
+    } catch (e) {
+      sendJSON(res, 502, { message: `Upstream error: ${e.message}` });
+    }
+    return true;
+  };
+}
+
+module.exports = { createGitHubHandler, ALLOWED_QUERIES, queryHash };
+
+if (require.main === module) {
+  startServer([createGitHubHandler()], Number(process.env.PORT || 8787));
+}
@@ -0,0 +1,71 @@
+/* server/http.js  —  tiny shared helpers for the proxies (no dependencies)
+   Handlers have the shape (req, res, pathname) → Promise<boolean>;
+   startServer() tries them in order and answers 404 when none matched.
+*/
+const http = require("http");
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    ...headers,
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function applyCors(req, res, allowed) {
+  const origin = req.headers.origin || "";
+  if (allowed.includes("*")) res.setHeader("Access-Control-Allow-Origin", "*");
+  else if (allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+function startServer(handlers, port) {
+  const allowed = (process.env.ALLOWED_ORIGINS || "*")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const server = http.createServer(async (req, res) => {
+    applyCors(req, res, allowed);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname.endsWith("/healthz")) {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end("ok");
+      return;
+    }
+    for (const handle of handlers) {
+      if (await handle(req, res, pathname)) return;
+    }
+    sendJSON(res, 404, { message: "Not found" });
+  });
+  server.listen(port, () => console.log(`proxy listening on :${port}`));
+  return server;
+}
+
+module.exports = { readBody, sendJSON, applyCors, startServer };
@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/* server/index.js  —  both proxies on one port (what server/Dockerfile runs)
+   nginx forwards /api/* here with the /api prefix stripped:
+     /api/github/graphql           → github-proxy.js
+     /api/credly/<user>/badges     → credly-proxy.js
+*/
+const { startServer } = require("./http");
+const { createGitHubHandler } = require("./github-proxy");
+const { createCredlyHandler } = require("./credly-proxy");
+
+startServer(
+  [createGitHubHandler(), createCredlyHandler()],
+  Number(process.env.PORT || 8787)
+);
@@ -0,0 +1,183 @@
+/* sw.js  —  service worker: offline shell + API fallback (registered by assets/js/offline.js)
+   - install: precaches SHELL (the page, its styles and scripts, the profile
+     image and the CV) into a cache named after VERSION
+   - page loads: network first, the precached index.html when offline
+   - other SHELL files: cache first, refreshed in the background
+   - GitHub / Credly API and assets/data/*.json GETs: network first; when the
+     network fails the last good response is served with an X-SW-Fallback
+     header, so the page can say it is showing a saved copy. At most
+     DATA_MAX_ENTRIES responses are kept (least recently saved go first), none
+     older than DATA_MAX_AGE
+
+   VERSION is stamped at deploy time: the Pages workflow (.github/workflows/
+   static.yml, the commit SHA) and the dockerfile (BUILD_VERSION build arg =
+   the Jenkins image tag). A new version precaches a fresh shell and activate
+   deletes the shell caches of older ones; saved API responses are kept across
+   deploys, within the bounds above.
+*/
+const VERSION = "dev";
+const SHELL_CACHE = `portfolio-shell-${VERSION}`;
+const DATA_CACHE = "portfolio-data-v1";
+const FALLBACK_HEADER = "X-SW-Fallback";
+const SAVED_AT_HEADER = "X-SW-Saved-At";
+const DATA_MAX_ENTRIES = 150;
+const DATA_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+// Relative to this file, so the site also works under a sub-path
+const SHELL = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "assets/css/theme.css",
+  "assets/css/site.css",
+  "assets/css/print.css",
+  "assets/css/tailwind.css",
+  "assets/js/theme.js",
+  "assets/js/i18n-messages.js",
+  "assets/js/i18n-core.js",
+  "assets/js/i18n.js",
+  "assets/js/offline.js",
+  "assets/js/cache.js",
+  "assets/js/a11y.js",
+  "assets/js/dom-patch.js",
+  "assets/js/markdown.js",
+  "assets/js/data-normalize.js",
+  "assets/js/resume-core.js",
+  "assets/js/github-core.js",
+  "assets/js/credly-core.js",
+  "assets/js/github-projects.js",
+  "assets/js/stats-core.js",
+  "assets/js/github-stats.js",
+  "assets/js/credly.js",
+  "assets/js/cv-sections.js",
+  "assets/js/resume-export.js",
+  "assets/js/print-cv.js",
+  "assets/images/profile.jpeg",
+  "assets/docs/eren-baris-bostanci-cv.pdf",
+];
+const shellUrls = new Set(SHELL.map((p) => new URL(p, self.location).href));
+
+// Live data worth keeping for offline visits (GET only; GraphQL POSTs pass through)
+function isData(url) {
+  if (url.origin === "https://api.github.com") return true;
+  if (url.origin === "https://api.allorigins.win") return true; // Credly without the proxy
+  if (url.origin !== self.location.origin) return false;
+  return (
+    /\/api\/credly\//.test(url.pathname) ||
+    /\/assets\/data\/.+\.json$/.test(url.pathname)
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (k) => k.startsWith("portfolio-shell-") && k !== SHELL_CACHE
+            )
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(pruneData)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Copy of a response with one header set
+async function withHeader(res, name, value) {
+  const headers = new Headers(res.headers);
+  headers.set(name, value);
+  return new Response(await res.blob(), {
+    status: res.status,
+    statusText: res.statusText,
+    headers,
+  });
+}
+
+// Saved before DATA_MAX_AGE (or before saves were dated)
+const expired = (res) =>
+  Date.now() - Number(res.headers.get(SAVED_AT_HEADER) || 0) > DATA_MAX_AGE;
+
+async function saveData(cache, request, res) {
+  await cache.put(
+    request,
+    await withHeader(res, SAVED_AT_HEADER, String(Date.now()))
+  );
+  // keys() lists entries in the order they were last put
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - DATA_MAX_ENTRIES))
+      .map((k) => cache.delete(k))
+  );
+}
+
+async function pruneData() {
+  const cache = await caches.open(DATA_CACHE);
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req, { ignoreVary: true });
+    if (!res || expired(res)) await cache.delete(req);
+  }
+}
+
+async function networkFirst(event) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) event.waitUntil(saveData(cache, event.request, res.clone()));
+    return res;
+  } catch (err) {
+    // Request headers (If-None-Match, Accept) differ per call: match on the URL
+    const saved = await cache.match(event.request.url, { ignoreVary: true });
+    if (saved && !expired(saved))
+      return withHeader(saved, FALLBACK_HEADER, "1");
+    throw err;
+  }
+}
+
+async function pageFirst(event) {
+  try {
+    return await fetch(event.request);
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    const page = await cache.match(new URL("index.html", self.location).href);
+    if (page) return page;
+    throw err;
+  }
+}
+
+async function shellFirst(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const refresh = fetch(event.request).then((res) => {
+    if (res.ok) return cache.put(event.request, res.clone()).then(() => res);
+    return res;
+  });
+  const saved = await cache.match(event.request, { ignoreSearch: true });
+  if (saved) {
+    event.waitUntil(refresh.catch(() => {}));
+    return saved;
+  }
+  return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate") event.respondWith(pageFirst(event));
+  else if (isData(url)) event.respondWith(networkFirst(event));
+  else if (shellUrls.has(url.origin + url.pathname))
+    event.respondWith(shellFirst(event));
+});
@@ -0,0 +1,25 @@
+/* tailwind.config.js  —  build config for assets/css/tailwind.css (npm run build:css)
+   Classes are collected from index.html and the templates in assets/js, so
+   everything the scripts inject (repo cards, badge cards, drawers …) must
+   appear there as whole class names, never assembled from pieces.
+
+   `accent` and `gray` read CSS variables (assets/css/theme.css, theme.js), so
+   one stylesheet serves every palette and the high-contrast mode.
+*/
+const themeScale = (name) =>
+  Object.fromEntries(
+    [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map((s) => [
+      s,
+      `rgb(var(--${name}-${s}) / <alpha-value>)`,
+    ])
+  );
+
+module.exports = {
+  content: ["./index.html", "./assets/js/**/*.js"],
+  darkMode: "class",
+  theme: {
+    extend: {
+      colors: { accent: themeScale("accent"), gray: themeScale("gray") },
+    },
+  },
+};
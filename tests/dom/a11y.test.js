@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { loadPage, fixture, UI } = require("../helpers/page.js");
+
+const AXE_SOURCE = fs.readFileSync(require.resolve("axe-core"), "utf8");
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const ORG_REPOS = "api.github.com/orgs/Hot-Map/repos";
+const PROXY = "/api/credly/eren-baris-bostanci/badges";
+const ROUTES = [
+  [
+    "assets/data/orgs.json",
+    [{ org: "Hot-Map", sort: "stars", tech_stack: ["Flutter"] }],
+  ],
+  ["assets/data/repos.json", []],
+  [USER_REPOS, fixture("github/user-repos.json")],
+  [ORG_REPOS, fixture("github/org-repos.json")],
+  [/api\.github\.com\/repos\/[^/]+\/[^/]+\/languages/, { Python: 100 }],
+  [
+    "api.github.com/users/erenbarisbostanci/events/public",
+    fixture("github/user-events.json"),
+  ],
+  [PROXY, fixture("credly/badges.json")],
+];
+
+const loaded = (page) => () => {
+  const { document } = page;
+  return (
+    document.querySelectorAll("#ghGrid article[data-repo]").length &&
+    document.querySelector(".org-card .repo-list a") &&
+    document.querySelector("#certGrid figure") &&
+    document.querySelector('[data-stats-card="activity"] li') &&
+    !document.querySelector("[aria-busy]")
+  );
+};
+
+// jsdom has no layout, so rules that measure rendered colors are left to the browser
+async function runAxe(page) {
+  page.window.eval(AXE_SOURCE);
+  return page.window.axe.run(page.document, {
+    rules: { "color-contrast": { enabled: false } },
+  });
+}
+
+test("the rendered page passes axe", async () => {
+  const page = await loadPage({ inView: true, routes: ROUTES });
+  try {
+    await page.waitFor(loaded(page));
+    const { violations } = await runAxe(page);
+    assert.deepEqual(
+      Array.from(violations, (v) => `${v.id}: ${v.nodes[0].target.join(" ")}`),
+      []
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("cards are list items, skeletons are labelled and busy", async () => {
+  let answer;
+  const held = new Promise((resolve) => (answer = resolve));
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", []],
+      ["assets/data/repos.json", []],
+      [USER_REPOS, held],
+    ],
+  });
+  try {
+    const { document } = page;
+    const grid = document.getElementById("ghGrid");
+    await page.waitFor(() => grid.getAttribute("aria-busy") === "true");
+    const skeletons = grid.querySelectorAll(":scope > li[data-skeleton]");
+    assert.equal(skeletons.length, 3);
+    assert.equal(
+      skeletons[0].querySelector(".sr-only").textContent,
+      "Loading repository…"
+    );
+    assert.equal(
+      skeletons[0].querySelector("[aria-hidden]").getAttribute("aria-hidden"),
+      "true"
+    );
+
+    answer(fixture("github/user-repos.json"));
+    await page.waitFor(() => !grid.hasAttribute("aria-busy"));
+    assert.equal(grid.getAttribute("role"), "list");
+    const items = grid.querySelectorAll(":scope > li");
+    assert.equal(items.length, 2);
+    const article = items[0].querySelector("article");
+    assert.equal(
+      document
+        .getElementById(article.getAttribute("aria-labelledby"))
+        .textContent.trim(),
+      "portfolio-site"
+    );
+    assert.match(
+      article.querySelector('a[target="_blank"]').getAttribute("aria-label"),
+      /\(opens in a new tab\)$/
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("pinned badges carry an icon and describe their card", async () => {
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", [{ org: "Hot-Map" }]],
+      ["assets/data/repos.json", []],
+      [USER_REPOS, []],
+      [ORG_REPOS, fixture("github/org-repos.json")],
+    ],
+  });
+  try {
+    const card = await page.waitFor(() =>
+      page.document.querySelector('.org-card[data-org="Hot-Map"]')
+    );
+    const badge = page.document.getElementById(
+      card.getAttribute("aria-describedby")
+    );
+    assert.equal(badge.textContent.trim(), "Pinned");
+    assert.ok(badge.querySelector('svg[aria-hidden="true"]'));
+    assert.equal(card.parentElement.tagName, "LI");
+  } finally {
+    page.close();
+  }
+});
+
+test("arrow keys move between cards, Home / End jump to the ends", async () => {
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", []],
+      ["assets/data/repos.json", []],
+      [USER_REPOS, fixture("github/user-repos.json")],
+    ],
+    url: "http://localhost/?forks=1&archived=1",
+  });
+  try {
+    const { document, window } = page;
+    const buttons = () =>
+      Array.from(document.querySelectorAll("#ghGrid [data-repo-open]"));
+    await page.waitFor(() => buttons().length === 4);
+    const press = (key) =>
+      document.activeElement.dispatchEvent(
+        new window.KeyboardEvent("keydown", { key, bubbles: true })
+      );
+    buttons()[0].focus();
+    press("ArrowRight");
+    assert.equal(document.activeElement, buttons()[1]);
+    press("ArrowDown"); // jsdom lays out no grid: one column
+    assert.equal(document.activeElement, buttons()[2]);
+    press("End");
+    assert.equal(document.activeElement, buttons()[3]);
+    press("ArrowRight"); // stays on the last card
+    assert.equal(document.activeElement, buttons()[3]);
+    press("Home");
+    assert.equal(document.activeElement, buttons()[0]);
+  } finally {
+    page.close();
+  }
+});
+
+test("a sort change keeps focus on its card and is announced", async () => {
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", []],
+      ["assets/data/repos.json", []],
+      [USER_REPOS, fixture("github/user-repos.json")],
+    ],
+  });
+  try {
+    const { document, window } = page;
+    const names = () =>
+      Array.from(document.querySelectorAll("#ghGrid [data-repo-open]"), (b) =>
+        b.textContent.trim()
+      );
+    await page.waitFor(() => names().length === 2);
+    assert.deepEqual(names(), ["portfolio-site", "gan-experiments"]);
+
+    // A repaint that moves the focused card must not drop focus to <body>
+    const focused = document.querySelector(
+      '[data-repo="erenbarisbostanci/portfolio-site"] [data-repo-open]'
+    );
+    focused.focus();
+    const sort = document.getElementById("ghSort");
+    sort.value = "stars";
+    sort.dispatchEvent(new window.Event("change"));
+    assert.deepEqual(names(), ["gan-experiments", "portfolio-site"]);
+    assert.equal(
+      document.activeElement.closest("article").getAttribute("data-repo"),
+      "erenbarisbostanci/portfolio-site"
+    );
+    const live = await page.waitFor(() =>
+      document.getElementById("a11yAnnounce")?.textContent
+        ? document.getElementById("a11yAnnounce")
+        : null
+    );
+    assert.equal(live.getAttribute("aria-live"), "polite");
+    assert.match(live.textContent, /^Sorted: /);
+  } finally {
+    page.close();
+  }
+});
+
+test("new-tab links say so in static and rendered markup", async () => {
+  const page = await loadPage({
+    scripts: [...UI, "data-normalize.js", "cv-sections.js"],
+  });
+  try {
+    const { document } = page;
+    await page.waitFor(() => document.querySelector("#experienceList article"));
+    for (const a of document.querySelectorAll('a[target="_blank"]')) {
+      const label = a.getAttribute("aria-label") || a.textContent;
+      assert.match(label, /opens in a new tab/, a.outerHTML.slice(0, 80));
+    }
+  } finally {
+    page.close();
+  }
+});
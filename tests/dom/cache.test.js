@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, cacheEntry } = require("../helpers/page.js");
+
+const ONLY_CACHE = ["cache.js"];
+
+// localStorage that holds at most `limit` characters (keys + values), like a
+// browser that runs out of quota
+const quota = (limit) => (w) => {
+  const { setItem } = w.Storage.prototype;
+  w.Storage.prototype.setItem = function (key, value) {
+    let used = 0;
+    for (let i = 0; i < this.length; i++) {
+      const k = this.key(i);
+      if (k !== key) used += k.length + this.getItem(k).length;
+    }
+    if (used + key.length + String(value).length > limit)
+      throw new w.DOMException("quota exceeded", "QuotaExceededError");
+    return setItem.call(this, key, value);
+  };
+};
+
+test("sweep drops v1 entries and index rows whose item is gone", async () => {
+  const page = await loadPage({
+    scripts: ONLY_CACHE,
+    storage: {
+      "gh:repos:me": JSON.stringify({ ts: Date.now(), data: [] }), // v1
+      "credly:me:badges": "not json",
+      "gh:topics:me/repo": cacheEntry(["a"]),
+      theme: "dark", // not the cache's to touch
+      "cache:lru": JSON.stringify({ "gh:gone": 1, "gh:topics:me/repo": 2 }),
+    },
+  });
+  try {
+    const { localStorage } = page.window;
+    assert.equal(localStorage.getItem("gh:repos:me"), null);
+    assert.equal(localStorage.getItem("credly:me:badges"), null);
+    assert.ok(localStorage.getItem("gh:topics:me/repo"));
+    assert.equal(localStorage.getItem("theme"), "dark");
+    assert.deepEqual(
+      Object.keys(JSON.parse(localStorage.getItem("cache:lru"))),
+      ["gh:topics:me/repo"]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("the longest defined prefix sets an entry's TTL", async () => {
+  const page = await loadPage({ scripts: ONLY_CACHE });
+  try {
+    const Cache = page.window.PortfolioCache;
+    Cache.define("gh", { ttl: 1000 });
+    Cache.define("gh:topics", { ttl: 60000 });
+    assert.equal(Cache.ttl("gh:topics:me/repo"), 60000);
+    assert.equal(Cache.ttl("gh:topics"), 60000);
+    assert.equal(Cache.ttl("gh:topicsextra:x"), 1000); // not the gh:topics namespace
+    assert.equal(Cache.ttl("gh:repos:me"), 1000);
+    assert.equal(Cache.ttl("credly:me"), 30 * 60 * 1000); // undefined: default
+
+    const aged = (ms) => ({ ts: Date.now() - ms });
+    assert.ok(Cache.isFresh("gh:topics:me/repo", aged(5000)));
+    assert.ok(!Cache.isFresh("gh:repos:me", aged(5000)));
+    assert.ok(!Cache.isFresh("gh:repos:me", null));
+  } finally {
+    page.close();
+  }
+});
+
+test("a full localStorage evicts the least recently used entries", async () => {
+  const page = await loadPage({ scripts: ONLY_CACHE, setup: quota(500) });
+  try {
+    const Cache = page.window.PortfolioCache;
+    const { localStorage } = page.window;
+    const data = "x".repeat(100);
+    for (const k of ["gh:a", "gh:b", "gh:c"]) assert.ok(Cache.set(k, data));
+    Cache.get("gh:a"); // now gh:b is the oldest
+
+    assert.ok(Cache.set("gh:d", data));
+    assert.equal(localStorage.getItem("gh:b"), null);
+    for (const k of ["gh:a", "gh:c", "gh:d"])
+      assert.ok(localStorage.getItem(k));
+
+    // Larger than the whole quota: everything else goes, then the write fails
+    assert.equal(Cache.set("gh:huge", "x".repeat(1000)), false);
+    assert.ok(
+      page.logs.some(([, text]) => /Cache write failed: gh:huge/.test(text))
+    );
+    assert.equal(Cache.entries().length, 0);
+  } finally {
+    page.close();
+  }
+});
+
+test("?debug=cache lists entries and can remove or clear them", async () => {
+  const page = await loadPage({
+    scripts: ONLY_CACHE,
+    url: "http://localhost/?debug=cache",
+    storage: {
+      "gh:repos:me": cacheEntry([1, 2, 3], 2 * 3600e3),
+      "credly:me:badges": cacheEntry([]),
+      theme: "dark",
+    },
+  });
+  try {
+    const { document, localStorage } = page.window;
+    const panel = document.getElementById("cacheDebug");
+    const rows = () =>
+      Array.from(panel.querySelectorAll("tbody tr"), (tr) =>
+        Array.from(tr.cells, (td) => td.textContent.trim())
+      );
+    assert.match(panel.textContent, /2 entries/);
+    assert.deepEqual(
+      rows().map((r) => [r[0], r[1], r[3]]),
+      [
+        ["credly:me:badges", "0s", "fresh"],
+        ["gh:repos:me", "2h", "stale"],
+      ]
+    );
+
+    panel
+      .querySelector('[data-cache-action="remove"][data-key="gh:repos:me"]')
+      .click();
+    assert.equal(localStorage.getItem("gh:repos:me"), null);
+    assert.deepEqual(
+      rows().map((r) => r[0]),
+      ["credly:me:badges"]
+    );
+
+    panel.querySelector('[data-cache-action="clear"]').click();
+    assert.equal(localStorage.getItem("credly:me:badges"), null);
+    assert.equal(localStorage.getItem("theme"), "dark");
+    assert.equal(rows().length, 0);
+
+    panel.querySelector('[data-cache-action="close"]').click();
+    assert.equal(document.getElementById("cacheDebug"), null);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const USER_KEY = "gh:userrepos:erenbarisbostanci";
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+const ETAG = 'W/"4f1c2a"';
+const HOUR = 60 * 60 * 1000;
+
+const statusText = (page) =>
+  page.document.getElementById("ghStatus").textContent.trim();
+const settled = (page) => () => !/Loading|refreshing/.test(statusText(page));
+const entry = (page, key) =>
+  JSON.parse(page.window.localStorage.getItem(key) || "null");
+const expired = (data, meta) =>
+  JSON.stringify({ v: 2, ts: Date.now() - 2 * HOUR, data, meta });
+
+test("a 200 stores the ETag and Last-Modified with the entry", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        {
+          status: 200,
+          body: fixture("github/user-repos.json"),
+          headers: {
+            etag: ETAG,
+            "last-modified": "Sun, 02 Mar 2025 10:00:00 GMT",
+          },
+        },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.deepEqual(entry(page, USER_KEY).meta, {
+      etag: ETAG,
+      lastModified: "Sun, 02 Mar 2025 10:00:00 GMT",
+    });
+    assert.doesNotMatch(statusText(page), /saved/);
+  } finally {
+    page.close();
+  }
+});
+
+test("an expired entry is revalidated and a 304 refreshes it", async () => {
+  const sent = [];
+  const page = await loadPage({
+    storage: {
+      [USER_KEY]: expired(fixture("github/user-repos.json"), {
+        etag: ETAG,
+        lastModified: "",
+      }),
+    },
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        (url, init) => {
+          sent.push(init.headers["If-None-Match"]);
+          return { status: 304, body: null, headers: { etag: ETAG } };
+        },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(() => /saved/.test(statusText(page)));
+    assert.deepEqual(sent, [ETAG]);
+    assert.equal(
+      statusText(page),
+      "2 repositories · updated just now · 1 API call saved"
+    );
+    const e = entry(page, USER_KEY);
+    assert.ok(Date.now() - e.ts < HOUR, "TTL restarted");
+    assert.equal(e.data.length, 4);
+    assert.equal(e.meta.etag, ETAG);
+  } finally {
+    page.close();
+  }
+});
+
+test("a changed resource replaces the entry and its ETag", async () => {
+  const page = await loadPage({
+    storage: {
+      [USER_KEY]: expired([], { etag: ETAG, lastModified: "" }),
+    },
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        (url, init) =>
+          init.headers["If-None-Match"] === ETAG
+            ? {
+                status: 200,
+                body: fixture("github/user-repos.json"),
+                headers: { etag: 'W/"new"' },
+              }
+            : { status: 500, body: {} },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(() => /^2 repositories/.test(statusText(page)));
+    assert.equal(entry(page, USER_KEY).meta.etag, 'W/"new"');
+    assert.doesNotMatch(statusText(page), /saved/);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,335 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, cacheEntry, UI } = require("../helpers/page.js");
+
+const PROXY = "/api/credly/eren-baris-bostanci/badges";
+const CACHE_KEY = "credly:eren-baris-bostanci:badges:v1:48";
+const CREDLY_ONLY = [
+  ...UI,
+  "cache.js",
+  "data-normalize.js",
+  "credly-core.js",
+  "credly.js",
+];
+
+const statusText = (page) =>
+  page.document.getElementById("certStatus").textContent.trim();
+const badgeCount = (page) =>
+  page.document.querySelectorAll("#certGrid figure").length;
+const settled = (page) => () => !/Loading|refreshing/.test(statusText(page));
+
+const badge = (i) => ({
+  id: `badge-${i}`,
+  issued_at: "2024-01-01T00:00:00.000Z",
+  badge_template: { name: `Badge ${i}` },
+});
+const page1 = { data: Array.from({ length: 48 }, (_, i) => badge(i)) };
+const page2 = { data: [badge(48), badge(49)] };
+
+test("renders badges from the proxy", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [[PROXY, fixture("credly/badges.json")]],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 2);
+    assert.equal(statusText(page), "2 badges · updated just now");
+    assert.match(
+      page.document.getElementById("certGrid").textContent,
+      /AWS Certified Cloud Practitioner/
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("falls back to allorigins where no proxy answers", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [
+      [PROXY, { status: 404, body: "" }],
+      [
+        "api.allorigins.win/get",
+        { contents: JSON.stringify(fixture("credly/badges.json")) },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 2);
+    assert.equal(statusText(page), "2 badges · updated just now");
+    const allorigins = page.calls.find((u) => u.includes("allorigins"));
+    assert.match(
+      decodeURIComponent(allorigins),
+      /credly\.com\/users\/eren-baris-bostanci\/badges\.json\?page=1&/
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("follows pages until a short one", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [
+      [(u) => u.includes(PROXY) && u.includes("page=1&"), page1],
+      [(u) => u.includes(PROXY) && u.includes("page=2&"), page2],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 50);
+    assert.equal(page.calls.filter((u) => u.includes(PROXY)).length, 2);
+  } finally {
+    page.close();
+  }
+});
+
+test("an empty profile shows the empty state", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [[PROXY, { data: [] }]],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(statusText(page), "No public badges found on Credly profile.");
+    assert.equal(badgeCount(page), 0);
+  } finally {
+    page.close();
+  }
+});
+
+test("a failure without a cache is reported", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [[PROXY, { status: 502, body: {} }]],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(statusText(page), "Couldn’t load from Credly.");
+  } finally {
+    page.close();
+  }
+});
+
+test("an expired cache stays on screen when the refresh fails", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    storage: {
+      [CACHE_KEY]: cacheEntry(fixture("credly/badges.json").data, 24 * 3600e3),
+    },
+    online: false,
+    routes: [[PROXY, new TypeError("Failed to fetch")]],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 2);
+    assert.match(statusText(page), /Showing cached Credly badges/);
+  } finally {
+    page.close();
+  }
+});
+
+test("the service worker's saved copy is shown as cached", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [
+      [
+        PROXY,
+        {
+          status: 200,
+          body: fixture("credly/badges.json"),
+          headers: { "X-SW-Fallback": "1" },
+        },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 2);
+    assert.match(statusText(page), /Showing cached Credly badges/);
+    assert.equal(page.window.localStorage.getItem(CACHE_KEY), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("a fresh cache needs no network", async () => {
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    storage: {
+      [CACHE_KEY]: cacheEntry(fixture("credly/badges.json").data, 5 * 60e3),
+    },
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(statusText(page), "2 badges · updated 5 minutes ago");
+    assert.ok(!page.calls.some((u) => u.includes(PROXY)));
+  } finally {
+    page.close();
+  }
+});
+
+const DAY = 24 * 3600e3;
+const rich = [
+  {
+    id: "k8s-2021",
+    issued_at: "2021-03-01T00:00:00Z",
+    badge_template: { name: "CKA 2021", skills: ["Kubernetes"] },
+    issuer: { summary: "issued by The Linux Foundation" },
+  },
+  {
+    id: "k8s-2024",
+    issued_at: "2024-03-01T00:00:00Z",
+    expires_at: new Date(Date.now() + 10 * DAY).toISOString(),
+    badge_template: { name: "CKA 2024", skills: ["Kubernetes"] },
+    issuer: { summary: "issued by The Linux Foundation" },
+  },
+  {
+    id: "aws-old",
+    issued_at: "2020-01-01T00:00:00Z",
+    expires_at: "2023-01-01T00:00:00Z",
+    badge_template: { name: "AWS Developer", skills: [{ name: "AWS" }] },
+    issuer: { summary: "issued by Amazon Web Services" },
+  },
+  {
+    id: "aws-new",
+    issued_at: "2025-01-01T00:00:00Z",
+    badge_template: { name: "AWS Architect", skills: [{ name: "AWS" }] },
+    issuer: { summary: "issued by Amazon Web Services" },
+  },
+  {
+    id: "tf",
+    issued_at: "2022-06-01T00:00:00Z",
+    badge_template: { name: "Terraform Associate", skills: ["IaC"] },
+    issuer: { summary: "issued by HashiCorp" },
+  },
+];
+const headings = (page) =>
+  Array.from(page.document.querySelectorAll("#certGrid h4")).map((h) =>
+    h.textContent.replace(/\s+/g, " ").trim()
+  );
+const names = (page) =>
+  Array.from(page.document.querySelectorAll("#certGrid figcaption")).map(
+    (f) => f.textContent
+  );
+const loadRich = (storage) =>
+  loadPage({
+    scripts: CREDLY_ONLY,
+    storage,
+    routes: [[PROXY, { data: rich }]],
+  });
+
+test("groups by issuer and collapses renewals", async () => {
+  const page = await loadRich();
+  try {
+    await page.waitFor(settled(page));
+    assert.deepEqual(headings(page), [
+      "Amazon Web Services (2)",
+      "HashiCorp (1)",
+      "The Linux Foundation (1)",
+    ]);
+    assert.equal(statusText(page), "4 badges · updated just now");
+    assert.ok(!names(page).includes("CKA 2021"));
+    const cka = page.document.querySelector(
+      "#certGrid section:last-child figure"
+    );
+    assert.match(cka.textContent, /Expires in 10 days/);
+    assert.match(cka.textContent, /Previously earned:/);
+    assert.match(
+      page.document.getElementById("certGrid").textContent,
+      /Expired/
+    );
+    assert.ok(
+      !page.document.getElementById("certToolbar").classList.contains("hidden")
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("sort and grouping controls repaint and are remembered", async () => {
+  const page = await loadRich();
+  try {
+    await page.waitFor(settled(page));
+    const { document, window } = page;
+    const group = document.getElementById("certGroup");
+    const sort = document.getElementById("certSort");
+    group.value = "none";
+    group.dispatchEvent(new window.Event("change"));
+    sort.value = "name";
+    sort.dispatchEvent(new window.Event("change"));
+    assert.deepEqual(headings(page), []);
+    assert.deepEqual(names(page), [
+      "AWS Architect",
+      "AWS Developer",
+      "CKA 2024",
+      "Terraform Associate",
+    ]);
+    assert.equal(window.localStorage.getItem("certSort"), "name");
+    assert.equal(window.localStorage.getItem("certGroup"), "none");
+  } finally {
+    page.close();
+  }
+});
+
+test("skill chips filter the grid", async () => {
+  const page = await loadRich();
+  try {
+    await page.waitFor(settled(page));
+    const chip = (skill) =>
+      page.document.querySelector(`#certSkills [data-skill="${skill}"]`);
+    assert.equal(
+      page.document.querySelectorAll("#certSkills [data-skill]").length,
+      3
+    );
+    chip("AWS").click();
+    assert.equal(chip("AWS").getAttribute("aria-pressed"), "true");
+    assert.equal(page.document.activeElement, chip("AWS"));
+    assert.equal(badgeCount(page), 2);
+    chip("IaC").click();
+    assert.equal(badgeCount(page), 3);
+    page.document.querySelector("#certSkills [data-skill-clear]").click();
+    assert.equal(badgeCount(page), 4);
+  } finally {
+    page.close();
+  }
+});
+
+test("certs.json entries are merged with the Credly badges", async () => {
+  const aws = fixture("credly/badges.json").data[0];
+  const page = await loadPage({
+    scripts: CREDLY_ONLY,
+    routes: [
+      [PROXY, fixture("credly/badges.json")],
+      [
+        "assets/data/certs.json",
+        [
+          { credly_id: aws.id, name: "AWS CCP (renamed)" },
+          {
+            name: "Scrum Master",
+            issuer: "Scrum.org",
+            verify_url: "https://www.scrum.org/certificates/1",
+          },
+          { issuer: "no name" },
+        ],
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(badgeCount(page), 3);
+    assert.equal(statusText(page), "3 badges · updated just now");
+    assert.ok(names(page).includes("AWS CCP (renamed)"));
+    const scrum = Array.from(
+      page.document.querySelectorAll("#certGrid figure")
+    ).find((f) => /Scrum Master/.test(f.textContent));
+    const link = scrum.querySelector("a");
+    assert.equal(link.textContent, "Verify credential (opens in a new tab)");
+    assert.equal(link.href, "https://www.scrum.org/certificates/1");
+    assert.ok(page.logs.some(([, text]) => /#3 skipped/.test(text)));
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, UI } = require("../helpers/page.js");
+
+const CV_ONLY = [...UI, "data-normalize.js", "cv-sections.js"];
+const text = (el) => el.textContent.replace(/\s+/g, " ").trim();
+const rendered = (page) => () =>
+  ["experienceList", "internshipList", "skillGroups"].every(
+    (id) => !page.document.getElementById(id).hasAttribute("aria-busy")
+  );
+
+test("renders the committed data files", async () => {
+  const page = await loadPage({ scripts: CV_ONLY });
+  try {
+    await page.waitFor(rendered(page));
+    const { document } = page;
+    const roles = document.querySelectorAll("#experienceList ol li");
+    assert.equal(roles.length, 3);
+    assert.equal(text(roles[0]), "Senior Consultant Jun 1, 2025 – Present");
+    assert.equal(
+      text(document.querySelector("#internshipList article h4")),
+      "Dogma Alares · Machine Learning Engineer Internship"
+    );
+    assert.equal(
+      document.querySelectorAll("#internshipList article").length,
+      6
+    );
+    assert.match(
+      text(document.getElementById("skillGroups")),
+      /Programming Java, Python, C\/C\+\+, C#/
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("a JSON Resume document feeds every section with one request", async () => {
+  const resume = {
+    work: [
+      { name: "Acme", position: "Lead", startDate: "2024-01" },
+      { name: "Acme", position: "Dev", startDate: "2022", endDate: "2024-01" },
+      {
+        name: "Lab",
+        position: "Research Intern",
+        startDate: "2021-06-01",
+        endDate: "2021-09-01",
+      },
+    ],
+    skills: [{ name: "Languages", keywords: ["Go", "Rust"] }],
+  };
+  const page = await loadPage({
+    scripts: CV_ONLY,
+    setup: (w) => {
+      for (const id of ["experienceList", "internshipList", "skillGroups"])
+        w.document
+          .getElementById(id)
+          .setAttribute("data-src", "assets/data/resume.json");
+    },
+    routes: [["assets/data/resume.json", resume]],
+  });
+  try {
+    await page.waitFor(rendered(page));
+    const { document } = page;
+    assert.deepEqual(
+      Array.from(document.querySelectorAll("#experienceList ol li"), text),
+      ["Lead Jan 2024 – Present", "Dev 2022 – Jan 2024"]
+    );
+    assert.equal(
+      text(document.querySelector("#internshipList p")),
+      "Jun 1, 2021 – Sep 1, 2021"
+    );
+    assert.equal(
+      text(document.getElementById("skillGroups")),
+      "Languages Go, Rust"
+    );
+    assert.equal(page.calls.filter((u) => u.includes("resume.json")).length, 1);
+  } finally {
+    page.close();
+  }
+});
+
+test("bad entries are skipped with a warning, a missing file links the CV", async () => {
+  const page = await loadPage({
+    scripts: CV_ONLY,
+    routes: [
+      [
+        "assets/data/experience.json",
+        [
+          { company: "No roles" },
+          { company: "Ok", title: "Dev", start: "2020" },
+        ],
+      ],
+      ["assets/data/skills.json", { status: 404, body: {} }],
+    ],
+  });
+  try {
+    await page.waitFor(rendered(page));
+    const { document } = page;
+    assert.equal(
+      document.querySelectorAll("#experienceList article").length,
+      1
+    );
+    assert.ok(
+      page.logs.some(([, t]) =>
+        /experience\.json #1: "title" is required/.test(t)
+      )
+    );
+    assert.match(text(document.getElementById("skillGroups")), /Couldn’t load/);
+    assert.ok(document.querySelector('#skillGroups a[href$=".pdf"]'));
+  } finally {
+    page.close();
+  }
+});
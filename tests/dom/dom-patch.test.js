@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, cacheEntry } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+
+const item = (key, text) => ({
+  key,
+  html: `<li><a href="#${key}">${text}</a></li>`,
+});
+const keys = (list) => Array.from(list.children, (el) => el.dataset.key);
+
+test("patchChildren keeps unchanged children and replaces changed ones", async () => {
+  const page = await loadPage({ scripts: ["dom-patch.js"] });
+  try {
+    const { document } = page;
+    const { patchChildren } = page.window.PortfolioDom;
+    const list = document.createElement("ul");
+    list.innerHTML = "<li>loading…</li>"; // placeholder without a key
+    document.body.appendChild(list);
+
+    patchChildren(list, [item("a", "A"), item("b", "B"), item("c", "C")]);
+    assert.deepEqual(keys(list), ["a", "b", "c"]);
+    const [a, b, c] = list.children;
+
+    // Same content, new order: the very same nodes move
+    patchChildren(list, [item("c", "C"), item("a", "A"), item("b", "B")]);
+    assert.deepEqual(keys(list), ["c", "a", "b"]);
+    assert.deepEqual(Array.from(list.children), [c, a, b]);
+
+    // One changed, one gone, one new
+    b.querySelector("a").focus();
+    patchChildren(list, [item("c", "C"), item("b", "B2"), item("d", "D")]);
+    assert.deepEqual(keys(list), ["c", "b", "d"]);
+    assert.equal(list.children[0], c);
+    assert.notEqual(list.children[1], b);
+    assert.equal(list.children[1].textContent, "B2");
+    assert.ok(!a.isConnected);
+    // The re-rendered child gets focus back
+    assert.equal(document.activeElement, list.children[1].querySelector("a"));
+  } finally {
+    page.close();
+  }
+});
+
+test("a grid refresh replaces only the cards whose repo changed", async () => {
+  const repos = fixture("github/user-repos.json");
+  const live = repos.map((r) =>
+    r.name === "gan-experiments" ? { ...r, stargazers_count: 99 } : r
+  );
+  let release;
+  const held = new Promise((r) => (release = r));
+  const page = await loadPage({
+    storage: {
+      "gh:userrepos:erenbarisbostanci": cacheEntry(repos, 3 * 24 * 3600e3),
+    },
+    routes: [NO_ORGS, NO_MANUAL, [USER_REPOS, () => held.then(() => live)]],
+  });
+  try {
+    const card = (name) =>
+      page.document.querySelector(
+        `#ghGrid article[data-repo="erenbarisbostanci/${name}"]`
+      );
+    await page.waitFor(() => card("portfolio-site") && card("gan-experiments"));
+    const site = card("portfolio-site").closest("li");
+    const gan = card("gan-experiments").closest("li");
+
+    release();
+    await page.waitFor(() => /99/.test(card("gan-experiments").textContent));
+    assert.equal(card("portfolio-site").closest("li"), site);
+    assert.notEqual(card("gan-experiments").closest("li"), gan);
+    assert.ok(!gan.isConnected);
+  } finally {
+    page.close();
+  }
+});
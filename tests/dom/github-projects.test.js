@@ -0,0 +1,460 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, cacheEntry } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+// Keep the page to the grid unless a test wants org cards or manual repos
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+
+const statusText = (page) =>
+  page.document.getElementById("ghStatus").textContent.trim();
+const cardNames = (page) =>
+  Array.from(page.document.querySelectorAll("#ghGrid article[data-repo]")).map(
+    (a) => a.getAttribute("data-repo").split("/")[1]
+  );
+const settled = (page) => () => !/Loading|refreshing/.test(statusText(page));
+
+test("renders user repos, hiding forks and archived ones", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, fixture("github/user-repos.json")],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.deepEqual(cardNames(page), ["portfolio-site", "gan-experiments"]);
+    assert.equal(statusText(page), "2 repositories · updated just now");
+  } finally {
+    page.close();
+  }
+});
+
+test("a rate-limited API explains itself in the status line", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, { status: 403, body: fixture("github/rate-limit.json") }],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(statusText(page), /Could not load repositories/);
+    assert.match(statusText(page), /rate limit/);
+    assert.equal(cardNames(page).length, 0);
+  } finally {
+    page.close();
+  }
+});
+
+test("an unknown user reports 404", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, { status: 404, body: fixture("github/not-found.json") }],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(statusText(page), /Not found \(check username\/org name\)/);
+  } finally {
+    page.close();
+  }
+});
+
+test("offline without a cache says so", async () => {
+  const page = await loadPage({
+    online: false,
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, new TypeError("Failed to fetch")],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(statusText(page), /You appear to be offline/);
+  } finally {
+    page.close();
+  }
+});
+
+test("an expired cache is shown while the refresh fails", async () => {
+  const stale = fixture("github/user-repos.json").slice(0, 1);
+  const page = await loadPage({
+    storage: {
+      "gh:userrepos:erenbarisbostanci": cacheEntry(stale, 2 * 60 * 60 * 1000),
+    },
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, { status: 500, body: { message: "Server Error" } }],
+    ],
+  });
+  try {
+    await page.waitFor(() => /offline/.test(statusText(page)));
+    assert.deepEqual(cardNames(page), ["portfolio-site"]);
+    assert.equal(
+      statusText(page),
+      "1 repository · offline · showing saved copy"
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("a service worker fallback is shown as offline, not stored as fresh", async () => {
+  const saved = {
+    status: 200,
+    body: fixture("github/user-repos.json"),
+    headers: { "X-SW-Fallback": "1" },
+  };
+  const page = await loadPage({
+    routes: [NO_ORGS, NO_MANUAL, [USER_REPOS, saved]],
+  });
+  try {
+    await page.waitFor(() => /offline/.test(statusText(page)));
+    assert.deepEqual(cardNames(page), ["portfolio-site", "gan-experiments"]);
+    assert.equal(
+      statusText(page),
+      "2 repositories · offline · showing saved copy"
+    );
+    assert.equal(
+      page.window.localStorage.getItem("gh:userrepos:erenbarisbostanci"),
+      null
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("a fresh cache is served without touching the API", async () => {
+  const page = await loadPage({
+    storage: {
+      "gh:userrepos:erenbarisbostanci": cacheEntry(
+        fixture("github/user-repos.json"),
+        60 * 1000
+      ),
+    },
+    routes: [NO_ORGS, NO_MANUAL],
+  });
+  try {
+    await page.waitFor(() => /updated 1 minute ago/.test(statusText(page)));
+    assert.equal(cardNames(page).length, 2);
+    assert.ok(!page.calls.some((u) => u.includes("api.github.com")));
+  } finally {
+    page.close();
+  }
+});
+
+const SNAPSHOT = "assets/data/snapshots/github.json";
+const snapshotDoc = (ageMs, entries, version = 1) => ({
+  version,
+  generated_at: new Date(Date.now() - ageMs).toISOString(),
+  entries,
+});
+
+test("a recent build-time snapshot fills the grid without the API", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        SNAPSHOT,
+        snapshotDoc(2 * 60 * 1000, {
+          "gh:userrepos:erenbarisbostanci": fixture("github/user-repos.json"),
+        }),
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(() => /updated 2 minutes ago/.test(statusText(page)));
+    assert.deepEqual(cardNames(page).sort(), [
+      "gan-experiments",
+      "portfolio-site",
+    ]);
+    assert.ok(!page.calls.some((u) => u.includes("api.github.com")));
+  } finally {
+    page.close();
+  }
+});
+
+test("a missing or outdated snapshot leaves the grid to the API", async () => {
+  for (const reply of [
+    { status: 404, body: "" },
+    snapshotDoc(0, { "gh:userrepos:erenbarisbostanci": [] }, 0), // old format
+  ]) {
+    const page = await loadPage({
+      routes: [
+        NO_ORGS,
+        NO_MANUAL,
+        [SNAPSHOT, reply],
+        [USER_REPOS, fixture("github/user-repos.json")],
+      ],
+    });
+    try {
+      await page.waitFor(() => /updated just now/.test(statusText(page)));
+      assert.equal(cardNames(page).length, 2);
+      assert.ok(page.calls.some((u) => u.endsWith(SNAPSHOT)));
+      assert.ok(page.calls.some((u) => u.includes(USER_REPOS)));
+      assert.deepEqual(
+        page.logs.filter(([, text]) => /snapshot/i.test(text)),
+        []
+      );
+    } finally {
+      page.close();
+    }
+  }
+});
+
+test("an account without repos shows the empty state", async () => {
+  const page = await loadPage({
+    routes: [NO_ORGS, NO_MANUAL, [USER_REPOS, []]],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(
+      page.document.getElementById("ghGrid").textContent,
+      /No repositories match the current filters/
+    );
+    assert.match(statusText(page), /^0 repositories/);
+  } finally {
+    page.close();
+  }
+});
+
+test("manual repos are hydrated with live stars, manual text wins", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      [
+        "assets/data/repos.json",
+        [
+          {
+            url: "https://github.com/ribo-apps/clickbait-spoiling-nlp-project",
+            description: "Hand-written summary",
+          },
+        ],
+      ],
+      [USER_REPOS, []],
+      [
+        "api.github.com/repos/ribo-apps/clickbait-spoiling-nlp-project",
+        fixture("github/repo-detail.json"),
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    const card = page.document.querySelector(
+      '[data-repo="ribo-apps/clickbait-spoiling-nlp-project"]'
+    );
+    assert.ok(card);
+    assert.match(card.textContent, /Hand-written summary/);
+    assert.match(card.querySelector('[title="Stars"]').textContent, /7/);
+  } finally {
+    page.close();
+  }
+});
+
+test("org cards list the org's repos from orgs.json", async () => {
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", [{ org: "Hot-Map", sort: "stars" }]],
+      NO_MANUAL,
+      [USER_REPOS, []],
+      ["api.github.com/orgs/Hot-Map/repos", fixture("github/org-repos.json")],
+    ],
+  });
+  try {
+    const card = await page.waitFor(() =>
+      page.document.querySelector('.org-card[data-org="Hot-Map"]')
+    );
+    await page.waitFor(() => card.querySelectorAll(".repo-list a").length);
+    assert.deepEqual(
+      Array.from(card.querySelectorAll(".repo-list a")).map(
+        (a) => a.textContent
+      ),
+      ["hotsum-app (opens in a new tab)", "hotsum-backend (opens in a new tab)"]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("org card globs: include narrows, exclude wins, case and dots are literal", async () => {
+  const orgRepo = (name, owner = "Glob-Org") => ({
+    name,
+    full_name: `${owner}/${name}`,
+    html_url: `https://github.com/${owner}/${name}`,
+    fork: false,
+    archived: false,
+    private: false,
+    stargazers_count: 0,
+    pushed_at: "2025-01-01T00:00:00Z",
+    topics: [],
+  });
+  const page = await loadPage({
+    routes: [
+      [
+        "assets/data/orgs.json",
+        [
+          {
+            org: "Glob-Org",
+            sort: "name",
+            include: ["hotsum-*", "glob-org/exact-?", "v1.0"],
+            exclude: ["*-legacy", "HOTSUM-DOCS"],
+          },
+        ],
+      ],
+      NO_MANUAL,
+      [USER_REPOS, []],
+      [
+        "api.github.com/orgs/Glob-Org/repos",
+        [
+          "hotsum-app",
+          "hotsum-legacy",
+          "hotsum-docs",
+          "exact-1",
+          "exact-12",
+          "v1.0",
+          "v1x0",
+          "unrelated",
+        ].map((name) => orgRepo(name)),
+      ],
+    ],
+  });
+  try {
+    const card = await page.waitFor(() =>
+      page.document.querySelector('.org-card[data-org="Glob-Org"]')
+    );
+    await page.waitFor(() => card.querySelectorAll(".repo-list a").length);
+    assert.deepEqual(
+      Array.from(card.querySelectorAll(".repo-list a"), (a) =>
+        a.textContent.replace(/ \(opens in a new tab\)$/, "")
+      ),
+      ["exact-1", "hotsum-app", "v1.0"]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("org cards show the role and tech stack in the page language", async () => {
+  const page = await loadPage({
+    routes: [
+      [
+        "assets/data/orgs.json",
+        [
+          {
+            org: "Hot-Map",
+            role: "Backend lead <b>",
+            tech_stack: ["Go", "PostgreSQL"],
+          },
+        ],
+      ],
+      NO_MANUAL,
+      [USER_REPOS, []],
+      ["api.github.com/orgs/Hot-Map/repos", fixture("github/org-repos.json")],
+    ],
+  });
+  try {
+    const card = await page.waitFor(() =>
+      page.document.querySelector('.org-card[data-org="Hot-Map"]')
+    );
+    const role = card.querySelector('[data-i18n="gh.org.role"]').parentElement;
+    assert.equal(role.textContent, "My role: Backend lead <b>");
+    assert.equal(role.querySelector("b"), null);
+    const stack = card.querySelector(
+      'ul[data-i18n-attr="aria-label:gh.org.techStack"]'
+    );
+    assert.equal(stack.getAttribute("aria-label"), "Tech stack");
+    assert.deepEqual(
+      Array.from(stack.children, (li) => li.textContent),
+      ["Go", "PostgreSQL"]
+    );
+
+    page.window.PortfolioI18n.setLang("tr");
+    assert.equal(role.textContent, "Rolüm: Backend lead <b>");
+    assert.equal(stack.getAttribute("aria-label"), "Teknoloji yığını");
+  } finally {
+    page.close();
+  }
+});
+
+test("repo languages and org links are escaped", async () => {
+  const [base] = fixture("github/org-repos.json");
+  const hostile = {
+    ...base,
+    name: "hostile",
+    full_name: "Hot-Map/hostile",
+    html_url: 'https://github.com/Hot-Map/hostile" onmouseover="alert(1)',
+    language: "<img src=x onerror=alert(1)>",
+  };
+  const page = await loadPage({
+    routes: [
+      ["assets/data/orgs.json", [{ org: "Hot-Map" }]],
+      NO_MANUAL,
+      [USER_REPOS, [{ ...hostile, full_name: "erenbarisbostanci/hostile" }]],
+      ["api.github.com/orgs/Hot-Map/repos", [hostile]],
+    ],
+  });
+  try {
+    const { document } = page;
+    const link = await page.waitFor(() =>
+      document.querySelector('.org-card[data-org="Hot-Map"] .repo-list a')
+    );
+    assert.equal(link.getAttribute("onmouseover"), null);
+    assert.equal(link.getAttribute("href"), hostile.html_url);
+    const card = await page.waitFor(() =>
+      document.querySelector('#ghGrid [data-repo="erenbarisbostanci/hostile"]')
+    );
+    assert.equal(
+      document.querySelectorAll("[onerror], [onmouseover]").length,
+      0
+    );
+    assert.match(card.textContent, /<img src=x onerror=alert\(1\)>/);
+  } finally {
+    page.close();
+  }
+});
+
+test("a missing featured repo is reported in the current language", async () => {
+  const page = await loadPage({
+    routes: [
+      [
+        "assets/data/orgs.json",
+        [{ org: "Hot-Map", featured: ["hotsum-app", "gone-repo"] }],
+      ],
+      NO_MANUAL,
+      [USER_REPOS, []],
+      ["api.github.com/orgs/Hot-Map/repos", fixture("github/org-repos.json")],
+    ],
+  });
+  try {
+    const box = await page.waitFor(() =>
+      page.document.querySelector(
+        '.org-card[data-org="Hot-Map"] .org-config-errors'
+      )
+    );
+    assert.equal(
+      box.textContent,
+      'orgs.json problems:featured repo "gone-repo" was not found in Hot-Map'
+    );
+    assert.ok(
+      page.logs.some(([, text]) => /orgs\.json Hot-Map: .*gone-repo/.test(text))
+    );
+
+    page.window.PortfolioI18n.setLang("tr");
+    const tr = page.document.querySelector(".org-config-errors");
+    assert.equal(
+      tr.textContent,
+      'orgs.json sorunları:öne çıkan "gone-repo" deposu Hot-Map içinde bulunamadı'
+    );
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,234 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const EVENTS = "api.github.com/users/erenbarisbostanci/events/public";
+const LANGUAGES =
+  /api\.github\.com\/repos\/erenbarisbostanci\/[^/]+\/languages/;
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+const BASE = [
+  NO_ORGS,
+  NO_MANUAL,
+  [USER_REPOS, fixture("github/user-repos.json")],
+];
+const LANGUAGE_BYTES = {
+  "portfolio-site": { JavaScript: 300, HTML: 100 },
+  "gan-experiments": { Python: 600 },
+};
+const languageReply = (url) => LANGUAGE_BYTES[url.split("/")[5]] || {};
+
+const cardText = (page, key) =>
+  page.document
+    .querySelector(`#ghStats [data-stats-card="${key}"]`)
+    ?.textContent.replace(/\s+/g, " ")
+    .trim() || "";
+
+test("totals and topics come from the grid before the panel is in view", async () => {
+  const page = await loadPage({ routes: BASE });
+  try {
+    await page.waitFor(() => /16 stars/.test(cardText(page, "overview")));
+    assert.match(cardText(page, "overview"), /across 2 repositories/);
+    const topics = page.document.querySelector("#ghStats-topics-desc");
+    assert.match(topics.textContent, /gan 1, portfolio 1, pytorch 1/);
+    assert.match(cardText(page, "languages"), /Loading/);
+    assert.ok(!page.calls.some((u) => LANGUAGES.test(u) || u.includes(EVENTS)));
+  } finally {
+    page.close();
+  }
+});
+
+test("search keystrokes leave the panel alone; a new repo set repaints it", async () => {
+  const page = await loadPage({ routes: BASE });
+  try {
+    const { document, window } = page;
+    await page.waitFor(() => /16 stars/.test(cardText(page, "overview")));
+    const overview = document.querySelector('[data-stats-card="overview"]');
+    let events = 0;
+    document.addEventListener("portfolio:projects", () => events++);
+    const search = document.getElementById("ghSearch");
+    for (const value of ["g", "ga", "gan"]) {
+      search.value = value;
+      search.dispatchEvent(new window.Event("input"));
+    }
+    assert.equal(events, 3);
+    assert.ok(overview.isConnected);
+
+    const archived = document.getElementById("ghShowArchived");
+    archived.checked = true;
+    archived.dispatchEvent(new window.Event("change"));
+    assert.ok(!overview.isConnected);
+    assert.match(cardText(page, "overview"), /17 stars/);
+    assert.match(cardText(page, "overview"), /across 3 repositories/);
+  } finally {
+    page.close();
+  }
+});
+
+test("languages and activity load once the panel scrolls into view", async () => {
+  const page = await loadPage({
+    inView: true,
+    routes: [
+      ...BASE,
+      [LANGUAGES, languageReply],
+      [EVENTS, fixture("github/user-events.json")],
+    ],
+  });
+  try {
+    await page.waitFor(() => /Python/.test(cardText(page, "languages")));
+    const svg = page.document.querySelector(
+      '[data-stats-card="languages"] svg[role="img"]'
+    );
+    assert.equal(
+      svg.getAttribute("aria-labelledby"),
+      "ghStats-languages-title ghStats-languages-desc"
+    );
+    assert.match(
+      svg.querySelector("desc").textContent,
+      /Python 60%, JavaScript 30%, HTML 10%/
+    );
+    assert.match(cardText(page, "languages"), /2 most recently pushed/);
+    assert.ok(
+      page.window.localStorage.getItem(
+        "gh:languages:erenbarisbostanci/gan-experiments"
+      )
+    );
+
+    await page.waitFor(() =>
+      page.document.querySelector('[data-stats-card="activity"] li')
+    );
+    const items = Array.from(
+      page.document.querySelectorAll('[data-stats-card="activity"] li')
+    );
+    assert.equal(items.length, 5); // the wiki edit has no message
+    assert.match(
+      items[0].textContent,
+      /Pushed 3 commits to erenbarisbostanci\/portfolio-site/
+    );
+    assert.equal(
+      items[0].querySelector("time").getAttribute("datetime"),
+      "2025-03-09T18:00:00Z"
+    );
+    assert.ok(page.window.localStorage.getItem("gh:events:erenbarisbostanci"));
+  } finally {
+    page.close();
+  }
+});
+
+test("failed /languages calls are tried again when the repos change", async () => {
+  let up = false;
+  const page = await loadPage({
+    inView: true,
+    routes: [
+      ...BASE,
+      [
+        LANGUAGES,
+        (url) => (up ? languageReply(url) : { status: 500, body: {} }),
+      ],
+      [EVENTS, []],
+    ],
+  });
+  try {
+    const { document, window } = page;
+    await page.waitFor(() =>
+      /Could not load from GitHub/.test(cardText(page, "languages"))
+    );
+    up = true;
+    const archived = document.getElementById("ghShowArchived");
+    archived.checked = true;
+    archived.dispatchEvent(new window.Event("change"));
+    await page.waitFor(() => /Python/.test(cardText(page, "languages")));
+  } finally {
+    page.close();
+  }
+});
+
+test("repos from the GraphQL source need no /languages calls", async () => {
+  const node = (name, pushedAt, edges) => ({
+    name,
+    nameWithOwner: `erenbarisbostanci/${name}`,
+    url: `https://github.com/erenbarisbostanci/${name}`,
+    stargazerCount: 1,
+    pushedAt,
+    repositoryTopics: { nodes: [] },
+    languages: {
+      edges: Object.entries(edges).map(([name, size]) => ({
+        size,
+        node: { name },
+      })),
+    },
+  });
+  const page = await loadPage({
+    inView: true,
+    setup: (w) =>
+      w.document
+        .getElementById("ghGrid")
+        .setAttribute("data-graphql-endpoint", "/api/github/graphql"),
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        "/api/github/graphql",
+        {
+          data: {
+            repositoryOwner: {
+              repositories: {
+                nodes: [
+                  node("a", "2025-03-01T00:00:00Z", { Go: 300 }),
+                  node("b", "2025-02-01T00:00:00Z", { Go: 100, Rust: 100 }),
+                ],
+                pageInfo: { hasNextPage: false },
+              },
+            },
+          },
+        },
+      ],
+      [EVENTS, []],
+    ],
+  });
+  try {
+    await page.waitFor(() => /Go/.test(cardText(page, "languages")));
+    assert.match(
+      page.document.querySelector('[data-stats-card="languages"] desc')
+        .textContent,
+      /Go 80%, Rust 20%/
+    );
+    assert.ok(!page.calls.some((u) => LANGUAGES.test(u)));
+  } finally {
+    page.close();
+  }
+});
+
+test("a failed events call only affects the activity card", async () => {
+  const page = await loadPage({
+    inView: true,
+    routes: [
+      ...BASE,
+      [LANGUAGES, languageReply],
+      [EVENTS, { status: 403, body: fixture("github/rate-limit.json") }],
+    ],
+  });
+  try {
+    await page.waitFor(() => /rate limit/.test(cardText(page, "activity")));
+    assert.match(cardText(page, "activity"), /Could not load from GitHub/);
+    await page.waitFor(() => /Python/.test(cardText(page, "languages")));
+  } finally {
+    page.close();
+  }
+});
+
+test("the panel follows the language switcher", async () => {
+  const page = await loadPage({ routes: BASE, storage: { lang: "tr" } });
+  try {
+    await page.waitFor(() => /16 yıldız/.test(cardText(page, "overview")));
+    assert.equal(
+      page.document.getElementById("ghStatsTitle").textContent.trim(),
+      "Bir bakışta"
+    );
+    page.window.PortfolioI18n.setLang("en");
+    assert.match(cardText(page, "overview"), /16 stars/);
+  } finally {
+    page.close();
+  }
+});
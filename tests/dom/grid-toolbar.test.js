@@ -0,0 +1,258 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+
+// Newest first, so the default "pushed" order is the order of this list
+const REPOS = [
+  ["alpha", "Python", ["nlp", "ml"], { description: "Text classifier" }],
+  ["beta", "Python", ["web"]],
+  ["gamma", "JavaScript", ["web", "ml"], { stargazers_count: 5 }],
+  ["delta", "Go", [], { fork: true }],
+  ["epsilon", "JavaScript", ["nlp"], { archived: true }],
+].map(([name, language, topics, extra], i) => ({
+  name,
+  full_name: `erenbarisbostanci/${name}`,
+  html_url: `https://github.com/erenbarisbostanci/${name}`,
+  description: "",
+  fork: false,
+  archived: false,
+  private: false,
+  language,
+  topics,
+  stargazers_count: 0,
+  pushed_at: new Date(Date.UTC(2025, 0, 10 - i)).toISOString(),
+  ...extra,
+}));
+
+const cardNames = (page) =>
+  Array.from(
+    page.document.querySelectorAll("#ghGrid article[data-repo]"),
+    (a) => a.getAttribute("data-repo").split("/")[1]
+  );
+const count = (page) =>
+  page.document.getElementById("ghStatus").textContent.split(" · ")[0];
+// "Python 2" for each chip of a facet group, pressed ones marked with *
+const chips = (page, id) =>
+  Array.from(
+    page.document.querySelectorAll(`#${id} button[data-facet]`),
+    (b) =>
+      `${Array.from(b.children, (s) => s.textContent).join(" ")}${
+        b.getAttribute("aria-pressed") === "true" ? "*" : ""
+      }`
+  );
+
+async function loadGrid(url) {
+  const page = await loadPage({
+    url,
+    routes: [NO_ORGS, NO_MANUAL, [USER_REPOS, REPOS]],
+  });
+  await page.waitFor(() =>
+    /updated/.test(page.document.getElementById("ghStatus").textContent)
+  );
+  return page;
+}
+
+function type(page, text) {
+  const search = page.document.getElementById("ghSearch");
+  search.value = text;
+  search.dispatchEvent(new page.window.Event("input"));
+}
+const chip = (page, facet, value) =>
+  page.document
+    .querySelector(`button[data-facet="${facet}"][data-value="${value}"]`)
+    .click();
+function toggle(page, id, checked) {
+  const box = page.document.getElementById(id);
+  box.checked = checked;
+  box.dispatchEvent(new page.window.Event("change"));
+}
+
+test("search matches name or description and updates the count", async () => {
+  const page = await loadGrid();
+  try {
+    assert.deepEqual(cardNames(page), ["alpha", "beta", "gamma"]);
+    assert.equal(count(page), "3 repositories");
+
+    type(page, "CLASSIFIER");
+    assert.deepEqual(cardNames(page), ["alpha"]);
+    assert.equal(count(page), "1 of 3 repositories");
+
+    type(page, "amm");
+    assert.deepEqual(cardNames(page), ["gamma"]);
+
+    type(page, "nothing like this");
+    assert.deepEqual(cardNames(page), []);
+    assert.equal(count(page), "0 of 3 repositories");
+    assert.equal(
+      page.document.querySelector("#ghGrid li").textContent.trim(),
+      "No repositories match the current filters."
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("facets: OR within languages or topics, AND across them and the search", async () => {
+  const page = await loadGrid();
+  try {
+    assert.deepEqual(chips(page, "ghLangFacets"), ["Python 2", "JavaScript 1"]);
+    assert.deepEqual(chips(page, "ghTopicFacets"), [
+      "#ml 2",
+      "#web 2",
+      "#nlp 1",
+    ]);
+
+    chip(page, "lang", "Python");
+    assert.deepEqual(cardNames(page), ["alpha", "beta"]);
+    assert.deepEqual(chips(page, "ghLangFacets"), [
+      "Python 2*",
+      "JavaScript 1",
+    ]);
+    chip(page, "lang", "JavaScript");
+    assert.deepEqual(cardNames(page), ["alpha", "beta", "gamma"]);
+    assert.equal(count(page), "3 repositories");
+
+    chip(page, "topic", "web");
+    assert.deepEqual(cardNames(page), ["beta", "gamma"]);
+    chip(page, "topic", "nlp");
+    assert.deepEqual(cardNames(page), ["alpha", "beta", "gamma"]);
+    chip(page, "lang", "JavaScript"); // Python only again
+    assert.deepEqual(cardNames(page), ["alpha", "beta"]);
+    assert.equal(count(page), "2 of 3 repositories");
+
+    type(page, "beta");
+    assert.deepEqual(cardNames(page), ["beta"]);
+    chip(page, "topic", "web");
+    assert.deepEqual(cardNames(page), []); // beta is not tagged #nlp
+  } finally {
+    page.close();
+  }
+});
+
+test("forks and archived toggles widen the grid, its facets and the total", async () => {
+  const page = await loadGrid();
+  try {
+    toggle(page, "ghShowForks", true);
+    assert.deepEqual(cardNames(page), ["alpha", "beta", "gamma", "delta"]);
+    assert.equal(count(page), "4 repositories");
+    assert.ok(chips(page, "ghLangFacets").includes("Go 1"));
+
+    toggle(page, "ghShowArchived", true);
+    assert.equal(count(page), "5 repositories");
+    assert.ok(chips(page, "ghLangFacets").includes("JavaScript 2"));
+    assert.ok(chips(page, "ghTopicFacets").includes("#nlp 2"));
+
+    chip(page, "topic", "nlp");
+    assert.deepEqual(cardNames(page), ["alpha", "epsilon"]);
+    assert.equal(count(page), "2 of 5 repositories");
+
+    toggle(page, "ghShowArchived", false);
+    assert.deepEqual(cardNames(page), ["alpha"]);
+    assert.equal(count(page), "1 of 4 repositories");
+  } finally {
+    page.close();
+  }
+});
+
+test("Clear filters shows with a filter and resets every one", async () => {
+  const page = await loadGrid();
+  try {
+    const clear = page.document.getElementById("ghClearFilters");
+    assert.ok(clear.classList.contains("hidden"));
+    type(page, "a");
+    chip(page, "lang", "Python");
+    chip(page, "topic", "ml");
+    assert.ok(!clear.classList.contains("hidden"));
+    assert.deepEqual(cardNames(page), ["alpha"]);
+
+    clear.click();
+    assert.equal(page.document.getElementById("ghSearch").value, "");
+    assert.deepEqual(cardNames(page), ["alpha", "beta", "gamma"]);
+    assert.equal(count(page), "3 repositories");
+    assert.ok(!chips(page, "ghLangFacets").some((c) => c.endsWith("*")));
+    assert.ok(clear.classList.contains("hidden"));
+  } finally {
+    page.close();
+  }
+});
+
+// ---- URL state ----
+const query = (page) => decodeURIComponent(page.window.location.search);
+
+test("filter changes are written to the query string", async () => {
+  const page = await loadGrid();
+  try {
+    const { history, location } = page.window;
+    const start = history.length;
+    chip(page, "lang", "Python");
+    assert.equal(query(page), "?lang=Python");
+    assert.equal(location.hash, "#projects");
+    chip(page, "topic", "web");
+    toggle(page, "ghShowForks", true);
+    assert.equal(query(page), "?lang=Python&topic=web&forks=1");
+    assert.equal(history.length, start + 3); // one entry per discrete change
+
+    // Typing replaces the entry instead of adding one per keystroke
+    type(page, "b");
+    type(page, "be");
+    assert.equal(query(page), "?q=be&lang=Python&topic=web&forks=1");
+    assert.equal(history.length, start + 3);
+
+    page.document.getElementById("ghClearFilters").click();
+    assert.equal(query(page), "?forks=1");
+  } finally {
+    page.close();
+  }
+});
+
+test("Back and Forward restore the filters of each entry", async () => {
+  const page = await loadGrid();
+  try {
+    const { history } = page.window;
+    chip(page, "lang", "Python");
+    chip(page, "topic", "web");
+    assert.deepEqual(cardNames(page), ["beta"]);
+
+    history.back();
+    await page.waitFor(() => query(page) === "?lang=Python");
+    await page.waitFor(() => cardNames(page).length === 2);
+    assert.deepEqual(cardNames(page), ["alpha", "beta"]);
+    assert.ok(!chips(page, "ghTopicFacets").some((c) => c.endsWith("*")));
+
+    history.back();
+    await page.waitFor(() => cardNames(page).length === 3);
+    assert.equal(query(page), "");
+    assert.ok(!chips(page, "ghLangFacets").some((c) => c.endsWith("*")));
+
+    history.forward();
+    await page.waitFor(() => cardNames(page).length === 2);
+    assert.ok(chips(page, "ghLangFacets").includes("Python 2*"));
+  } finally {
+    page.close();
+  }
+});
+
+test("a shared link opens on the filtered grid", async () => {
+  const page = await loadGrid(
+    "http://localhost/?q=a&topic=ML,nlp&archived=1&sort=stars#projects"
+  );
+  try {
+    const { document } = page;
+    assert.deepEqual(cardNames(page), ["gamma", "alpha"]);
+    assert.equal(count(page), "2 of 4 repositories");
+    assert.equal(document.getElementById("ghSearch").value, "a");
+    assert.equal(document.getElementById("ghShowArchived").checked, true);
+    assert.equal(document.getElementById("ghShowForks").checked, false);
+    assert.equal(document.getElementById("ghSort").value, "stars");
+    assert.deepEqual(
+      chips(page, "ghTopicFacets").filter((c) => c.endsWith("*")),
+      ["#ml 2*", "#nlp 2*"]
+    );
+  } finally {
+    page.close();
+  }
+});
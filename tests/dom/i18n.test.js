@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, I18N, UI } = require("../helpers/page.js");
+
+const PROXY = "/api/credly/eren-baris-bostanci/badges";
+const CREDLY = [
+  ...UI,
+  "cache.js",
+  "data-normalize.js",
+  "credly-core.js",
+  "credly.js",
+];
+
+const text = (page, selector) =>
+  page.document.querySelector(selector).textContent.trim();
+const certStatus = (page) => text(page, "#certStatus");
+// Browser language list as navigator.languages reports it
+const browserLanguages = (langs) => (w) =>
+  Object.defineProperty(w.navigator, "languages", { get: () => langs });
+
+test("follows the browser language and translates the static page", async () => {
+  const page = await loadPage({
+    scripts: I18N,
+    setup: browserLanguages(["tr-TR", "en"]),
+  });
+  try {
+    const { document } = page;
+    assert.equal(document.documentElement.getAttribute("lang"), "tr");
+    assert.equal(document.title, "Eren Barış Bostancı | Portfolyo");
+    assert.equal(text(page, 'a[href="#about"]'), "Hakkımda");
+    assert.equal(
+      document.getElementById("ghSearch").getAttribute("placeholder"),
+      "Ad veya açıklamada ara…"
+    );
+    assert.match(text(page, "#hero p"), /^Deloitte'ta Kıdemli Danışman/);
+    assert.equal(document.getElementById("langSelect").value, "tr");
+    assert.equal(page.window.PortfolioI18n.locale(), "tr-TR");
+    assert.equal(page.window.localStorage.getItem("lang"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("a saved language beats the browser's", async () => {
+  const page = await loadPage({
+    scripts: I18N,
+    storage: { lang: "en" },
+    setup: browserLanguages(["tr-TR"]),
+  });
+  try {
+    assert.equal(page.document.documentElement.getAttribute("lang"), "en");
+    assert.equal(text(page, 'a[href="#about"]'), "About");
+  } finally {
+    page.close();
+  }
+});
+
+test("the switcher repaints rendered content and restores English", async () => {
+  const page = await loadPage({
+    scripts: CREDLY,
+    routes: [[PROXY, fixture("credly/badges.json")]],
+  });
+  try {
+    const { document, window } = page;
+    await page.waitFor(() => /updated/.test(certStatus(page)));
+    assert.equal(certStatus(page), "2 badges · updated just now");
+
+    const select = document.getElementById("langSelect");
+    assert.deepEqual(
+      Array.from(select.options, (o) => o.textContent),
+      ["English", "Türkçe"]
+    );
+    let events = 0;
+    document.addEventListener("portfolio:languagechange", () => events++);
+    select.value = "tr";
+    select.dispatchEvent(new window.Event("change"));
+
+    assert.equal(events, 1);
+    assert.equal(window.localStorage.getItem("lang"), "tr");
+    assert.equal(document.documentElement.getAttribute("lang"), "tr");
+    assert.equal(certStatus(page), "2 rozet · az önce güncellendi");
+    assert.match(text(page, "#certGrid"), /Veriliş: /);
+    assert.equal(text(page, "#certificates h3"), "Sertifikalar");
+
+    window.PortfolioI18n.setLang("en");
+    assert.equal(certStatus(page), "2 badges · updated just now");
+    assert.match(text(page, "#certGrid"), /Issued: /);
+    assert.equal(text(page, "#certificates h3"), "Certificates");
+    assert.equal(window.localStorage.getItem("lang"), "en");
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,315 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const ORG_REPOS = "api.github.com/orgs/Big-Org/repos";
+const NO_MANUAL = ["assets/data/repos.json", []];
+const NO_ORGS = ["assets/data/orgs.json", []];
+
+const repo = (owner, i) => ({
+  name: `repo-${String(i).padStart(3, "0")}`,
+  full_name: `${owner}/repo-${String(i).padStart(3, "0")}`,
+  html_url: `https://github.com/${owner}/repo-${i}`,
+  description: "",
+  fork: false,
+  archived: false,
+  private: false,
+  language: "Python",
+  stargazers_count: i,
+  pushed_at: new Date(Date.UTC(2025, 0, 1) - i * 3600e3).toISOString(),
+  topics: [`topic-${i % 3}`],
+});
+
+// GitHub-style paged list: ?page=N answers 100 items and a Link to the next page
+function pagedRoute(base, owner, total, { delayAfterFirst = null } = {}) {
+  return (url) => {
+    const page = Number(new URL(url).searchParams.get("page") || 1);
+    const from = (page - 1) * 100;
+    const body = Array.from(
+      { length: Math.max(0, Math.min(100, total - from)) },
+      (_, i) => repo(owner, from + i)
+    );
+    const headers = {};
+    if (from + 100 < total)
+      headers.link = `<https://${base}?per_page=100&page=${
+        page + 1
+      }>; rel="next"`;
+    const reply = { status: 200, body, headers };
+    return page > 1 && delayAfterFirst
+      ? delayAfterFirst.then(() => reply)
+      : reply;
+  };
+}
+
+const statusText = (page) =>
+  page.document.getElementById("ghStatus").textContent.trim();
+const gridCards = (page) =>
+  page.document.querySelectorAll("#ghGrid article[data-repo]");
+
+test("follows Link headers across pages", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, pagedRoute(USER_REPOS, "me", 230)],
+    ],
+  });
+  try {
+    await page.waitFor(() =>
+      /^230 repositories · updated/.test(statusText(page))
+    );
+    assert.deepEqual(
+      page.calls
+        .filter((u) => u.includes(USER_REPOS))
+        .map((u) => new URL(u).searchParams.get("page")),
+      [null, "2", "3"]
+    );
+    const topics = page.document.getElementById("ghTopicFacets").textContent;
+    assert.match(topics, /topic-0/);
+  } finally {
+    page.close();
+  }
+});
+
+test("stops at data-max-pages", async () => {
+  const page = await loadPage({
+    setup: (w) =>
+      w.document.getElementById("ghGrid").setAttribute("data-max-pages", "2"),
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, pagedRoute(USER_REPOS, "me", 500)],
+    ],
+  });
+  try {
+    await page.waitFor(() =>
+      /^200 repositories · updated/.test(statusText(page))
+    );
+    assert.equal(page.calls.filter((u) => u.includes(USER_REPOS)).length, 2);
+    assert.ok(page.logs.some(([, text]) => /stopped after 2 pages/.test(text)));
+  } finally {
+    page.close();
+  }
+});
+
+// GraphQL proxy: 100 nodes per request, the cursor is the page number
+const GRAPHQL = "/api/github/graphql";
+function graphqlRoute(owner, total) {
+  return (url, init) => {
+    const { after } = JSON.parse(init.body).variables;
+    const from = after ? Number(after) * 100 : 0;
+    const nodes = Array.from(
+      { length: Math.max(0, Math.min(100, total - from)) },
+      (_, i) => {
+        const r = repo(owner, from + i);
+        return {
+          name: r.name,
+          nameWithOwner: r.full_name,
+          url: r.html_url,
+          stargazerCount: r.stargazers_count,
+          pushedAt: r.pushed_at,
+          primaryLanguage: { name: r.language },
+          repositoryTopics: { nodes: [] },
+        };
+      }
+    );
+    const hasNextPage = from + 100 < total;
+    return {
+      data: {
+        repositoryOwner: {
+          repositories: {
+            nodes,
+            pageInfo: {
+              hasNextPage,
+              endCursor: hasNextPage ? String(from / 100 + 1) : null,
+            },
+          },
+        },
+      },
+    };
+  };
+}
+
+test("the GraphQL source pages by cursor up to data-max-pages", async () => {
+  const page = await loadPage({
+    setup: (w) => {
+      const grid = w.document.getElementById("ghGrid");
+      grid.setAttribute("data-graphql-endpoint", GRAPHQL);
+      grid.setAttribute("data-max-pages", "2");
+    },
+    routes: [NO_ORGS, NO_MANUAL, [GRAPHQL, graphqlRoute("me", 500)]],
+  });
+  try {
+    await page.waitFor(() =>
+      /^200 repositories · updated/.test(statusText(page))
+    );
+    assert.equal(page.calls.filter((u) => u === GRAPHQL).length, 2);
+    assert.ok(!page.calls.some((u) => u.includes(USER_REPOS)));
+    assert.ok(page.logs.some(([, text]) => /stopped after 2 pages/.test(text)));
+  } finally {
+    page.close();
+  }
+});
+
+test("a proxy without a token (503) leaves grid and org cards to REST", async () => {
+  const page = await loadPage({
+    setup: (w) =>
+      w.document
+        .getElementById("ghGrid")
+        .setAttribute("data-graphql-endpoint", GRAPHQL),
+    routes: [
+      ["assets/data/orgs.json", [{ org: "Big-Org" }]],
+      NO_MANUAL,
+      [
+        GRAPHQL,
+        { status: 503, body: { message: "GITHUB_TOKEN is not configured" } },
+      ],
+      [USER_REPOS, pagedRoute(USER_REPOS, "me", 30)],
+      [ORG_REPOS, pagedRoute(ORG_REPOS, "Big-Org", 5)],
+    ],
+  });
+  try {
+    await page.waitFor(() =>
+      /^30 repositories · updated/.test(statusText(page))
+    );
+    const card = page.document.querySelector('.org-card[data-org="Big-Org"]');
+    await page.waitFor(() => card.querySelectorAll(".repo-list a").length);
+    // The first failure turns the proxy off for the rest of the visit
+    assert.equal(page.calls.filter((u) => u === GRAPHQL).length, 1);
+    assert.ok(page.calls.some((u) => u.includes(ORG_REPOS)));
+    assert.ok(
+      page.logs.some(([, text]) => /GraphQL \w+ failed, using REST/.test(text))
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("refused GraphQL requests fall back to REST without retrying", async () => {
+  const withGraphQL = (w) =>
+    w.document
+      .getElementById("ghGrid")
+      .setAttribute("data-graphql-endpoint", GRAPHQL);
+  for (const reply of [
+    { status: 403, body: { message: "Owner not allowed" } },
+    { status: 400, body: { message: "Query not allowed" } },
+    { errors: [{ message: "Could not resolve to a User" }] },
+  ]) {
+    const page = await loadPage({
+      setup: withGraphQL,
+      routes: [
+        NO_ORGS,
+        NO_MANUAL,
+        [GRAPHQL, reply],
+        [USER_REPOS, pagedRoute(USER_REPOS, "me", 30)],
+      ],
+    });
+    try {
+      await page.waitFor(() =>
+        /^30 repositories · updated/.test(statusText(page))
+      );
+      assert.equal(page.calls.filter((u) => u === GRAPHQL).length, 1);
+    } finally {
+      page.close();
+    }
+  }
+});
+
+test("the first page paints before the rest arrive", async () => {
+  let release;
+  const later = new Promise((r) => (release = r));
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        pagedRoute(USER_REPOS, "me", 150, { delayAfterFirst: later }),
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(() =>
+      /^100 repositories · loading more…/.test(statusText(page))
+    );
+    assert.equal(gridCards(page).length, 12);
+    release();
+    await page.waitFor(() =>
+      /^150 repositories · updated/.test(statusText(page))
+    );
+  } finally {
+    release();
+    page.close();
+  }
+});
+
+test("the grid renders in batches behind Load more", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, pagedRoute(USER_REPOS, "me", 30)],
+    ],
+  });
+  try {
+    await page.waitFor(() =>
+      /^30 repositories · updated/.test(statusText(page))
+    );
+    const more = page.document.getElementById("ghLoadMore");
+    assert.equal(gridCards(page).length, 12);
+    assert.equal(more.textContent, "Load more (18 left)");
+    more.click();
+    assert.equal(gridCards(page).length, 24);
+    assert.equal(
+      page.document.activeElement,
+      gridCards(page)[12].querySelector("[data-repo-open]")
+    );
+    more.click();
+    assert.equal(gridCards(page).length, 30);
+    assert.ok(more.hidden);
+    // A new search starts from the first batch again
+    const search = page.document.getElementById("ghSearch");
+    search.value = "repo";
+    search.dispatchEvent(new page.window.Event("input"));
+    assert.equal(gridCards(page).length, 12);
+  } finally {
+    page.close();
+  }
+});
+
+test("org cards page through large orgs and show more in steps", async () => {
+  const page = await loadPage({
+    routes: [
+      [
+        "assets/data/orgs.json",
+        [{ org: "Big-Org", limit: 5, max_pages: 2, sort: "stars" }],
+      ],
+      NO_MANUAL,
+      [USER_REPOS, []],
+      [ORG_REPOS, pagedRoute(ORG_REPOS, "Big-Org", 250)],
+    ],
+  });
+  try {
+    const card = await page.waitFor(() =>
+      page.document.querySelector('.org-card[data-org="Big-Org"]')
+    );
+    await page.waitFor(
+      () =>
+        page.calls.filter((u) => u.includes(ORG_REPOS)).length === 2 &&
+        card.querySelectorAll(".repo-list a").length === 5 &&
+        card.querySelector(".repo-list a").firstChild.textContent === "repo-199"
+    );
+    const more = card.querySelector(".org-load-more");
+    assert.equal(more.textContent, "Show 5 more");
+    more.click();
+    assert.equal(card.querySelectorAll(".repo-list a").length, 10);
+    assert.equal(
+      page.document.activeElement,
+      card.querySelectorAll(".repo-list a")[5]
+    );
+    assert.ok(card.querySelector(".org-view-all"));
+  } finally {
+    page.close();
+  }
+});
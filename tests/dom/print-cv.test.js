@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, I18N } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const CREDLY = "/api/credly/eren-baris-bostanci/badges";
+const ROUTES = [
+  ["assets/data/orgs.json", []],
+  ["assets/data/repos.json", []],
+  [USER_REPOS, fixture("github/user-repos.json")],
+  [CREDLY, fixture("credly/badges.json")],
+];
+
+const repo = (name, extra = {}) => ({
+  name,
+  full_name: `erenbarisbostanci/${name}`,
+  ...extra,
+});
+
+test("?print=letter previews the CV layout with the paper size", async () => {
+  const page = await loadPage({
+    url: "http://localhost/?print=letter",
+    scripts: ["theme.js", ...I18N, "print-cv.js"],
+    prefersDark: true,
+  });
+  try {
+    const root = page.document.documentElement;
+    assert.ok(root.classList.contains("print-mode"));
+    assert.equal(root.getAttribute("data-paper"), "letter");
+    // Printed light whatever the theme
+    assert.ok(!root.classList.contains("dark"));
+    assert.match(
+      page.document.getElementById("printBar").textContent,
+      /Print preview \(Letter\)/
+    );
+    for (const id of ["ghGrid", "certGrid", "ghPinnedOrgs"])
+      assert.ok(
+        page.document.getElementById(id).hasAttribute("data-print-hide"),
+        id
+      );
+  } finally {
+    page.close();
+  }
+});
+
+test("summarizes the grid's current projects and certificates by issuer", async () => {
+  const page = await loadPage({
+    url: "http://localhost/?print",
+    scripts: [...I18N, "print-cv.js"],
+    setup: (w) => {
+      w.PortfolioProjects = {
+        current: () => [
+          repo("first", {
+            language: "Python",
+            stargazers_count: 12,
+            description: "A long description that the grid clamps",
+          }),
+          ...Array.from({ length: 8 }, (_, i) => repo(`more-${i}`)),
+        ],
+      };
+      w.PortfolioCredly = {
+        certificates: () => [
+          { name: "Old AWS", issuer: "AWS", date: "2021-05-01" },
+          { name: "Azure Fundamentals", issuer: "Microsoft", date: "" },
+          { name: "New AWS", issuer: "AWS", date: "2024-02-10" },
+        ],
+      };
+    },
+  });
+  try {
+    const { document } = page;
+    // No size asked: jsdom's navigator.language is en-US → Letter
+    assert.equal(document.documentElement.getAttribute("data-paper"), "letter");
+    const items = Array.from(
+      document.querySelectorAll("#printProjects li"),
+      (li) => li.textContent
+    );
+    assert.equal(items.length, 6); // data-projects="6"
+    assert.match(
+      items[0],
+      /^first Python · ★ 12 · github\.com\/erenbarisbostanci\/first/
+    );
+    assert.match(items[0], /A long description that the grid clamps$/);
+    assert.deepEqual(
+      Array.from(
+        document.querySelectorAll("#printCerts li"),
+        (li) => li.textContent
+      ),
+      ["AWS: New AWS (2024), Old AWS (2021)", "Microsoft: Azure Fundamentals"]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("the Print CV button prints in CV mode and restores the page after", async () => {
+  const page = await loadPage({
+    scripts: ["theme.js", ...I18N, "print-cv.js"],
+    storage: { theme: "dark" },
+  });
+  try {
+    const { window, document } = page;
+    const root = document.documentElement;
+    let modeWhilePrinting = null;
+    window.print = () => {
+      modeWhilePrinting = root.classList.contains("print-mode");
+      window.dispatchEvent(new window.Event("afterprint"));
+    };
+    assert.ok(!root.classList.contains("print-mode"));
+    assert.equal(document.getElementById("printBar"), null);
+    document.getElementById("printCV").click();
+    assert.equal(modeWhilePrinting, true);
+    assert.ok(!root.classList.contains("print-mode"));
+    assert.ok(root.classList.contains("dark"));
+  } finally {
+    page.close();
+  }
+});
+
+test("Ctrl+P picks up the live grids' data", async () => {
+  const page = await loadPage({ routes: ROUTES });
+  try {
+    const { window, document } = page;
+    await page.waitFor(() => document.querySelector("#ghGrid article"));
+    await page.waitFor(() => document.querySelector("#certGrid figure"));
+    window.dispatchEvent(new window.Event("beforeprint"));
+    assert.ok(document.documentElement.classList.contains("print-mode"));
+    assert.equal(document.querySelectorAll("#printProjects li").length, 2);
+    assert.match(
+      document.getElementById("printCerts").textContent,
+      /AWS Certified Solutions Architect – Associate \(2024\), AWS Certified Cloud Practitioner \(2023\)/
+    );
+    window.dispatchEvent(new window.Event("afterprint"));
+    assert.ok(!document.documentElement.classList.contains("print-mode"));
+  } finally {
+    page.close();
+  }
+});
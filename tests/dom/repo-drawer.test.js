@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const SITE = "api.github.com/repos/erenbarisbostanci/portfolio-site";
+const MANUAL = "api.github.com/repos/ribo-apps/clickbait-spoiling-nlp-project";
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+
+const README = [
+  "# portfolio-site",
+  "See the [setup guide](docs/setup.md) and ![screenshot](img/shot.png).",
+  "",
+  '<script>alert(1)</script><img src=x onerror="alert(1)">',
+  "[bad](javascript:alert(1))",
+].join("\n");
+
+const drawerRoutes = (base) => [
+  [
+    `${base}/readme`,
+    {
+      path: "README.md",
+      content: Buffer.from(README).toString("base64"),
+    },
+  ],
+  [`${base}/languages`, { JavaScript: 3000, CSS: 1000 }],
+  [`${base}/commits`, []],
+  [`${base}/releases`, []],
+];
+
+const slot = (page, name) =>
+  page.document.querySelector(
+    `#repoDrawer [data-section="${name}"] [data-slot]`
+  );
+const loaded = (page, name) => () =>
+  slot(page, name) && !slot(page, name).hasAttribute("aria-busy");
+
+async function openCard(page, fullName) {
+  const button = await page.waitFor(() =>
+    page.document.querySelector(
+      `#ghGrid article[data-repo="${fullName}"] [data-repo-open]`
+    )
+  );
+  button.focus();
+  button.click();
+  return button;
+}
+
+const press = (page, key, opts = {}) =>
+  page.document.activeElement.dispatchEvent(
+    new page.window.KeyboardEvent("keydown", { key, bubbles: true, ...opts })
+  );
+
+test("the drawer shows the README and languages; Esc returns focus", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      ...drawerRoutes(SITE),
+      [USER_REPOS, fixture("github/user-repos.json")],
+    ],
+  });
+  try {
+    const { document } = page;
+    const button = await openCard(page, "erenbarisbostanci/portfolio-site");
+    const drawer = document.getElementById("repoDrawer");
+    const dialog = drawer.querySelector('[role="dialog"]');
+    assert.ok(!drawer.classList.contains("hidden"));
+    assert.equal(dialog.getAttribute("aria-modal"), "true");
+    assert.equal(
+      document.getElementById("repoDrawerTitle").textContent,
+      "portfolio-site"
+    );
+    assert.ok(dialog.contains(document.activeElement));
+
+    await page.waitFor(loaded(page, "readme"));
+    const md = slot(page, "readme").querySelector(".md-body");
+    assert.equal(md.querySelector("h2").textContent, "portfolio-site");
+    assert.equal(
+      md.querySelector("a").getAttribute("href"),
+      "https://github.com/erenbarisbostanci/portfolio-site/blob/HEAD/docs/setup.md"
+    );
+    assert.equal(
+      md.querySelector("img").getAttribute("src"),
+      "https://raw.githubusercontent.com/erenbarisbostanci/portfolio-site/HEAD/img/shot.png"
+    );
+    assert.equal(md.querySelectorAll("script, [onerror]").length, 0);
+    assert.ok(
+      Array.from(md.querySelectorAll("a")).every((a) =>
+        /^https:/.test(a.getAttribute("href"))
+      )
+    );
+    assert.match(md.querySelector("a").textContent, /opens in a new tab/);
+
+    await page.waitFor(loaded(page, "languages"));
+    assert.equal(
+      slot(page, "languages")
+        .querySelector('[role="img"]')
+        .getAttribute("aria-label"),
+      "JavaScript 75.0%, CSS 25.0%"
+    );
+    await page.waitFor(loaded(page, "commits"));
+    assert.match(slot(page, "commits").textContent, /No commits yet/);
+
+    // Tab wraps inside the dialog
+    const focusables = dialog.querySelectorAll(
+      'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+    );
+    focusables[focusables.length - 1].focus();
+    press(page, "Tab");
+    assert.equal(document.activeElement, focusables[0]);
+    press(page, "Tab", { shiftKey: true });
+    assert.equal(document.activeElement, focusables[focusables.length - 1]);
+
+    press(page, "Escape");
+    assert.ok(drawer.classList.contains("hidden"));
+    assert.equal(document.activeElement, button);
+  } finally {
+    page.close();
+  }
+});
+
+test("a repos.json write-up replaces the README section", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      [
+        "assets/data/repos.json",
+        [
+          {
+            url: "https://github.com/ribo-apps/clickbait-spoiling-nlp-project",
+            writeup:
+              "## Approach\n\nFine-tuned **T5** ([paper](papers/t5.pdf)).",
+          },
+        ],
+      ],
+      [USER_REPOS, []],
+      ...drawerRoutes(MANUAL),
+      [MANUAL, fixture("github/repo-detail.json")],
+    ],
+  });
+  try {
+    await openCard(page, "ribo-apps/clickbait-spoiling-nlp-project");
+    await page.waitFor(loaded(page, "readme"));
+    const section = page.document.querySelector(
+      '#repoDrawer [data-section="readme"]'
+    );
+    assert.equal(section.querySelector("h4").textContent, "About this project");
+    assert.equal(section.querySelector(".md-body h3").textContent, "Approach");
+    assert.match(section.querySelector(".md-body strong").textContent, /^T5$/);
+    // Relative links in a write-up resolve against the page
+    assert.equal(
+      section.querySelector(".md-body a").getAttribute("href"),
+      new URL("papers/t5.pdf", page.window.location.href).href
+    );
+    assert.ok(!page.calls.some((u) => u.endsWith("/readme")));
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,207 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fixture, cacheEntry } = require("../helpers/page.js");
+
+const USER_REPOS = "api.github.com/users/erenbarisbostanci/repos";
+const ORG_REPOS = "api.github.com/orgs/Hot-Map/repos";
+const HOT_MAP = ["assets/data/orgs.json", [{ org: "Hot-Map" }]];
+const NO_ORGS = ["assets/data/orgs.json", []];
+const NO_MANUAL = ["assets/data/repos.json", []];
+const HOUR = 60 * 60 * 1000;
+
+const statusText = (page) =>
+  page.document.getElementById("ghStatus").textContent.trim();
+const settled = (page) => () => !/Loading|refreshing/.test(statusText(page));
+const cached = (page, key) =>
+  JSON.parse(page.window.localStorage.getItem(key) || "null")?.data;
+// Org repos without topics, so the card deep-fetches /topics for each
+const bareOrgRepos = () =>
+  fixture("github/org-repos.json").map((r) => ({ ...r, topics: [] }));
+const budget = (remaining, reset = Date.now() + HOUR) => ({
+  "x-ratelimit-remaining": String(remaining),
+  "x-ratelimit-limit": "60",
+  "x-ratelimit-reset": String(Math.floor(reset / 1000)),
+});
+
+// Reply with each answer in turn, repeating the last one
+const sequence = (...replies) => {
+  let i = 0;
+  return () => replies[Math.min(i++, replies.length - 1)];
+};
+
+test("server errors are retried before giving up", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        sequence(
+          { status: 502, body: {} },
+          { status: 200, body: fixture("github/user-repos.json") }
+        ),
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.equal(statusText(page), "2 repositories · updated just now");
+    assert.equal(page.calls.filter((u) => u.includes(USER_REPOS)).length, 2);
+  } finally {
+    page.close();
+  }
+});
+
+test("abuse detection with Retry-After pauses, then retries", async () => {
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        sequence(
+          {
+            status: 403,
+            body: { message: "You have exceeded a secondary rate limit." },
+            headers: { "retry-after": "0" },
+          },
+          fixture("github/user-repos.json")
+        ),
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(statusText(page), /^2 repositories/);
+  } finally {
+    page.close();
+  }
+});
+
+test("an exhausted budget fails fast and is remembered", async () => {
+  const reset = Date.now() + HOUR;
+  const page = await loadPage({
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [
+        USER_REPOS,
+        {
+          status: 403,
+          body: fixture("github/rate-limit.json"),
+          headers: budget(0, reset),
+        },
+      ],
+    ],
+  });
+  try {
+    await page.waitFor(settled(page));
+    assert.match(statusText(page), /rate limit reached, try again after/);
+    assert.equal(page.calls.filter((u) => u.includes(USER_REPOS)).length, 1);
+    assert.equal(cached(page, "gh:ratelimit").remaining, 0);
+    assert.equal(
+      cached(page, "gh:ratelimit").reset,
+      Math.floor(reset / 1000) * 1000
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("a saved empty budget skips the API and serves the cache", async () => {
+  const page = await loadPage({
+    storage: {
+      "gh:ratelimit": cacheEntry({
+        remaining: 0,
+        limit: 60,
+        reset: Date.now() + HOUR,
+      }),
+      "gh:userrepos:erenbarisbostanci": cacheEntry(
+        fixture("github/user-repos.json"),
+        2 * HOUR
+      ),
+    },
+    routes: [NO_ORGS, NO_MANUAL],
+  });
+  try {
+    await page.waitFor(() => /offline/.test(statusText(page)));
+    assert.equal(
+      statusText(page),
+      "2 repositories · offline · showing saved copy"
+    );
+    assert.ok(!page.calls.some((u) => u.includes("api.github.com")));
+  } finally {
+    page.close();
+  }
+});
+
+test("the grid is requested before org cards and their topics", async () => {
+  const page = await loadPage({
+    routes: [
+      HOT_MAP,
+      NO_MANUAL,
+      [USER_REPOS, fixture("github/user-repos.json")],
+      [ORG_REPOS, bareOrgRepos()],
+      [/\/topics$/, { names: ["flask"] }],
+    ],
+  });
+  try {
+    await page.waitFor(
+      () => page.calls.filter((u) => u.endsWith("/topics")).length === 2
+    );
+    const api = page.calls.filter((u) => u.includes("api.github.com"));
+    assert.ok(api[0].includes(USER_REPOS));
+    assert.ok(api[1].includes(ORG_REPOS));
+  } finally {
+    page.close();
+  }
+});
+
+test("topics that don't fit the budget are saved for the next visit", async () => {
+  const page = await loadPage({
+    storage: {
+      "gh:ratelimit": cacheEntry({
+        remaining: 3,
+        limit: 60,
+        reset: Date.now() + HOUR,
+      }),
+      "gh:orgrepos:Hot-Map": cacheEntry(bareOrgRepos()),
+    },
+    routes: [HOT_MAP, NO_MANUAL, [USER_REPOS, []]],
+  });
+  try {
+    await page.waitFor(() => cached(page, "gh:pending")?.length === 2);
+    assert.deepEqual(cached(page, "gh:pending"), [
+      ["topics", "Hot-Map", "hotsum-backend"],
+      ["topics", "Hot-Map", "hotsum-app"],
+    ]);
+    assert.ok(!page.calls.some((u) => u.endsWith("/topics")));
+    // The grid still got its (reserved) request
+    assert.ok(page.calls.some((u) => u.includes(USER_REPOS)));
+  } finally {
+    page.close();
+  }
+});
+
+test("saved work is resumed and cleared on the next visit", async () => {
+  const page = await loadPage({
+    storage: {
+      "gh:pending": cacheEntry([["topics", "ribo-apps", "slot-attention-gan"]]),
+    },
+    routes: [
+      NO_ORGS,
+      NO_MANUAL,
+      [USER_REPOS, []],
+      [/slot-attention-gan\/topics$/, { names: ["gan", "pytorch"] }],
+    ],
+  });
+  try {
+    await page.waitFor(() => !page.window.localStorage.getItem("gh:pending"));
+    assert.deepEqual(cached(page, "gh:topics:ribo-apps/slot-attention-gan"), [
+      "gan",
+      "pytorch",
+    ]);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, UI } = require("../helpers/page.js");
+
+const SCRIPTS = [
+  ...UI,
+  "cache.js",
+  "data-normalize.js",
+  "resume-core.js",
+  "github-core.js",
+  "cv-sections.js",
+  "resume-export.js",
+];
+
+test("builds a JSON Resume from the page's data", async () => {
+  const page = await loadPage({ scripts: SCRIPTS });
+  try {
+    // JSON round trip: arrays from the page's realm fail deepStrictEqual
+    const doc = JSON.parse(
+      JSON.stringify(await page.window.PortfolioResume.build())
+    );
+    assert.equal(doc.basics.name, "Eren Barış Bostancı");
+    assert.equal(doc.basics.email, "bostancierenbaris@gmail.com");
+    assert.deepEqual(
+      doc.basics.profiles.map((p) => p.network),
+      ["GitHub", "LinkedIn", "Credly"]
+    );
+    assert.equal(doc.basics.profiles[0].username, "erenbarisbostanci");
+    assert.deepEqual(
+      doc.work.slice(0, 3).map((w) => w.position),
+      ["Senior Consultant", "Consultant", "Business Analyst"]
+    );
+    assert.equal(doc.work.length, 9);
+    assert.equal(doc.skills[0].name, "Programming");
+    assert.equal(doc.projects.length, 2);
+    assert.deepEqual(doc.certificates, []);
+  } finally {
+    page.close();
+  }
+});
+
+test("the button downloads resume.json", async () => {
+  let blob = null;
+  const page = await loadPage({
+    scripts: SCRIPTS,
+    setup: (w) => {
+      w.URL.createObjectURL = (b) => {
+        blob = b;
+        return "blob:resume";
+      };
+      w.URL.revokeObjectURL = () => {};
+    },
+  });
+  try {
+    const { document, window } = page;
+    let downloaded = "";
+    window.HTMLAnchorElement.prototype.click = function () {
+      downloaded = this.download;
+    };
+    document.getElementById("resumeExport").click();
+    await page.waitFor(() => downloaded);
+    assert.equal(downloaded, "resume.json");
+    assert.equal(blob.type, "application/json");
+    assert.equal(document.getElementById("resumeExport").disabled, false);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/page.js");
+
+const isDark = (page) =>
+  page.document.documentElement.classList.contains("dark");
+const metaColor = (page) =>
+  page.document
+    .querySelector('meta[name="theme-color"]')
+    .getAttribute("content");
+// Tick a menu input the way a click would
+function choose(page, selector) {
+  const input = page.document.querySelector(`#themeMenu ${selector}`);
+  input.click();
+  return input;
+}
+
+test("follows the OS preference when nothing is saved", async () => {
+  const page = await loadPage({ scripts: ["theme.js"], prefersDark: true });
+  try {
+    assert.ok(isDark(page));
+    assert.equal(metaColor(page), "#1e3a8a"); // blue-900, the dark header
+    assert.equal(page.window.localStorage.getItem("theme"), null);
+    assert.ok(
+      page.document.querySelector('input[name="themeMode"][value="system"]')
+        .checked
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("a saved choice beats the OS preference", async () => {
+  const page = await loadPage({
+    scripts: ["theme.js"],
+    prefersDark: true,
+    storage: { theme: "light" },
+  });
+  try {
+    assert.ok(!isDark(page));
+    assert.equal(metaColor(page), "#1d4ed8");
+  } finally {
+    page.close();
+  }
+});
+
+test("the menu switches light / dark and back to following the OS", async () => {
+  const page = await loadPage({ scripts: ["theme.js"], prefersDark: true });
+  try {
+    const { document, window } = page;
+    const btn = document.getElementById("themeToggle");
+    btn.click();
+    assert.equal(btn.getAttribute("aria-expanded"), "true");
+    assert.ok(
+      !document.getElementById("themeMenu").classList.contains("hidden")
+    );
+
+    choose(page, 'input[name="themeMode"][value="light"]');
+    assert.ok(!isDark(page));
+    assert.equal(window.localStorage.getItem("theme"), "light");
+    assert.ok(document.getElementById("iconSun").classList.contains("hidden"));
+
+    choose(page, 'input[name="themeMode"][value="system"]');
+    assert.ok(isDark(page));
+    assert.equal(window.localStorage.getItem("theme"), null);
+
+    document.dispatchEvent(
+      new window.KeyboardEvent("keydown", { key: "Escape" })
+    );
+    assert.ok(
+      document.getElementById("themeMenu").classList.contains("hidden")
+    );
+    assert.equal(btn.getAttribute("aria-expanded"), "false");
+  } finally {
+    page.close();
+  }
+});
+
+test("an accent palette drives the CSS variables and theme-color", async () => {
+  const page = await loadPage({ scripts: ["theme.js"] });
+  try {
+    const root = page.document.documentElement;
+    const swatches = page.document.querySelectorAll(
+      '#themeAccents input[name="themeAccent"]'
+    );
+    assert.deepEqual(
+      Array.from(swatches, (s) => s.value),
+      ["blue", "teal", "violet", "rose", "amber"]
+    );
+    choose(page, 'input[name="themeAccent"][value="teal"]');
+    assert.equal(root.getAttribute("data-accent"), "teal");
+    assert.equal(root.style.getPropertyValue("--accent-700"), "15 118 110");
+    assert.equal(metaColor(page), "#0f766e");
+    assert.equal(page.window.localStorage.getItem("accent"), "teal");
+  } finally {
+    page.close();
+  }
+});
+
+test("an unknown saved accent falls back to blue", async () => {
+  const page = await loadPage({
+    scripts: ["theme.js"],
+    storage: { accent: "plaid" },
+  });
+  try {
+    assert.equal(
+      page.document.documentElement.getAttribute("data-accent"),
+      "blue"
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("high contrast follows prefers-contrast until the user says otherwise", async () => {
+  const page = await loadPage({
+    scripts: ["theme.js"],
+    media: { "(prefers-contrast: more)": true },
+  });
+  try {
+    const { document, window } = page;
+    const root = document.documentElement;
+    assert.equal(root.getAttribute("data-contrast"), "more");
+    assert.ok(document.getElementById("themeContrast").checked);
+    // Accent text steps darker on light backgrounds: 600 → blue-800
+    assert.equal(root.style.getPropertyValue("--accent-600"), "30 64 175");
+
+    choose(page, "#themeContrast");
+    assert.equal(root.getAttribute("data-contrast"), "normal");
+    assert.equal(window.localStorage.getItem("contrast"), "normal");
+    assert.equal(root.style.getPropertyValue("--accent-600"), "37 99 235");
+  } finally {
+    page.close();
+  }
+});
+
+test("turning high contrast on and off again leaves nothing saved", async () => {
+  const page = await loadPage({ scripts: ["theme.js"] });
+  try {
+    const root = page.document.documentElement;
+    assert.equal(root.getAttribute("data-contrast"), "normal");
+    choose(page, "#themeContrast");
+    assert.equal(root.getAttribute("data-contrast"), "more");
+    assert.equal(page.window.localStorage.getItem("contrast"), "more");
+    choose(page, "#themeContrast");
+    assert.equal(root.getAttribute("data-contrast"), "normal");
+    assert.equal(page.window.localStorage.getItem("contrast"), null);
+  } finally {
+    page.close();
+  }
+});
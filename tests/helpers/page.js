@@ -0,0 +1,174 @@
+/* tests/helpers/page.js  —  load index.html in jsdom with a mocked fetch
+   The page's own <script src="assets/js/…"> tags are evaluated in order (CDN
+   scripts are skipped), so the IIFEs run exactly as in the browser.
+
+   loadPage({
+     routes:  [[match, reply], …]  match: substring | RegExp | (url) => bool
+                                   reply: JSON value | { status, body, headers }
+                                          | Error (fetch rejects) | (url, init) => reply
+                                   | Promise of a reply (answers when the test resolves it)
+                                   (init.headers holds the request headers, e.g. If-None-Match)
+     storage: { key: value }       localStorage before any script runs
+     online:  false                navigator.onLine
+     prefersDark: true             matchMedia("(prefers-color-scheme: dark)")
+     media: { query: true }        any other matchMedia query (default: no match)
+     inView: true                  IntersectionObserver reports every observed element as
+                                   visible (default: nothing ever scrolls into view)
+     scripts: ["theme.js"]         subset of the page scripts (default: all); scripts that
+                                   print text need ...I18N (i18n.js and its catalogs) first,
+                                   scripts that render cards ...UI (I18N + a11y.js, dom-patch.js)
+     url: "http://localhost/?print" page URL (query string for the scripts)
+     setup(window)                 last hook before scripts run
+   }) → { window, document, calls, logs, waitFor, close }
+   `logs` collects the page's console.warn/error as [level, text] instead of printing.
+
+   Unrouted local files (orgs.json, repos.json, …) are served from the repo;
+   unrouted remote URLs answer 404 so no test ever reaches the network.
+*/
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "../..");
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+const PAGE_SCRIPTS = [
+  ...INDEX_HTML.matchAll(/<script src="assets\/js\/([^"]+)"/g),
+].map((m) => m[1]);
+
+// What every text-rendering script expects on the page before it (see index.html)
+const I18N = ["i18n-messages.js", "i18n-core.js", "i18n.js"];
+const UI = [...I18N, "a11y.js", "dom-patch.js"];
+
+const fixture = (rel) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "../fixtures", rel), "utf8"));
+
+function toResponse(reply, url, init) {
+  if (typeof reply === "function")
+    return toResponse(reply(url, init), url, init);
+  if (reply instanceof Error) return Promise.reject(reply);
+  if (reply && typeof reply.then === "function")
+    return reply.then((r) => toResponse(r, url, init)); // held back by the test
+  const full =
+    reply && typeof reply === "object" && "status" in reply
+      ? reply
+      : { status: 200, body: reply };
+  const body =
+    typeof full.body === "string"
+      ? full.body
+      : JSON.stringify(full.body ?? null);
+  const nullBody = [204, 304].includes(full.status); // Response rejects a body here
+  return Promise.resolve(
+    new Response(nullBody ? null : body, {
+      status: full.status,
+      headers: { "content-type": "application/json", ...(full.headers || {}) },
+    })
+  );
+}
+
+const matches = (match, url) =>
+  typeof match === "function"
+    ? match(url)
+    : match instanceof RegExp
+    ? match.test(url)
+    : url.includes(match);
+
+async function loadPage({
+  routes = [],
+  storage = {},
+  online = true,
+  prefersDark = false,
+  media = {},
+  inView = false,
+  scripts = PAGE_SCRIPTS,
+  url = "http://localhost/",
+  setup,
+} = {}) {
+  const html = INDEX_HTML.replace(/<script src="https:[^"]*"><\/script>/g, "");
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  for (const level of ["warn", "error"])
+    virtualConsole.on(level, (...args) => logs.push([level, args.join(" ")]));
+  virtualConsole.on("jsdomError", (e) => logs.push(["error", String(e)]));
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const w = dom.window;
+  const calls = [];
+
+  w.Response = Response;
+  w.TextDecoder = TextDecoder;
+  w.matchMedia = (query) => ({
+    matches:
+      query in media ? media[query] : /dark/.test(query) ? prefersDark : false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+  });
+  w.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+    }
+    observe(target) {
+      if (inView)
+        w.setTimeout(() =>
+          this.callback([{ target, isIntersecting: true }], this)
+        );
+    }
+    unobserve() {}
+    disconnect() {}
+  };
+  Object.defineProperty(w.navigator, "onLine", { get: () => online });
+  for (const [k, v] of Object.entries(storage)) w.localStorage.setItem(k, v);
+  // No request spacing or backoff: the queue order still applies, just without waiting
+  const ghGrid = w.document.getElementById("ghGrid");
+  ghGrid?.setAttribute("data-request-gap-ms", "0");
+  ghGrid?.setAttribute("data-retry-base-ms", "0");
+
+  w.fetch = async (input, init = {}) => {
+    const url = String(input);
+    calls.push(url);
+    for (const [match, reply] of routes)
+      if (matches(match, url)) return toResponse(reply, url, init);
+    if (/^https?:/.test(url)) return toResponse({ status: 404, body: {} });
+    const file = path.join(ROOT, url.split("?")[0]);
+    if (!fs.existsSync(file)) return toResponse({ status: 404, body: "" });
+    return new Response(fs.readFileSync(file));
+  };
+
+  if (setup) setup(w);
+  for (const s of scripts)
+    w.eval(fs.readFileSync(path.join(ROOT, "assets/js", s), "utf8"));
+
+  // Poll until fn() is truthy (returns its value) or fail after `timeout` ms
+  async function waitFor(fn, { timeout = 4000, interval = 10 } = {}) {
+    const start = Date.now();
+    for (;;) {
+      let value;
+      try {
+        value = fn();
+      } catch {}
+      if (value) return value;
+      if (Date.now() - start > timeout)
+        throw new Error(`waitFor timed out: ${fn.toString()}`);
+      await new Promise((r) => setTimeout(r, interval));
+    }
+  }
+
+  return {
+    window: w,
+    document: w.document,
+    calls,
+    logs,
+    waitFor,
+    close: () => w.close(),
+  };
+}
+
+// localStorage value in cache.js's envelope, aged `ageMs`
+const cacheEntry = (data, ageMs = 0) =>
+  JSON.stringify({ v: 2, ts: Date.now() - ageMs, data });
+
+module.exports = { loadPage, fixture, cacheEntry, PAGE_SCRIPTS, I18N, UI };
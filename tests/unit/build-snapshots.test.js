@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.SNAPSHOT_GAP_MS = "0";
+const {
+  snapshotGitHub,
+  snapshotCredly,
+  writeSnapshot,
+} = require("../../scripts/build-snapshots.js");
+
+const repo = (full, topics = []) => ({
+  name: full.split("/")[1],
+  full_name: full,
+  topics,
+});
+
+// The script reports each entry on the console; keep test output clean
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+// GitHub + Credly answers by URL (anything else 404s)
+async function withApi(routes, fn) {
+  const original = global.fetch;
+  global.fetch = async (url) => {
+    const hit = routes.find(([match]) => url.includes(match));
+    return hit
+      ? new Response(JSON.stringify(hit[1]))
+      : new Response("{}", { status: 404 });
+  };
+  try {
+    return await quietly(fn);
+  } finally {
+    global.fetch = original;
+  }
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "build-snapshots-"));
+}
+
+test("the GitHub snapshot holds the browser's cache keys for every source", async () => {
+  const dir = tempDir();
+  try {
+    const orgs = path.join(dir, "orgs.json");
+    const manual = path.join(dir, "repos.json");
+    fs.writeFileSync(orgs, JSON.stringify([{ org: "Card-Org" }, {}]));
+    fs.writeFileSync(
+      manual,
+      JSON.stringify([{ url: "https://github.com/a/b" }, { name: "no repo" }])
+    );
+    const html = `
+      <ul id="ghPinnedOrgs" data-orgs-src="${orgs}"></ul>
+      <ul id="ghGrid" data-github-user="me" data-orgs="Grid-Org"
+          data-manual-src="${manual}"></ul>`;
+
+    const entries = await withApi(
+      [
+        [
+          "/orgs/Card-Org/repos",
+          [repo("Card-Org/tagged", ["nlp"]), repo("Card-Org/bare")],
+        ],
+        ["/repos/Card-Org/bare/topics", { names: ["web"] }],
+        ["/users/me/repos", [repo("me/site")]],
+        ["/orgs/Grid-Org/repos", [repo("Grid-Org/tool")]],
+        ["/repos/a/b", { full_name: "a/b", stargazers_count: 3 }],
+      ],
+      () => snapshotGitHub(html)
+    );
+    assert.deepEqual(Object.keys(entries).sort(), [
+      "gh:gridorg:Grid-Org",
+      "gh:orgrepos:Card-Org",
+      "gh:repodetail:a/b",
+      "gh:topics:Card-Org/bare", // only repos listed without topics
+      "gh:userrepos:me",
+    ]);
+    assert.deepEqual(entries["gh:topics:Card-Org/bare"], ["web"]);
+    assert.equal(entries["gh:repodetail:a/b"].stargazers_count, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a failed source is left out instead of failing the snapshot", async () => {
+  const entries = await withApi(
+    [["/orgs/Grid-Org/repos", [repo("Grid-Org/tool")]]],
+    () =>
+      snapshotGitHub(
+        '<ul id="ghGrid" data-github-user="gone" data-orgs="Grid-Org"></ul>'
+      )
+  );
+  assert.deepEqual(Object.keys(entries), ["gh:gridorg:Grid-Org"]);
+});
+
+test("the Credly snapshot and the written file match what the browser reads", async () => {
+  const dir = tempDir();
+  try {
+    const entries = await withApi(
+      [["credly.com/users/me/badges.json", { data: [{ id: "b1" }] }]],
+      () => snapshotCredly('<div id="certGrid" data-credly-user="me"></div>')
+    );
+    assert.deepEqual(entries, { "credly:me:badges:v1:48": [{ id: "b1" }] });
+
+    await quietly(() => writeSnapshot("credly", entries, dir));
+    const doc = JSON.parse(fs.readFileSync(path.join(dir, "credly.json")));
+    assert.equal(doc.version, 1); // SNAPSHOT_VERSION in credly.js / github-projects.js
+    assert.ok(Date.now() - Date.parse(doc.generated_at) < 60e3);
+    assert.deepEqual(doc.entries, entries);
+
+    // Nothing fetched: the previous file stays
+    await quietly(() => writeSnapshot("github", {}, dir));
+    assert.ok(!fs.existsSync(path.join(dir, "github.json")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fetchAllPages,
+  issuerOf,
+  skillsOf,
+  expiryStatus,
+  collapseSuperseded,
+  sortBadges,
+  groupByIssuer,
+  skillCounts,
+  mergeManualCerts,
+} = require("../../assets/js/credly-core.js");
+const { normalizeManualCert } = require("../../assets/js/data-normalize.js");
+
+const pages = (...sizes) => {
+  const requested = [];
+  const fetchPage = async (page) => {
+    requested.push(page);
+    const n = sizes[page - 1] ?? 0;
+    return Array.from({ length: n }, (_, i) => ({ id: `${page}-${i}` }));
+  };
+  return { fetchPage, requested };
+};
+
+test("fetchAllPages follows full pages and stops at a short one", async () => {
+  const { fetchPage, requested } = pages(3, 3, 1);
+  const all = await fetchAllPages(fetchPage, 3);
+  assert.equal(all.length, 7);
+  assert.deepEqual(requested, [1, 2, 3]);
+});
+
+test("fetchAllPages stops at an empty page or a non-array", async () => {
+  const empty = pages(3, 0);
+  assert.equal((await fetchAllPages(empty.fetchPage, 3)).length, 3);
+  assert.deepEqual(empty.requested, [1, 2]);
+  assert.deepEqual(await fetchAllPages(async () => null, 3), []);
+});
+
+test("fetchAllPages never exceeds maxPages", async () => {
+  const { fetchPage, requested } = pages(2, 2, 2, 2, 2);
+  assert.equal((await fetchAllPages(fetchPage, 2, 3)).length, 6);
+  assert.deepEqual(requested, [1, 2, 3]);
+});
+
+test("fetchAllPages propagates fetch errors", async () => {
+  await assert.rejects(
+    fetchAllPages(async () => {
+      throw new Error("HTTP 500");
+    }, 48),
+    /HTTP 500/
+  );
+});
+
+const DAY = 24 * 3600e3;
+const NOW = Date.parse("2026-01-01T00:00:00Z");
+const mk = (name, issued, extra = {}) => ({
+  id: name + issued,
+  issued_at: issued,
+  badge_template: { name, skills: extra.skills || [] },
+  issuer: extra.issuer || { summary: "issued by Acme" },
+  expires_at: extra.expires_at,
+});
+
+test("issuerOf prefers the primary entity, then the summary", () => {
+  assert.equal(
+    issuerOf({
+      issuer: {
+        summary: "issued by Someone",
+        entities: [
+          { primary: false, entity: { name: "Partner" } },
+          { primary: true, entity: { name: "Amazon Web Services" } },
+        ],
+      },
+    }),
+    "Amazon Web Services"
+  );
+  assert.equal(issuerOf(mk("A", "2024-01-01")), "Acme");
+  assert.equal(issuerOf({}), "Other");
+});
+
+test("skillsOf accepts objects and strings", () => {
+  assert.deepEqual(
+    skillsOf({ badge_template: { skills: [{ name: " AWS " }, "Cloud", {}] } }),
+    ["AWS", "Cloud"]
+  );
+  assert.deepEqual(skillsOf({}), []);
+});
+
+test("expiryStatus flags expired and soon-to-expire badges", () => {
+  const at = (days) => ({
+    expires_at: new Date(NOW + days * DAY).toISOString(),
+  });
+  assert.equal(expiryStatus(at(-1), NOW).state, "expired");
+  assert.deepEqual(
+    [expiryStatus(at(30), NOW).state, expiryStatus(at(30), NOW).days],
+    ["soon", 30]
+  );
+  assert.equal(expiryStatus(at(30), NOW, 10).state, "valid");
+  assert.equal(expiryStatus({}, NOW).state, "none");
+});
+
+test("collapseSuperseded keeps the newest renewal with the rest as history", () => {
+  const out = collapseSuperseded([
+    mk("Kubernetes Admin 2021", "2021-05-01"),
+    mk("Kubernetes Admin 2024", "2024-05-01"),
+    mk("Kubernetes Admin", "2018-05-01", { issuer: { summary: "Other Co" } }),
+    mk("Terraform v2", "2023-01-01"),
+  ]);
+  assert.equal(out.length, 3);
+  const k8s = out.find(
+    (b) => b.badge_template.name === "Kubernetes Admin 2024"
+  );
+  assert.deepEqual(
+    k8s._history.map((b) => b.issued_at),
+    ["2021-05-01"]
+  );
+  assert.ok(
+    !out.find((b) => b.badge_template.name === "Terraform v2")._history
+  );
+});
+
+test("sortBadges returns a sorted copy", () => {
+  const list = [
+    mk("B", "2022-01-01"),
+    mk("A", "2024-01-01"),
+    mk("C", "2020-01-01"),
+  ];
+  const names = (l) => l.map((b) => b.badge_template.name).join("");
+  assert.equal(names(sortBadges(list, "newest")), "ABC");
+  assert.equal(names(sortBadges(list, "oldest")), "CBA");
+  assert.equal(names(sortBadges(list, "name")), "ABC");
+  assert.equal(names(list), "BAC");
+});
+
+test("groupByIssuer puts the largest issuer first", () => {
+  const other = { issuer: { summary: "issued by Zeta" } };
+  const groups = groupByIssuer([
+    mk("A", "2024-01-01", other),
+    mk("B", "2024-01-01"),
+    mk("C", "2024-01-01"),
+  ]);
+  assert.deepEqual(
+    groups.map(([issuer, l]) => [issuer, l.length]),
+    [
+      ["Acme", 2],
+      ["Zeta", 1],
+    ]
+  );
+});
+
+test("skillCounts counts each badge once per skill", () => {
+  assert.deepEqual(
+    skillCounts([
+      mk("A", "2024-01-01", { skills: ["Cloud", "Cloud", "AWS"] }),
+      mk("B", "2024-01-01", { skills: ["Cloud"] }),
+    ]),
+    [
+      ["Cloud", 2],
+      ["AWS", 1],
+    ]
+  );
+});
+
+test("mergeManualCerts overrides matching badges and appends the rest", () => {
+  const fetched = [
+    mk("CKA", "2024-01-01", { issuer: { summary: "issued by CNCF" } }),
+    mk("Terraform", "2023-01-01"),
+  ];
+  const out = mergeManualCerts(fetched, [
+    normalizeManualCert({
+      credly_id: fetched[0].id,
+      name: "CKA",
+      date: "2024-02-02",
+    }),
+    normalizeManualCert({ name: "terraform", description: "IaC" }),
+    normalizeManualCert({ name: "Terraform", issuer: "Someone else" }),
+    normalizeManualCert({ name: "Scrum Master", issuer: "Scrum.org" }),
+  ]);
+  assert.equal(out.length, 4);
+  assert.equal(out[0].issued_at, "2024-02-02");
+  assert.equal(issuerOf(out[0]), "CNCF");
+  assert.equal(out[1].badge_template.name, "terraform");
+  assert.equal(out[1].badge_template.description, "IaC");
+  assert.equal(out[1].issued_at, "2023-01-01");
+  assert.deepEqual(
+    out.slice(2).map((b) => issuerOf(b)),
+    ["Someone else", "Scrum.org"]
+  );
+  assert.equal(fetched[1].badge_template.name, "Terraform");
+});
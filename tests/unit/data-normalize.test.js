@@ -0,0 +1,246 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveFullName,
+  normalizeManualRepo,
+  normalizeOrgConfig,
+  normalizeManualCert,
+  normalizeWorkEntry,
+  normalizeSkillGroup,
+  fromJSONResume,
+  formatProblem,
+} = require("../../assets/js/data-normalize.js");
+
+test("resolveFullName reads full_name or a GitHub URL", () => {
+  assert.equal(resolveFullName({ full_name: " a/b " }), "a/b");
+  assert.equal(resolveFullName({ url: "https://github.com/a/b/" }), "a/b");
+  assert.equal(resolveFullName({ html_url: "https://github.com/a/b" }), "a/b");
+  assert.equal(resolveFullName({ full_name: "just-a-name" }), "");
+  assert.equal(resolveFullName({ url: "not a url" }), "");
+});
+
+test("normalizeManualRepo applies defaults and records given fields", () => {
+  const repo = normalizeManualRepo({ full_name: "a/b", stars: "3" });
+  assert.equal(repo.name, "b");
+  assert.equal(repo.html_url, "https://github.com/a/b");
+  assert.equal(repo.stargazers_count, 3);
+  assert.equal(repo.language, "");
+  assert.deepEqual(repo._given, ["stargazers_count"]);
+  assert.equal(normalizeManualRepo({ description: "no repo" }), null);
+  assert.equal(normalizeManualRepo("a/b"), null);
+});
+
+test("normalizeManualRepo ignores and reports text fields that are not strings", () => {
+  const repo = normalizeManualRepo({
+    full_name: "a/b",
+    name: 5,
+    description: { text: "?" },
+    language: "Go",
+  });
+  assert.equal(repo.name, "b");
+  assert.equal(repo.description, "");
+  assert.deepEqual(repo._given, ["language"]);
+  assert.deepEqual(repo._problems, [
+    { key: "name", message: "must be a string" },
+    { key: "description", message: "must be a string" },
+  ]);
+});
+
+test("normalizeManualRepo keeps write-ups for the drawer", () => {
+  const repo = normalizeManualRepo({
+    full_name: "a/b",
+    writeup: "# Notes",
+    writeup_src: "assets/writeups/b.md",
+  });
+  assert.equal(repo._writeup, "# Notes");
+  assert.equal(repo._writeupSrc, "assets/writeups/b.md");
+});
+
+test("normalizeOrgConfig drops bad fields and reports them", () => {
+  const { cfg, problems } = normalizeOrgConfig(
+    { org: " Hot-Map ", limit: -1, sort: "random", tech_stack: ["Flask", ""] },
+    0
+  );
+  assert.equal(cfg.org, "Hot-Map");
+  assert.ok(!("limit" in cfg) && !("sort" in cfg) && !("tech_stack" in cfg));
+  assert.deepEqual(
+    problems.map((p) => p.key),
+    ["limit", "sort", "tech_stack"]
+  );
+  assert.equal(
+    formatProblem(problems[0]),
+    '"limit" must be a non-negative integer'
+  );
+});
+
+test("normalizeOrgConfig normalizes featured entries", () => {
+  const { cfg, problems } = normalizeOrgConfig(
+    {
+      org: "x",
+      featured: ["a", { repo: "b", blurb: "why" }, { blurb: "no repo" }],
+    },
+    0
+  );
+  assert.deepEqual(cfg.featured, [
+    { repo: "a", blurb: "" },
+    { repo: "b", blurb: "why" },
+  ]);
+  assert.deepEqual(problems, [
+    { key: "featured[2]", message: 'needs a "repo" name' },
+  ]);
+});
+
+test("normalizeOrgConfig rejects non-objects and a missing org", () => {
+  assert.equal(normalizeOrgConfig([], 2).cfg, null);
+  assert.equal(
+    formatProblem(normalizeOrgConfig("x", 2).problems[0]),
+    "entry #3 must be an object"
+  );
+  assert.equal(normalizeOrgConfig({}, 0).problems[0].key, "org");
+});
+
+test("normalizeOrgConfig accepts max_pages >= 1 only", () => {
+  assert.equal(
+    normalizeOrgConfig({ org: "x", max_pages: 5 }, 0).cfg.max_pages,
+    5
+  );
+  const { cfg, problems } = normalizeOrgConfig({ org: "x", max_pages: 0 }, 0);
+  assert.ok(!("max_pages" in cfg));
+  assert.equal(
+    formatProblem(problems[0]),
+    '"max_pages" must be a positive integer'
+  );
+});
+
+test("normalizeManualCert builds a Credly-shaped badge", () => {
+  const cert = normalizeManualCert({
+    name: " Scrum Master ",
+    issuer: "Scrum.org",
+    date: "2023-04-01",
+    verify_url: "https://www.scrum.org/certificates/123",
+    skills: ["Agile", ""],
+  });
+  assert.equal(cert.badge_template.name, "Scrum Master");
+  assert.equal(cert.issuer.summary, "Scrum.org");
+  assert.equal(cert.issued_at, "2023-04-01");
+  assert.deepEqual(cert.badge_template.skills, ["Agile"]);
+  assert.equal(cert.id, "manual:scrum.org|scrum master");
+  assert.deepEqual(cert._given, [
+    "name",
+    "issuer",
+    "issued_at",
+    "skills",
+    "_verifyUrl",
+  ]);
+  assert.equal(normalizeManualCert({ issuer: "x" }), null);
+});
+
+test("normalizeManualCert reads the Credly id from a verify URL", () => {
+  const cert = normalizeManualCert({
+    name: "CKA",
+    verify_url: "https://www.credly.com/badges/abc-123/public_url",
+  });
+  assert.equal(cert.id, "abc-123");
+  assert.equal(cert._credlyId, "abc-123");
+  assert.equal(
+    normalizeManualCert({ name: "x", verify_url: "javascript:alert(1)" })
+      ._verifyUrl,
+    ""
+  );
+});
+
+test("normalizeWorkEntry reads a promotions timeline", () => {
+  const { entry, problems } = normalizeWorkEntry(
+    {
+      company: "Deloitte",
+      roles: [
+        { title: "Senior", start: "2025-06-01" },
+        { title: "Analyst", start: "2023-08", end: "2025-06" },
+        { title: "", start: "2020" },
+      ],
+      tags: ["AWS", 3],
+    },
+    0
+  );
+  assert.deepEqual(entry.roles, [
+    { title: "Senior", start: "2025-06-01", end: null, current: true },
+    { title: "Analyst", start: "2023-08", end: "2025-06", current: false },
+  ]);
+  assert.deepEqual(entry.tags, []);
+  assert.deepEqual(
+    problems.map((p) => p.key),
+    ["roles[2].title", "tags"]
+  );
+});
+
+test("normalizeWorkEntry accepts a single role on the entry", () => {
+  const { entry, problems } = normalizeWorkEntry(
+    { company: "HAVELSAN", title: "Intern", start: "2022-08-01", end: "soon" },
+    3
+  );
+  assert.equal(entry.roles.length, 1);
+  assert.equal(entry.roles[0].end, null);
+  assert.equal(entry.roles[0].current, false);
+  assert.equal(
+    formatProblem(problems[0]),
+    '"end" must be a date (YYYY-MM-DD, YYYY-MM or YYYY)'
+  );
+  assert.equal(normalizeWorkEntry({ title: "x" }, 0).entry, null);
+  assert.equal(
+    normalizeWorkEntry([], 4).problems[0].message,
+    "entry #5 must be an object"
+  );
+});
+
+test("normalizeSkillGroup needs a name and string items", () => {
+  assert.deepEqual(
+    normalizeSkillGroup({ name: " Cloud ", items: ["AWS ", "GCP"] }, 0).group,
+    { name: "Cloud", items: ["AWS", "GCP"] }
+  );
+  const { group, problems } = normalizeSkillGroup({ name: "x", items: [] }, 0);
+  assert.equal(group, null);
+  assert.deepEqual(
+    problems.map((p) => p.key),
+    ["items"]
+  );
+});
+
+test("fromJSONResume maps work and skills to the data file format", () => {
+  const out = fromJSONResume({
+    work: [
+      {
+        name: "Deloitte",
+        position: "Senior Consultant",
+        startDate: "2025-06-01",
+      },
+      {
+        name: "Deloitte",
+        position: "Business Analyst",
+        startDate: "2023-08-01",
+        endDate: "2025-06-01",
+        highlights: ["LLMs"],
+      },
+      {
+        name: "HAVELSAN",
+        position: "Machine Learning Intern",
+        startDate: "2022-08",
+      },
+    ],
+    skills: [{ name: "Cloud", keywords: ["AWS"] }, { level: "no name" }],
+  });
+  assert.equal(out.experience.length, 1);
+  assert.deepEqual(
+    out.experience[0].roles.map((r) => r.title),
+    ["Senior Consultant", "Business Analyst"]
+  );
+  assert.deepEqual(out.experience[0].highlights, ["LLMs"]);
+  assert.deepEqual(out.internships, [
+    {
+      company: "HAVELSAN",
+      roles: [{ title: "Machine Learning Intern", start: "2022-08" }],
+      highlights: [],
+    },
+  ]);
+  assert.deepEqual(out.skills, [{ name: "Cloud", items: ["AWS"] }]);
+  assert.ok(normalizeWorkEntry(out.internships[0], 0).entry);
+});
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  timeAgo,
+  httpErrorToMessage,
+  applyCardFilters,
+  sortForCard,
+  collectTopicsAcross,
+  mergeManualRepo,
+  parseRateLimit,
+  rateLimitKind,
+  backoffDelay,
+  parseLinkHeader,
+} = require("../../assets/js/github-core.js");
+const { normalizeManualRepo } = require("../../assets/js/data-normalize.js");
+const { fixture } = require("../helpers/page.js");
+
+const NOW = Date.parse("2025-03-10T00:00:00Z");
+
+test("timeAgo picks the largest unit", () => {
+  assert.equal(timeAgo("2025-03-09T23:59:30Z", NOW), "just now");
+  assert.equal(timeAgo("2025-03-09T23:15:00Z", NOW), "45 minutes ago");
+  assert.equal(timeAgo("2025-03-07T00:00:00Z", NOW), "3 days ago");
+  assert.equal(timeAgo("2023-03-01T00:00:00Z", NOW), "2 years ago");
+  assert.equal(timeAgo("", NOW), "unknown");
+  assert.equal(timeAgo("not a date", NOW), "unknown");
+});
+
+test("httpErrorToMessage explains rate limits, 404 and server errors", () => {
+  assert.match(httpErrorToMessage(403), /rate limit/);
+  assert.match(httpErrorToMessage(429), /rate limit/);
+  assert.match(httpErrorToMessage(404), /Not found/);
+  assert.equal(httpErrorToMessage(502), "GitHub server error.");
+  assert.equal(httpErrorToMessage(418), "HTTP 418");
+  assert.equal(httpErrorToMessage(502, "tr"), "GitHub sunucu hatası.");
+});
+
+test("applyCardFilters drops private, forks and archived by default", () => {
+  const repos = fixture("github/user-repos.json");
+  const names = (list) => list.map((r) => r.name);
+  assert.deepEqual(names(applyCardFilters(repos)), [
+    "portfolio-site",
+    "gan-experiments",
+  ]);
+  assert.deepEqual(names(applyCardFilters(repos, { excludeForks: false })), [
+    "portfolio-site",
+    "gan-experiments",
+    "forked-lib",
+  ]);
+  assert.equal(
+    applyCardFilters([{ name: "secret", private: true }], {
+      excludeForks: false,
+      excludeArchived: false,
+    }).length,
+    0
+  );
+});
+
+test("sortForCard orders by stars, name or last push", () => {
+  const repos = fixture("github/user-repos.json");
+  assert.equal(sortForCard(repos, "stars")[0].name, "gan-experiments");
+  assert.equal(sortForCard(repos, "name")[0].name, "forked-lib");
+  assert.equal(sortForCard(repos, "pushed")[0].name, "portfolio-site");
+  assert.equal(sortForCard(repos, undefined).at(-1).name, "old-homework");
+});
+
+test("collectTopicsAcross counts case-insensitively, most used first", () => {
+  const pairs = collectTopicsAcross([
+    { topics: ["NLP", "gan"] },
+    { topics: ["nlp"] },
+    { topics: null },
+  ]);
+  assert.deepEqual(pairs, [
+    ["nlp", 2],
+    ["gan", 1],
+  ]);
+  assert.deepEqual(collectTopicsAcross([]), []);
+});
+
+test("mergeManualRepo: live data fills gaps, given fields win", () => {
+  const manual = normalizeManualRepo({
+    url: "https://github.com/ribo-apps/clickbait-spoiling-nlp-project",
+    description: "Hand-written summary",
+    pinned: true,
+  });
+  const merged = mergeManualRepo(manual, fixture("github/repo-detail.json"));
+  assert.equal(merged.description, "Hand-written summary");
+  assert.equal(merged.stargazers_count, 7);
+  assert.equal(merged.language, "Jupyter Notebook");
+  assert.deepEqual(merged.topics, ["nlp", "semeval"]);
+  assert.equal(merged._pinned, true);
+});
+
+test("mergeManualRepo keeps every field of an entry without _given", () => {
+  const merged = mergeManualRepo(
+    { full_name: "a/b", name: "b", stargazers_count: 99 },
+    { full_name: "a/b", name: "b", stargazers_count: 1, language: "Go" }
+  );
+  assert.equal(merged.stargazers_count, 99);
+  assert.equal(merged.language, "Go");
+});
+
+test("parseRateLimit reads the budget and Retry-After", () => {
+  const info = parseRateLimit(
+    new Headers({
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-limit": "60",
+      "x-ratelimit-reset": "1741600000",
+      "retry-after": "30",
+    })
+  );
+  assert.deepEqual(info, {
+    remaining: 0,
+    limit: 60,
+    reset: 1741600000000,
+    retryAfter: 30000,
+  });
+  assert.deepEqual(parseRateLimit(new Headers()), {
+    remaining: null,
+    limit: null,
+    reset: null,
+    retryAfter: null,
+  });
+  const date = new Date(NOW + 5000).toUTCString();
+  assert.equal(
+    parseRateLimit(new Headers({ "retry-after": date }), NOW).retryAfter,
+    5000
+  );
+});
+
+test("rateLimitKind tells an empty budget from abuse detection", () => {
+  assert.equal(rateLimitKind(403, { remaining: 0 }), "primary");
+  assert.equal(rateLimitKind(403, { retryAfter: 60000 }), "secondary");
+  assert.equal(rateLimitKind(429, {}), "secondary");
+  assert.equal(
+    rateLimitKind(403, {}, "You have exceeded a secondary rate limit"),
+    "secondary"
+  );
+  assert.equal(rateLimitKind(403, {}, "Resource not accessible"), null);
+  assert.equal(rateLimitKind(500, { remaining: 0 }), null);
+});
+
+test("backoffDelay doubles with jitter and honours Retry-After", () => {
+  const mid = () => 0.5; // no jitter
+  assert.equal(backoffDelay(0, { base: 1000, random: mid }), 1000);
+  assert.equal(backoffDelay(3, { base: 1000, random: mid }), 8000);
+  assert.equal(backoffDelay(10, { base: 1000, max: 5000, random: mid }), 5000);
+  assert.equal(backoffDelay(0, { base: 1000, random: () => 0 }), 750);
+  assert.equal(backoffDelay(2, { retryAfter: 42 }), 42);
+});
+
+test("parseLinkHeader maps rels to URLs", () => {
+  const links = parseLinkHeader(
+    '<https://api.github.com/user/1/repos?per_page=100&page=2>; rel="next", ' +
+      '<https://api.github.com/user/1/repos?per_page=100&page=4>; rel="last"'
+  );
+  assert.equal(
+    links.next,
+    "https://api.github.com/user/1/repos?per_page=100&page=2"
+  );
+  assert.equal(
+    links.last,
+    "https://api.github.com/user/1/repos?per_page=100&page=4"
+  );
+  assert.deepEqual(parseLinkHeader(null), {});
+  assert.deepEqual(parseLinkHeader("garbage"), {});
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const {
+  createGitHubHandler,
+  ALLOWED_QUERIES,
+  queryHash,
+} = require("../../server/github-proxy.js");
+const { GRAPHQL } = require("../../assets/js/github-core.js");
+
+// Runs one POST through the handler; resolves to { status, body }
+async function post(handle, payload) {
+  const req = Readable.from([Buffer.from(JSON.stringify(payload))]);
+  req.method = "POST";
+  const res = {
+    writeHead(status) {
+      this.status = status;
+    },
+    end(text) {
+      this.body = JSON.parse(text);
+    },
+  };
+  await handle(req, res, "/github/graphql");
+  return res;
+}
+
+function withFetch(fn) {
+  const calls = [];
+  const original = global.fetch;
+  global.fetch = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ data: { ok: true } }));
+  };
+  return fn(calls).finally(() => (global.fetch = original));
+}
+
+test("allow-lists exactly the queries github-projects.js sends", () => {
+  assert.deepEqual(
+    Object.values(GRAPHQL).map((q) => ALLOWED_QUERIES.has(queryHash(q))),
+    [true, true]
+  );
+  assert.equal(ALLOWED_QUERIES.size, Object.keys(GRAPHQL).length);
+});
+
+test("forwards the site's queries with the token attached", () =>
+  withFetch(async (calls) => {
+    const handle = createGitHubHandler({ token: "t", owners: ["hot-map"] });
+    const res = await post(handle, {
+      query: GRAPHQL.ownerRepos,
+      variables: { login: "Hot-Map", first: 100 },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { data: { ok: true } });
+    assert.equal(calls[0].variables.login, "Hot-Map");
+  }));
+
+test("rejects any other query, read-only or not", () =>
+  withFetch(async (calls) => {
+    const handle = createGitHubHandler({ token: "t" });
+    for (const query of [
+      "query { viewer { login email } }",
+      `${GRAPHQL.repo} `,
+      "mutation { addStar(input: {}) { clientMutationId } }",
+    ]) {
+      const res = await post(handle, { query, variables: { owner: "x" } });
+      assert.equal(res.status, 400);
+    }
+    assert.equal(calls.length, 0);
+  }));
+
+test("GITHUB_OWNERS limits whose repos can be read", () =>
+  withFetch(async (calls) => {
+    const handle = createGitHubHandler({
+      token: "t",
+      owners: ["erenbarisbostanci"],
+    });
+    const other = await post(handle, {
+      query: GRAPHQL.repo,
+      variables: { owner: "someone-else", name: "repo" },
+    });
+    assert.equal(other.status, 403);
+    const own = await post(handle, {
+      query: GRAPHQL.repo,
+      variables: { owner: "ErenBarisBostanci", name: "repo" },
+    });
+    assert.equal(own.status, 200);
+    assert.equal(calls.length, 1);
+  }));
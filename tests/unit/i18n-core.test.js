@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  languages,
+  pickLanguage,
+  translate,
+  relativeTime,
+  formatDate,
+  formatPartialDate,
+} = require("../../assets/js/i18n-core.js");
+const Messages = require("../../assets/js/i18n-messages.js");
+
+const NOW = Date.parse("2025-03-10T12:00:00Z");
+
+test("every catalog translates every English message", () => {
+  assert.deepEqual(languages(), ["en", "tr"]);
+  for (const lang of languages())
+    for (const key of Object.keys(Messages.en))
+      assert.ok(key in Messages[lang], `${lang} is missing ${key}`);
+});
+
+test("pickLanguage prefers the saved choice, then the browser", () => {
+  assert.equal(pickLanguage("tr", ["en-US"]), "tr");
+  assert.equal(pickLanguage(null, ["de-DE", "tr-TR", "en"]), "tr");
+  assert.equal(pickLanguage("xx", ["de"]), "en");
+  assert.equal(pickLanguage(null), "en");
+});
+
+test("translate fills placeholders, plurals and falls back to English", () => {
+  assert.equal(translate("en", "gh.count", { count: 1 }), "1 repository");
+  assert.equal(translate("en-GB", "gh.count", { count: 3 }), "3 repositories");
+  assert.equal(translate("tr-TR", "gh.count", { count: 3 }), "3 depo");
+  assert.equal(translate("de", "gh.org.showMore", { count: 2 }), "Show 2 more");
+  assert.equal(translate("en", "gh.error.http"), "HTTP {status}");
+  assert.equal(translate("tr", "no.such.key"), "no.such.key");
+});
+
+test("relativeTime uses Intl with the largest whole unit", () => {
+  const at = (iso, locale) => relativeTime(iso, { locale, now: NOW });
+  assert.equal(at("2025-03-10T11:59:30Z", "en"), "just now");
+  assert.equal(at("2025-03-10T11:15:00Z", "en"), "45 minutes ago");
+  assert.equal(at("2025-03-09T12:00:00Z", "en"), "yesterday");
+  assert.equal(at("2025-03-07T12:00:00Z", "tr"), "3 gün önce");
+  assert.equal(at("2025-03-10T11:59:30Z", "tr"), "az önce");
+  assert.equal(at("", "tr"), "bilinmiyor");
+  assert.equal(at("not a date", "en"), "unknown");
+});
+
+test("formatDate and formatPartialDate follow the locale", () => {
+  assert.equal(formatDate("2025-06-01T12:00:00Z", "en-US"), "Jun 1, 2025");
+  assert.equal(formatDate("nope", "en"), "");
+  assert.equal(formatPartialDate("2025-06-01", "en-US"), "Jun 1, 2025");
+  assert.equal(formatPartialDate("2025-06", "en-US"), "Jun 2025");
+  assert.equal(formatPartialDate("2025-06", "tr"), "Haz 2025");
+  assert.equal(formatPartialDate("2025", "tr"), "2025");
+  assert.equal(formatPartialDate("someday", "en"), "someday");
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { importResume } = require("../../scripts/import-resume.js");
+const { lintFile } = require("../../scripts/validate-data.js");
+const { fixture } = require("../helpers/page.js");
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "import-resume-"));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+const read = (dir, name) =>
+  JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+
+test("writes data files that pass validate-data", () =>
+  withDir((dir) => {
+    const logs = [];
+    const written = importResume(fixture("resume/resume.json"), {
+      outDir: dir,
+      log: (m) => logs.push(m),
+    });
+    assert.equal(written.length, 5);
+    for (const file of written)
+      assert.deepEqual(
+        lintFile(file).filter((r) => r.kind === "error"),
+        [],
+        file
+      );
+    assert.equal(read(dir, "experience.json")[0].company, "Acme");
+    assert.ok(logs.some((m) => /skipped projects\[1\]/.test(m)));
+  }));
+
+test("keeps files with entries unless forced; dry runs write nothing", () =>
+  withDir((dir) => {
+    fs.writeFileSync(
+      path.join(dir, "skills.json"),
+      '[{"name":"Mine","items":["x"]}]'
+    );
+    fs.writeFileSync(path.join(dir, "certs.json"), "[]\n");
+    const doc = fixture("resume/resume.json");
+    const log = () => {};
+
+    assert.equal(
+      importResume(doc, { outDir: dir, dryRun: true, log }).length,
+      0
+    );
+    assert.ok(!fs.existsSync(path.join(dir, "repos.json")));
+
+    importResume(doc, { outDir: dir, log });
+    assert.equal(read(dir, "skills.json")[0].name, "Mine");
+    assert.equal(read(dir, "certs.json").length, 1); // empty file is replaced
+
+    importResume(doc, { outDir: dir, force: true, log });
+    assert.equal(read(dir, "skills.json")[0].name, "Languages");
+  }));
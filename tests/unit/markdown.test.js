@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { render, safeUrl } = require("../../assets/js/markdown.js");
+
+const README = {
+  linkBase: "https://github.com/me/repo/blob/HEAD/README.md",
+  imageBase: "https://raw.githubusercontent.com/me/repo/HEAD/README.md",
+};
+
+// Every tag in the output, with its attributes
+const tags = (html) => html.match(/<[a-z][^>]*>/g) || [];
+
+test("safeUrl keeps http(s), mailto and anchors, resolving relative ones", () => {
+  assert.equal(safeUrl("#usage"), "#usage");
+  assert.equal(safeUrl("mailto:me@example.com"), "mailto:me@example.com");
+  assert.equal(
+    safeUrl("docs/setup.md", README.linkBase),
+    "https://github.com/me/repo/blob/HEAD/docs/setup.md"
+  );
+  assert.equal(
+    safeUrl("//cdn.example/x.png", README.imageBase),
+    "https://cdn.example/x.png"
+  );
+  assert.equal(safeUrl("relative.md"), ""); // no base to resolve against
+  assert.equal(safeUrl("  "), "");
+});
+
+test("safeUrl drops script-capable schemes however they are spelled", () => {
+  for (const url of [
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    " javascript:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "data:image/svg+xml;base64,PHN2Zz4=",
+    "vbscript:msgbox(1)",
+    "file:///etc/passwd",
+  ])
+    assert.equal(safeUrl(url, README.linkBase), "", url);
+  // Not a scheme once split: just a (harmless) path under the base
+  assert.match(
+    safeUrl("java\u0000script:alert(1)", README.linkBase),
+    /^https:\/\/github\.com\/me\/repo\//
+  );
+});
+
+test("javascript: and data: links and images keep only their text", () => {
+  const html = render(
+    [
+      "[click](javascript:alert(1))",
+      "[page](data:text/html,hi)",
+      "![pic](javascript:alert(1))",
+      "![chart & notes](data:image/png;base64,AAAA)",
+    ].join("\n\n"),
+    README
+  );
+  assert.equal(
+    html,
+    "<p>click</p>\n<p>page</p>\n<p>pic</p>\n<p>chart &amp; notes</p>"
+  );
+});
+
+test("raw HTML is dropped, images and line breaks are translated", () => {
+  const html = render(
+    [
+      "<script>alert(1)</script>",
+      "<img src=x onerror=alert(1)>",
+      '<img src="logo.png" alt="Logo" onerror="alert(1)">',
+      '<a href="javascript:alert(1)" onclick="alert(1)">link</a>',
+      "<svg onload=alert(1)><style>p{}</style></svg>",
+      "one<br>two",
+    ].join("\n\n"),
+    README
+  );
+  assert.doesNotMatch(html, /<script|<svg|<style|onerror|onclick|onload/i);
+  assert.deepEqual(tags(html), [
+    "<p>",
+    "<p>",
+    '<img src="https://raw.githubusercontent.com/me/repo/HEAD/logo.png" alt="Logo" loading="lazy">',
+    "<p>",
+    "<p>",
+    "<p>",
+  ]);
+  assert.match(html, /<p>alert\(1\)<\/p>/); // the text survives, inert
+  assert.match(html, /<p>link<\/p>/);
+});
+
+test("alt and link text cannot break out of their attribute or element", () => {
+  const html = render(
+    [
+      '![x" onerror="alert(1)](https://example.com/a.png)',
+      '[a" onclick="alert(1)](https://example.com/)',
+      "[<b>bold</b> & more](https://example.com/)",
+      '[x](https://example.com/" onmouseover="alert(1))',
+    ].join("\n\n"),
+    README
+  );
+  assert.deepEqual(tags(html), [
+    "<p>",
+    '<img src="https://example.com/a.png" alt="x&quot; onerror=&quot;alert(1)" loading="lazy">',
+    "<p>",
+    '<a href="https://example.com/" target="_blank" rel="noopener noreferrer">',
+    "<p>",
+    '<a href="https://example.com/" target="_blank" rel="noopener noreferrer">',
+    "<p>",
+  ]);
+  assert.match(html, />bold &amp; more<\/a>/);
+  assert.match(html, /&quot; onmouseover=&quot;alert\(1\)\)<\/p>$/);
+});
+
+test("fenced code and code spans show HTML as text", () => {
+  const html = render(
+    [
+      "```html",
+      "<script>alert(1)</script>",
+      '<img src=x onerror="alert(1)">',
+      "```",
+      "",
+      "Use `<br>` or `<img onerror>` inline.",
+    ].join("\n")
+  );
+  assert.equal(
+    html,
+    [
+      '<pre><code data-lang="html">&lt;script&gt;alert(1)&lt;/script&gt;',
+      "&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</code></pre>",
+      "<p>Use <code>&lt;br&gt;</code> or <code>&lt;img onerror&gt;</code> inline.</p>",
+    ].join("\n")
+  );
+});
+
+test("renders the usual README structure", () => {
+  const html = render(
+    [
+      "# repo",
+      "Some **bold**, *em* and ~~old~~ text with <https://example.com>.",
+      "",
+      "- [x] done",
+      "- [ ] todo",
+      "",
+      "| a | b |",
+      "|---|---|",
+      "| 1 | [docs](docs/) |",
+    ].join("\n"),
+    README
+  );
+  assert.match(html, /^<h2>repo<\/h2>/); // h1 is shifted under the drawer title
+  assert.match(
+    html,
+    /<strong>bold<\/strong>, <em>em<\/em> and <del>old<\/del>/
+  );
+  assert.match(html, /<a href="https:\/\/example.com\/" target="_blank"/);
+  assert.match(html, /<ul><li>☑ done<\/li><li>☐ todo<\/li><\/ul>/);
+  assert.match(
+    html,
+    /<td><a href="https:\/\/github.com\/me\/repo\/blob\/HEAD\/docs\/"/
+  );
+});
+
+test("badge links and code spans keep their markup inside a link", () => {
+  assert.equal(
+    render(
+      "[![CI](https://x.com/b.svg)](https://x.com/ci) [![npm](badge.svg)](https://npm.im/x)",
+      README
+    ),
+    '<p><a href="https://x.com/ci" target="_blank" rel="noopener noreferrer"><img src="https://x.com/b.svg" alt="CI" loading="lazy"></a> ' +
+      '<a href="https://npm.im/x" target="_blank" rel="noopener noreferrer"><img src="https://raw.githubusercontent.com/me/repo/HEAD/badge.svg" alt="npm" loading="lazy"></a></p>'
+  );
+  assert.equal(
+    render("[`code` **link**](https://example.com/)"),
+    '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer"><code>code</code> <strong>link</strong></a></p>'
+  );
+});
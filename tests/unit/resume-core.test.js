@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toJSONResume, toDataFiles } = require("../../assets/js/resume-core.js");
+const {
+  normalizeWorkEntry,
+  normalizeSkillGroup,
+  normalizeManualRepo,
+} = require("../../assets/js/data-normalize.js");
+const { fixture } = require("../helpers/page.js");
+
+const work = (raw) => normalizeWorkEntry(raw, 0).entry;
+const experience = [
+  work({
+    company: "Deloitte",
+    team: "AI & Data",
+    roles: [
+      { title: "Senior Consultant", start: "2025-06-01" },
+      { title: "Business Analyst", start: "2023-08-01", end: "2025-06-01" },
+    ],
+    highlights: ["Shipped LLM chatbots."],
+    tags: ["AWS"],
+  }),
+];
+const internships = [
+  work({
+    company: "HAVELSAN",
+    title: "Machine Learning Internship",
+    start: "2022-08-01",
+    end: "2022-09-13",
+  }),
+];
+const skills = [
+  normalizeSkillGroup({ name: "Cloud", items: ["AWS"] }, 0).group,
+];
+
+test("toJSONResume flattens roles into work items", () => {
+  const doc = toJSONResume({
+    basics: {
+      name: "Eren",
+      email: "",
+      profiles: [{ network: "GitHub", url: "" }],
+    },
+    experience,
+    internships,
+    skills,
+    repos: [
+      normalizeManualRepo({
+        url: "https://github.com/a/b",
+        description: "Thing",
+        topics: ["nlp"],
+      }),
+    ],
+    certificates: [
+      { name: "CKA", issuer: "CNCF", date: "2024-01-01", url: "" },
+    ],
+    now: Date.parse("2026-01-02T03:04:05Z"),
+  });
+  assert.deepEqual(doc.basics, {
+    name: "Eren",
+    profiles: [{ network: "GitHub" }],
+  });
+  assert.deepEqual(doc.work[0], {
+    name: "Deloitte",
+    position: "Senior Consultant",
+    description: "AI & Data",
+    startDate: "2025-06-01",
+    highlights: ["Shipped LLM chatbots."],
+    keywords: ["AWS"],
+  });
+  assert.equal(doc.work[1].endDate, "2025-06-01");
+  assert.ok(!("highlights" in doc.work[1]));
+  assert.equal(doc.work[2].position, "Machine Learning Internship");
+  assert.deepEqual(doc.skills, [{ name: "Cloud", keywords: ["AWS"] }]);
+  assert.deepEqual(doc.projects, [
+    {
+      name: "b",
+      description: "Thing",
+      url: "https://github.com/a/b",
+      keywords: ["nlp"],
+    },
+  ]);
+  assert.deepEqual(doc.certificates, [
+    { name: "CKA", issuer: "CNCF", date: "2024-01-01" },
+  ]);
+  assert.equal(doc.meta.lastModified, "2026-01-02T03:04:05");
+});
+
+test("toDataFiles reverses toJSONResume for work and skills", () => {
+  const { files } = toDataFiles(
+    toJSONResume({ experience, internships, skills })
+  );
+  const back = (list) => list.map((raw) => work(raw));
+  assert.deepEqual(back(files["experience.json"]), experience);
+  assert.deepEqual(back(files["internships.json"]), internships);
+  assert.deepEqual(files["skills.json"], [{ name: "Cloud", items: ["AWS"] }]);
+});
+
+test("toDataFiles maps projects and certificates and reports what it skips", () => {
+  const { files, skipped } = toDataFiles(fixture("resume/resume.json"));
+  assert.deepEqual(files["repos.json"], [
+    {
+      url: "https://github.com/ada/tool",
+      description: "A CLI tool.",
+      topics: ["cli", "go-lang"],
+    },
+  ]);
+  assert.deepEqual(files["certs.json"], [
+    {
+      name: "Cloud Practitioner",
+      issuer: "AWS",
+      date: "2023-05-01",
+      verify_url: "https://www.credly.com/badges/abc-123/public_url",
+    },
+  ]);
+  assert.equal(files["experience.json"][0].roles.length, 2);
+  assert.equal(files["internships.json"][0].company, "Lab");
+  assert.deepEqual(
+    skipped.map((s) => s.split(/[\s:]/)[0]),
+    ["projects[1]", "certificates[1]", "basics"]
+  );
+});
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "../..");
+const SOURCE = fs.readFileSync(path.join(ROOT, "sw.js"), "utf8");
+const ORIGIN = "https://portfolio.test";
+
+// In-memory CacheStorage: cache name → Map(url → Response)
+function fakeCaches() {
+  const store = new Map();
+  const urlOf = (req) => (typeof req === "string" ? req : req.url);
+  const open = async (name) => {
+    if (!store.has(name)) store.set(name, new Map());
+    const entries = store.get(name);
+    return {
+      addAll: async (paths) => {
+        for (const p of paths)
+          entries.set(new URL(p, `${ORIGIN}/sw.js`).href, new Response(p));
+      },
+      // Like the Cache API: a put replaces the entry and moves it to the end
+      put: async (req, res) => {
+        entries.delete(urlOf(req));
+        entries.set(urlOf(req), res);
+      },
+      match: async (req, opts = {}) => {
+        const url = new URL(urlOf(req));
+        if (opts.ignoreSearch) url.search = "";
+        return entries.get(url.href)?.clone();
+      },
+      keys: async () => [...entries.keys()].map((u) => new Request(u)),
+      delete: async (req) => entries.delete(urlOf(req)),
+    };
+  };
+  return {
+    store,
+    open,
+    keys: async () => [...store.keys()],
+    delete: async (name) => store.delete(name),
+  };
+}
+
+// Runs sw.js with a stubbed fetch; returns helpers to fire its events
+function loadWorker({ fetch }) {
+  const handlers = {};
+  const caches = fakeCaches();
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, fn) => (handlers[type] = fn),
+    skipWaiting: async () => {},
+    clients: { claim: async () => {} },
+  };
+  vm.runInNewContext(SOURCE, {
+    self,
+    caches,
+    fetch,
+    URL,
+    Headers,
+    Request,
+    Response,
+    Promise,
+  });
+
+  async function lifecycle(type) {
+    const pending = [];
+    handlers[type]({ waitUntil: (p) => pending.push(p) });
+    await Promise.all(pending);
+  }
+  // Resolves to the worker's Response, or undefined when it lets the browser handle it
+  async function request(url, { mode = "cors", method = "GET" } = {}) {
+    let answer;
+    const pending = [];
+    handlers.fetch({
+      request: { url, mode, method, headers: new Headers() },
+      respondWith: (p) => (answer = p),
+      waitUntil: (p) => pending.push(p),
+    });
+    const res = await answer;
+    await Promise.all(pending);
+    return res;
+  }
+  return { caches, lifecycle, request };
+}
+
+const offline = () => Promise.reject(new TypeError("Failed to fetch"));
+
+test("precaches every local script and stylesheet index.html loads", async () => {
+  const sw = loadWorker({ fetch: offline });
+  await sw.lifecycle("install");
+  const [name] = await sw.caches.keys();
+  assert.equal(name, "portfolio-shell-dev");
+  const cached = [...sw.caches.store.get(name).keys()].map(
+    (u) => new URL(u).pathname
+  );
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const local = [
+    ...html.matchAll(/<(?:script src|link rel="[^"]+" href)="([^":]+)"/g),
+  ].map((m) => `/${m[1]}`);
+  assert.ok(local.length > 10);
+  for (const file of [...local, "/", "/assets/docs/eren-baris-bostanci-cv.pdf"])
+    assert.ok(cached.includes(file), `${file} is not precached`);
+  // tailwind.css is built at deploy time (npm run build:css), not checked in
+  for (const file of cached.filter((f) => f !== "/assets/css/tailwind.css"))
+    assert.ok(
+      fs.existsSync(path.join(ROOT, file === "/" ? "index.html" : file)),
+      `${file} does not exist`
+    );
+});
+
+test("activate drops shell caches of other versions only", async () => {
+  const sw = loadWorker({ fetch: offline });
+  await sw.caches.open("portfolio-shell-build-1");
+  await sw.caches.open("portfolio-data-v1");
+  await sw.lifecycle("install");
+  await sw.lifecycle("activate");
+  assert.deepEqual((await sw.caches.keys()).sort(), [
+    "portfolio-data-v1",
+    "portfolio-shell-dev",
+  ]);
+});
+
+test("API calls are network first with a marked cache fallback", async () => {
+  let online = true;
+  const sw = loadWorker({
+    fetch: async () => {
+      if (!online) throw new TypeError("Failed to fetch");
+      return new Response('[{"name":"repo"}]', {
+        headers: { etag: '"v1"' },
+      });
+    },
+  });
+  const url = "https://api.github.com/users/someone/repos?per_page=100";
+
+  const live = await sw.request(url);
+  assert.equal(live.headers.get("x-sw-fallback"), null);
+
+  online = false;
+  const saved = await sw.request(url);
+  assert.equal(saved.headers.get("x-sw-fallback"), "1");
+  assert.equal(saved.headers.get("etag"), '"v1"');
+  assert.deepEqual(await saved.json(), [{ name: "repo" }]);
+
+  await assert.rejects(sw.request("https://api.github.com/orgs/x/repos"));
+  assert.equal(
+    await sw.request(`${ORIGIN}/api/github/graphql`, { method: "POST" }),
+    undefined
+  );
+});
+
+test("saved API responses are bounded in number and age", async () => {
+  let online = true;
+  const sw = loadWorker({
+    fetch: async (req) => {
+      if (!online) throw new TypeError("Failed to fetch");
+      return new Response(JSON.stringify(req.url));
+    },
+  });
+  const url = (i) => `https://api.github.com/repos/me/repo-${i}/readme`;
+  for (let i = 0; i <= 150; i++) await sw.request(url(i));
+  const data = sw.caches.store.get("portfolio-data-v1");
+  assert.equal(data.size, 150);
+  assert.ok(!data.has(url(0)), "the least recently saved entry is dropped");
+  assert.ok(data.get(url(1)).headers.get("x-sw-saved-at"));
+
+  // Older than two weeks: neither served nor kept past the next activate
+  const old = new Headers({
+    "X-SW-Saved-At": String(Date.now() - 15 * 24 * 3600e3),
+  });
+  data.set(url(1), new Response('"old"', { headers: old }));
+  online = false;
+  await assert.rejects(sw.request(url(1)));
+  assert.deepEqual(await (await sw.request(url(2))).json(), url(2));
+  await sw.lifecycle("activate");
+  assert.ok(!data.has(url(1)));
+  assert.ok(data.has(url(2)));
+});
+
+test("offline page loads get the precached index.html", async () => {
+  const sw = loadWorker({ fetch: offline });
+  await sw.lifecycle("install");
+  const page = await sw.request(`${ORIGIN}/?print`, { mode: "navigate" });
+  assert.equal(await page.text(), "index.html");
+  const css = await sw.request(`${ORIGIN}/assets/css/site.css?v=2`);
+  assert.equal(await css.text(), "assets/css/site.css");
+  assert.equal(await sw.request("https://cdn.example/lib.js"), undefined);
+});
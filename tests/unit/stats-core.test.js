@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  uniqueRepos,
+  pickLanguageRepos,
+  aggregateLanguages,
+  totalStars,
+  describeEvent,
+  activityByDay,
+  donutSVG,
+  barsSVG,
+  columnsSVG,
+} = require("../../assets/js/stats-core.js");
+const { fixture } = require("../helpers/page.js");
+
+const NOW = Date.parse("2025-03-10T00:00:00Z");
+
+test("uniqueRepos keeps the first copy of each repo and drops private ones", () => {
+  const grid = fixture("github/user-repos.json");
+  const org = [
+    { ...grid[0], full_name: "ErenBarisBostanci/Portfolio-Site" },
+    { full_name: "Hot-Map/secret", private: true },
+    { full_name: "Hot-Map/hotsum-app", stargazers_count: 2 },
+  ];
+  const all = uniqueRepos(grid, org, undefined);
+  assert.deepEqual(
+    all.map((r) => r.full_name),
+    [...grid.map((r) => r.full_name), "Hot-Map/hotsum-app"]
+  );
+  assert.equal(totalStars(all), 4 + 12 + 0 + 1 + 2);
+});
+
+test("pickLanguageRepos prefers recently pushed own repos", () => {
+  const repos = fixture("github/user-repos.json");
+  assert.deepEqual(
+    pickLanguageRepos(repos, 5).map((r) => r.name),
+    ["portfolio-site", "gan-experiments"]
+  );
+  assert.deepEqual(
+    pickLanguageRepos(repos, 1).map((r) => r.name),
+    ["portfolio-site"]
+  );
+  assert.deepEqual(pickLanguageRepos(repos, 0), []);
+});
+
+test("aggregateLanguages sums bytes and folds the tail into one entry", () => {
+  const list = aggregateLanguages(
+    [
+      { Python: 600, Shell: 50 },
+      { Python: 200, JavaScript: 100, CSS: 50 },
+      null,
+    ],
+    2
+  );
+  assert.deepEqual(
+    list.map((l) => [l.name, l.bytes]),
+    [
+      ["Python", 800],
+      ["JavaScript", 100],
+      [null, 100],
+    ]
+  );
+  assert.equal(list[0].share, 0.8);
+  assert.deepEqual(aggregateLanguages([{}, { Go: 0 }]), []);
+});
+
+test("describeEvent maps event types to message keys", () => {
+  const [push, star, merged, tag, wiki] = fixture("github/user-events.json");
+  assert.deepEqual(describeEvent(push), {
+    key: "stats.event.push",
+    vars: { repo: "erenbarisbostanci/portfolio-site", count: 3, ref: "main" },
+    date: "2025-03-09T18:00:00Z",
+    url: "https://github.com/erenbarisbostanci/portfolio-site",
+  });
+  assert.equal(describeEvent(star).key, "stats.event.star");
+  assert.equal(describeEvent(merged).key, "stats.event.prMerged");
+  assert.deepEqual(describeEvent(tag).vars, {
+    repo: "erenbarisbostanci/gan-experiments",
+    ref: "v1.0",
+  });
+  assert.equal(describeEvent(wiki), null);
+  assert.equal(
+    describeEvent({ type: "PushEvent", repo: { name: "a/b" }, payload: {} })
+      .key,
+    "stats.event.pushTo"
+  );
+});
+
+test("activityByDay buckets events by UTC day, oldest first", () => {
+  const days = activityByDay(fixture("github/user-events.json"), {
+    days: 7,
+    now: NOW,
+  });
+  assert.equal(days.length, 7);
+  assert.equal(days[0].day, "2025-03-04");
+  assert.equal(days[6].day, "2025-03-10");
+  assert.deepEqual(
+    days.map((d) => d.count),
+    [0, 2, 0, 0, 1, 2, 0]
+  );
+});
+
+test("charts are labelled images with escaped text", () => {
+  const text = { title: "Languages", desc: "Python <80%>" };
+  const donut = donutSVG("d", [{ value: 1, color: "#3572A5" }], text);
+  assert.match(donut, /^<svg role="img" aria-labelledby="d-title d-desc"/);
+  assert.match(donut, /<title id="d-title">Languages<\/title>/);
+  assert.match(donut, /<desc id="d-desc">Python &lt;80%&gt;<\/desc>/);
+  assert.equal((donut.match(/<circle/g) || []).length, 1);
+
+  const bars = barsSVG("b", [{ label: "<aws>", value: 3 }], text);
+  assert.match(bars, />&lt;aws&gt;</);
+  assert.match(bars, />3<\/text>/);
+
+  const cols = columnsSVG("c", [0, 2, 1], text);
+  assert.equal((cols.match(/<rect/g) || []).length, 3);
+  assert.match(cols, /viewBox="0 0 36 40"/);
+});
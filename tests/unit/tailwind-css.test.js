@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "../..");
+// assets/css/tailwind.css is generated (git-ignored), so build a fresh copy
+function build() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tailwind-"));
+  const out = path.join(dir, "tailwind.css");
+  // Same arguments as `npm run build:css`, written elsewhere
+  execFileSync(
+    path.join(ROOT, "node_modules/.bin/tailwindcss"),
+    ["-i", "assets/css/tailwind.src.css", "-o", out, "--minify"],
+    { cwd: ROOT, stdio: "pipe" }
+  );
+  const css = fs.readFileSync(out, "utf8");
+  fs.rmSync(dir, { recursive: true });
+  return css;
+}
+
+test("covers classes that only the scripts inject", () => {
+  const css = build();
+  // badge / pinned chips, accent swatches (theme.js), timeline dots (cv-sections.js)
+  for (const cls of ["text-\\[11px\\]", "ring-offset-2", "-translate-x-1\\/2"])
+    assert.ok(css.includes(`.${cls}`), `missing .${cls}`);
+  assert.match(css, /\.dark\\:bg-gray-800:is\(\.dark \*\)/);
+  assert.match(css, /var\(--accent-600\)/);
+});
+
+test("index.html loads no runtime Tailwind", () => {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  assert.doesNotMatch(html, /cdn\.tailwindcss\.com|tailwind\.config =/);
+  assert.match(html, /href="assets\/css\/tailwind\.css"/);
+});
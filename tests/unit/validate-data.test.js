@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  lintFile,
+  parseWithPositions,
+} = require("../../scripts/validate-data.js");
+
+// lintFile picks the schema from the file name, so each case gets its own dir
+function lint(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validate-data-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  try {
+    return lintFile(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+const errors = (results) => results.filter((r) => r.kind === "error");
+
+test("the committed data files are valid", () => {
+  for (const rel of [
+    "assets/data/repos.json",
+    "assets/data/orgs.json",
+    "assets/data/certs.json",
+    "assets/data/experience.json",
+    "assets/data/internships.json",
+    "assets/data/skills.json",
+  ])
+    assert.deepEqual(errors(lintFile(rel)), [], rel);
+});
+
+test("parseWithPositions maps pointers to line:col", () => {
+  const { positions } = parseWithPositions('[\n  { "org": 1 }\n]');
+  assert.deepEqual(positions.get("/0/org"), { line: 2, col: 12 });
+});
+
+test("invalid JSON is reported with its position", () => {
+  const [r] = lint("repos.json", '[\n  { "url": }\n]');
+  assert.equal(r.kind, "error");
+  assert.equal(r.line, 2);
+  assert.match(r.message, /invalid JSON/);
+});
+
+test("schema errors point at the offending value", () => {
+  const results = lint(
+    "orgs.json",
+    '[\n  { "org": "Hot-Map", "limit": "six" }\n]'
+  );
+  const [err] = errors(results);
+  assert.equal(err.pointer, "/0/limit");
+  assert.equal(err.line, 2);
+});
+
+test("unknown keys warn with a suggestion", () => {
+  const results = lint("orgs.json", '[{ "org": "x", "exlude": ["a*"] }]');
+  assert.deepEqual(errors(results), []);
+  assert.ok(results.some((r) => /did you mean "exclude"/.test(r.message)));
+});
+
+test("dropped repos are errors, duplicates are warnings", () => {
+  const results = lint(
+    "repos.json",
+    '[{ "full_name": "a/b" }, { "full_name": "a/b" }, { "description": "?" }]'
+  );
+  assert.deepEqual(
+    results.map((r) => [r.kind, r.pointer]),
+    [
+      ["warning", "/1"],
+      ["error", "/2"],
+    ]
+  );
+});
+
+test("repos.json: a non-string name is one error at its position", () => {
+  const results = lint(
+    "repos.json",
+    '[\n  { "full_name": "a/b", "name": 5, "language": ["Go"] },\n  { "full_name": "a/c" }\n]'
+  );
+  assert.deepEqual(
+    errors(results).map((r) => [r.pointer, r.line]),
+    [
+      ["/0/name", 2],
+      ["/0/language", 2],
+    ]
+  );
+  assert.ok(!results.some((r) => /is not a function/.test(r.message)));
+});
+
+test("certs.json: missing names are errors, bad dates and duplicates are flagged", () => {
+  const results = lint(
+    "certs.json",
+    JSON.stringify([
+      { name: "A", issuer: "X", date: "2023-13-01" },
+      { issuer: "X" },
+      { name: "a", issuer: "x", date: "2023-01-01", expires: "2022-01-01" },
+    ])
+  );
+  assert.deepEqual(
+    results.map((r) => [r.kind, r.pointer]),
+    [
+      ["error", "/0/date"],
+      ["error", "/1"],
+      ["warning", "/2"],
+      ["warning", "/2/expires"],
+    ]
+  );
+});
+
+test("work history: internships.json uses the experience schema", () => {
+  const results = lint(
+    "internships.json",
+    JSON.stringify([
+      { company: "A", title: "Intern", start: "2022-13" },
+      { company: "B" },
+      { company: "C", roles: [{ title: "x", start: "2022", end: "2021" }] },
+    ])
+  );
+  assert.deepEqual(
+    results.map((r) => [r.kind, r.pointer]),
+    [
+      ["error", "/0/start"],
+      ["error", "/1"],
+      ["warning", "/2/roles/0/end"],
+    ]
+  );
+});
+
+test("file arguments are read from the current directory", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validate-data-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  fs.writeFileSync(
+    path.join(dir, "data/repos.json"),
+    '[{ "description": "?" }]'
+  );
+  try {
+    const run = spawnSync(
+      process.execPath,
+      [
+        path.resolve(__dirname, "../../scripts/validate-data.js"),
+        "data/repos.json",
+      ],
+      { cwd: dir, encoding: "utf8" }
+    );
+    assert.equal(run.status, 1);
+    assert.match(
+      run.stdout,
+      /^data\/repos\.json:1:2 +error +needs one of "full_name"/m
+    );
+    assert.match(run.stdout, /1 error, 0 warnings/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});